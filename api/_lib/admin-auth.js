@@ -1,10 +1,66 @@
 /**
- * Shared admin JWT verification helper.
- * Verifies the Bearer token against Supabase and confirms admin role.
+ * Shared JWT verification helpers.
+ * verifyUserJwt checks the Bearer token against Supabase for any signed-in
+ * user; verifyAdminJwt additionally checks the staff role in
+ * app_metadata.role against the permission the route requires.
  *
- * Returns { ok: true } on success, or { ok: false, status, error } on failure.
+ * Roles (app_metadata.role):
+ *   superadmin  — everything
+ *   admin       — legacy flag, treated as superadmin
+ *   moderator   — chat, banners
+ *   operator    — rounds, cameras, zones
+ *   ml_engineer — ml (jobs, models, runtime profiles)
+ *   analyst     — export (analytics data export, audience)
+ * Mirrored for the admin UI in public/src/core/roles.js — keep in sync.
+ *
+ * Banners and camera settings are written from the admin panel through
+ * supabase-js, so their RLS policies check the same mapping:
+ *   CREATE OR REPLACE FUNCTION staff_has_permission(perm text) RETURNS boolean
+ *   LANGUAGE sql STABLE AS $$
+ *     SELECT CASE auth.jwt() -> 'app_metadata' ->> 'role'
+ *       WHEN 'superadmin'  THEN true
+ *       WHEN 'admin'       THEN true
+ *       WHEN 'moderator'   THEN perm IN ('chat', 'banners')
+ *       WHEN 'operator'    THEN perm IN ('rounds', 'cameras', 'zones')
+ *       WHEN 'ml_engineer' THEN perm = 'ml'
+ *       WHEN 'analyst'     THEN perm = 'export'
+ *       ELSE false END
+ *   $$;
+ *   -- e.g. CREATE POLICY banners_staff_write ON banners FOR ALL
+ *   --        USING (staff_has_permission('banners')) WITH CHECK (staff_has_permission('banners'));
+ *
+ * Returns { ok: true, user: { id, email, role } } on success, or
+ * { ok: false, status, error } on failure.
  */
-export async function verifyAdminJwt(authHeader) {
+
+export const ROLE_PERMISSIONS = {
+  superadmin:  ["*"],
+  admin:       ["*"],
+  moderator:   ["chat", "banners"],
+  operator:    ["rounds", "cameras", "zones"],
+  ml_engineer: ["ml"],
+  analyst:     ["export"],
+};
+
+/** Roles set-role may assign ("user" revokes staff access). */
+export const ASSIGNABLE_ROLES = ["user", "superadmin", "moderator", "operator", "ml_engineer", "analyst"];
+
+export function isStaffRole(role) {
+  return Object.hasOwn(ROLE_PERMISSIONS, role);
+}
+
+/** True when `role` grants `permission`; a null permission means any staff role. */
+export function hasPermission(role, permission) {
+  const perms = isStaffRole(role) ? ROLE_PERMISSIONS[role] : null;
+  if (!perms) return false;
+  return !permission || perms.includes("*") || perms.includes(permission);
+}
+
+/**
+ * Verify a Bearer token against Supabase for any signed-in user.
+ * Returns { ok: true, user: { id, email, role } } (role "user" for players).
+ */
+export async function verifyUserJwt(authHeader) {
   if (!authHeader || !authHeader.startsWith("Bearer "))
     return { ok: false, status: 401, error: "Missing Bearer token" };
 
@@ -23,10 +79,21 @@ export async function verifyAdminJwt(authHeader) {
     });
     if (!res.ok) return { ok: false, status: 401, error: "Invalid or expired token" };
     const user = await res.json();
-    if (user?.app_metadata?.role !== "admin")
-      return { ok: false, status: 403, error: "Admin role required" };
-    return { ok: true };
+    if (!user?.id) return { ok: false, status: 401, error: "Invalid or expired token" };
+    const role = user.app_metadata?.role || "user";
+    return { ok: true, user: { id: user.id, email: user.email || null, role } };
   } catch {
     return { ok: false, status: 401, error: "Token verification failed" };
   }
 }
+
+export async function verifyAdminJwt(authHeader, permission = null) {
+  const auth = await verifyUserJwt(authHeader);
+  if (!auth.ok) return auth;
+  const { role } = auth.user;
+  if (!isStaffRole(role))
+    return { ok: false, status: 403, error: "Admin role required" };
+  if (!hasPermission(role, permission))
+    return { ok: false, status: 403, error: `Permission "${permission}" required (role: ${role})` };
+  return auth;
+}
@@ -0,0 +1,28 @@
+/**
+ * Shared agency API key lookup.
+ * Resolves an x-api-key header to its agency_api_keys row (active, unexpired).
+ *
+ * Returns { ok: true, key } on success, or { ok: false, status, error } on failure.
+ */
+import { createHash } from "crypto";
+
+const KEY_SELECT = "id,agency,plan,rate_limit_day,expires_at,scopes";
+
+export function hashAgencyKey(rawKey) {
+  return createHash("sha256").update(rawKey).digest("hex");
+}
+
+export async function lookupAgencyKey(rawKey, SUPABASE_URL, headers) {
+  if (!rawKey) return { ok: false, status: 401, error: "x-api-key header required" };
+
+  const keyRes = await fetch(
+    `${SUPABASE_URL}/rest/v1/agency_api_keys?key_hash=eq.${encodeURIComponent(hashAgencyKey(rawKey))}&active=eq.true&select=${KEY_SELECT}`,
+    { headers }
+  );
+  if (!keyRes.ok) return { ok: false, status: 502, error: "Key lookup failed" };
+  const [key] = await keyRes.json();
+  if (!key) return { ok: false, status: 401, error: "Invalid or inactive API key" };
+  if (key.expires_at && Date.parse(key.expires_at) <= Date.now())
+    return { ok: false, status: 401, error: "API key expired" };
+  return { ok: true, key };
+}
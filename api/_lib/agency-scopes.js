@@ -0,0 +1,94 @@
+/**
+ * Agency data API vocabulary (fields, classes, formats, aggregates) and per-key scopes.
+ * The OpenAPI document (api/_lib/openapi.js) is generated from these lists.
+ *
+ * Stored on agency_api_keys.scopes (jsonb, NULL = unrestricted):
+ *   { "camera_ids": [uuid, ...], "fields": [col, ...], "vehicle_classes": [cls, ...] }
+ * An absent or empty list leaves that dimension unrestricted.
+ *
+ *   ALTER TABLE agency_api_keys ADD COLUMN IF NOT EXISTS scopes jsonb;
+ */
+
+/** Columns an agency key may be granted from vehicle_crossings. captured_at is always returned. */
+export const AGENCY_FIELDS  = ["captured_at", "vehicle_class", "direction", "confidence", "scene_lighting", "scene_weather", "dwell_frames", "track_id"];
+export const AGENCY_CLASSES = ["car", "truck", "bus", "motorcycle"];
+export const AGENCY_FORMATS    = ["json", "csv", "ndjson", "columnar", "geojson"];
+export const AGENCY_AGGREGATES = ["hour", "day", "week"];
+export const AGENCY_GROUP_DIMS = ["class", "direction"];
+export const MAX_RANGE_DAYS    = 90;
+
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+function _list(value) {
+  if (value == null || value === "") return [];
+  const arr = Array.isArray(value) ? value : String(value).split(",");
+  return [...new Set(arr.map(v => String(v).trim()).filter(Boolean))];
+}
+
+/**
+ * Validate admin-supplied scopes. Returns { scopes } (null when unrestricted)
+ * or { error } describing the first invalid entry.
+ */
+export function normalizeScopes(input) {
+  if (input == null) return { scopes: null };
+  if (typeof input !== "object" || Array.isArray(input)) return { error: "scopes must be an object" };
+
+  const cameraIds = _list(input.camera_ids);
+  const fields    = _list(input.fields).map(f => f.toLowerCase());
+  const classes   = _list(input.vehicle_classes).map(c => c.toLowerCase());
+
+  const badCam = cameraIds.find(id => !UUID_RE.test(id));
+  if (badCam) return { error: `Invalid camera id in scopes: ${badCam}` };
+  const badField = fields.find(f => !AGENCY_FIELDS.includes(f));
+  if (badField) return { error: `Unknown field in scopes: ${badField}` };
+  const badClass = classes.find(c => !AGENCY_CLASSES.includes(c));
+  if (badClass) return { error: `Unknown vehicle class in scopes: ${badClass}` };
+
+  const scopes = {};
+  if (cameraIds.length) scopes.camera_ids = cameraIds;
+  if (fields.length)    scopes.fields = [...new Set(["captured_at", ...fields])];
+  if (classes.length)   scopes.vehicle_classes = classes;
+  return { scopes: Object.keys(scopes).length ? scopes : null };
+}
+
+/**
+ * Resolve a request against a key's scopes.
+ * `requested` holds the raw ?camera_id, ?fields and ?vehicle_class params.
+ * Returns { cameraIds, fields, classes } — the effective filters — or
+ * { status, error } (403 out of scope, 400 unknown value).
+ */
+export function resolveScope(scopes, requested) {
+  const s = scopes || {};
+  const allowedCams    = _list(s.camera_ids);
+  const allowedFields  = _list(s.fields).length ? _list(s.fields) : AGENCY_FIELDS;
+  const allowedClasses = _list(s.vehicle_classes).length ? _list(s.vehicle_classes) : AGENCY_CLASSES;
+
+  let cameraIds = allowedCams.length ? allowedCams : null;
+  if (requested.camera_id) {
+    if (allowedCams.length && !allowedCams.includes(String(requested.camera_id)))
+      return { status: 403, error: "camera_id is outside this key's scope" };
+    cameraIds = [String(requested.camera_id)];
+  }
+
+  let fields = allowedFields;
+  const askedFields = _list(requested.fields).map(f => f.toLowerCase());
+  if (askedFields.length) {
+    const unknown = askedFields.find(f => !AGENCY_FIELDS.includes(f));
+    if (unknown) return { status: 400, error: `Unknown field: ${unknown}` };
+    const denied = askedFields.find(f => !allowedFields.includes(f));
+    if (denied) return { status: 403, error: `Field '${denied}' is outside this key's scope` };
+    fields = [...new Set(["captured_at", ...askedFields])];
+  }
+
+  let classes = allowedClasses;
+  const askedClasses = _list(requested.vehicle_class).map(c => c.toLowerCase());
+  if (askedClasses.length) {
+    const unknown = askedClasses.find(c => !AGENCY_CLASSES.includes(c));
+    if (unknown) return { status: 400, error: `Unknown vehicle_class: ${unknown}` };
+    const denied = askedClasses.find(c => !allowedClasses.includes(c));
+    if (denied) return { status: 403, error: `vehicle_class '${denied}' is outside this key's scope` };
+    classes = askedClasses;
+  }
+
+  return { cameraIds, fields, classes };
+}
@@ -0,0 +1,148 @@
+/**
+ * Append-only audit trail for admin mutations.
+ *
+ * Server routes call auditResponse() once the admin is verified; the row is
+ * written just before the response goes out, so it records the final status
+ * (upstream or local) for every attempt — including rejected ones. Routes that
+ * know the prior state set entry.diff = diffObjects(before, after).
+ *
+ * Banner edits are written straight from the admin panel through supabase-js,
+ * so they are captured by a table trigger instead (SQL below).
+ *
+ * Schema (run once in Supabase SQL editor):
+ *   CREATE TABLE IF NOT EXISTS admin_audit_log (
+ *     id              bigint GENERATED ALWAYS AS IDENTITY PRIMARY KEY,
+ *     created_at      timestamptz NOT NULL DEFAULT now(),
+ *     admin_id        uuid,
+ *     admin_email     text,
+ *     route           text NOT NULL,
+ *     method          text NOT NULL,
+ *     action          text,
+ *     target          text,
+ *     payload         jsonb,
+ *     diff            jsonb,
+ *     upstream_status integer,
+ *     request_id      text
+ *   );
+ *   CREATE INDEX IF NOT EXISTS admin_audit_log_created_idx ON admin_audit_log (created_at DESC);
+ *   CREATE INDEX IF NOT EXISTS admin_audit_log_admin_idx   ON admin_audit_log (admin_id, created_at DESC);
+ *   ALTER TABLE admin_audit_log ENABLE ROW LEVEL SECURITY;   -- no policies: service role only
+ *
+ *   -- Append-only, even for the service role
+ *   CREATE OR REPLACE FUNCTION admin_audit_log_immutable() RETURNS trigger LANGUAGE plpgsql AS $$
+ *   BEGIN RAISE EXCEPTION 'admin_audit_log is append-only'; END $$;
+ *   CREATE TRIGGER admin_audit_log_no_change BEFORE UPDATE OR DELETE ON admin_audit_log
+ *     FOR EACH ROW EXECUTE FUNCTION admin_audit_log_immutable();
+ *
+ *   -- Banner edits from the admin panel
+ *   CREATE OR REPLACE FUNCTION audit_jsonb_diff(a jsonb, b jsonb) RETURNS jsonb LANGUAGE sql IMMUTABLE AS $$
+ *     SELECT COALESCE(jsonb_object_agg(k, jsonb_build_object('from', a -> k, 'to', b -> k)), '{}'::jsonb)
+ *     FROM jsonb_object_keys(COALESCE(a, '{}') || COALESCE(b, '{}')) AS k
+ *     WHERE k <> 'updated_at' AND (a -> k) IS DISTINCT FROM (b -> k)
+ *   $$;
+ *   CREATE OR REPLACE FUNCTION audit_banners() RETURNS trigger LANGUAGE plpgsql SECURITY DEFINER AS $$
+ *   BEGIN
+ *     INSERT INTO admin_audit_log (admin_id, admin_email, route, method, action, target, diff)
+ *     VALUES (auth.uid(), auth.jwt() ->> 'email', 'supabase:banners', TG_OP,
+ *             'banner.' || lower(TG_OP), COALESCE(NEW.id, OLD.id)::text,
+ *             audit_jsonb_diff(to_jsonb(OLD), to_jsonb(NEW)));
+ *     RETURN COALESCE(NEW, OLD);
+ *   END $$;
+ *   CREATE TRIGGER banners_audit AFTER INSERT OR UPDATE OR DELETE ON banners
+ *     FOR EACH ROW EXECUTE FUNCTION audit_banners();
+ */
+
+const MAX_PAYLOAD_CHARS = 8000;
+const REDACT_RE = /secret|password|token|key_hash|raw_key/i;
+
+function _redact(value, depth = 0) {
+  if (value == null || typeof value !== "object" || depth > 6) return value;
+  if (Array.isArray(value)) return value.map(v => _redact(v, depth + 1));
+  const out = {};
+  for (const [k, v] of Object.entries(value)) out[k] = REDACT_RE.test(k) ? "[redacted]" : _redact(v, depth + 1);
+  return out;
+}
+
+/** Request body as stored in the log: parsed, secrets redacted, size-capped. */
+export function auditPayload(body) {
+  let value = body;
+  if (typeof value === "string") {
+    try { value = JSON.parse(value); } catch { value = value.slice(0, MAX_PAYLOAD_CHARS); }
+  }
+  if (value == null || (typeof value === "object" && !Object.keys(value).length)) return null;
+  value = _redact(value);
+  const json = JSON.stringify(value);
+  return json.length > MAX_PAYLOAD_CHARS ? { truncated: true, preview: json.slice(0, MAX_PAYLOAD_CHARS) } : value;
+}
+
+/** { field: { from, to } } for every top-level field that changed. */
+export function diffObjects(before, after) {
+  const a = before || {};
+  const b = after || {};
+  const diff = {};
+  for (const k of new Set([...Object.keys(a), ...Object.keys(b)])) {
+    if (JSON.stringify(a[k]) !== JSON.stringify(b[k])) diff[k] = { from: a[k] ?? null, to: b[k] ?? null };
+  }
+  return Object.keys(diff).length ? _redact(diff) : null;
+}
+
+/** Default action label from the routing query params (_route / mode / action). */
+export function auditAction(query = {}) {
+  return [query._route, query.mode, query.action]
+    .map(v => String(v || "").trim().toLowerCase()).filter(Boolean).join(":") || null;
+}
+
+/** Insert one row. Never throws — a failed audit write is logged, not fatal. */
+export async function writeAudit(entry) {
+  const supabaseUrl = process.env.SUPABASE_URL;
+  const serviceKey  = process.env.SUPABASE_SERVICE_ROLE_KEY;
+  if (!supabaseUrl || !serviceKey) return;
+  try {
+    const r = await fetch(`${supabaseUrl}/rest/v1/admin_audit_log`, {
+      method: "POST",
+      headers: {
+        apikey:         serviceKey,
+        Authorization:  `Bearer ${serviceKey}`,
+        "Content-Type": "application/json",
+        Prefer:         "return=minimal",
+      },
+      body: JSON.stringify({
+        admin_id:        entry.admin?.id || null,
+        admin_email:     entry.admin?.email || null,
+        route:           entry.route,
+        method:          entry.method,
+        action:          entry.action || null,
+        target:          entry.target != null ? String(entry.target).slice(0, 200) : null,
+        payload:         entry.payload ?? null,
+        diff:            entry.diff ?? null,
+        upstream_status: entry.status ?? null,
+        request_id:      entry.requestId || null,
+      }),
+      signal: AbortSignal.timeout(2000),
+    });
+    if (!r.ok) console.error("[audit] insert failed:", r.status, (await r.text()).slice(0, 200));
+  } catch (err) {
+    console.error("[audit] insert error:", err?.message || err);
+  }
+}
+
+/**
+ * Audit whatever this request responds with. Wraps res.json so the row is
+ * written (with res.statusCode) before the body is sent. Returns the mutable
+ * entry so the handler can add target / diff before responding.
+ */
+export function auditResponse(req, res, { admin, route, action, target = null, requestId = null }) {
+  const entry = {
+    admin, route, requestId, target,
+    method:  req.method || "GET",
+    action:  action ?? auditAction(req.query),
+    payload: auditPayload(req.body),
+    diff:    null,
+  };
+  const send = res.json.bind(res);
+  res.json = (body) => {
+    res.json = send;
+    return writeAudit({ ...entry, status: res.statusCode }).then(() => send(body));
+  };
+  return entry;
+}
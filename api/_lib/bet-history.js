@@ -0,0 +1,179 @@
+/**
+ * Player bet history for GET /api/bets/place?mode=history.
+ *
+ * Read straight from Supabase `bets` with the service role, always scoped to
+ * the user behind the verified Bearer token (the JWT `sub` is never trusted
+ * on its own).
+ *
+ * Filters (all optional):
+ *   status        — comma list of won | lost | pending
+ *   type          — market | live (live = exact-count bets)
+ *   vehicle_class — comma list of car | truck | bus | motorcycle
+ *   from, to      — YYYY-MM-DD or ISO 8601 bounds on placed_at; a bare `to`
+ *                   date includes that whole day (UTC)
+ *   round_id      — one round
+ *   limit         — 1-200 (default 100); newest first
+ *   cursor        — the `next` from the previous page
+ *   format        — "json" (default) | "csv" (up to 5000 rows, ignores limit / cursor)
+ *
+ * JSON: { bets, has_more, next }. CSV is read in 1000-row pages (PostgREST max-rows) and sets
+ * X-Truncated: true only when more than 5000 bets match.
+ */
+import { BET_VEHICLE_CLASSES } from "./bet-schema.js";
+import { verifyUserJwt } from "./admin-auth.js";
+import { decodeCursor, encodeCursor } from "./cursor.js";
+
+export const BET_STATUSES = ["won", "lost", "pending"];
+/** ?type= → bets.bet_type */
+export const BET_TYPES = { market: "market", live: "exact_count" };
+
+const SELECT       = "*,markets(label,odds,outcome_key)";
+const CSV_COLUMNS  = ["placed_at", "type", "round_id", "market", "odds", "vehicle_class", "window_duration_sec", "exact_count", "actual_count", "amount", "potential_payout", "status", "resolved_at", "id"];
+const CSV_MAX_ROWS = 5000;
+const PAGE_SIZE    = 1000;   // PostgREST max-rows; the CSV export pages up to CSV_MAX_ROWS
+const UUID_RE      = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const DATE_RE      = /^\d{4}-\d{2}-\d{2}$/;
+
+function _csvCell(v) {
+  let s = v == null ? "" : String(v);
+  if (/^[=+\-@\t\r]/.test(s)) s = `'${s}`;
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function _csvRow(bet) {
+  const row = {
+    ...bet,
+    type:   bet.bet_type === BET_TYPES.live ? "live" : "market",
+    market: bet.markets?.label ?? null,
+    odds:   bet.markets?.odds ?? null,
+  };
+  return CSV_COLUMNS.map(c => _csvCell(row[c])).join(",");
+}
+
+/** Comma list → lowercased values, or { bad } naming the first unknown one. */
+function _list(raw, allowed) {
+  const values = [...new Set(raw.toLowerCase().split(",").map(v => v.trim()).filter(Boolean))];
+  const bad = values.find(v => !allowed.includes(v));
+  return bad ? { bad } : { values };
+}
+
+/** ISO string, null when absent, undefined when unparseable. Date-only `to` runs to the end of that day. */
+function _bound(raw, endOfDay) {
+  if (!raw) return null;
+  const d = new Date(raw);
+  if (Number.isNaN(d.getTime())) return undefined;
+  if (endOfDay && DATE_RE.test(raw)) d.setUTCDate(d.getUTCDate() + 1);
+  return d.toISOString();
+}
+
+/** Newest-first keyset position (placed_at, id) as a cursor.js token. */
+function _cursorOf(bet) {
+  return encodeCursor({ captured_at: bet.placed_at, id: bet.id });
+}
+
+/** PostgREST `or` value selecting bets placed strictly before `pos` ({ t, id }) in newest-first order. */
+export function placedBefore(pos) {
+  const t = `"${pos.t}"`;
+  return `(placed_at.lt.${t},and(placed_at.eq.${t},id.lt.${pos.id}))`;
+}
+
+/**
+ * Build the PostgREST query string for the filters on `ctx`.
+ * Returns { qs } or { error } (a 400 message).
+ */
+export function historyQuery(ctx, userId) {
+  const qs = new URLSearchParams({ select: SELECT, user_id: `eq.${userId}`, order: "placed_at.desc,id.desc" });
+
+  const status = ctx.query("status");
+  if (status) {
+    const { values, bad } = _list(status, BET_STATUSES);
+    if (bad) return { error: `status must be one or more of: ${BET_STATUSES.join(", ")}` };
+    if (values.length) qs.set("status", `in.(${values.join(",")})`);
+  }
+  const type = ctx.query("type").toLowerCase();
+  if (type) {
+    if (!Object.hasOwn(BET_TYPES, type)) return { error: `type must be one of: ${Object.keys(BET_TYPES).join(", ")}` };
+    qs.set("bet_type", `eq.${BET_TYPES[type]}`);
+  }
+  const cls = ctx.query("vehicle_class");
+  if (cls) {
+    const { values, bad } = _list(cls, BET_VEHICLE_CLASSES);
+    if (bad) return { error: `vehicle_class must be one or more of: ${BET_VEHICLE_CLASSES.join(", ")}` };
+    if (values.length) qs.set("vehicle_class", `in.(${values.join(",")})`);
+  }
+  const roundId = ctx.query("round_id");
+  if (roundId) {
+    if (!UUID_RE.test(roundId)) return { error: "round_id must be a UUID" };
+    qs.set("round_id", `eq.${roundId}`);
+  }
+
+  const from = _bound(ctx.query("from"), false);
+  const to   = _bound(ctx.query("to"), true);
+  if (from === undefined || to === undefined) return { error: "from / to must be YYYY-MM-DD or ISO 8601 dates" };
+  if (from && to && from >= to) return { error: "from must be before to" };
+  if (from) qs.append("placed_at", `gte.${from}`);
+  if (to)   qs.append("placed_at", `lt.${to}`);
+  return { qs };
+}
+
+/** Serve mode=history on a createProxyHandler ctx. */
+export async function betHistory(ctx) {
+  const supabaseUrl = process.env.SUPABASE_URL;
+  const serviceKey  = process.env.SUPABASE_SERVICE_ROLE_KEY;
+  if (!supabaseUrl || !serviceKey) return ctx.fail(500, "Server misconfiguration");
+
+  const auth = ctx.user ? { ok: true, user: ctx.user } : await verifyUserJwt(ctx.authHeader);
+  if (!auth.ok) return ctx.fail(auth.status, auth.error);
+
+  const { qs, error } = historyQuery(ctx, auth.user.id);
+  if (error) return ctx.fail(400, error);
+
+  const headers = { apikey: serviceKey, Authorization: `Bearer ${serviceKey}` };
+  const read = async () => {
+    const r = await fetch(`${supabaseUrl}/rest/v1/bets?${qs}`, { headers });
+    if (r.ok) return r.json();
+    console.error("[/api/bets/place] history query failed:", (await r.text()).slice(0, 200));
+    return null;
+  };
+
+  if (ctx.query("format").toLowerCase() === "csv") {
+    // Newest first in PAGE_SIZE keyset pages; one row past CSV_MAX_ROWS marks the export truncated
+    const rows = [];
+    let truncated = false;
+    for (;;) {
+      const want = Math.min(PAGE_SIZE, CSV_MAX_ROWS + 1 - rows.length);
+      qs.set("limit", String(want));
+      const last = rows[rows.length - 1];
+      if (last) qs.set("or", placedBefore({ t: last.placed_at, id: last.id }));
+      const page = await read();
+      if (!page) return ctx.fail(502, "Bet history query failed");
+      rows.push(...page);
+      if (rows.length > CSV_MAX_ROWS) { truncated = true; rows.length = CSV_MAX_ROWS; break; }
+      if (page.length < want) break;
+    }
+    const lines = [CSV_COLUMNS.join(","), ...rows.map(_csvRow)];
+    ctx.res.setHeader("Cache-Control", "no-store");
+    ctx.res.setHeader("Content-Type", "text/csv; charset=utf-8");
+    ctx.res.setHeader("Content-Disposition", `attachment; filename="bet-history-${new Date().toISOString().slice(0, 10)}.csv"`);
+    if (truncated) ctx.res.setHeader("X-Truncated", "true");
+    return ctx.res.status(200).send(lines.join("\n"));
+  }
+
+  const limit = ctx.int("limit", 100, 1, 200);
+  qs.set("limit", String(limit + 1));
+  const cursor = decodeCursor(ctx.query("cursor"));
+  if (cursor === false) return ctx.fail(400, "Invalid cursor");
+  if (cursor) qs.set("or", placedBefore(cursor));
+
+  const rows = await read();
+  if (!rows) return ctx.fail(502, "Bet history query failed");
+  const hasMore = rows.length > limit;
+  const page = hasMore ? rows.slice(0, limit) : rows;
+
+  ctx.res.setHeader("Cache-Control", "no-store");
+  return ctx.res.status(200).json({
+    bets: page,
+    has_more: hasMore,
+    next: hasMore ? _cursorOf(page[page.length - 1]) : null,
+  });
+}
@@ -0,0 +1,96 @@
+/**
+ * Bet payload schema for /api/bets/place, checked before anything reaches Railway.
+ *
+ *   market bet (POST /bets/place):      { round_id, market_id, amount }
+ *   live bet   (POST /bets/place-live): { round_id, window_duration_sec, vehicle_class, exact_count, amount }
+ *
+ * validateBet() returns { bet } — the payload normalised to exactly these
+ * fields — or { errors: { field: message } } for the bet UIs to show inline.
+ * Railway still enforces balance, round state and market ownership.
+ */
+
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+export const BET_VEHICLE_CLASSES = ["car", "truck", "bus", "motorcycle"];
+
+/** Window pills offered in public/src/ui/live-bet.js (#bp-window-pills) — keep in sync. */
+export const LIVE_WINDOWS_SEC = [60, 180, 300];
+
+export const MIN_STAKE = 1;
+export const MAX_STAKE = 100000;
+
+/** Busiest camera peaks near 2 crossings/s; anything far above that is a typo, not a guess. */
+export const MAX_COUNT_PER_MIN = 300;
+
+/** Whole number from a JSON number or digit string, else NaN. */
+function _int(value) {
+  if (typeof value === "number") return Number.isInteger(value) ? value : NaN;
+  if (typeof value === "string" && /^\d{1,9}$/.test(value.trim())) return Number(value.trim());
+  return NaN;
+}
+
+function _uuid(body, field, errors) {
+  const value = body[field];
+  if (value == null || value === "") errors[field] = `${field} is required`;
+  else if (typeof value !== "string" || !UUID_RE.test(value)) errors[field] = `${field} must be a UUID`;
+  return typeof value === "string" ? value.toLowerCase() : value;
+}
+
+function _stake(body, errors) {
+  const amount = _int(body.amount);
+  if (body.amount == null || body.amount === "") errors.amount = "amount is required";
+  else if (!(amount >= MIN_STAKE && amount <= MAX_STAKE))
+    errors.amount = `amount must be a whole number from ${MIN_STAKE} to ${MAX_STAKE.toLocaleString("en-US")}`;
+  return amount;
+}
+
+/** Largest plausible exact_count for a window. */
+export function maxGuessFor(windowSec) {
+  return Math.ceil((windowSec / 60) * MAX_COUNT_PER_MIN);
+}
+
+/**
+ * Validate a bet body. `live` selects the exact-count schema.
+ * Returns { bet } or { errors }.
+ */
+export function validateBet(body, { live = false } = {}) {
+  if (body == null || typeof body !== "object" || Array.isArray(body))
+    return { errors: { body: "Bet must be a JSON object" } };
+
+  const errors = {};
+  const bet = { round_id: _uuid(body, "round_id", errors) };
+
+  if (!live) {
+    bet.market_id = _uuid(body, "market_id", errors);
+    bet.amount    = _stake(body, errors);
+    return Object.keys(errors).length ? { errors } : { bet };
+  }
+
+  const windowSec = _int(body.window_duration_sec);
+  if (!LIVE_WINDOWS_SEC.includes(windowSec))
+    errors.window_duration_sec = `window_duration_sec must be one of ${LIVE_WINDOWS_SEC.join(", ")}`;
+  bet.window_duration_sec = windowSec;
+
+  const cls = body.vehicle_class == null || body.vehicle_class === "" ? null : String(body.vehicle_class).toLowerCase();
+  if (cls !== null && !BET_VEHICLE_CLASSES.includes(cls))
+    errors.vehicle_class = `vehicle_class must be one of ${BET_VEHICLE_CLASSES.join(", ")} (or omitted for all)`;
+  bet.vehicle_class = cls;
+
+  const exact = _int(body.exact_count);
+  if (body.exact_count == null || body.exact_count === "") {
+    errors.exact_count = "exact_count is required";
+  } else if (!(exact >= 0)) {
+    errors.exact_count = "exact_count must be a whole number of vehicles";
+  } else if (!errors.window_duration_sec && exact > maxGuessFor(windowSec)) {
+    errors.exact_count = `exact_count must be at most ${maxGuessFor(windowSec)} for a ${windowSec / 60}-minute window`;
+  }
+  bet.exact_count = exact;
+
+  bet.amount = _stake(body, errors);
+  return Object.keys(errors).length ? { errors } : { bet };
+}
+
+/** One-line summary of field errors for the envelope's error/detail. */
+export function describeBetErrors(errors) {
+  return Object.values(errors).join("; ");
+}
@@ -0,0 +1,190 @@
+/**
+ * Player statistics for GET /api/bets/place?mode=stats.
+ *
+ * Computed over the caller's whole bet history (newest STATS_MAX_ROWS bets;
+ * `truncated: true` past that), read from Supabase `bets` the same way as
+ * ./bet-history.js and scoped to the verified user.
+ *
+ * Response:
+ *   totals           — group (below) plus pending / lost counts
+ *   by_type          — { market, live } groups
+ *   by_vehicle_class — live bets grouped by vehicle_class ("all" = any vehicle)
+ *   exact_count      — { guesses, mean_abs_error, exact_hits } over resolved live bets
+ *   windows          — { by_duration: { [sec]: group }, best, worst } ranked by ROI
+ *   streaks          — { current: { result, length } | null, longest_win, longest_loss }
+ *   balance          — { current, series: [{ t, balance }] } rebuilt from bet debits and
+ *                      payouts, anchored on the current user_balances row
+ *
+ * A group is { bets, resolved, won, win_rate, staked, returned, net, roi }.
+ * staked / returned / net cover resolved bets only, so pending stakes do not
+ * drag ROI down; win_rate and roi are null until something has resolved.
+ */
+import { verifyUserJwt } from "./admin-auth.js";
+import { BET_TYPES, placedBefore } from "./bet-history.js";
+
+export const STATS_MAX_ROWS = 20000;
+const PAGE_SIZE     = 1000;
+const SERIES_POINTS = 200;
+
+function _group() {
+  return { bets: 0, resolved: 0, won: 0, win_rate: null, staked: 0, returned: 0, net: 0, roi: null };
+}
+
+function _add(group, bet) {
+  group.bets++;
+  if (bet.status !== "won" && bet.status !== "lost") return;
+  const amount = Number(bet.amount) || 0;
+  group.resolved++;
+  group.staked += amount;
+  if (bet.status === "won") {
+    group.won++;
+    group.returned += Number(bet.potential_payout) || 0;
+  }
+}
+
+function _finish(group) {
+  group.net = group.returned - group.staked;
+  group.win_rate = group.resolved ? Math.round((group.won / group.resolved) * 1000) / 1000 : null;
+  group.roi = group.staked ? Math.round((group.net / group.staked) * 1000) / 1000 : null;
+  return group;
+}
+
+/** When a won bet's payout landed: resolved_at, else the end of its window, else placement. */
+function _paidAt(bet) {
+  return bet.resolved_at || bet.window_end || bet.placed_at;
+}
+
+/** Balance after each bet event, walking back from `current`; at most SERIES_POINTS points. */
+function _balanceSeries(bets, current) {
+  const events = [];
+  for (const bet of bets) {
+    events.push({ t: bet.placed_at, delta: -(Number(bet.amount) || 0) });
+    if (bet.status === "won") events.push({ t: _paidAt(bet), delta: Number(bet.potential_payout) || 0 });
+  }
+  events.sort((a, b) => Date.parse(a.t) - Date.parse(b.t));
+
+  const series = new Array(events.length);
+  let balance = current ?? events.reduce((sum, e) => sum + e.delta, 0);
+  for (let i = events.length - 1; i >= 0; i--) {
+    series[i] = { t: events[i].t, balance };
+    balance -= events[i].delta;
+  }
+  if (series.length <= SERIES_POINTS) return series;
+  const step = series.length / SERIES_POINTS;
+  const sampled = Array.from({ length: SERIES_POINTS - 1 }, (_, i) => series[Math.floor(i * step)]);
+  return [...sampled, series[series.length - 1]];
+}
+
+/**
+ * Aggregate `bets` (any order) into the stats payload. `balance` is the
+ * player's current balance, or null when it is unknown (the series then
+ * tracks net winnings from 0).
+ */
+export function computeBetStats(bets, { balance = null } = {}) {
+  const chrono = [...bets].sort((a, b) =>
+    Date.parse(a.placed_at) - Date.parse(b.placed_at) || String(a.id).localeCompare(String(b.id)));
+
+  const totals = _group();
+  const byType = { market: _group(), live: _group() };
+  const byClass = {};
+  const byDuration = {};
+  let guesses = 0, absError = 0, exactHits = 0;
+  let run = null, longestWin = 0, longestLoss = 0;
+
+  for (const bet of chrono) {
+    const live = bet.bet_type === BET_TYPES.live;
+    _add(totals, bet);
+    _add(live ? byType.live : byType.market, bet);
+
+    if (live) {
+      _add(byClass[bet.vehicle_class || "all"] ??= _group(), bet);
+      if (bet.window_duration_sec) _add(byDuration[bet.window_duration_sec] ??= _group(), bet);
+      if ((bet.status === "won" || bet.status === "lost") && bet.actual_count != null && bet.exact_count != null) {
+        const err = Math.abs(Number(bet.exact_count) - Number(bet.actual_count));
+        guesses++;
+        absError += err;
+        if (err === 0) exactHits++;
+      }
+    }
+
+    if (bet.status === "won" || bet.status === "lost") {
+      run = run?.result === bet.status ? { result: bet.status, length: run.length + 1 } : { result: bet.status, length: 1 };
+      if (run.result === "won") longestWin = Math.max(longestWin, run.length);
+      else longestLoss = Math.max(longestLoss, run.length);
+    }
+  }
+
+  [totals, byType.market, byType.live, ...Object.values(byClass), ...Object.values(byDuration)].forEach(_finish);
+
+  const ranked = Object.entries(byDuration)
+    .filter(([, g]) => g.roi != null)
+    .map(([sec, g]) => ({ window_duration_sec: Number(sec), ...g }))
+    .sort((a, b) => b.roi - a.roi || b.resolved - a.resolved);
+
+  return {
+    totals: {
+      ...totals,
+      lost:    totals.resolved - totals.won,
+      pending: chrono.filter(b => b.status === "pending").length,
+    },
+    by_type: byType,
+    by_vehicle_class: byClass,
+    exact_count: {
+      guesses,
+      mean_abs_error: guesses ? Math.round((absError / guesses) * 100) / 100 : null,
+      exact_hits: exactHits,
+    },
+    windows: {
+      by_duration: byDuration,
+      best:  ranked[0] ?? null,
+      worst: ranked.length > 1 ? ranked[ranked.length - 1] : null,
+    },
+    streaks: { current: run, longest_win: longestWin, longest_loss: longestLoss },
+    balance: { current: balance, series: _balanceSeries(chrono, balance) },
+  };
+}
+
+/** Serve mode=stats on a createProxyHandler ctx. */
+export async function betStats(ctx) {
+  const supabaseUrl = process.env.SUPABASE_URL;
+  const serviceKey  = process.env.SUPABASE_SERVICE_ROLE_KEY;
+  if (!supabaseUrl || !serviceKey) return ctx.fail(500, "Server misconfiguration");
+
+  const auth = ctx.user ? { ok: true, user: ctx.user } : await verifyUserJwt(ctx.authHeader);
+  if (!auth.ok) return ctx.fail(auth.status, auth.error);
+  const userId = auth.user.id;
+  const headers = { apikey: serviceKey, Authorization: `Bearer ${serviceKey}` };
+
+  // Newest first, keyset-paged so a busy player's record is read in full
+  const bets = [];
+  let truncated = false;
+  for (;;) {
+    const qs = new URLSearchParams({
+      select: "*", user_id: `eq.${userId}`, order: "placed_at.desc,id.desc", limit: String(PAGE_SIZE),
+    });
+    const last = bets[bets.length - 1];
+    if (last) qs.set("or", placedBefore({ t: last.placed_at, id: last.id }));
+    const r = await fetch(`${supabaseUrl}/rest/v1/bets?${qs}`, { headers });
+    if (!r.ok) {
+      console.error("[/api/bets/place] stats query failed:", (await r.text()).slice(0, 200));
+      return ctx.fail(502, "Bet stats query failed");
+    }
+    const page = await r.json();
+    bets.push(...page);
+    if (page.length < PAGE_SIZE) break;
+    if (bets.length >= STATS_MAX_ROWS) { truncated = true; break; }
+  }
+
+  let balance = null;
+  try {
+    const r = await fetch(`${supabaseUrl}/rest/v1/user_balances?user_id=eq.${userId}&select=balance`, { headers });
+    if (r.ok) balance = (await r.json())[0]?.balance ?? null;
+  } catch { /* the series falls back to net winnings */ }
+
+  ctx.res.setHeader("Cache-Control", "no-store");
+  return ctx.res.status(200).json({
+    ...computeBetStats(bets, { balance: balance == null ? null : Number(balance) }),
+    truncated,
+    generated_at: new Date().toISOString(),
+  });
+}
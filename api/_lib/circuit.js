@@ -0,0 +1,261 @@
+/**
+ * Circuit breaker for upstream calls (Railway).
+ *
+ * closed    → requests flow; consecutive failures are counted.
+ * open      → after FAILURE_THRESHOLD failures, requests short-circuit for
+ *             COOLDOWN_MS without touching the upstream.
+ * half-open → after the cooldown one trial request is let through; success
+ *             closes the circuit, failure re-opens it.
+ *
+ * State is shared by every function instance through a store, so a trip seen
+ * by the proxy routes is what /api/health reports. Each instance keeps a copy
+ * for the synchronous allow() check. sync() only waits for the store on an
+ * instance's first request (or with force); after that a copy older than
+ * SYNC_MS is re-read in the background while requests carry on with the local
+ * state, so healthy traffic never waits on a store round trip. Writes happen
+ * only on failures and on the success that clears a failing or open circuit —
+ * a healthy success writes nothing. The half-open trial slot is per instance,
+ * so after a cooldown each warm instance may send one trial.
+ *
+ * Store (CIRCUIT_STORE = "supabase" | "memory"; default supabase when
+ * SUPABASE_URL + SUPABASE_SERVICE_ROLE_KEY are set, else memory):
+ *   memory   — per-instance Map, for local runs and tests.
+ *   supabase — shared row per breaker, updated atomically via RPC:
+ *
+ *     CREATE TABLE IF NOT EXISTS api_circuit_breakers (
+ *       name       text        PRIMARY KEY,
+ *       failures   integer     NOT NULL DEFAULT 0,
+ *       opened_at  timestamptz,
+ *       last_error text,
+ *       updated_at timestamptz NOT NULL DEFAULT now()
+ *     );
+ *     ALTER TABLE api_circuit_breakers ENABLE ROW LEVEL SECURITY;   -- service role only
+ *     CREATE OR REPLACE FUNCTION record_circuit_event(
+ *       p_name text, p_ok boolean, p_reason text, p_threshold integer, p_at timestamptz)
+ *     RETURNS api_circuit_breakers LANGUAGE sql AS $$
+ *       INSERT INTO api_circuit_breakers AS b (name, failures, opened_at, last_error, updated_at)
+ *       VALUES (p_name, CASE WHEN p_ok THEN 0 ELSE 1 END,
+ *               CASE WHEN NOT p_ok AND p_threshold <= 1 THEN p_at END,
+ *               CASE WHEN p_ok THEN NULL ELSE p_reason END, now())
+ *       ON CONFLICT (name) DO UPDATE SET
+ *         failures   = CASE WHEN p_ok THEN 0 ELSE b.failures + 1 END,
+ *         opened_at  = CASE WHEN p_ok THEN NULL
+ *                          WHEN b.opened_at IS NOT NULL OR b.failures + 1 >= p_threshold THEN p_at END,
+ *         last_error = CASE WHEN p_ok THEN NULL ELSE p_reason END,
+ *         updated_at = now()
+ *       RETURNING *;
+ *     $$;
+ *
+ * Store errors fall back to the instance's own state, same as the rate
+ * limiter in ./rate-limit.js. No Node-only imports: this module is shared
+ * with Edge functions.
+ */
+
+export const FAILURE_THRESHOLD = 5;
+export const COOLDOWN_MS       = 30000;
+/** How long an instance trusts its copy of the shared state. */
+export const SYNC_MS           = 5000;
+
+// ── Stores ───────────────────────────────────────────────────────────────────
+
+const _memory = new Map();
+
+export const memoryStore = {
+  async read(name) {
+    return _memory.get(name) || null;
+  },
+  async record(name, ok, reason, threshold, atMs) {
+    const prev = _memory.get(name) || { failures: 0, opened_at: null };
+    const failures = ok ? 0 : prev.failures + 1;
+    const row = {
+      failures,
+      opened_at:  !ok && (prev.opened_at || failures >= threshold) ? new Date(atMs).toISOString() : null,
+      last_error: ok ? null : reason,
+    };
+    _memory.set(name, row);
+    return row;
+  },
+};
+
+export function supabaseStore(supabaseUrl, serviceKey) {
+  const headers = {
+    apikey:         serviceKey,
+    Authorization:  `Bearer ${serviceKey}`,
+    "Content-Type": "application/json",
+  };
+  return {
+    async read(name) {
+      const r = await fetch(
+        `${supabaseUrl}/rest/v1/api_circuit_breakers?name=eq.${encodeURIComponent(name)}&select=failures,opened_at,last_error`,
+        { headers, signal: AbortSignal.timeout(1500) },
+      );
+      if (!r.ok) throw new Error(`api_circuit_breakers read failed (${r.status})`);
+      const [row] = await r.json();
+      return row || null;
+    },
+    async record(name, ok, reason, threshold, atMs) {
+      const r = await fetch(`${supabaseUrl}/rest/v1/rpc/record_circuit_event`, {
+        method: "POST",
+        headers,
+        body: JSON.stringify({
+          p_name: name, p_ok: ok, p_reason: reason, p_threshold: threshold, p_at: new Date(atMs).toISOString(),
+        }),
+        signal: AbortSignal.timeout(1500),
+      });
+      if (!r.ok) throw new Error(`record_circuit_event failed (${r.status})`);
+      const out = await r.json();
+      return Array.isArray(out) ? out[0] : out;
+    },
+  };
+}
+
+function _defaultStore() {
+  const kind = String(process.env.CIRCUIT_STORE || "").toLowerCase();
+  const url  = process.env.SUPABASE_URL;
+  const key  = process.env.SUPABASE_SERVICE_ROLE_KEY;
+  if (kind === "memory" || !url || !key) return memoryStore;
+  return supabaseStore(url, key);
+}
+
+// ── Breaker ──────────────────────────────────────────────────────────────────
+
+const _breakers = new Map();
+
+/** Upstream statuses that count as the backend being unavailable. */
+export function isUpstreamFailure(status) {
+  return status === 502 || status === 503 || status === 504;
+}
+
+/**
+ * A breaker over `store`. breakerFor() is the normal entry point; this is
+ * exported so tests can drive one with their own store and clock.
+ */
+export function createBreaker(name, {
+  threshold = FAILURE_THRESHOLD, cooldownMs = COOLDOWN_MS, store = _defaultStore(), now = Date.now,
+} = {}) {
+  let failures  = 0;
+  let openedAt  = 0;
+  let lastError = null;
+  let trialInFlight = false;
+  let syncedAt  = -Infinity;
+  let pending   = Promise.resolve();
+  let refreshing = null;
+  let writes    = 0;   // a read started before a local write must not overwrite it
+
+  const state = () => (!openedAt ? "closed" : now() - openedAt < cooldownMs ? "open" : "half-open");
+
+  function _apply(row) {
+    const opened = row?.opened_at ? Date.parse(row.opened_at) : 0;
+    if (opened !== openedAt) trialInFlight = false;
+    failures  = Number(row?.failures) || 0;
+    openedAt  = opened;
+    lastError = row?.last_error ?? null;
+  }
+
+  function _refresh() {
+    const seen = writes;
+    return store.read(name)
+      .then((row) => {
+        if (seen !== writes) return;
+        _apply(row);
+        syncedAt = now();
+      })
+      .catch((err) => {
+        // Keep the local state until the next SYNC_MS instead of retrying on every request
+        syncedAt = now();
+        console.warn(`[circuit] ${name}: store error, keeping local state:`, err?.message || err);
+      });
+  }
+
+  function _record(ok, reason) {
+    writes += 1;
+    pending = store.record(name, ok, reason, threshold, now())
+      .then((row) => {
+        if (!row) return;
+        _apply(row);
+        syncedAt = now();
+      })
+      .catch(err => console.warn(`[circuit] ${name}: store error, keeping local state:`, err?.message || err));
+    return pending;
+  }
+
+  const b = {
+    name,
+    /**
+     * Bring the local copy up to date. Waits for the store on the first call
+     * and with force; otherwise a copy older than SYNC_MS is refreshed in the
+     * background and the current local state is used for this request.
+     */
+    async sync({ force = false } = {}) {
+      if (force || syncedAt === -Infinity) {
+        await pending;
+        await _refresh();
+        return b;
+      }
+      if (now() - syncedAt >= SYNC_MS && !refreshing) {
+        refreshing = _refresh().finally(() => { refreshing = null; });
+      }
+      return b;
+    },
+    /** True when a request may be sent now. Claims the half-open trial slot. */
+    allow() {
+      const s = state();
+      if (s === "closed") return true;
+      if (s === "half-open" && !trialInFlight) {
+        trialInFlight = true;
+        return true;
+      }
+      return false;
+    },
+    /** Resolves once the shared state is written (only when it needed clearing). */
+    success() {
+      const dirty = failures > 0 || openedAt > 0;
+      failures = 0;
+      openedAt = 0;
+      trialInFlight = false;
+      lastError = null;
+      return dirty ? _record(true, null) : pending;
+    },
+    /** Resolves once the failure is written to the shared state. */
+    failure(reason) {
+      failures += 1;
+      trialInFlight = false;
+      lastError = String(reason || "upstream failure").slice(0, 200);
+      if (openedAt || failures >= threshold) openedAt = now();
+      return _record(false, lastError);
+    },
+    /** Seconds until the next trial request is allowed (0 unless open). */
+    retryAfter() {
+      if (state() !== "open") return 0;
+      return Math.max(1, Math.ceil((openedAt + cooldownMs - now()) / 1000));
+    },
+    snapshot() {
+      return {
+        name,
+        state:       state(),
+        failures,
+        threshold,
+        opened_at:   openedAt ? new Date(openedAt).toISOString() : null,
+        retry_after: b.retryAfter(),
+        last_error:  lastError,
+        synced_at:   Number.isFinite(syncedAt) ? new Date(syncedAt).toISOString() : null,
+      };
+    },
+  };
+  return b;
+}
+
+/** Get (or create) the named breaker for this instance, backed by the shared store. */
+export function breakerFor(name, options) {
+  let b = _breakers.get(name);
+  if (!b) {
+    b = createBreaker(name, options);
+    _breakers.set(name, b);
+  }
+  return b;
+}
+
+/** Exponential backoff with full jitter: random in [0, base * 2^attempt]. */
+export function backoffMs(attempt, baseMs = 200, capMs = 2000) {
+  return Math.round(Math.random() * Math.min(capMs, baseMs * 2 ** attempt));
+}
@@ -0,0 +1,89 @@
+/**
+ * Shared keyset-pagination helpers for vehicle_crossings pulls.
+ *
+ * Cursors are opaque base64url tokens wrapping { t: captured_at, id }.
+ * Pages are ordered by (captured_at, id) so a cursor always resumes strictly
+ * after the last row returned, even when several rows share a timestamp.
+ *
+ * PostgREST returns at most DB_CHUNK rows per request here, so a page larger
+ * than that is read as several keyset requests (readPage) — asking for
+ * `limit=50001` in one go would silently come back with 1000 rows.
+ */
+
+export const MAX_PAGE_SIZE = 50000;
+/** Rows per PostgREST request: the project's max-rows setting. */
+export const DB_CHUNK = 1000;
+
+export function encodeCursor(row) {
+  if (!row?.captured_at || row.id == null) return null;
+  return Buffer.from(JSON.stringify({ t: row.captured_at, id: row.id })).toString("base64url");
+}
+
+/** Returns { t, id }, null when no cursor was sent, or false when it is malformed. */
+export function decodeCursor(raw) {
+  if (!raw) return null;
+  try {
+    const { t, id } = JSON.parse(Buffer.from(String(raw), "base64url").toString("utf8"));
+    if (typeof t !== "string" || isNaN(Date.parse(t))) return false;
+    if (!/^[A-Za-z0-9-]{1,64}$/.test(String(id))) return false;
+    return { t, id: String(id) };
+  } catch { return false; }
+}
+
+/** PostgREST query fragment selecting rows strictly after the cursor position. */
+export function cursorFilter(cursor) {
+  if (!cursor) return "";
+  const t = `"${cursor.t}"`;
+  return `&or=${encodeURIComponent(`(captured_at.gt.${t},and(captured_at.eq.${t},id.gt.${cursor.id}))`)}`;
+}
+
+/** Clamp a ?limit= value to 1..MAX_PAGE_SIZE (default MAX_PAGE_SIZE). */
+export function pageSize(raw) {
+  const n = parseInt(raw, 10);
+  return Number.isFinite(n) ? Math.min(Math.max(1, n), MAX_PAGE_SIZE) : MAX_PAGE_SIZE;
+}
+
+/**
+ * Where the page of `size` rows after `cursor` ends, without reading it: the
+ * page's last row and the one after it, fetched by offset. Lets a streamed
+ * response send has_more / next as headers before its rows.
+ * Returns { has_more, next } matching what readPage will report.
+ */
+export async function probePage(url, headers, cursor, size) {
+  const r = await fetch(`${url}${cursorFilter(cursor)}&order=captured_at.asc,id.asc&offset=${size - 1}&limit=2`, { headers });
+  if (!r.ok) throw new Error(`${url.split("?")[0].split("/").pop()} query failed (${r.status})`);
+  const [last, after] = await r.json();
+  return after ? { has_more: true, next: encodeCursor(last) } : { has_more: false, next: null };
+}
+
+/**
+ * Read one page of up to `size` rows after `cursor`, DB_CHUNK rows per request.
+ * `url` is a PostgREST query (select + filters, no order / limit / cursor)
+ * whose rows carry captured_at and id. Each chunk goes to `onChunk(rows)` as
+ * it arrives when given (and is not collected), else into `rows`.
+ * Returns { rows, has_more, next } — next is null on the last page.
+ */
+export async function readPage(url, headers, cursor, size, onChunk = null) {
+  const rows = [];
+  let after = cursor;
+  let remaining = size;
+  let last = null;
+  for (;;) {
+    // One row past the page tells whether another page follows
+    const want = Math.min(DB_CHUNK, remaining + 1);
+    const r = await fetch(`${url}${cursorFilter(after)}&order=captured_at.asc,id.asc&limit=${want}`, { headers });
+    if (!r.ok) throw new Error(`${url.split("?")[0].split("/").pop()} query failed (${r.status})`);
+    const got = await r.json();
+    const more = got.length > remaining;
+    const chunk = more ? got.slice(0, remaining) : got;
+    if (chunk.length) {
+      last = chunk[chunk.length - 1];
+      remaining -= chunk.length;
+      if (onChunk) await onChunk(chunk);
+      else rows.push(...chunk);
+    }
+    if (more) return { rows, has_more: true, next: encodeCursor(last) };
+    if (got.length < want) return { rows, has_more: false, next: null };
+    after = { t: last.captured_at, id: last.id };
+  }
+}
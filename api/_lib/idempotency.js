@@ -0,0 +1,202 @@
+/**
+ * Idempotency-Key support for write routes (bet placement).
+ *
+ * A client sends `Idempotency-Key: <uuid>` with a write and reuses it for any
+ * retry of the same attempt. The first request reserves the key; its response
+ * (status + JSON body) is stored for IDEMPOTENCY_TTL_SEC and replayed, with
+ * `Idempotency-Replayed: true`, to every duplicate:
+ *   same key, still running   → 409 (double-click while the first is in flight)
+ *   same key, other payload   → 422 (a key belongs to exactly one request)
+ *   outcome unknown           → 409 until the key expires: a timeout, network
+ *                               error or 5xx after Railway may have received the
+ *                               write (or a first request that never answered
+ *                               within PENDING_TTL_SEC) may have placed the bet,
+ *                               so the client checks its bets and retries with a
+ *                               new key instead of placing it twice
+ *   not sent upstream         → released, so the retry goes through again
+ *                               (open circuit, connection refused, any failure
+ *                               before ctx.forward reached Railway)
+ * Keys are scoped per route and caller (the verified user in ctx.user, else
+ * client IP; a token's unverified `sub` is never used). Requests without the
+ * header behave as before.
+ *
+ * Store (IDEMPOTENCY_STORE = "supabase" | "memory"; default supabase when
+ * SUPABASE_URL + SUPABASE_SERVICE_ROLE_KEY are set, else memory):
+ *   memory   — per-instance Map, for local runs and tests.
+ *   supabase — shared table:
+ *
+ *     CREATE TABLE IF NOT EXISTS api_idempotency_keys (
+ *       key         text        PRIMARY KEY,
+ *       fingerprint text        NOT NULL,
+ *       status      integer,                 -- NULL while the first request runs
+ *       body        jsonb,
+ *       created_at  timestamptz NOT NULL DEFAULT now(),
+ *       expires_at  timestamptz NOT NULL
+ *     );
+ *     ALTER TABLE api_idempotency_keys ENABLE ROW LEVEL SECURITY;   -- service role only
+ *     -- prune expired keys (pg_cron)
+ *     SELECT cron.schedule('prune-idempotency-keys', '23 * * * *',
+ *       $$DELETE FROM api_idempotency_keys WHERE expires_at < now()$$);
+ *
+ * Store errors fail open (the request runs without deduplication), same as
+ * the rate limiter in ./rate-limit.js.
+ */
+import { createHash } from "crypto";
+import { clientIp } from "./rate-limit.js";
+
+export const IDEMPOTENCY_TTL_SEC = 600;
+// A reservation older than this with no response belongs to a crashed request: its outcome is unknown.
+export const PENDING_TTL_SEC = 30;
+
+const KEY_RE = /^[A-Za-z0-9_-]{8,128}$/;
+
+// ── Stores ───────────────────────────────────────────────────────────────────
+
+const _memory = new Map();
+
+export const memoryStore = {
+  async reserve(key, fingerprint, ttlSec) {
+    const now = Date.now();
+    if (_memory.size > 10000) {
+      for (const [k, v] of _memory) if (v.expires <= now) _memory.delete(k);
+    }
+    const existing = _memory.get(key);
+    if (existing && existing.expires > now) return { reserved: false, record: existing };
+    _memory.set(key, { fingerprint, status: null, body: null, created: now, expires: now + ttlSec * 1000 });
+    return { reserved: true };
+  },
+  async complete(key, status, body) {
+    const entry = _memory.get(key);
+    if (entry) Object.assign(entry, { status, body });
+  },
+  async release(key) {
+    _memory.delete(key);
+  },
+};
+
+export function supabaseStore(supabaseUrl, serviceKey) {
+  const table = `${supabaseUrl}/rest/v1/api_idempotency_keys`;
+  const headers = {
+    apikey:         serviceKey,
+    Authorization:  `Bearer ${serviceKey}`,
+    "Content-Type": "application/json",
+  };
+  const call = async (url, init) => {
+    const r = await fetch(url, { ...init, headers: { ...headers, ...init.headers }, signal: AbortSignal.timeout(1500) });
+    if (!r.ok) throw new Error(`api_idempotency_keys ${init.method} failed (${r.status})`);
+    return r;
+  };
+  const byKey = key => `${table}?key=eq.${encodeURIComponent(key)}`;
+
+  return {
+    async reserve(key, fingerprint, ttlSec) {
+      const insert = () => call(table, {
+        method: "POST",
+        headers: { Prefer: "resolution=ignore-duplicates,return=representation" },
+        body: JSON.stringify({ key, fingerprint, expires_at: new Date(Date.now() + ttlSec * 1000).toISOString() }),
+      }).then(r => r.json());
+
+      if ((await insert()).length) return { reserved: true };
+      const [row] = await (await call(`${byKey(key)}&select=fingerprint,status,body,created_at,expires_at`, { method: "GET" })).json();
+      const record = row && {
+        fingerprint: row.fingerprint, status: row.status, body: row.body,
+        created: Date.parse(row.created_at), expires: Date.parse(row.expires_at),
+      };
+      if (record && record.expires > Date.now()) return { reserved: false, record };
+      // Expired: clear it and take the key over
+      await call(byKey(key), { method: "DELETE" });
+      return (await insert()).length ? { reserved: true } : { reserved: false, record };
+    },
+    async complete(key, status, body) {
+      await call(byKey(key), { method: "PATCH", headers: { Prefer: "return=minimal" }, body: JSON.stringify({ status, body }) });
+    },
+    async release(key) {
+      await call(byKey(key), { method: "DELETE" });
+    },
+  };
+}
+
+function _abandoned(record, now) {
+  return record.status == null && now - record.created > PENDING_TTL_SEC * 1000;
+}
+
+function _defaultStore() {
+  const kind = String(process.env.IDEMPOTENCY_STORE || "").toLowerCase();
+  const url  = process.env.SUPABASE_URL;
+  const key  = process.env.SUPABASE_SERVICE_ROLE_KEY;
+  if (kind === "memory" || !url || !key) return memoryStore;
+  return supabaseStore(url, key);
+}
+
+// ── Request handling ─────────────────────────────────────────────────────────
+
+/** Stable hash of a JSON payload (object keys sorted). */
+export function fingerprintOf(payload) {
+  const canonical = JSON.stringify(payload, (_, v) =>
+    v && typeof v === "object" && !Array.isArray(v)
+      ? Object.fromEntries(Object.keys(v).sort().map(k => [k, v[k]]))
+      : v);
+  return createHash("sha256").update(canonical ?? "").digest("hex");
+}
+
+/**
+ * Claim the request's Idempotency-Key before doing the write. `ctx` is a
+ * createProxyHandler context ({ req, res, fail, user }).
+ *
+ * Returns true when the response has already been sent (replay or conflict);
+ * otherwise the handler carries on and its JSON response is recorded against
+ * the key on the way out.
+ */
+export async function claimIdempotencyKey(ctx, { scope, payload, store = _defaultStore(), ttlSec = IDEMPOTENCY_TTL_SEC }) {
+  const { req, res, fail, user } = ctx;
+  const raw = String(req.headers?.["idempotency-key"] || "").trim();
+  if (!raw) return false;
+  if (!KEY_RE.test(raw)) {
+    fail(400, "Idempotency-Key must be 8-128 characters of A-Z, a-z, 0-9, - or _");
+    return true;
+  }
+
+  const caller = user?.id ? `user:${user.id}` : `ip:${clientIp(req)}`;
+  const key = createHash("sha256").update(`${scope}\n${caller}\n${raw}`).digest("hex");
+  const fingerprint = fingerprintOf(payload);
+
+  let claim;
+  try {
+    claim = await store.reserve(key, fingerprint, ttlSec);
+  } catch (err) {
+    console.warn("[idempotency] store error, continuing without:", err?.message || err);
+    return false;
+  }
+
+  if (!claim.reserved) {
+    const { record } = claim;
+    if (record.fingerprint !== fingerprint) {
+      fail(422, "Idempotency-Key was already used for a different request");
+    } else if (record.status >= 500 || _abandoned(record, Date.now())) {
+      fail(409, "The outcome of the request with this Idempotency-Key is unknown; check your bets before retrying with a new key",
+        { outcome: "unknown" });
+    } else if (record.status == null) {
+      res.setHeader("Retry-After", "1");
+      fail(409, "A request with this Idempotency-Key is still in progress");
+    } else {
+      res.setHeader("Idempotency-Replayed", "true");
+      res.status(record.status).json(record.body);
+    }
+    return true;
+  }
+
+  // Record whatever goes out (a 5xx marks the outcome unknown); failures that
+  // never reached Railway release the key so a retry runs again
+  const send = res.json.bind(res);
+  res.json = (body) => {
+    res.json = send;
+    const status = res.statusCode;
+    const settle = status >= 500 && !ctx.upstreamReached
+      ? store.release(key)
+      : store.complete(key, status, body ?? null);
+    return settle
+      .catch(err => console.warn("[idempotency] could not record response:", err?.message || err))
+      .then(() => send(body));
+  };
+  return false;
+}
@@ -0,0 +1,599 @@
+/**
+ * OpenAPI 3 document for the public data APIs, served at /api/openapi.json
+ * and rendered by /docs. Enumerations and limits come from the same constants
+ * the handlers validate against, so the spec cannot drift from the code.
+ *
+ * Covered: /api/agency/data, /api/agency/webhooks, /api/analytics/traffic,
+ * /api/analytics/forecast, /api/analytics/data (GET), /api/analytics/zones.
+ */
+import {
+  AGENCY_FIELDS, AGENCY_CLASSES, AGENCY_FORMATS, AGENCY_AGGREGATES, AGENCY_GROUP_DIMS, MAX_RANGE_DAYS,
+} from "./agency-scopes.js";
+import { MAX_PAGE_SIZE } from "./cursor.js";
+import { MAX_COMPARE_CAMERAS } from "./traffic.js";
+import { BASELINE_WEEKS, COMPARE_MODES, DEFAULT_SIGMA, SIGMA_RANGE } from "./traffic-compare.js";
+import {
+  FORECAST_CLASSES, FORECAST_HISTORY_WEEKS, FORECAST_HOURS, FORECAST_INTERVAL, LIVE_DECAY_HOURS, RECENT_HOURS,
+} from "./traffic-forecast.js";
+import {
+  FREE_FLOW_PERCENTILE, LOS_CONTROLS, LOS_GRADES, LOS_MAX_RANGE_DAYS, LOS_VC_BANDS,
+} from "./traffic-los.js";
+import { WEBHOOK_EVENTS, THRESHOLD_METRICS, MAX_WEBHOOKS_PER_KEY } from "./webhooks.js";
+
+const GRANULARITIES = ["hour", "day", "week"];
+
+const ref   = name => ({ $ref: `#/components/schemas/${name}` });
+const param = name => ({ $ref: `#/components/parameters/${name}` });
+const resp  = name => ({ $ref: `#/components/responses/${name}` });
+
+function _query(name, schema, description, required = false) {
+  return { name, in: "query", required, description, schema };
+}
+
+const CLASS_COUNTS = Object.fromEntries(AGENCY_CLASSES.map(c => [c, { type: "integer" }]));
+
+export function buildOpenApiSpec(serverUrl = "https://aitrafficja.com") {
+  return {
+    openapi: "3.0.3",
+    info: {
+      title:   "Whitelinez Traffic Data API",
+      version: "1.0.0",
+      description:
+        "Vehicle counts from Whitelinez AI cameras in Jamaica.\n\n"
+        + "Agency endpoints authenticate with an `x-api-key` header issued by Whitelinez admins. "
+        + "Each key has a daily request quota (reset at midnight UTC) reported in the "
+        + "`X-RateLimit-Limit` / `X-RateLimit-Remaining` headers, and may be scoped to specific "
+        + "cameras, fields and vehicle classes — requests outside the scope return 403.\n\n"
+        + "Errors are always JSON: `{ \"error\": \"message\" }`.",
+    },
+    servers: [{ url: serverUrl }],
+    tags: [
+      { name: "Agency",    description: "Authenticated partner access (x-api-key)" },
+      { name: "Analytics", description: "Public aggregated analytics" },
+    ],
+    paths: {
+      "/api/agency/data": {
+        get: {
+          tags: ["Agency"],
+          summary: "Vehicle crossings or bucketed totals for a date range",
+          description:
+            `Raw rows are ordered by (captured_at, id) and paginated with an opaque cursor; `
+            + `repeat the query with \`cursor=<next>\` until \`has_more\` is false. `
+            + `With \`aggregate\`, returns hour/day/week totals instead (not paginated). `
+            + `Ranges are limited to ${MAX_RANGE_DAYS} days.`,
+          security: [{ ApiKey: [] }],
+          parameters: [
+            _query("from", { type: "string", format: "date" }, "Start date (YYYY-MM-DD)", true),
+            _query("to",   { type: "string", format: "date" }, "End date, inclusive (YYYY-MM-DD)", true),
+            param("CameraId"),
+            _query("fields", { type: "string", example: "vehicle_class,direction" },
+              `Comma list of columns from: ${AGENCY_FIELDS.join(", ")}. captured_at is always included.`),
+            _query("vehicle_class", { type: "string", example: "bus,truck" },
+              `Comma list of classes from: ${AGENCY_CLASSES.join(", ")}`),
+            _query("format", { type: "string", enum: AGENCY_FORMATS, default: "json" },
+              "Response format. geojson is only available for raw rows."),
+            _query("limit", { type: "integer", minimum: 1, maximum: MAX_PAGE_SIZE, default: MAX_PAGE_SIZE }, "Rows per page"),
+            _query("cursor", { type: "string" }, "`next` token from the previous page"),
+            _query("aggregate", { type: "string", enum: AGENCY_AGGREGATES }, "Return bucketed totals"),
+            _query("group_by", { type: "string", enum: ["class", "direction", "class,direction"] },
+              `With aggregate: long-format rows split by ${AGENCY_GROUP_DIMS.join(" and/or ")}`),
+          ],
+          responses: {
+            200: {
+              description: "Rows or aggregates",
+              headers: {
+                "X-RateLimit-Limit":     { $ref: "#/components/headers/RateLimitLimit" },
+                "X-RateLimit-Remaining": { $ref: "#/components/headers/RateLimitRemaining" },
+                "X-Has-More":            { $ref: "#/components/headers/HasMore" },
+                "X-Next-Cursor":         { $ref: "#/components/headers/NextCursor" },
+              },
+              content: {
+                "application/json":     { schema: { oneOf: [ref("AgencyRows"), ref("AgencyColumnar"), ref("AgencyAggregate")] } },
+                "text/csv":             { schema: { type: "string" } },
+                "application/x-ndjson": { schema: { type: "string", description: "One JSON row per line" } },
+                "application/geo+json": { schema: ref("AgencyGeoJson") },
+              },
+            },
+            400: resp("BadRequest"),
+            401: resp("Unauthorized"),
+            403: resp("Forbidden"),
+            429: {
+              description: "Daily quota exhausted",
+              content: { "application/json": { schema: {
+                allOf: [ref("Error"), { type: "object", properties: { resets_at: { type: "string", format: "date-time" } } }],
+              } } },
+            },
+            502: resp("Upstream"),
+          },
+        },
+      },
+
+      "/api/agency/webhooks": {
+        get: {
+          tags: ["Agency"],
+          summary: "List this key's webhooks",
+          security: [{ ApiKey: [] }],
+          responses: {
+            200: { description: "Webhooks", content: { "application/json": { schema: {
+              type: "object", properties: { webhooks: { type: "array", items: ref("Webhook") } },
+            } } } },
+            401: resp("Unauthorized"),
+            502: resp("Upstream"),
+          },
+        },
+        post: {
+          tags: ["Agency"],
+          summary: "Register a webhook",
+          description:
+            `Deliveries are signed: \`X-Whitelinez-Signature: t=<ts>,v1=<hex HMAC-SHA256(secret, "<ts>.<body>")>\`. `
+            + `The secret is returned once. Failed deliveries are retried with exponential backoff. `
+            + `At most ${MAX_WEBHOOKS_PER_KEY} webhooks per key.`,
+          security: [{ ApiKey: [] }],
+          requestBody: { required: true, content: { "application/json": { schema: ref("WebhookInput") } } },
+          responses: {
+            201: { description: "Created", content: { "application/json": { schema: {
+              type: "object", properties: { webhook: ref("Webhook"), secret: { type: "string" } },
+            } } } },
+            400: resp("BadRequest"),
+            401: resp("Unauthorized"),
+            403: resp("Forbidden"),
+            409: { description: "Webhook limit reached", content: { "application/json": { schema: ref("Error") } } },
+            502: resp("Upstream"),
+          },
+        },
+        patch: {
+          tags: ["Agency"],
+          summary: "Update a webhook",
+          security: [{ ApiKey: [] }],
+          parameters: [_query("id", { type: "string", format: "uuid" }, "Webhook id", true)],
+          requestBody: { required: true, content: { "application/json": { schema: {
+            allOf: [ref("WebhookInput"), { type: "object", properties: { active: { type: "boolean" } } }],
+          } } } },
+          responses: {
+            200: { description: "Updated", content: { "application/json": { schema: {
+              type: "object", properties: { webhook: ref("Webhook") },
+            } } } },
+            400: resp("BadRequest"),
+            401: resp("Unauthorized"),
+            404: resp("NotFound"),
+          },
+        },
+        delete: {
+          tags: ["Agency"],
+          summary: "Delete a webhook",
+          security: [{ ApiKey: [] }],
+          parameters: [_query("id", { type: "string", format: "uuid" }, "Webhook id", true)],
+          responses: {
+            200: { description: "Deleted", content: { "application/json": { schema: {
+              type: "object", properties: { deleted: { type: "string", format: "uuid" } },
+            } } } },
+            401: resp("Unauthorized"),
+            404: resp("NotFound"),
+          },
+        },
+      },
+
+      "/api/analytics/traffic": {
+        get: {
+          tags: ["Analytics"],
+          summary: "Traffic time series with summary",
+          description: "Pass `from`/`to`, or `hours` for a trailing window. Cached for 60 seconds.\n\n"
+            + "With `camera_ids` the response compares cameras instead: one series per camera on a shared "
+            + "`periods` axis (zero-filled), plus `corridor` — the same cameras summed period by period. "
+            + "`corridor=<name>` does the same for a stored camera set (table `traffic_corridors`).\n\n"
+            + "`compare` adds a shifted series aligned bucket by bucket with per-bucket deltas; "
+            + "`same_period_last_year` shifts 52 weeks so weekdays line up. With `compare` or `sigma`, "
+            + `buckets more than sigma standard deviations from the hour-of-week (hourly) or day-of-week (daily) `
+            + `mean of the previous ${BASELINE_WEEKS} weeks are listed in \`anomalies\`.`,
+          parameters: [
+            param("CameraId"),
+            _query("camera_ids", { type: "string" },
+              `Comma-separated camera UUIDs to compare (at most ${MAX_COMPARE_CAMERAS}); not combinable with camera_id`),
+            _query("corridor", { type: "string", maxLength: 100 },
+              "Name of a stored corridor to compare; replaces camera_ids, 404 when unknown"),
+            _query("compare", { type: "string", enum: COMPARE_MODES }, "Add a comparison series (single camera only)"),
+            _query("sigma", { type: "number", minimum: SIGMA_RANGE[0], maximum: SIGMA_RANGE[1] },
+              `Anomaly threshold in standard deviations (default ${DEFAULT_SIGMA} when compare is set)`),
+            _query("hours", { type: "integer", minimum: 1, maximum: 8760, default: 24 }, "Trailing window when from/to are omitted"),
+            _query("from", { type: "string" }, "YYYY-MM-DD or ISO 8601"),
+            _query("to",   { type: "string" }, "YYYY-MM-DD or ISO 8601"),
+            param("Granularity"),
+          ],
+          responses: {
+            200: { description: "Series, or a camera comparison when camera_ids or corridor is set", content: { "application/json": { schema: {
+              oneOf: [
+                {
+                  type: "object",
+                  properties: {
+                    rows: { type: "array", items: ref("TrafficRow") }, summary: ref("TrafficSummary"),
+                    compare: ref("TrafficCompare"),
+                    anomalies: { type: "array", items: ref("TrafficAnomaly") },
+                    baseline: { type: "object", properties: {
+                      weeks: { type: "integer" }, sigma: { type: "number" },
+                      slot: { type: "string", enum: ["hour_of_week", "day_of_week", "week"] }, slots: { type: "integer" },
+                    } },
+                  },
+                },
+                ref("TrafficComparison"),
+              ],
+            } } } },
+            400: resp("BadRequest"),
+            404: resp("NotFound"),
+            429: resp("RateLimited"),
+            502: resp("Upstream"),
+          },
+        },
+      },
+
+      "/api/analytics/forecast": {
+        get: {
+          tags: ["Analytics"],
+          summary: "Hourly volume forecast per class",
+          description: "One row per hour from the current hour through `hours` ahead. The seasonal part is the "
+            + `hour-of-week mean of the previous ${FORECAST_HISTORY_WEEKS} weeks; the observed / expected ratio over `
+            + `the last ${RECENT_HOURS} hours scales it with a weight that decays over ${LIVE_DECAY_HOURS} hours. `
+            + `\`low\` / \`high\` bound the central ${FORECAST_INTERVAL * 100}% interval. An empty \`forecast\` (basis \`none\`) `
+            + "means there is no history or recent data for the camera. Cached for 5 minutes.",
+          parameters: [
+            param("CameraId"),
+            _query("hours", { type: "integer", minimum: FORECAST_HOURS[0], maximum: FORECAST_HOURS[1], default: 6 }, "Hours ahead"),
+          ],
+          responses: {
+            200: { description: "Forecast", content: { "application/json": { schema: ref("TrafficForecast") } } },
+            400: resp("BadRequest"),
+            429: resp("RateLimited"),
+            502: resp("Upstream"),
+          },
+        },
+      },
+
+      "/api/analytics/data": {
+        get: {
+          tags: ["Analytics"],
+          summary: "Zone definitions, turning-movement analytics or level of service",
+          description: "Zone writes (POST/DELETE with type=zones) are admin-only and not part of the public API. " +
+            "type=los grades each entry approach per hour from A to F on control delay (mean dwell minus the " +
+            `approach's ${FREE_FLOW_PERCENTILE * 100}th-percentile free-flow dwell) using HCM bands, forced to F when ` +
+            "volume/capacity exceeds 1. Capacity is lanes × lane_capacity_vph from the entry zone's metadata; hours " +
+            `without dwell samples are graded on v/c (bands ${LOS_VC_BANDS.join(", ")}). ` +
+            `type=los needs camera_id and the from–to window is limited to ${LOS_MAX_RANGE_DAYS} days.`,
+          parameters: [
+            _query("type", { type: "string", enum: ["zones", "turnings", "los"] }, "Dataset", true),
+            param("CameraId"),
+            _query("from", { type: "string" }, "turnings, los: YYYY-MM-DD or ISO 8601 (default: 24h before to)"),
+            _query("to",   { type: "string" }, "turnings, los: YYYY-MM-DD or ISO 8601 (default: now)"),
+            param("Granularity"),
+            _query("matrix_only", { type: "boolean" },
+              "turnings: return only matrix, top_movements, class_totals and period (one time bucket at a time)"),
+            _query("control", { type: "string", enum: LOS_CONTROLS, default: "signalized" },
+              "los: intersection control, selects the delay bands"),
+          ],
+          responses: {
+            200: { description: "Zones (array), turnings or level of service (object)", content: { "application/json": { schema: {
+              oneOf: [{ type: "array", items: ref("Zone") }, ref("Turnings"), ref("LevelOfService")],
+            } } } },
+            400: resp("BadRequest"),
+            429: resp("RateLimited"),
+            502: resp("Upstream"),
+          },
+        },
+      },
+
+      "/api/analytics/zones": {
+        get: {
+          tags: ["Analytics"],
+          summary: "Crossings per named zone",
+          parameters: [
+            param("CameraId"),
+            _query("from", { type: "string" }, "ISO 8601 (default: 24h ago)"),
+            _query("to",   { type: "string" }, "ISO 8601 (default: now)"),
+          ],
+          responses: {
+            200: { description: "Zone totals", content: { "application/json": { schema: {
+              type: "object",
+              properties: {
+                zones: { type: "array", items: { type: "object", properties: {
+                  zone_name: { type: "string" }, total: { type: "integer" }, ...CLASS_COUNTS, pct_of_total: { type: "integer" },
+                } } },
+                period_total: { type: "integer" },
+                from: { type: "string", format: "date-time" },
+                to:   { type: "string", format: "date-time" },
+              },
+            } } } },
+            429: resp("RateLimited"),
+            502: resp("Upstream"),
+          },
+        },
+      },
+    },
+
+    components: {
+      securitySchemes: {
+        ApiKey: { type: "apiKey", in: "header", name: "x-api-key" },
+      },
+      parameters: {
+        CameraId:    _query("camera_id", { type: "string", format: "uuid" }, "Limit to one camera"),
+        Granularity: _query("granularity", { type: "string", enum: GRANULARITIES, default: "hour" }, "Bucket size"),
+      },
+      headers: {
+        RateLimitLimit:     { description: "Daily request quota for this key", schema: { type: "integer" } },
+        RateLimitRemaining: { description: "Requests left today (UTC)", schema: { type: "integer" } },
+        HasMore:            { description: "More rows follow (csv / ndjson)", schema: { type: "string", enum: ["true", "false"] } },
+        NextCursor:         { description: "Cursor for the next page, when X-Has-More is true", schema: { type: "string" } },
+      },
+      responses: {
+        BadRequest:   { description: "Invalid parameters",                    content: { "application/json": { schema: ref("Error") } } },
+        Unauthorized: { description: "Missing, invalid, inactive or expired API key", content: { "application/json": { schema: ref("Error") } } },
+        Forbidden:    { description: "Outside this key's scope",              content: { "application/json": { schema: ref("Error") } } },
+        NotFound:     { description: "Not found",                             content: { "application/json": { schema: ref("Error") } } },
+        Upstream:     { description: "Database or upstream failure",          content: { "application/json": { schema: ref("Error") } } },
+        RateLimited:  {
+          description: "Per-IP rate limit exceeded (see RateLimit-* and Retry-After headers)",
+          headers: { "Retry-After": { description: "Seconds until the window resets", schema: { type: "integer" } } },
+          content: { "application/json": { schema: {
+            allOf: [ref("Error"), { type: "object", properties: {
+              retry_after: { type: "integer" }, limit: { type: "integer" }, window_sec: { type: "integer" },
+            } }],
+          } } },
+        },
+      },
+      schemas: {
+        Error: { type: "object", required: ["error"], properties: { error: { type: "string" } } },
+        AgencyRow: {
+          type: "object",
+          description: "Only the requested / scoped fields are present",
+          properties: {
+            captured_at:    { type: "string", format: "date-time" },
+            vehicle_class:  { type: "string", enum: AGENCY_CLASSES },
+            direction:      { type: "string", nullable: true },
+            confidence:     { type: "number", nullable: true },
+            scene_lighting: { type: "string", nullable: true },
+            scene_weather:  { type: "string", nullable: true },
+            dwell_frames:   { type: "integer", nullable: true },
+            track_id:       { type: "integer", nullable: true },
+          },
+        },
+        AgencyPage: {
+          type: "object",
+          properties: {
+            agency:       { type: "string" },
+            plan:         { type: "string" },
+            from:         { type: "string", format: "date-time" },
+            to:           { type: "string", format: "date-time" },
+            camera_id:    { type: "string", nullable: true },
+            fields:       { type: "array", items: { type: "string", enum: AGENCY_FIELDS } },
+            total:        { type: "integer" },
+            class_totals: { type: "object", properties: CLASS_COUNTS },
+            has_more:     { type: "boolean" },
+            next:         { type: "string", nullable: true },
+          },
+        },
+        AgencyRows: {
+          allOf: [ref("AgencyPage"), { type: "object", properties: { rows: { type: "array", items: ref("AgencyRow") } } }],
+        },
+        AgencyColumnar: {
+          allOf: [ref("AgencyPage"), { type: "object", properties: {
+            columns: { type: "array", items: { type: "string" } },
+            data:    { type: "object", additionalProperties: { type: "array", items: {} } },
+          } }],
+        },
+        AgencyAggregate: {
+          type: "object",
+          properties: {
+            agency:           { type: "string" },
+            aggregate:        { type: "string", enum: AGENCY_AGGREGATES },
+            group_by:         { type: "array", nullable: true, items: { type: "string", enum: AGENCY_GROUP_DIMS } },
+            total:            { type: "integer" },
+            class_totals:     { type: "object", properties: CLASS_COUNTS },
+            direction_totals: { type: "object", nullable: true, additionalProperties: { type: "integer" } },
+            bus_car_ratio:    { type: "number", nullable: true },
+            heavy_share_pct:  { type: "integer" },
+            rows: { type: "array", items: { type: "object", properties: {
+              period: { type: "string" }, total: { type: "integer" }, ...CLASS_COUNTS,
+              in: { type: "integer" }, out: { type: "integer" }, bus_car_ratio: { type: "number", nullable: true },
+              vehicle_class: { type: "string" }, direction: { type: "string" }, count: { type: "integer" },
+            } } },
+          },
+        },
+        AgencyGeoJson: {
+          type: "object",
+          description: "FeatureCollection: one `camera` feature per camera (with scene_map) and one `crossing` Point per row",
+          properties: {
+            type:     { type: "string", enum: ["FeatureCollection"] },
+            has_more: { type: "boolean" },
+            next:     { type: "string", nullable: true },
+            features: { type: "array", items: { type: "object" } },
+          },
+        },
+        WebhookInput: {
+          type: "object",
+          properties: {
+            url:    { type: "string", format: "uri", description: "Public https URL; private, loopback, link-local and internal hosts are refused" },
+            events: { type: "array", items: { type: "string", enum: WEBHOOK_EVENTS }, default: ["daily_summary"] },
+            thresholds: { type: "array", items: ref("Threshold") },
+          },
+        },
+        Threshold: {
+          type: "object",
+          required: ["metric", "value"],
+          properties: {
+            metric:    { type: "string", enum: THRESHOLD_METRICS, description: "Share metrics need the vehicle_class field and their classes in the key's scope" },
+            op:        { type: "string", enum: ["gt", "lt"], default: "gt" },
+            value:     { type: "number", minimum: 0 },
+            camera_id: { type: "string", format: "uuid" },
+          },
+        },
+        Webhook: {
+          type: "object",
+          properties: {
+            id:         { type: "string", format: "uuid" },
+            url:        { type: "string" },
+            events:     { type: "array", items: { type: "string", enum: WEBHOOK_EVENTS } },
+            thresholds: { type: "array", items: ref("Threshold") },
+            active:     { type: "boolean" },
+            created_at: { type: "string", format: "date-time" },
+          },
+        },
+        TrafficRow: {
+          type: "object",
+          properties: {
+            period: { type: "string" }, total: { type: "integer" }, ...CLASS_COUNTS,
+            in: { type: "integer" }, out: { type: "integer" },
+            avg_queue: { type: "number", nullable: true }, avg_speed: { type: "number", nullable: true },
+          },
+        },
+        TrafficCompare: {
+          type: "object",
+          properties: {
+            mode: { type: "string", enum: COMPARE_MODES },
+            from: { type: "string" }, to: { type: "string" },
+            rows: { type: "array", items: ref("TrafficRow") },
+            deltas: { type: "array", items: { type: "object", properties: {
+              period: { type: "string" }, compare_period: { type: "string" },
+              total: { type: "integer" }, compare_total: { type: "integer" },
+              delta: { type: "integer" }, delta_pct: { type: "number", nullable: true },
+            } } },
+            summary: ref("TrafficSummary"),
+            delta_total: { type: "integer" },
+            delta_pct: { type: "number", nullable: true },
+          },
+        },
+        TrafficAnomaly: {
+          type: "object",
+          properties: {
+            period: { type: "string" }, total: { type: "integer" },
+            baseline_mean: { type: "number" }, baseline_std: { type: "number" },
+            z_score: { type: "number" }, direction: { type: "string", enum: ["above", "below"] },
+          },
+        },
+        TrafficForecast: {
+          type: "object",
+          properties: {
+            camera_id: { type: "string", format: "uuid", nullable: true },
+            hours: { type: "integer" },
+            generated_at: { type: "string", format: "date-time" },
+            forecast: { type: "array", items: { type: "object", properties: {
+              hour: { type: "string", format: "date-time" },
+              total: { type: "number" },
+              ...Object.fromEntries(FORECAST_CLASSES.map(c => [c, { type: "number" }])),
+              std: { type: "number" }, low: { type: "number" }, high: { type: "number" },
+              per_min: { type: "number", description: "total / 60" },
+            } } },
+            model: { type: "object", properties: {
+              basis: { type: "string", enum: ["seasonal+live", "seasonal", "live", "none"] },
+              history_weeks: { type: "integer" }, history_hours: { type: "integer" },
+              recent_hours: { type: "number" }, live_ratio: { type: "number", nullable: true },
+              live_decay_hours: { type: "number" }, interval: { type: "number" },
+            } },
+          },
+        },
+        TrafficComparison: {
+          type: "object",
+          properties: {
+            periods: { type: "array", items: { type: "string" } },
+            cameras: { type: "array", items: { type: "object", properties: {
+              camera_id: { type: "string", format: "uuid" }, name: { type: "string", nullable: true },
+              rows: { type: "array", items: ref("TrafficRow") }, summary: ref("TrafficSummary"),
+            } } },
+            corridor: { type: "object", properties: {
+              name: { type: "string", nullable: true },
+              camera_ids: { type: "array", items: { type: "string", format: "uuid" } },
+              rows: { type: "array", items: ref("TrafficRow") }, summary: ref("TrafficSummary"),
+            } },
+            summary: { type: "object", properties: {
+              granularity: { type: "string", enum: GRANULARITIES }, from: { type: "string" }, to: { type: "string" },
+            } },
+          },
+        },
+        TrafficSummary: {
+          type: "object",
+          properties: {
+            period_total:     { type: "integer" },
+            peak_period:      { type: "string", nullable: true },
+            peak_value:       { type: "integer" },
+            class_totals:     { type: "object", properties: CLASS_COUNTS },
+            class_pct:        { type: "object", properties: CLASS_COUNTS },
+            avg_queue_depth:  { type: "number", nullable: true },
+            peak_queue_depth: { type: "number", nullable: true },
+            avg_speed_kmh:    { type: "number", nullable: true },
+            global:           { type: "object", nullable: true, properties: { total: { type: "integer" } } },
+            first_date:       { type: "string", nullable: true },
+            granularity:      { type: "string", enum: GRANULARITIES },
+            from:             { type: "string", format: "date-time" },
+            to:               { type: "string", format: "date-time" },
+          },
+        },
+        Zone: {
+          type: "object",
+          properties: {
+            id: { type: "string" }, name: { type: "string" }, zone_type: { type: "string" },
+            points: { type: "array", items: { type: "object" } }, color: { type: "string", nullable: true },
+          },
+        },
+        Turnings: {
+          type: "object",
+          properties: {
+            matrix:        { type: "object", additionalProperties: { type: "object" } },
+            top_movements: { type: "array", items: { type: "object" } },
+            queue_series:  { type: "array", items: { type: "object" } },
+            queue_summary: { type: "object" },
+            speed:         { type: "object", nullable: true },
+            class_totals:  { type: "object", properties: CLASS_COUNTS },
+            time_series:   { type: "array", items: { type: "object" } },
+            period:        { type: "object" },
+          },
+        },
+        LevelOfService: {
+          type: "object",
+          properties: {
+            camera_id: { type: "string", format: "uuid", nullable: true },
+            from: { type: "string", format: "date-time" },
+            to:   { type: "string", format: "date-time" },
+            control: { type: "string", enum: LOS_CONTROLS },
+            thresholds: { type: "object", properties: {
+              delay_s: { type: "array", items: { type: "number" }, description: "Upper delay bound (s) of grades A–E" },
+              vc:      { type: "array", items: { type: "number" }, description: "Upper v/c bound of grades A–E" },
+              free_flow_percentile: { type: "number" },
+            } },
+            approaches: { type: "array", items: { type: "object", properties: {
+              zone: { type: "string" },
+              lanes: { type: "integer" },
+              lane_capacity_vph: { type: "number", nullable: true },
+              capacity_vph: { type: "number", nullable: true },
+              free_flow_s: { type: "number", nullable: true },
+              hours: { type: "array", items: { type: "object", properties: {
+                hour: { type: "string", format: "date-time" },
+                volume: { type: "integer" }, ...CLASS_COUNTS,
+                flow_vph: { type: "integer" },
+                vc: { type: "number", nullable: true },
+                avg_speed_kmh: { type: "number", nullable: true },
+                avg_dwell_s: { type: "number", nullable: true },
+                delay_s: { type: "number", nullable: true },
+                dwell_samples: { type: "integer" },
+                grade: { type: "string", enum: LOS_GRADES, nullable: true },
+                grade_basis: { type: "string", enum: ["delay", "vc"], nullable: true },
+              } } },
+              summary: { type: "object", properties: {
+                volume: { type: "integer" }, peak_hour: { type: "string", nullable: true },
+                peak_flow_vph: { type: "integer" }, peak_vc: { type: "number", nullable: true },
+                avg_delay_s: { type: "number", nullable: true },
+                grade: { type: "string", enum: LOS_GRADES, nullable: true },
+              } },
+            } } },
+            intersection: { type: "object", properties: {
+              hours: { type: "array", items: { type: "object", properties: {
+                hour: { type: "string", format: "date-time" }, volume: { type: "integer" },
+                delay_s: { type: "number", nullable: true }, vc_max: { type: "number", nullable: true },
+                queue_avg: { type: "number", nullable: true }, queue_peak: { type: "number", nullable: true },
+                grade: { type: "string", enum: LOS_GRADES, nullable: true },
+                grade_basis: { type: "string", enum: ["delay", "vc"], nullable: true },
+              } } },
+              grade: { type: "string", enum: LOS_GRADES, nullable: true },
+            } },
+            truncated: { type: "boolean", description: "Row cap reached; later rows in the window were not read" },
+          },
+        },
+      },
+    },
+  };
+}
@@ -0,0 +1,311 @@
+/**
+ * Shared Railway proxy for Node API routes.
+ *
+ * Wraps a route handler with method checks, env checks, auth, request-ID
+ * propagation, upstream timeouts, structured logging and one error envelope:
+ *
+ *   { error: "message", detail: "message", request_id: "..." }
+ *
+ * `error` and `detail` carry the same string so clients reading either keep
+ * working; FastAPI validation arrays are flattened into the message and kept
+ * under `errors`. Successful upstream bodies pass through untouched.
+ *
+ * Resilience: every attempt has a timeout (504 when the last one expires),
+ * GETs are retried with jittered backoff on timeouts / network errors /
+ * 502-504, and while the shared "railway" circuit breaker (./circuit.js) is
+ * open no request reaches Railway. A GET then gets this instance's last good
+ * response for the same URL and caller (at most STALE_MAX_AGE_MS old) with
+ * `X-Degraded: true`, `Age` and Retry-After; anything else gets
+ * 503 { degraded: true, retry_after } with Retry-After.
+ *
+ * Usage:
+ *   export default createProxyHandler(
+ *     { route: "/api/admin/bets", methods: ["GET"], auth: "admin", permission: "rounds" },
+ *     (ctx) => ctx.forward("/admin/bets", { query: { limit: ctx.int("limit", 200, 1, 500) } }),
+ *   );
+ */
+import { createHash, randomUUID } from "crypto";
+import { verifyAdminJwt, verifyUserJwt } from "./admin-auth.js";
+import { auditResponse } from "./audit.js";
+import { backoffMs, breakerFor, isUpstreamFailure } from "./circuit.js";
+import { RATE_LIMITS, checkRateLimit } from "./rate-limit.js";
+
+export const DEFAULT_TIMEOUT_MS = 8000;
+// Total time for all attempts; stays under the 25 s function maxDuration.
+export const DEFAULT_BUDGET_MS  = 20000;
+export const DEFAULT_GET_RETRIES = 2;
+const MIN_ATTEMPT_MS = 1000;
+/** Oldest last-good GET body served while the circuit is open. */
+export const STALE_MAX_AGE_MS = 10 * 60 * 1000;
+const STALE_MAX_ENTRIES = 200;
+const STALE_MAX_BYTES   = 256 * 1024;
+
+// Last good GET response per caller + URL, oldest first (see the header)
+const _lastGood = new Map();
+
+function _staleKey(authHeader, url) {
+  return createHash("sha256").update(`${authHeader}\n${url}`).digest("hex");
+}
+
+function _rememberGood(key, status, data, bytes) {
+  if (bytes > STALE_MAX_BYTES) return;
+  _lastGood.delete(key);
+  _lastGood.set(key, { status, data, at: Date.now() });
+  if (_lastGood.size > STALE_MAX_ENTRIES) _lastGood.delete(_lastGood.keys().next().value);
+}
+
+const REQUEST_ID_RE = /^[A-Za-z0-9._:-]{8,128}$/;
+// Network errors raised before a connection to Railway existed: the request was never sent
+const NOT_CONNECTED = new Set(["ECONNREFUSED", "ENOTFOUND", "EAI_AGAIN", "EHOSTUNREACH", "ENETUNREACH"]);
+
+/** Reuse a well-formed incoming X-Request-Id, else mint one. */
+export function requestIdFor(req) {
+  const incoming = String(req.headers?.["x-request-id"] || "").trim();
+  return REQUEST_ID_RE.test(incoming) ? incoming : randomUUID();
+}
+
+/** One JSON log line per event so logs can be filtered by route / request_id. */
+export function logEvent(level, fields) {
+  const line = JSON.stringify({ level, ts: new Date().toISOString(), ...fields });
+  if (level === "error") console.error(line);
+  else if (level === "warn") console.warn(line);
+  else console.log(line);
+}
+
+/** Send the uniform error envelope. */
+export function sendError(res, status, message, requestId, extra = {}) {
+  if (requestId) res.setHeader("X-Request-Id", requestId);
+  return res.status(status).json({ error: message, detail: message, request_id: requestId, ...extra });
+}
+
+/** Copy only allow-listed query params, first value only, capped at 128 chars. */
+export function pickQuery(query, allowed) {
+  const out = {};
+  for (const key of allowed) {
+    const v = query?.[key];
+    if (v == null || v === "") continue;
+    out[key] = String(Array.isArray(v) ? v[0] : v).slice(0, 128);
+  }
+  return out;
+}
+
+/** Integer query param clamped to [min, max], or `fallback` when absent / invalid. */
+export function clampInt(raw, fallback, min, max) {
+  const n = Number(raw);
+  return Number.isFinite(n) && raw !== "" && raw != null ? Math.max(min, Math.min(max, Math.trunc(n))) : fallback;
+}
+
+function _parseBody(req) {
+  if (req.body == null || req.body === "") return {};
+  if (typeof req.body !== "string") return req.body;
+  try { return JSON.parse(req.body); } catch { return null; }
+}
+
+function _upstreamMessage(payload, status) {
+  const d = payload?.detail;
+  if (typeof d === "string" && d) return d;
+  if (Array.isArray(d) && d.length) return d.map(e => e?.msg || String(e)).join("; ");
+  if (typeof payload?.error === "string" && payload.error) return payload.error;
+  if (typeof payload?.message === "string" && payload.message) return payload.message;
+  return `Upstream request failed (${status})`;
+}
+
+/**
+ * Build a Vercel Node handler.
+ *   route     — log label, e.g. "/api/admin/rounds"
+ *   methods   — allowed HTTP methods
+ *   auth      — "admin" (verifyAdminJwt), "bearer" (any Bearer token, checked upstream) or "none"
+ *   permission — admin permission the route requires (ROLE_PERMISSIONS in ./admin-auth.js),
+ *                or (method, req) => permission; null accepts any staff role
+ *   railway    — false when the handler never forwards (default true: RAILWAY_BACKEND_URL required)
+ *   timeoutMs  — per-attempt upstream timeout
+ *   budgetMs   — total time across attempts (must stay under the function's maxDuration)
+ *   getRetries — extra attempts for GET on timeout / network error / 502-504
+ *   rateLimit  — RATE_LIMITS key (./rate-limit.js), or (method, req) => key | null; when the
+ *                policy has a user bucket the Bearer token is verified first and ctx.user set
+ *   audit      — admin routes log every non-GET request to admin_audit_log
+ *                (./audit.js) unless false; handlers may set ctx.audit.target / .diff
+ */
+export function createProxyHandler(options, fn) {
+  const {
+    route, methods = ["GET"], auth = "admin", permission = null, railway = true,
+    timeoutMs = DEFAULT_TIMEOUT_MS, budgetMs = DEFAULT_BUDGET_MS, getRetries = DEFAULT_GET_RETRIES,
+    rateLimit = null, audit = true,
+  } = options;
+
+  return async function handler(req, res) {
+    const requestId = requestIdFor(req);
+    res.setHeader("X-Request-Id", requestId);
+    const method = req.method || "GET";
+    const fail = (status, message, extra) => sendError(res, status, message, requestId, extra);
+
+    if (!methods.includes(method)) {
+      res.setHeader("Allow", methods.join(", "));
+      return fail(405, "Method not allowed");
+    }
+
+    const authHeader = req.headers?.["authorization"] || "";
+    const limitRoute = typeof rateLimit === "function" ? rateLimit(method, req) : rateLimit;
+    let user = null;
+    if (limitRoute) {
+      // IP bucket first, so a flood never reaches Supabase auth
+      let limit = await checkRateLimit(req, limitRoute, { kinds: ["ip"] });
+      // The user bucket is keyed on a verified id only; a token Supabase
+      // rejects is counted against the IP alone and left for upstream to refuse
+      if (limit.ok && RATE_LIMITS[limitRoute]?.user && authHeader.startsWith("Bearer ")) {
+        const check = await verifyUserJwt(authHeader);
+        if (check.ok) {
+          user = check.user;
+          const userLimit = await checkRateLimit(req, limitRoute, { userId: user.id, kinds: ["user"] });
+          if (!userLimit.ok || userLimit.remaining < (limit.remaining ?? Infinity)) limit = userLimit;
+        }
+      }
+      for (const [k, v] of Object.entries(limit.headers)) res.setHeader(k, v);
+      if (!limit.ok) {
+        logEvent("warn", { route, request_id: requestId, method, rate_limited: limitRoute });
+        return fail(429, `Rate limit exceeded, retry in ${limit.retryAfter}s`, {
+          retry_after: limit.retryAfter, limit: limit.limit, window_sec: limit.windowSec,
+        });
+      }
+    }
+
+    const railwayUrl = process.env.RAILWAY_BACKEND_URL;
+    if (railway && !railwayUrl) return fail(500, "Server misconfiguration");
+
+    let admin = null;
+    let auditEntry = null;
+    if (auth === "admin") {
+      const needed = typeof permission === "function" ? permission(method, req) : permission;
+      const check = await verifyAdminJwt(authHeader, needed);
+      if (!check.ok) return fail(check.status, check.error);
+      admin = check.user;
+      if (audit && method !== "GET") auditEntry = auditResponse(req, res, { admin, route, requestId });
+    } else if (auth === "bearer" && !authHeader.startsWith("Bearer ")) {
+      return fail(401, "Missing Bearer token");
+    }
+
+    const ctx = {
+      req, res, requestId, method, authHeader, railwayUrl, fail, admin, user,
+      audit: auditEntry,
+      // Set by forward() once Railway may have received the request; stays false
+      // when the circuit was open or the connection was refused (see ./idempotency.js)
+      upstreamReached: false,
+      mode: String(req.query?.mode || "").trim().toLowerCase(),
+      query: (key) => String(req.query?.[key] ?? "").trim(),
+      int:   (key, fallback, min, max) => clampInt(req.query?.[key], fallback, min, max),
+      body:  () => _parseBody(req),
+
+      /**
+       * Forward to Railway and relay the response.
+       *   query     — object of params (already allow-listed); empty values skipped
+       *   method    — defaults to the incoming method
+       *   body      — object to send; defaults to the incoming body for non-GET, null for none
+       *   empty     — value sent when a 2xx upstream body is empty (default {})
+       *   timeoutMs, budgetMs, retries — per-call overrides
+       */
+      async forward(path, opts = {}) {
+        const upMethod = opts.method || method;
+        const qs = new URLSearchParams();
+        for (const [k, v] of Object.entries(opts.query || {})) {
+          if (v != null && v !== "") qs.set(k, String(v));
+        }
+        const url = `${railwayUrl}${path}${qs.toString() ? `?${qs}` : ""}`;
+
+        let body;
+        if (upMethod !== "GET" && opts.body !== null) {
+          const payload = opts.body !== undefined ? opts.body : _parseBody(req);
+          if (payload === null) return fail(400, "Invalid JSON body");
+          body = JSON.stringify(payload);
+        }
+
+        const staleKey = upMethod === "GET" ? _staleKey(authHeader, url) : null;
+        const breaker = await breakerFor("railway").sync();
+        if (!breaker.allow()) {
+          const retryAfter = breaker.retryAfter();
+          const stale = staleKey && _lastGood.get(staleKey);
+          const age = stale ? Date.now() - stale.at : Infinity;
+          res.setHeader("Retry-After", String(retryAfter));
+          logEvent("warn", {
+            route, request_id: requestId, method: upMethod, upstream: path, circuit: "open", stale: age <= STALE_MAX_AGE_MS,
+          });
+          if (age <= STALE_MAX_AGE_MS) {
+            res.setHeader("X-Degraded", "true");
+            res.setHeader("Age", String(Math.floor(age / 1000)));
+            res.setHeader("Cache-Control", "no-store");
+            return res.status(stale.status).json(stale.data);
+          }
+          return fail(503, `Backend degraded, retry in ${retryAfter}s`, { degraded: true, retry_after: retryAfter });
+        }
+
+        // Only idempotent reads are retried; writes get exactly one attempt.
+        const retries  = upMethod === "GET" ? (opts.retries ?? getRetries) : 0;
+        const deadline = Date.now() + (opts.budgetMs || budgetMs);
+        const started  = Date.now();
+        let upstream;
+        for (let attempt = 0; ; attempt++) {
+          const remaining = deadline - Date.now();
+          let failure = null;
+          try {
+            upstream = await fetch(url, {
+              method: upMethod,
+              headers: {
+                ...(body !== undefined ? { "Content-Type": "application/json" } : {}),
+                ...(authHeader ? { Authorization: authHeader } : {}),
+                "X-Request-Id": requestId,
+              },
+              body,
+              signal: AbortSignal.timeout(Math.max(1, Math.min(opts.timeoutMs || timeoutMs, remaining))),
+            });
+            ctx.upstreamReached = true;
+            if (isUpstreamFailure(upstream.status)) failure = `HTTP ${upstream.status}`;
+          } catch (err) {
+            upstream = null;
+            if (!NOT_CONNECTED.has(err?.cause?.code)) ctx.upstreamReached = true;
+            failure = err?.name === "TimeoutError" ? "timeout" : String(err?.message || err);
+          }
+          if (!failure) break;
+
+          await breaker.failure(failure);
+          const delay = backoffMs(attempt);
+          const canRetry = attempt < retries && breaker.allow() && deadline - Date.now() - delay > MIN_ATTEMPT_MS;
+          logEvent(canRetry ? "warn" : "error", {
+            route, request_id: requestId, method: upMethod, upstream: path, attempt: attempt + 1,
+            ms: Date.now() - started, error: failure, retrying: canRetry,
+          });
+          if (!canRetry) {
+            if (upstream) break;
+            return failure === "timeout" ? fail(504, "Upstream request timed out") : fail(502, "Upstream request failed");
+          }
+          await new Promise(r => setTimeout(r, delay));
+        }
+        if (!isUpstreamFailure(upstream.status)) await breaker.success();
+
+        const raw = await upstream.text();
+        let data;
+        try { data = raw ? JSON.parse(raw) : undefined; } catch { data = undefined; }
+        logEvent(upstream.ok ? "info" : "warn", {
+          route, request_id: requestId, method: upMethod, upstream: path,
+          status: upstream.status, ms: Date.now() - started,
+        });
+
+        if (!upstream.ok) {
+          const message = data !== undefined
+            ? _upstreamMessage(data, upstream.status)
+            : (raw.slice(0, 300) || `Upstream request failed (${upstream.status})`);
+          return fail(upstream.status, message, Array.isArray(data?.detail) ? { errors: data.detail } : {});
+        }
+        if (data === undefined && raw) data = { detail: raw };
+        const out = data === undefined ? (opts.empty ?? {}) : data;
+        if (staleKey) _rememberGood(staleKey, upstream.status, out, raw.length);
+        return res.status(upstream.status).json(out);
+      },
+    };
+
+    try {
+      return await fn(ctx);
+    } catch (err) {
+      logEvent("error", { route, request_id: requestId, method, error: String(err?.message || err) });
+      return fail(502, "Request failed");
+    }
+  };
+}
@@ -0,0 +1,194 @@
+/**
+ * Shared fixed-window rate limiter for public and authenticated routes.
+ *
+ * Each request is counted in up to two buckets for its route:
+ *   ip   — client IP (x-forwarded-for / x-real-ip), always applied
+ *   user — Supabase user id, only when the caller passes a verified `userId`
+ *          (createProxyHandler checks the Bearer token with /auth/v1/user
+ *          first). A token that does not verify counts against the IP alone,
+ *          so a forged `sub` can neither use up someone else's bucket nor
+ *          dodge its own by rotating.
+ *
+ * Responses carry the IETF RateLimit headers for the tightest bucket:
+ *   RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset (seconds), RateLimit-Policy
+ * and blocked requests get 429 + Retry-After with
+ *   { error, detail, retry_after, limit, window_sec }
+ *
+ * Store (RATE_LIMIT_STORE = "supabase" | "memory"; default supabase when
+ * SUPABASE_URL + SUPABASE_SERVICE_ROLE_KEY are set, else memory):
+ *   memory   — per-instance Map, for local runs and tests.
+ *   supabase — shared counter table, atomic increment via RPC:
+ *
+ *     CREATE TABLE IF NOT EXISTS api_rate_limits (
+ *       bucket       text        NOT NULL,
+ *       window_start timestamptz NOT NULL,
+ *       hits         integer     NOT NULL DEFAULT 0,
+ *       PRIMARY KEY (bucket, window_start)
+ *     );
+ *     CREATE OR REPLACE FUNCTION increment_rate_limit(p_bucket text, p_window_start timestamptz)
+ *     RETURNS integer LANGUAGE sql AS $$
+ *       INSERT INTO api_rate_limits (bucket, window_start, hits) VALUES (p_bucket, p_window_start, 1)
+ *       ON CONFLICT (bucket, window_start) DO UPDATE SET hits = api_rate_limits.hits + 1
+ *       RETURNING hits;
+ *     $$;
+ *     -- prune old windows (pg_cron)
+ *     SELECT cron.schedule('prune-rate-limits', '17 * * * *',
+ *       $$DELETE FROM api_rate_limits WHERE window_start < now() - interval '1 day'$$);
+ *
+ * Store errors fail open, same as the agency quota in api/agency/data.js.
+ * No Node-only imports: used by both Edge and Node functions.
+ */
+
+// ── Route policies: [max requests, window seconds] per bucket ───────────────
+export const RATE_LIMITS = {
+  "token":          { ip: [30, 60] },
+  "stream":         { ip: [60, 60] },
+  "demo":           { ip: [30, 60] },
+  "bets:place":     { ip: [60, 60],  user: [20, 60] },
+  "bets:read":      { ip: [240, 60], user: [120, 60] },
+  "analytics":      { ip: [120, 60] },
+  "analytics:bulk": { ip: [20, 60] },
+};
+
+// ── Stores ───────────────────────────────────────────────────────────────────
+
+const _memory = new Map();
+
+export const memoryStore = {
+  async hit(bucket, windowStart, windowSec) {
+    const now = Date.now();
+    if (_memory.size > 10000) {
+      for (const [k, v] of _memory) if (v.expires <= now) _memory.delete(k);
+    }
+    const key = `${bucket}@${windowStart}`;
+    const entry = _memory.get(key) || { hits: 0, expires: windowStart + windowSec * 1000 };
+    entry.hits += 1;
+    _memory.set(key, entry);
+    return entry.hits;
+  },
+};
+
+export function supabaseStore(supabaseUrl, serviceKey) {
+  return {
+    async hit(bucket, windowStart) {
+      const r = await fetch(`${supabaseUrl}/rest/v1/rpc/increment_rate_limit`, {
+        method: "POST",
+        headers: {
+          apikey:         serviceKey,
+          Authorization:  `Bearer ${serviceKey}`,
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({ p_bucket: bucket, p_window_start: new Date(windowStart).toISOString() }),
+        signal: AbortSignal.timeout(1500),
+      });
+      if (!r.ok) throw new Error(`increment_rate_limit failed (${r.status})`);
+      return Number(await r.json()) || 1;
+    },
+  };
+}
+
+function _defaultStore() {
+  const kind = String(process.env.RATE_LIMIT_STORE || "").toLowerCase();
+  const url  = process.env.SUPABASE_URL;
+  const key  = process.env.SUPABASE_SERVICE_ROLE_KEY;
+  if (kind === "memory" || !url || !key) return memoryStore;
+  return supabaseStore(url, key);
+}
+
+// ── Request identity ─────────────────────────────────────────────────────────
+
+function _header(req, name) {
+  const h = req.headers;
+  if (!h) return "";
+  return String((typeof h.get === "function" ? h.get(name) : h[name]) || "");
+}
+
+export function clientIp(req) {
+  const fwd = _header(req, "x-forwarded-for").split(",")[0].trim();
+  return fwd || _header(req, "x-real-ip").trim() || "unknown";
+}
+
+// ── Limiter ──────────────────────────────────────────────────────────────────
+
+/**
+ * Count this request against the route's buckets.
+ *   userId — verified user id for the user bucket (skipped when null)
+ *   kinds  — only these bucket kinds, e.g. ["ip"] before auth and ["user"] after
+ * Returns { ok, headers, retryAfter, limit, windowSec, remaining }; `headers`
+ * are the RateLimit-* (and Retry-After when blocked) headers to send back.
+ */
+export async function checkRateLimit(req, route, {
+  store = _defaultStore(), policy = RATE_LIMITS[route], userId = null, kinds = null,
+} = {}) {
+  if (!policy) return { ok: true, headers: {} };
+  const ids = { ip: clientIp(req), user: userId };
+  const now = Date.now();
+
+  const buckets = Object.entries(policy).filter(([kind]) => ids[kind] && (!kinds || kinds.includes(kind)));
+  let entries;
+  try {
+    entries = await Promise.all(buckets.map(async ([kind, [max, windowSec]]) => {
+      const windowStart = Math.floor(now / (windowSec * 1000)) * windowSec * 1000;
+      const hits = await store.hit(`${route}:${kind}:${ids[kind]}`, windowStart, windowSec);
+      return {
+        max, windowSec, hits,
+        remaining: Math.max(0, max - hits),
+        reset:     Math.max(1, Math.ceil((windowStart + windowSec * 1000 - now) / 1000)),
+      };
+    }));
+  } catch (err) {
+    console.warn("[rate-limit] store error, allowing request:", err?.message || err);
+    return { ok: true, headers: {} };
+  }
+  if (!entries.length) return { ok: true, headers: {} };
+
+  // Report the bucket that blocks longest, else the one closest to its limit
+  const blocked  = entries.filter(e => e.hits > e.max).sort((x, y) => y.reset - x.reset)[0];
+  const tightest = blocked || entries.reduce((x, y) => (y.remaining < x.remaining ? y : x));
+
+  const ok = tightest.hits <= tightest.max;
+  const headers = {
+    "RateLimit-Limit":     String(tightest.max),
+    "RateLimit-Remaining": String(tightest.remaining),
+    "RateLimit-Reset":     String(tightest.reset),
+    "RateLimit-Policy":    `${tightest.max};w=${tightest.windowSec}`,
+  };
+  if (!ok) headers["Retry-After"] = String(tightest.reset);
+  return {
+    ok, headers, retryAfter: tightest.reset, limit: tightest.max, windowSec: tightest.windowSec,
+    remaining: tightest.remaining,
+  };
+}
+
+export function rateLimitBody(result) {
+  const message = `Rate limit exceeded (${result.limit} requests per ${result.windowSec}s). Retry in ${result.retryAfter}s.`;
+  return { error: message, detail: message, retry_after: result.retryAfter, limit: result.limit, window_sec: result.windowSec };
+}
+
+/** Node (req, res): apply headers; on block send 429 and return false. */
+export async function enforceRateLimit(req, res, route, options) {
+  const result = await checkRateLimit(req, route, options);
+  for (const [k, v] of Object.entries(result.headers)) res.setHeader(k, v);
+  if (result.ok) return true;
+  res.status(429).json(rateLimitBody(result));
+  return false;
+}
+
+/** Edge: wrap a (req) => Response handler. `routeFor(req)` may return null to skip. */
+export function withRateLimit(routeFor, handler) {
+  return async function limited(req) {
+    const route = typeof routeFor === "function" ? routeFor(req) : routeFor;
+    if (!route) return handler(req);
+    const result = await checkRateLimit(req, route);
+    if (!result.ok) {
+      return new Response(JSON.stringify(rateLimitBody(result)), {
+        status: 429,
+        headers: { "Content-Type": "application/json", "Cache-Control": "no-store", ...result.headers },
+      });
+    }
+    const res = await handler(req);
+    const out = new Response(res.body, res);
+    for (const [k, v] of Object.entries(result.headers)) out.headers.set(k, v);
+    return out;
+  };
+}
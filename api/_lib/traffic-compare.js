@@ -0,0 +1,138 @@
+/**
+ * Period-over-period comparison and anomaly flags for /api/analytics/traffic.
+ *
+ * compare= shifts the requested window and aligns the shifted series bucket
+ * by bucket:
+ *   previous                — the same length immediately before
+ *   same_weekday_last_week  — 7 days earlier
+ *   same_period_last_year   — 52 weeks earlier, so weekdays line up
+ *
+ * Anomalies use the same idea as the admin round-threshold baseline
+ * (loadBaseline / getBaselineForHour in admin-init.js): mean and standard
+ * deviation per slot of the weekly cycle — hour-of-week for hourly buckets,
+ * day-of-week for daily, one slot for weekly — here over the BASELINE_WEEKS
+ * of traffic_daily before the window. A bucket more than `sigma` standard
+ * deviations from its slot's mean is flagged.
+ */
+import { bucketKey, hourlyFromDailyBuckets, trafficSeries } from "./traffic.js";
+
+export const COMPARE_MODES = ["previous", "same_weekday_last_week", "same_period_last_year"];
+export const BASELINE_WEEKS = 8;
+export const DEFAULT_SIGMA = 2;
+export const SIGMA_RANGE = [1, 5];
+
+const HOUR_MS = 3600000;
+const DAY_MS  = 24 * HOUR_MS;
+const WEEK_MS = 7 * DAY_MS;
+const MIN_BASELINE_SAMPLES = 3;
+
+const UNIT_MS = { hour: HOUR_MS, day: DAY_MS, week: WEEK_MS };
+
+/** Shift (ms) for `mode`, rounded to whole buckets so shifted periods land on bucket boundaries. */
+export function compareShift(mode, fromISO, toISO, granularity) {
+  const unit = UNIT_MS[granularity] || HOUR_MS;
+  if (mode === "same_weekday_last_week") return Math.max(WEEK_MS, unit);
+  if (mode === "same_period_last_year")  return 52 * WEEK_MS;
+  const span = Date.parse(toISO) - Date.parse(fromISO);
+  return Math.max(1, Math.round(span / unit)) * unit;
+}
+
+/**
+ * Pair each current row with the bucket `shiftMs` earlier.
+ * Returns { rows, deltas } — rows are the comparison series on the current
+ * periods (period = current bucket, compare_period = shifted bucket).
+ */
+export function alignComparison(rows, compareRows, shiftMs, granularity) {
+  const byKey = new Map(compareRows.map(r => [bucketKey(r.period || r.hour, granularity), r]));
+  const aligned = [];
+  const deltas = [];
+  for (const r of rows) {
+    const period = r.period || r.hour;
+    const comparePeriod = bucketKey(new Date(Date.parse(period) - shiftMs).toISOString(), granularity);
+    const c = byKey.get(comparePeriod);
+    const row = {
+      period, compare_period: comparePeriod,
+      total: Number(c?.total) || 0, car: Number(c?.car) || 0, truck: Number(c?.truck) || 0,
+      bus: Number(c?.bus) || 0, motorcycle: Number(c?.motorcycle) || 0,
+      in: Number(c?.in) || 0, out: Number(c?.out) || 0,
+    };
+    aligned.push(row);
+    const total = Number(r.total) || 0;
+    deltas.push({
+      period, compare_period: comparePeriod, total, compare_total: row.total,
+      delta: total - row.total,
+      delta_pct: row.total ? Math.round(((total - row.total) / row.total) * 1000) / 10 : null,
+    });
+  }
+  return { rows: aligned, deltas };
+}
+
+/** Slot of the weekly cycle: hour-of-week (0-167), day-of-week (0-6), or 0 for weekly buckets (UTC). */
+export function cycleSlot(period, granularity) {
+  const d = new Date(period);
+  if (granularity === "hour") return d.getUTCDay() * 24 + d.getUTCHours();
+  if (granularity === "day")  return d.getUTCDay();
+  return 0;
+}
+
+/** Map(slot → { mean, std, samples }) from historical rows. */
+export function buildBaseline(rows, granularity) {
+  const sums = new Map();
+  for (const r of rows) {
+    const slot = cycleSlot(r.period || r.hour, granularity);
+    const t = Number(r.total) || 0;
+    const s = sums.get(slot) || { n: 0, sum: 0, sq: 0 };
+    s.n += 1;
+    s.sum += t;
+    s.sq += t * t;
+    sums.set(slot, s);
+  }
+  const baseline = new Map();
+  for (const [slot, s] of sums) {
+    const mean = s.sum / s.n;
+    baseline.set(slot, { mean, std: Math.sqrt(Math.max(0, s.sq / s.n - mean * mean)), samples: s.n });
+  }
+  return baseline;
+}
+
+/** Historical series for the BASELINE_WEEKS before `beforeISO`, from traffic_daily. */
+export async function baselineRows(SUPABASE_URL, headers, camera_id, beforeISO, granularity) {
+  const beforeMs = Date.parse(beforeISO);
+  const fromISO = new Date(beforeMs - BASELINE_WEEKS * WEEK_MS).toISOString();
+  const toISO   = new Date(beforeMs - 1).toISOString();
+  const rows = granularity === "hour"
+    ? await hourlyFromDailyBuckets(SUPABASE_URL, headers, camera_id, fromISO, toISO)
+    : await trafficSeries(SUPABASE_URL, headers, camera_id, fromISO, toISO, granularity);
+  // Only whole buckets that ended before the window
+  const unit = UNIT_MS[granularity] || HOUR_MS;
+  return rows.filter(r => Date.parse(r.period || r.hour) + unit <= beforeMs);
+}
+
+/**
+ * Rows whose total is more than `sigma` standard deviations from their slot's
+ * baseline mean. Buckets cut off by the window edges (`fromISO` / `toISO`,
+ * e.g. the hour still in progress) are partial counts and never flagged.
+ */
+export function flagAnomalies(rows, baseline, granularity, sigma, fromISO, toISO) {
+  const unit = UNIT_MS[granularity] || HOUR_MS;
+  const fromMs = Date.parse(fromISO), toMs = Date.parse(toISO);
+  const out = [];
+  for (const r of rows) {
+    const period = r.period || r.hour;
+    const start = Date.parse(period);
+    if (start < fromMs || start + unit > toMs) continue;
+    const b = baseline.get(cycleSlot(period, granularity));
+    if (!b || b.samples < MIN_BASELINE_SAMPLES || !(b.std > 0)) continue;
+    const total = Number(r.total) || 0;
+    const z = (total - b.mean) / b.std;
+    if (Math.abs(z) <= sigma) continue;
+    out.push({
+      period, total,
+      baseline_mean: Math.round(b.mean * 10) / 10,
+      baseline_std:  Math.round(b.std * 10) / 10,
+      z_score:       Math.round(z * 100) / 100,
+      direction:     z > 0 ? "above" : "below",
+    });
+  }
+  return out;
+}
@@ -0,0 +1,180 @@
+/**
+ * Short-term volume forecast for /api/analytics/forecast.
+ *
+ * Seasonal part: mean crossings per class for each hour-of-week slot (UTC)
+ * over the FORECAST_HISTORY_WEEKS of traffic_daily.hour_buckets before the
+ * current hour. Slots with fewer than MIN_SLOT_SAMPLES hours fall back to the
+ * same hour of day across every day.
+ *
+ * Live part: the last RECENT_HOURS of hourlyData (plus the current hour once
+ * it is LIVE_MIN_ELAPSED_MIN old, pro-rated) against what the seasonal model
+ * expected for them. That ratio scales the seasonal forecast with a weight of
+ * exp(-lead / LIVE_DECAY_HOURS), so the next hour follows today's level and
+ * later hours drift back to the usual pattern. Class ratios are shrunk halfway
+ * toward the total ratio because bus / truck counts per hour are small.
+ *
+ * Without history the recent hourly average is carried forward (basis "live");
+ * without either the forecast is empty (basis "none").
+ */
+import { cycleSlot } from "./traffic-compare.js";
+import { hourlyData, hourlyFromDailyBuckets } from "./traffic.js";
+
+export const FORECAST_HOURS = [1, 24];
+export const FORECAST_CLASSES = ["car", "truck", "bus", "motorcycle"];
+export const FORECAST_HISTORY_WEEKS = 8;
+export const RECENT_HOURS = 3;
+export const LIVE_DECAY_HOURS = 3;
+/** Central interval width reported as low / high. */
+export const FORECAST_INTERVAL = 0.8;
+
+const HOUR_MS = 3600000;
+const WEEK_MS = 7 * 24 * HOUR_MS;
+const MIN_SLOT_SAMPLES = 2;
+const LIVE_MIN_ELAPSED_MIN = 10;
+const RATIO_RANGE = [0.25, 4];
+const Z_80 = 1.2816;
+const FIELDS = ["total", ...FORECAST_CLASSES];
+
+const _round1 = v => Math.round(v * 10) / 10;
+const _clampRatio = r => Math.min(RATIO_RANGE[1], Math.max(RATIO_RANGE[0], r));
+
+function _stats(samples) {
+  const n = samples.length;
+  const mean = {};
+  for (const f of FIELDS) mean[f] = samples.reduce((s, r) => s + (Number(r[f]) || 0), 0) / n;
+  const sq = samples.reduce((s, r) => s + (Number(r.total) || 0) ** 2, 0) / n;
+  return { samples: n, mean, std: Math.sqrt(Math.max(0, sq - mean.total * mean.total)) };
+}
+
+/**
+ * Seasonal profile from complete historical hour rows.
+ * Returns { hours, week: Map(hour-of-week → stats), day: Map(hour-of-day → stats) }
+ * where stats = { samples, mean: { total, car, ... }, std } (std of total).
+ */
+export function seasonalProfile(rows) {
+  const week = new Map(), day = new Map();
+  for (const r of rows) {
+    const period = r.period || r.hour;
+    const w = cycleSlot(period, "hour");
+    const d = new Date(period).getUTCHours();
+    if (!week.has(w)) week.set(w, []);
+    if (!day.has(d)) day.set(d, []);
+    week.get(w).push(r);
+    day.get(d).push(r);
+  }
+  const finish = m => new Map([...m].map(([k, v]) => [k, _stats(v)]));
+  return { hours: rows.length, week: finish(week), day: finish(day) };
+}
+
+/** Seasonal stats for the hour starting at `periodMs`, or null when the profile has nothing for it. */
+export function seasonalFor(profile, periodMs) {
+  const iso = new Date(periodMs).toISOString();
+  const w = profile.week.get(cycleSlot(iso, "hour"));
+  if (w && w.samples >= MIN_SLOT_SAMPLES) return w;
+  return profile.day.get(new Date(periodMs).getUTCHours()) || w || null;
+}
+
+/**
+ * Observed / expected ratios over the recent rows (total and per class), or
+ * null when the seasonal model expected nothing for them. The hour in
+ * progress counts for the fraction of it that has elapsed.
+ */
+export function liveRatios(profile, recentRows, nowMs) {
+  const hourStart = Math.floor(nowMs / HOUR_MS) * HOUR_MS;
+  const elapsed = (nowMs - hourStart) / HOUR_MS;
+  const observed = Object.fromEntries(FIELDS.map(f => [f, 0]));
+  const expected = Object.fromEntries(FIELDS.map(f => [f, 0]));
+  let hours = 0;
+  for (const r of recentRows) {
+    const start = Date.parse(r.period || r.hour);
+    const weight = start < hourStart ? 1 : start === hourStart && elapsed * 60 >= LIVE_MIN_ELAPSED_MIN ? elapsed : 0;
+    const s = weight && seasonalFor(profile, start);
+    if (!s) continue;
+    hours += weight;
+    for (const f of FIELDS) {
+      observed[f] += Number(r[f]) || 0;
+      expected[f] += s.mean[f] * weight;
+    }
+  }
+  if (!(expected.total > 0)) return null;
+  const total = _clampRatio(observed.total / expected.total);
+  const ratios = { total };
+  for (const c of FORECAST_CLASSES) {
+    ratios[c] = expected[c] > 0 ? _clampRatio((observed[c] / expected[c] + total) / 2) : total;
+  }
+  return { ratios, hours: _round1(hours) };
+}
+
+/** Recent hourly average per field, for the no-history fallback. */
+function _recentMean(recentRows, hourStart) {
+  const complete = recentRows.filter(r => Date.parse(r.period || r.hour) < hourStart);
+  return complete.length ? _stats(complete) : null;
+}
+
+function _row(periodMs, mean, std) {
+  const total = mean.total;
+  const sd = Math.max(Math.sqrt(total), std);
+  const row = { hour: new Date(periodMs).toISOString(), total: _round1(total) };
+  for (const c of FORECAST_CLASSES) row[c] = _round1(mean[c]);
+  row.std     = _round1(sd);
+  row.low     = _round1(Math.max(0, total - Z_80 * sd));
+  row.high    = _round1(total + Z_80 * sd);
+  row.per_min = Math.round((total / 60) * 100) / 100;
+  return row;
+}
+
+/**
+ * Forecast rows for every hour from the one containing `nowMs` through the
+ * one containing nowMs + hours. Pure — the handler loads the rows.
+ * Returns { forecast, model }.
+ */
+export function buildForecast(historyRows, recentRows, nowMs, hours) {
+  const hourStart = Math.floor(nowMs / HOUR_MS) * HOUR_MS;
+  const lastStart = Math.floor((nowMs + hours * HOUR_MS - 1) / HOUR_MS) * HOUR_MS;
+  const profile = seasonalProfile(historyRows);
+  const live = profile.hours ? liveRatios(profile, recentRows, nowMs) : null;
+  const recent = profile.hours ? null : _recentMean(recentRows, hourStart);
+
+  const forecast = [];
+  for (let t = hourStart; t <= lastStart; t += HOUR_MS) {
+    if (recent) {
+      forecast.push(_row(t, recent.mean, recent.std));
+      continue;
+    }
+    const s = seasonalFor(profile, t);
+    if (!s) continue;
+    const w = live ? Math.exp(-Math.max(0, t - nowMs) / HOUR_MS / LIVE_DECAY_HOURS) : 0;
+    const mean = {};
+    for (const f of FIELDS) mean[f] = s.mean[f] * (1 + ((live?.ratios[f] ?? 1) - 1) * w);
+    forecast.push(_row(t, mean, s.std * (mean.total / (s.mean.total || 1))));
+  }
+
+  return {
+    forecast,
+    model: {
+      basis:            !forecast.length ? "none" : recent ? "live" : live ? "seasonal+live" : "seasonal",
+      history_weeks:    FORECAST_HISTORY_WEEKS,
+      history_hours:    profile.hours,
+      recent_hours:     live?.hours ?? 0,
+      live_ratio:       live ? Math.round(live.ratios.total * 1000) / 1000 : null,
+      live_decay_hours: LIVE_DECAY_HOURS,
+      interval:         FORECAST_INTERVAL,
+    },
+  };
+}
+
+/** Load history and recent rows for `camera_id` and forecast the next `hours`. */
+export async function trafficForecast(SUPABASE_URL, headers, camera_id, nowMs, hours) {
+  const hourStart = Math.floor(nowMs / HOUR_MS) * HOUR_MS;
+  const historyFrom = new Date(hourStart - FORECAST_HISTORY_WEEKS * WEEK_MS).toISOString();
+  const [history, recent] = await Promise.all([
+    hourlyFromDailyBuckets(SUPABASE_URL, headers, camera_id, historyFrom, new Date(hourStart - 1).toISOString()),
+    hourlyData(SUPABASE_URL, headers, camera_id,
+      new Date(hourStart - RECENT_HOURS * HOUR_MS).toISOString(), new Date(nowMs).toISOString()),
+  ]);
+  // Only whole hours that ended before the current one; the recent window is
+  // trimmed to its own range because hourlyData returns whole buckets.
+  const complete = history.filter(r => Date.parse(r.period) + HOUR_MS <= hourStart);
+  const recentRows = recent.filter(r => Date.parse(r.period || r.hour) >= hourStart - RECENT_HOURS * HOUR_MS);
+  return buildForecast(complete, recentRows, nowMs, hours);
+}
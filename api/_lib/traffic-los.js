@@ -0,0 +1,229 @@
+/**
+ * Level of service per approach for /api/analytics/data?type=los.
+ *
+ * An approach is an entry zone in camera_zones of one camera (zone names are
+ * only unique per camera, so a report always covers a single camera). For
+ * every approach and hour:
+ *   volume  — vehicle_crossings at the entry zone (zone_source entry), by class;
+ *             flow_vph scales partial edge hours up to an hourly rate
+ *   v/c     — flow_vph / (metadata.lanes × metadata.lane_capacity_vph), set
+ *             per entry zone in Admin → Analytics Zones; null when unset
+ *   delay   — mean turning_movements.dwell_ms for the approach minus its
+ *             free-flow dwell (FREE_FLOW_PERCENTILE of all its dwells in the
+ *             window), i.e. time lost against an uncongested pass
+ *   grade   — HCM control-delay bands for the `control` type, forced to F when
+ *             v/c > 1; hours without dwell samples fall back to v/c bands
+ *             (grade_basis says which)
+ * Queue depth from traffic_snapshots is camera-wide, so it is reported on the
+ * intersection rows next to the volume-weighted delay of all approaches.
+ */
+
+export const LOS_GRADES = ["A", "B", "C", "D", "E", "F"];
+/** Upper control-delay bound (s/veh) of grades A–E; above the last is F. */
+export const LOS_DELAY_BANDS = {
+  signalized:   [10, 20, 35, 55, 80],
+  unsignalized: [10, 15, 25, 35, 50],
+};
+export const LOS_CONTROLS = Object.keys(LOS_DELAY_BANDS);
+/** Upper v/c bound of grades A–E when there is no delay to grade on. */
+export const LOS_VC_BANDS = [0.6, 0.7, 0.8, 0.9, 1.0];
+export const LOS_MAX_RANGE_DAYS = 7;
+export const LOS_MAX_ROWS = 50000;
+export const FREE_FLOW_PERCENTILE = 0.15;
+
+const HOUR_MS = 3600000;
+const PAGE_SIZE = 1000;
+const MIN_DWELL_SAMPLES = 5;
+const CLASSES = ["car", "truck", "bus", "motorcycle"];
+
+const _round = (v, digits = 1) => (v == null ? null : Math.round(v * 10 ** digits) / 10 ** digits);
+const _hourKey = iso => new Date(iso).toISOString().slice(0, 13) + ":00:00Z";
+
+function _band(value, bounds) {
+  const i = bounds.findIndex(b => value <= b);
+  return LOS_GRADES[i === -1 ? LOS_GRADES.length - 1 : i];
+}
+
+/** { grade, basis } from control delay (s) and v/c; nulls when neither is known. */
+export function losGrade(delaySec, vc, control = "signalized") {
+  if (vc != null && vc > 1) return { grade: "F", basis: delaySec != null ? "delay" : "vc" };
+  if (delaySec != null) return { grade: _band(delaySec, LOS_DELAY_BANDS[control] || LOS_DELAY_BANDS.signalized), basis: "delay" };
+  if (vc != null) return { grade: _band(vc, LOS_VC_BANDS), basis: "vc" };
+  return { grade: null, basis: null };
+}
+
+function _worst(grades) {
+  const idx = grades.filter(Boolean).map(g => LOS_GRADES.indexOf(g));
+  return idx.length ? LOS_GRADES[Math.max(...idx)] : null;
+}
+
+function _percentile(sorted, p) {
+  if (!sorted.length) return null;
+  return sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * p))];
+}
+
+/** Capacity (veh/h) of an entry zone from its metadata, or null when not configured. */
+export function approachCapacity(zone) {
+  const lanes = Number(zone?.metadata?.lanes) || 1;
+  const perLane = Number(zone?.metadata?.lane_capacity_vph);
+  return perLane > 0 ? { lanes, lane_capacity_vph: perLane, capacity_vph: lanes * perLane } : { lanes, lane_capacity_vph: null, capacity_vph: null };
+}
+
+/**
+ * Pure LOS computation over loaded rows.
+ *   zones      — camera_zones rows (entry zones are the approaches)
+ *   crossings  — { captured_at, zone_name, vehicle_class, speed_kmh }
+ *   movements  — { captured_at, entry_zone, dwell_ms }
+ *   snapshots  — { captured_at, queue_depth }
+ */
+export function computeLos({ zones, crossings, movements, snapshots, fromISO, toISO, control = "signalized" }) {
+  const fromMs = Date.parse(fromISO), toMs = Date.parse(toISO);
+  const hours = [];
+  for (let t = Math.floor(fromMs / HOUR_MS) * HOUR_MS; t < toMs; t += HOUR_MS) {
+    hours.push({ key: new Date(t).toISOString().slice(0, 13) + ":00:00Z", covered: Math.min(toMs, t + HOUR_MS) - Math.max(fromMs, t) });
+  }
+
+  // Approaches: configured entry zones, then any other entry zone name seen in the crossings
+  const approaches = new Map();
+  for (const z of zones || []) {
+    if (z.zone_type === "entry" && z.name && !approaches.has(z.name)) approaches.set(z.name, approachCapacity(z));
+  }
+  for (const c of crossings) {
+    if (c.zone_name && !approaches.has(c.zone_name)) approaches.set(c.zone_name, approachCapacity(null));
+  }
+
+  const cell = () => ({ volume: 0, car: 0, truck: 0, bus: 0, motorcycle: 0, speeds: [], dwells: [] });
+  const grid = new Map([...approaches.keys()].map(name => [name, new Map(hours.map(h => [h.key, cell()]))]));
+
+  for (const c of crossings) {
+    const row = grid.get(c.zone_name)?.get(_hourKey(c.captured_at));
+    if (!row) continue;
+    row.volume++;
+    const cls = String(c.vehicle_class || "car").toLowerCase();
+    row[CLASSES.includes(cls) ? cls : "car"]++;
+    const speed = Number(c.speed_kmh);
+    if (speed > 0 && speed < 300) row.speeds.push(speed);
+  }
+  const allDwells = new Map([...approaches.keys()].map(name => [name, []]));
+  for (const m of movements) {
+    const row = grid.get(m.entry_zone)?.get(_hourKey(m.captured_at));
+    const dwell = Number(m.dwell_ms);
+    if (!row || !(dwell > 0)) continue;
+    row.dwells.push(dwell);
+    allDwells.get(m.entry_zone).push(dwell);
+  }
+
+  const queue = new Map(hours.map(h => [h.key, []]));
+  for (const s of snapshots) queue.get(_hourKey(s.captured_at))?.push(Number(s.queue_depth) || 0);
+
+  const result = [];
+  for (const [name, cap] of approaches) {
+    const sorted = allDwells.get(name).sort((a, b) => a - b);
+    const freeFlowMs = sorted.length >= MIN_DWELL_SAMPLES ? _percentile(sorted, FREE_FLOW_PERCENTILE) : null;
+    const rows = hours.map(({ key, covered }) => {
+      const c = grid.get(name).get(key);
+      const flow = covered > 0 ? c.volume * (HOUR_MS / covered) : 0;
+      const avgDwell = c.dwells.length ? c.dwells.reduce((a, b) => a + b, 0) / c.dwells.length : null;
+      const delay = avgDwell != null && freeFlowMs != null ? Math.max(0, avgDwell - freeFlowMs) / 1000 : null;
+      const vc = cap.capacity_vph ? flow / cap.capacity_vph : null;
+      const { grade, basis } = losGrade(delay, vc, control);
+      return {
+        hour: key,
+        volume: c.volume, car: c.car, truck: c.truck, bus: c.bus, motorcycle: c.motorcycle,
+        flow_vph:      Math.round(flow),
+        vc:            _round(vc, 2),
+        avg_speed_kmh: c.speeds.length ? _round(c.speeds.reduce((a, b) => a + b, 0) / c.speeds.length) : null,
+        avg_dwell_s:   _round(avgDwell != null ? avgDwell / 1000 : null),
+        delay_s:       _round(delay),
+        dwell_samples: c.dwells.length,
+        grade, grade_basis: basis,
+      };
+    });
+
+    const delayed = rows.filter(r => r.delay_s != null);
+    const samples = delayed.reduce((s, r) => s + r.dwell_samples, 0);
+    const peak = rows.reduce((a, r) => (r.flow_vph > (a?.flow_vph ?? -1) ? r : a), null);
+    result.push({
+      zone: name,
+      ...cap,
+      free_flow_s: _round(freeFlowMs != null ? freeFlowMs / 1000 : null),
+      hours: rows,
+      summary: {
+        volume:        rows.reduce((s, r) => s + r.volume, 0),
+        peak_hour:     peak?.volume ? peak.hour : null,
+        peak_flow_vph: peak?.flow_vph ?? 0,
+        peak_vc:       rows.some(r => r.vc != null) ? Math.max(...rows.map(r => r.vc ?? 0)) : null,
+        avg_delay_s:   samples ? _round(delayed.reduce((s, r) => s + r.delay_s * r.dwell_samples, 0) / samples) : null,
+        grade:         _worst(rows.map(r => r.grade)),
+      },
+    });
+  }
+
+  // Intersection: volume-weighted delay across approaches, worst v/c, camera-wide queue
+  const intersection = hours.map(({ key }, i) => {
+    const per = result.map(a => a.hours[i]);
+    const weighted = per.filter(r => r.delay_s != null && r.volume > 0);
+    const vol = weighted.reduce((s, r) => s + r.volume, 0);
+    const delay = vol ? weighted.reduce((s, r) => s + r.delay_s * r.volume, 0) / vol : null;
+    const vcs = per.map(r => r.vc).filter(v => v != null);
+    const vcMax = vcs.length ? Math.max(...vcs) : null;
+    const q = queue.get(key);
+    const { grade, basis } = losGrade(delay, vcMax, control);
+    return {
+      hour: key,
+      volume:     per.reduce((s, r) => s + r.volume, 0),
+      delay_s:    _round(delay),
+      vc_max:     vcMax,
+      queue_avg:  q.length ? _round(q.reduce((a, b) => a + b, 0) / q.length, 2) : null,
+      queue_peak: q.length ? Math.max(...q) : null,
+      grade, grade_basis: basis,
+    };
+  });
+
+  return {
+    approaches: result,
+    intersection: { hours: intersection, grade: _worst(intersection.map(h => h.grade)) },
+  };
+}
+
+/** All rows of a PostgREST query, keyset-paged on id; stops at LOS_MAX_ROWS. */
+async function _readAll(url, headers) {
+  const rows = [];
+  let last = null;
+  for (;;) {
+    const r = await fetch(`${url}&order=id.asc&limit=${PAGE_SIZE}${last != null ? `&id=gt.${last}` : ""}`, { headers });
+    if (!r.ok) throw new Error(`${url.split("?")[0].split("/").pop()} query failed (${r.status})`);
+    const page = await r.json();
+    rows.push(...page);
+    if (page.length < PAGE_SIZE) return { rows, truncated: false };
+    if (rows.length >= LOS_MAX_ROWS) return { rows, truncated: true };
+    last = page[page.length - 1].id;
+  }
+}
+
+/** Load one camera's zones, crossings, dwell and queue rows for the window and compute LOS. */
+export async function losReport(SUPABASE_URL, headers, camera_id, fromISO, toISO, control) {
+  const cam = `&camera_id=eq.${encodeURIComponent(camera_id)}`;
+  const range = `&captured_at=gte.${encodeURIComponent(fromISO)}&captured_at=lt.${encodeURIComponent(toISO)}`;
+
+  const [zonesRes, crossings, movements, snapshots] = await Promise.all([
+    fetch(`${SUPABASE_URL}/rest/v1/camera_zones?select=name,zone_type,metadata&active=eq.true&zone_type=eq.entry${cam}`, { headers }),
+    _readAll(`${SUPABASE_URL}/rest/v1/vehicle_crossings?select=id,captured_at,zone_name,vehicle_class,speed_kmh&zone_source=eq.entry${range}${cam}`, headers),
+    _readAll(`${SUPABASE_URL}/rest/v1/turning_movements?select=id,captured_at,entry_zone,dwell_ms&dwell_ms=not.is.null${range}${cam}`, headers),
+    // Queue depth is optional context: a failed read leaves the queue columns empty
+    _readAll(`${SUPABASE_URL}/rest/v1/traffic_snapshots?select=id,captured_at,queue_depth${range}${cam}`, headers)
+      .catch(() => ({ rows: [], truncated: false })),
+  ]);
+  if (!zonesRes.ok) throw new Error(`camera_zones query failed (${zonesRes.status})`);
+
+  return {
+    ...computeLos({
+      zones:     await zonesRes.json(),
+      crossings: crossings.rows,
+      movements: movements.rows,
+      snapshots: snapshots.rows,
+      fromISO, toISO, control,
+    }),
+    truncated: crossings.truncated || movements.truncated || snapshots.truncated,
+  };
+}
@@ -0,0 +1,296 @@
+/**
+ * Shared traffic time-series helpers.
+ * Hour buckets come from the analytics_traffic_hourly RPC (live retention),
+ * traffic_daily.hour_buckets (history) or raw vehicle_crossings (fallback);
+ * day/week buckets come from traffic_daily. Used by /api/analytics/traffic
+ * (single camera and camera_ids comparison) and the agency API aggregate mode.
+ */
+import { readPage } from "./cursor.js";
+
+/** Most cameras one camera_ids comparison may request. */
+export const MAX_COMPARE_CAMERAS = 8;
+
+const COUNT_FIELDS = ["total", "car", "truck", "bus", "motorcycle", "in", "out"];
+
+/**
+ * Time series for [fromISO, toISO] at granularity "hour" | "day" | "week".
+ * Rows: { period, total, car, truck, bus, motorcycle, in, out, ... }.
+ */
+export async function trafficSeries(SUPABASE_URL, headers, camera_id, fromISO, toISO, granularity) {
+  let rows = [];
+  if (granularity === "day" || granularity === "week") {
+    const fromDate = fromISO.slice(0, 10);
+    const toDate   = toISO.slice(0, 10);
+    let url = `${SUPABASE_URL}/rest/v1/traffic_daily`
+      + `?date=gte.${fromDate}&date=lte.${toDate}`
+      + `&order=date.asc`;
+    if (camera_id) url += `&camera_id=eq.${encodeURIComponent(camera_id)}`;
+
+    const [r, outMap] = await Promise.all([
+      fetch(url, { headers }),
+      outboundCounts(SUPABASE_URL, headers, camera_id, fromISO, toISO, granularity),
+    ]);
+    const dailyRows = r.ok ? (await r.json()) : [];
+
+    if (granularity === "week") {
+      const weeks = {};
+      for (const d of dailyRows) {
+        const monday = getMondayISO(d.date);
+        if (!weeks[monday]) weeks[monday] = { period: monday, total: 0, car: 0, truck: 0, bus: 0, motorcycle: 0, in: 0, out: 0, avg_queue: 0, avg_speed: 0, _q_sum: 0, _q_n: 0, _s_sum: 0, _s_n: 0 };
+        const w = weeks[monday];
+        w.total      += d.total_crossings  || 0;
+        w.car        += d.car_count        || 0;
+        w.truck      += d.truck_count      || 0;
+        w.bus        += d.bus_count        || 0;
+        w.motorcycle += d.motorcycle_count || 0;
+        w.in         += d.count_in         || 0;
+        w.out        += d.count_out        || 0;
+        if (d.avg_queue_depth != null) { w._q_sum += parseFloat(d.avg_queue_depth); w._q_n += 1; }
+        if (d.avg_speed_kmh   != null) { w._s_sum += parseFloat(d.avg_speed_kmh);   w._s_n += 1; }
+      }
+      rows = Object.values(weeks).map(w => ({
+        period: w.period, total: w.total, car: w.car, truck: w.truck, bus: w.bus, motorcycle: w.motorcycle,
+        in: w.in, out: outMap[w.period] ?? w.out,
+        avg_queue: w._q_n > 0 ? +(w._q_sum / w._q_n).toFixed(2) : null,
+        avg_speed: w._s_n > 0 ? +(w._s_sum / w._s_n).toFixed(1) : null,
+      })).sort((a, b) => a.period.localeCompare(b.period));
+    } else {
+      rows = dailyRows.map(d => ({
+        period: d.date, total: d.total_crossings, car: d.car_count, truck: d.truck_count,
+        bus: d.bus_count, motorcycle: d.motorcycle_count, in: d.count_in, out: outMap[d.date] ?? d.count_out ?? 0,
+        avg_queue: d.avg_queue_depth, avg_speed: d.avg_speed_kmh,
+        peak_queue: d.peak_queue_depth, peak_hour: d.peak_hour,
+      }));
+    }
+
+    if (rows.length === 0)
+      rows = await _hourlyFallback(SUPABASE_URL, headers, camera_id, fromISO, toISO, "day");
+  } else {
+    rows = await hourlyData(SUPABASE_URL, headers, camera_id, fromISO, toISO);
+  }
+  return rows;
+}
+
+function _alignedRow(period, r) {
+  const row = { period };
+  for (const f of COUNT_FIELDS) row[f] = Number(r?.[f]) || 0;
+  row.avg_queue = r?.avg_queue != null ? parseFloat(r.avg_queue) : null;
+  row.avg_speed = r?.avg_speed != null ? parseFloat(r.avg_speed) : null;
+  return row;
+}
+
+function _mean(values, digits) {
+  const v = values.filter(x => x != null);
+  return v.length ? +(v.reduce((a, b) => a + b, 0) / v.length).toFixed(digits) : null;
+}
+
+/**
+ * trafficSeries for several cameras on one shared period axis.
+ * Returns { periods, series: { [camera_id]: rows }, corridor: rows }: every
+ * rows array has one zero-filled row per period, and `corridor` sums the
+ * counts across cameras (avg_queue / avg_speed are the mean of the cameras
+ * that reported one).
+ */
+export async function multiCameraSeries(SUPABASE_URL, headers, cameraIds, fromISO, toISO, granularity) {
+  const all = await Promise.all(cameraIds.map(id => trafficSeries(SUPABASE_URL, headers, id, fromISO, toISO, granularity)));
+  const keyed = all.map(rows => new Map(rows.map(r => [bucketKey(r.period || r.hour, granularity), r])));
+  const periods = [...new Set(keyed.flatMap(m => [...m.keys()]))].sort();
+
+  const series = {};
+  cameraIds.forEach((id, i) => { series[id] = periods.map(p => _alignedRow(p, keyed[i].get(p))); });
+
+  const corridor = periods.map((period, j) => {
+    const rows = cameraIds.map(id => series[id][j]);
+    const row = { period };
+    for (const f of COUNT_FIELDS) row[f] = rows.reduce((sum, r) => sum + r[f], 0);
+    row.avg_queue = _mean(rows.map(r => r.avg_queue), 2);
+    row.avg_speed = _mean(rows.map(r => r.avg_speed), 1);
+    return row;
+  });
+  return { periods, series, corridor };
+}
+
+export async function hourlyData(SUPABASE_URL, headers, camera_id, fromISO, toISO) {
+  const [rpcRes, outMap] = await Promise.all([
+    fetch(`${SUPABASE_URL}/rest/v1/rpc/analytics_traffic_hourly`, {
+      method: "POST", headers,
+      body: JSON.stringify({ p_camera_id: camera_id || null, p_since: fromISO }),
+    }),
+    outboundCounts(SUPABASE_URL, headers, camera_id, fromISO, toISO, "hour"),
+  ]);
+  if (rpcRes.ok) {
+    // The RPC only takes p_since — drop hours after the window (historical / compare ranges)
+    const untilMs = Date.parse(toISO);
+    const rows = ((await rpcRes.json()) || []).filter(r => !(Date.parse(r.hour) > untilMs));
+    if (rows.length > 0) {
+      const live = rows.map(r => {
+        const key = new Date(r.hour).toISOString().slice(0, 13) + ":00:00Z";
+        return { ...r, period: r.hour, out: outMap[key] ?? 0 };
+      });
+      // Window reaches back past live retention — take the older hours from hour_buckets
+      const firstMs = Math.min(...live.map(r => Date.parse(r.hour)));
+      if (firstMs - Date.parse(fromISO) <= 3600 * 1000) return live;
+      const older = (await hourlyFromDailyBuckets(SUPABASE_URL, headers, camera_id, fromISO, new Date(firstMs - 1).toISOString()))
+        .filter(r => Date.parse(r.period) < firstMs && Date.parse(r.period) > Date.parse(fromISO) - 3600 * 1000);
+      return [...older, ...live];
+    }
+  }
+  // RPC only covers live vehicle_crossings (24h retention).
+  // Try unpacking hour_buckets from traffic_daily for historical requests.
+  const hist = await hourlyFromDailyBuckets(SUPABASE_URL, headers, camera_id, fromISO, toISO);
+  if (hist.length > 0) return hist;
+  return _hourlyFallback(SUPABASE_URL, headers, camera_id, fromISO, toISO, "hour", outMap);
+}
+
+/**
+ * Build hourly rows from traffic_daily.hour_buckets for date ranges beyond live retention.
+ * Each bucket key is a string hour "0"-"23"; we reconstruct full ISO timestamps per date.
+ */
+export async function hourlyFromDailyBuckets(SUPABASE_URL, headers, camera_id, fromISO, toISO) {
+  try {
+    const fromDate = fromISO.slice(0, 10);
+    const toDate   = toISO.slice(0, 10);
+    let url = `${SUPABASE_URL}/rest/v1/traffic_daily`
+      + `?select=date,hour_buckets`
+      + `&date=gte.${fromDate}&date=lte.${toDate}`
+      + `&hour_buckets=not.is.null`
+      + `&order=date.asc`;
+    if (camera_id) url += `&camera_id=eq.${encodeURIComponent(camera_id)}`;
+    const r = await fetch(url, { headers });
+    if (!r.ok) return [];
+    const dailyRows = await r.json();
+    if (!dailyRows || dailyRows.length === 0) return [];
+
+    const result = [];
+    for (const d of dailyRows) {
+      if (!d.hour_buckets || typeof d.hour_buckets !== "object") continue;
+      for (const [hStr, hv] of Object.entries(d.hour_buckets)) {
+        const h = parseInt(hStr, 10);
+        if (isNaN(h) || h < 0 || h > 23) continue;
+        const period = `${d.date}T${String(h).padStart(2, "0")}:00:00Z`;
+        result.push({
+          period,
+          total:      hv.total      || 0,
+          in:         hv.in         || 0,
+          out:        hv.out        || 0,
+          car:        hv.car        || 0,
+          truck:      hv.truck      || 0,
+          bus:        hv.bus        || 0,
+          motorcycle: hv.motorcycle || 0,
+        });
+      }
+    }
+    return result.sort((a, b) => a.period.localeCompare(b.period));
+  } catch { return []; }
+}
+
+async function _hourlyFallback(SUPABASE_URL, headers, camera_id, fromISO, toISO, targetGranularity, outMap) {
+  if (!outMap) outMap = await outboundCounts(SUPABASE_URL, headers, camera_id, fromISO, toISO, targetGranularity);
+  let url = `${SUPABASE_URL}/rest/v1/vehicle_crossings`
+    + `?select=captured_at,vehicle_class,direction,zone_source,track_id`
+    + `&captured_at=gte.${encodeURIComponent(fromISO)}`
+    + `&captured_at=lte.${encodeURIComponent(toISO)}`
+    + `&zone_source=eq.entry`;  // entry only — game zone double-counts the same vehicles
+  if (camera_id) url += `&camera_id=eq.${encodeURIComponent(camera_id)}`;
+  const r = await fetch(url, { headers });
+  if (!r.ok) return [];
+  const rows = await r.json();
+  // Deduplicate: count each track_id only once per bucket (first occurrence)
+  const seen = new Set();
+  const buckets = {};
+  for (const row of rows) {
+    const dt  = new Date(row.captured_at);
+    const key = targetGranularity === "hour"
+      ? dt.toISOString().slice(0, 13) + ":00:00Z"
+      : dt.toISOString().slice(0, 10);
+    const dedupeKey = row.track_id != null ? `${key}:${row.track_id}` : null;
+    if (dedupeKey && seen.has(dedupeKey)) continue;
+    if (dedupeKey) seen.add(dedupeKey);
+    if (!buckets[key]) buckets[key] = { period: key, total: 0, car: 0, truck: 0, bus: 0, motorcycle: 0, in: 0, out: 0 };
+    buckets[key].total += 1;
+    const cls = (row.vehicle_class || "car").toLowerCase();
+    if (cls in buckets[key]) buckets[key][cls] += 1;
+    if (row.direction === "in")  buckets[key].in  += 1;
+    if (row.direction === "out") buckets[key].out += 1;
+  }
+  // Merge outbound counts from turning_movements
+  for (const [key, val] of Object.entries(outMap)) {
+    if (buckets[key]) buckets[key].out = val;
+  }
+  return Object.values(buckets).sort((a, b) => a.period.localeCompare(b.period));
+}
+
+// Returns a map of { period_key → outbound_count } by bucketing turning_movements via RPC
+export async function outboundCounts(SUPABASE_URL, headers, camera_id, fromISO, toISO, targetGranularity) {
+  try {
+    const res = await fetch(`${SUPABASE_URL}/rest/v1/rpc/analytics_turnings_hourly`, {
+      method: "POST", headers,
+      body: JSON.stringify({ p_camera_id: camera_id || null, p_since: fromISO, p_until: toISO }),
+    });
+    if (!res.ok) return {};
+    const rows = await res.json();
+    const map = {};
+    for (const r of rows) {
+      const h = r.hour; // ISO string "2026-03-08T14:00:00+00:00"
+      const key = targetGranularity === "hour"
+        ? new Date(h).toISOString().slice(0, 13) + ":00:00Z"
+        : targetGranularity === "day"
+          ? new Date(h).toISOString().slice(0, 10)
+          : getMondayISO(new Date(h).toISOString().slice(0, 10));
+      map[key] = (map[key] || 0) + Number(r.total || 0);
+    }
+    return map;
+  } catch { return {}; }
+}
+
+export function getMondayISO(dateStr) {
+  const d = new Date(dateStr + "T00:00:00Z");
+  const day = d.getUTCDay();
+  d.setUTCDate(d.getUTCDate() + (day === 0 ? -6 : 1 - day));
+  return d.toISOString().slice(0, 10);
+}
+
+/** Bucket key for an ISO timestamp: "YYYY-MM-DDTHH:00:00Z" | "YYYY-MM-DD" | Monday "YYYY-MM-DD". */
+export function bucketKey(iso, granularity) {
+  const d = new Date(iso).toISOString();
+  if (granularity === "hour") return d.slice(0, 13) + ":00:00Z";
+  if (granularity === "week") return getMondayISO(d.slice(0, 10));
+  return d.slice(0, 10);
+}
+
+/**
+ * Class × direction cross-tab per bucket, from raw vehicle_crossings (entry zone,
+ * one count per track_id per bucket). traffic_daily only stores class and
+ * direction totals separately, so this is limited to the live retention window.
+ * The window is read in keyset chunks (readPage) and folded in as they arrive.
+ * Rows: { period, vehicle_class, direction, count }.
+ */
+export async function classDirectionSeries(SUPABASE_URL, headers, camera_id, fromISO, toISO, granularity) {
+  let url = `${SUPABASE_URL}/rest/v1/vehicle_crossings`
+    + `?select=id,captured_at,vehicle_class,direction,track_id`
+    + `&captured_at=gte.${encodeURIComponent(fromISO)}`
+    + `&captured_at=lte.${encodeURIComponent(toISO)}`
+    + `&zone_source=eq.entry&vehicle_class=in.(car,truck,bus,motorcycle)`;
+  if (camera_id) url += `&camera_id=eq.${encodeURIComponent(camera_id)}`;
+
+  // Rows arrive in captured_at order, so track ids only need remembering for the current bucket
+  let seen = new Set();
+  let current = null;
+  const cells = {};
+  await readPage(url, headers, null, Infinity, (rows) => {
+    for (const row of rows) {
+      const period = bucketKey(row.captured_at, granularity);
+      if (period !== current) { current = period; seen = new Set(); }
+      if (row.track_id != null) {
+        if (seen.has(row.track_id)) continue;
+        seen.add(row.track_id);
+      }
+      const direction = row.direction || "unknown";
+      const key = `${period}|${row.vehicle_class}|${direction}`;
+      if (!cells[key]) cells[key] = { period, vehicle_class: row.vehicle_class, direction, count: 0 };
+      cells[key].count += 1;
+    }
+  });
+  return Object.values(cells).sort((a, b) =>
+    a.period.localeCompare(b.period) || a.vehicle_class.localeCompare(b.vehicle_class) || a.direction.localeCompare(b.direction));
+}
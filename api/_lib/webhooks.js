@@ -0,0 +1,356 @@
+/**
+ * Agency webhook subscriptions — signing, threshold validation and delivery.
+ *
+ * Events:
+ *   daily_summary — sent after /api/cron/daily-backfill completes, one per webhook,
+ *                   carrying yesterday's traffic_daily rows for the key's cameras.
+ *   threshold     — sent by /api/cron/webhooks when a configured threshold is
+ *                   crossed in the last complete hour.
+ *
+ * Each POST carries:
+ *   X-Whitelinez-Event:     daily_summary | threshold
+ *   X-Whitelinez-Delivery:  delivery id (stable across retries)
+ *   X-Whitelinez-Signature: t=<unix ts>,v1=<hex HMAC-SHA256(secret, "<ts>.<raw body>")>
+ * Receivers should recompute the HMAC over the raw body and reject stale timestamps.
+ *
+ * Payloads follow the owning key's scopes (api/_lib/agency-scopes.js) the way
+ * /api/agency/data aggregates do: only its cameras and vehicle classes, totals
+ * summed over those classes, per-class counts only with the vehicle_class field
+ * and in/out only with the direction field and every class. Threshold metrics
+ * need the classes they read (scopedMetrics).
+ *
+ * Failed deliveries are retried by the hourly cron with exponential backoff
+ * (1h, 2h, 4h, 8h, 16h) and marked failed after MAX_ATTEMPTS.
+ *
+ * Targets must be public: https, no credentials, and a host that is not
+ * loopback, private, link-local (incl. the 169.254.169.254 metadata service),
+ * CGNAT, multicast or an internal name (localhost, *.internal, *.local,
+ * single-label). The host is resolved again before every delivery, so a name
+ * re-pointed at an internal address after registration is refused too; such
+ * deliveries fail at once instead of being retried.
+ *
+ * Tables (run once in Supabase SQL editor):
+ *   CREATE TABLE IF NOT EXISTS agency_webhooks (
+ *     id          uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+ *     key_id      uuid NOT NULL REFERENCES agency_api_keys(id) ON DELETE CASCADE,
+ *     agency      text NOT NULL,
+ *     url         text NOT NULL,
+ *     secret      text NOT NULL,
+ *     events      text[] NOT NULL DEFAULT '{daily_summary}',
+ *     thresholds  jsonb NOT NULL DEFAULT '[]',
+ *     active      boolean NOT NULL DEFAULT true,
+ *     created_at  timestamptz NOT NULL DEFAULT now()
+ *   );
+ *   CREATE TABLE IF NOT EXISTS agency_webhook_deliveries (
+ *     id              uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+ *     webhook_id      uuid NOT NULL REFERENCES agency_webhooks(id) ON DELETE CASCADE,
+ *     event           text NOT NULL,
+ *     payload         jsonb NOT NULL,
+ *     status          text NOT NULL DEFAULT 'pending',  -- pending | delivered | failed
+ *     attempts        int  NOT NULL DEFAULT 0,
+ *     response_status int,
+ *     last_error      text,
+ *     next_attempt_at timestamptz DEFAULT now(),
+ *     delivered_at    timestamptz,
+ *     created_at      timestamptz NOT NULL DEFAULT now()
+ *   );
+ *   CREATE INDEX IF NOT EXISTS agency_webhook_deliveries_due
+ *     ON agency_webhook_deliveries (status, next_attempt_at);
+ */
+import { createHmac, randomBytes } from "crypto";
+import dns from "dns";
+import { isIP } from "net";
+import { AGENCY_CLASSES, resolveScope } from "./agency-scopes.js";
+
+export const WEBHOOK_EVENTS    = ["daily_summary", "threshold"];
+export const THRESHOLD_METRICS = ["total", "truck_share_pct", "bus_share_pct", "heavy_share_pct"];
+export const MAX_WEBHOOKS_PER_KEY = 5;
+export const MAX_ATTEMPTS = 6;
+
+const MAX_THRESHOLDS   = 10;
+const DELIVERY_TIMEOUT = 5000;
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Vehicle classes each threshold metric is computed from
+const METRIC_CLASSES = {
+  total:           [],
+  truck_share_pct: ["truck"],
+  bus_share_pct:   ["bus"],
+  heavy_share_pct: ["truck", "bus"],
+};
+
+export function newWebhookSecret() {
+  return `whsec_${randomBytes(24).toString("hex")}`;
+}
+
+/** Signature header value for a raw JSON body. */
+export function signPayload(secret, body, ts = Math.floor(Date.now() / 1000)) {
+  const sig = createHmac("sha256", secret).update(`${ts}.${body}`).digest("hex");
+  return `t=${ts},v1=${sig}`;
+}
+
+const INTERNAL_HOST_RE = /(^|\.)(localhost|localdomain|local|internal|intranet|lan|home\.arpa)$/i;
+
+function _v4Private([a, b, c]) {
+  return a === 0 || a === 10 || a === 127 || a >= 224
+    || (a === 100 && b >= 64 && b <= 127)       // CGNAT
+    || (a === 169 && b === 254)                 // link-local, cloud metadata
+    || (a === 172 && b >= 16 && b <= 31)
+    || (a === 192 && b === 168)
+    || (a === 192 && b === 0 && c === 0)        // IETF protocol assignments
+    || (a === 198 && (b === 18 || b === 19));   // benchmarking
+}
+
+function _v6Words(ip) {
+  let s = ip.split("%")[0];
+  const dotted = s.match(/(\d+)\.(\d+)\.(\d+)\.(\d+)$/);
+  if (dotted) {
+    const [o1, o2, o3, o4] = dotted.slice(1).map(Number);
+    s = `${s.slice(0, -dotted[0].length)}${((o1 << 8) | o2).toString(16)}:${((o3 << 8) | o4).toString(16)}`;
+  }
+  const [head, tail] = s.split("::");
+  const h = head ? head.split(":") : [];
+  const t = tail === undefined ? null : tail ? tail.split(":") : [];
+  const words = t ? [...h, ...Array(Math.max(0, 8 - h.length - t.length)).fill("0"), ...t] : h;
+  return words.map(w => parseInt(w, 16) || 0);
+}
+
+/** True for any address a webhook must not reach (see the header). */
+export function isPrivateAddress(ip) {
+  const host = String(ip || "").replace(/^\[|\]$/g, "");
+  const kind = isIP(host.split("%")[0]);
+  if (kind === 4) return _v4Private(host.split(".").map(Number));
+  if (kind !== 6) return true;
+  const w = _v6Words(host.toLowerCase());
+  const v4 = (hi, lo) => _v4Private([hi >> 8, hi & 255, lo >> 8, lo & 255]);
+  if (w.slice(0, 6).every(x => x === 0)) return w[6] === 0 ? w[7] <= 1 || v4(w[6], w[7]) : v4(w[6], w[7]);
+  if (w.slice(0, 5).every(x => x === 0) && w[5] === 0xffff) return v4(w[6], w[7]);   // IPv4-mapped
+  if (w[0] === 0x64 && w[1] === 0xff9b) return v4(w[6], w[7]);                        // NAT64
+  if (w[0] === 0x2002) return v4(w[1], w[2]);                                          // 6to4
+  return (w[0] & 0xfe00) === 0xfc00      // unique local (incl. fd00:ec2::254)
+    || (w[0] & 0xffc0) === 0xfe80        // link-local
+    || (w[0] & 0xff00) === 0xff00;       // multicast
+}
+
+function _host(u) {
+  return u.hostname.replace(/^\[|\]$/g, "").replace(/\.$/, "").toLowerCase();
+}
+
+/** Validate a webhook target's form (no DNS): https, no credentials, public host. Returns an error string or null. */
+export function validateWebhookUrl(raw) {
+  let u;
+  try { u = new URL(String(raw || "")); } catch { return "url must be a valid URL"; }
+  if (u.protocol !== "https:") return "url must use https";
+  if (u.username || u.password) return "url must not contain credentials";
+  const host = _host(u);
+  if (isIP(host)) return isPrivateAddress(host) ? "url must not point at a private or internal address" : null;
+  if (!host.includes(".") || INTERNAL_HOST_RE.test(host)) return "url must use a public hostname";
+  return null;
+}
+
+/**
+ * validateWebhookUrl plus DNS: every address the host resolves to must be
+ * public. Returns { error, blocked } — blocked when the target itself is
+ * refused (not worth retrying), as opposed to a lookup that failed — or {}.
+ */
+export async function checkWebhookTarget(raw) {
+  const error = validateWebhookUrl(raw);
+  if (error) return { error, blocked: true };
+  const host = _host(new URL(String(raw)));
+  if (isIP(host)) return {};
+  let addresses;
+  try {
+    addresses = await dns.promises.lookup(host, { all: true, verbatim: true });
+  } catch (err) {
+    return { error: `Could not resolve ${host} (${err?.code || "lookup failed"})` };
+  }
+  if (!addresses.length) return { error: `Could not resolve ${host}` };
+  if (addresses.some(a => isPrivateAddress(a.address)))
+    return { error: `${host} resolves to a private or internal address`, blocked: true };
+  return {};
+}
+
+/**
+ * Validate threshold rules: [{ metric, op: "gt"|"lt", value, camera_id? }].
+ * Share metrics are percentages of the hour's total; "total" is a vehicle count.
+ * Returns { thresholds } or { error }.
+ */
+export function normalizeThresholds(input) {
+  if (input == null) return { thresholds: [] };
+  if (!Array.isArray(input)) return { error: "thresholds must be an array" };
+  if (input.length > MAX_THRESHOLDS) return { error: `At most ${MAX_THRESHOLDS} thresholds per webhook` };
+  const out = [];
+  for (const t of input) {
+    const metric = String(t?.metric || "").toLowerCase();
+    if (!THRESHOLD_METRICS.includes(metric))
+      return { error: `threshold metric must be one of: ${THRESHOLD_METRICS.join(", ")}` };
+    const op = String(t.op || "gt").toLowerCase();
+    if (op !== "gt" && op !== "lt") return { error: "threshold op must be 'gt' or 'lt'" };
+    const value = Number(t.value);
+    if (!Number.isFinite(value) || value < 0 || (metric !== "total" && value > 100))
+      return { error: `Invalid threshold value for ${metric}` };
+    const rule = { metric, op, value };
+    if (t.camera_id) {
+      if (!UUID_RE.test(String(t.camera_id))) return { error: `Invalid camera id in threshold: ${t.camera_id}` };
+      rule.camera_id = String(t.camera_id);
+    }
+    out.push(rule);
+  }
+  return { thresholds: out };
+}
+
+/** Threshold metrics a resolved scope ({ fields, classes }) may see. */
+export function scopedMetrics(scope) {
+  const byClass = scope.fields.includes("vehicle_class");
+  return THRESHOLD_METRICS.filter(m =>
+    !METRIC_CLASSES[m].length || (byClass && METRIC_CLASSES[m].every(c => scope.classes.includes(c))));
+}
+
+/**
+ * Cut { total, car, truck, bus, motorcycle, in?, out? } counts down to a
+ * resolved scope (see the header). Without a scope the counts are returned as is.
+ */
+export function scopeCounts(counts, scope = null) {
+  if (!scope) return counts;
+  const all = scope.classes.length === AGENCY_CLASSES.length;
+  const out = { total: all ? counts.total || 0 : scope.classes.reduce((n, c) => n + (counts[c] || 0), 0) };
+  if (scope.fields.includes("vehicle_class")) for (const c of scope.classes) out[c] = counts[c] || 0;
+  if (all && scope.fields.includes("direction") && "in" in counts) {
+    out.in  = counts.in  || 0;
+    out.out = counts.out || 0;
+  }
+  return out;
+}
+
+/**
+ * Metrics for one camera-hour of class counts. With a scope, the total and the
+ * shares cover its classes only and metrics outside scopedMetrics are left out.
+ */
+export function hourMetrics(counts, scope = null) {
+  const total = scopeCounts(counts, scope).total || 0;
+  const pct = n => total > 0 ? Math.round((n / total) * 1000) / 10 : 0;
+  const metrics = {
+    total,
+    truck_share_pct: pct(counts.truck || 0),
+    bus_share_pct:   pct(counts.bus || 0),
+    heavy_share_pct: pct((counts.truck || 0) + (counts.bus || 0)),
+  };
+  return scope ? Object.fromEntries(scopedMetrics(scope).map(m => [m, metrics[m]])) : metrics;
+}
+
+export function thresholdCrossed(rule, metrics) {
+  const observed = metrics[rule.metric];
+  return rule.op === "gt" ? observed > rule.value : observed < rule.value;
+}
+
+function _backoffISO(attempts) {
+  return new Date(Date.now() + 2 ** Math.max(0, attempts - 1) * 3600000).toISOString();
+}
+
+/**
+ * POST one delivery to its webhook and record the outcome on the delivery row.
+ * `delivery` needs { id, event, payload, attempts }; `webhook` needs { url, secret }.
+ * The target is checked (checkWebhookTarget) before every attempt.
+ * Returns the updated status.
+ */
+export async function attemptDelivery(SUPABASE_URL, headers, delivery, webhook) {
+  const body = JSON.stringify(delivery.payload);
+  const attempts = (delivery.attempts || 0) + 1;
+  let responseStatus = null;
+  let error = null;
+  const target = await checkWebhookTarget(webhook.url);
+  if (target.error) {
+    error = target.error;
+  } else {
+    try {
+      const r = await fetch(webhook.url, {
+        method: "POST",
+        headers: {
+          "Content-Type":           "application/json",
+          "User-Agent":             "Whitelinez-Webhooks/1",
+          "X-Whitelinez-Event":     delivery.event,
+          "X-Whitelinez-Delivery":  String(delivery.id),
+          "X-Whitelinez-Signature": signPayload(webhook.secret, body),
+        },
+        body,
+        redirect: "manual",
+        signal: AbortSignal.timeout(DELIVERY_TIMEOUT),
+      });
+      responseStatus = r.status;
+      if (!r.ok) error = `HTTP ${r.status}`;
+    } catch (err) {
+      error = err?.name === "TimeoutError" ? "Timed out" : String(err?.message || err).slice(0, 200);
+    }
+  }
+
+  const status = !error ? "delivered" : target.blocked || attempts >= MAX_ATTEMPTS ? "failed" : "pending";
+  const patch = {
+    status,
+    attempts,
+    response_status: responseStatus,
+    last_error:      error,
+    next_attempt_at: status === "pending" ? _backoffISO(attempts) : null,
+    delivered_at:    status === "delivered" ? new Date().toISOString() : null,
+  };
+  await fetch(`${SUPABASE_URL}/rest/v1/agency_webhook_deliveries?id=eq.${encodeURIComponent(delivery.id)}`, {
+    method: "PATCH", headers, body: JSON.stringify(patch),
+  }).catch(() => {});
+  return status;
+}
+
+/**
+ * Record one delivery per { webhook, payload } item, then attempt each once.
+ * Failures stay pending for the hourly retry pass.
+ */
+export async function dispatchEvent(SUPABASE_URL, headers, event, items) {
+  if (!items.length) return { queued: 0, delivered: 0 };
+  const ins = await fetch(`${SUPABASE_URL}/rest/v1/agency_webhook_deliveries?select=id,webhook_id,event,payload,attempts`, {
+    method: "POST",
+    headers: { ...headers, Prefer: "return=representation" },
+    body: JSON.stringify(items.map(({ webhook, payload }) => ({ webhook_id: webhook.id, event, payload }))),
+  });
+  if (!ins.ok) throw new Error(`Delivery insert failed (${ins.status})`);
+  const rows = await ins.json();
+  const byId = Object.fromEntries(items.map(({ webhook }) => [webhook.id, webhook]));
+  const results = await Promise.all(rows.map(d => attemptDelivery(SUPABASE_URL, headers, d, byId[d.webhook_id])));
+  return { queued: rows.length, delivered: results.filter(s => s === "delivered").length };
+}
+
+/** Retry pending deliveries whose backoff has elapsed. */
+export async function retryDueDeliveries(SUPABASE_URL, headers, limit = 50) {
+  const r = await fetch(
+    `${SUPABASE_URL}/rest/v1/agency_webhook_deliveries`
+      + `?status=eq.pending&next_attempt_at=lte.${encodeURIComponent(new Date().toISOString())}`
+      + `&select=id,event,payload,attempts,agency_webhooks(url,secret,active)`
+      + `&order=next_attempt_at.asc&limit=${limit}`,
+    { headers }
+  );
+  if (!r.ok) throw new Error(`Delivery query failed (${r.status})`);
+  const due = await r.json();
+  const results = await Promise.all(due.map(d => {
+    const hook = d.agency_webhooks;
+    if (!hook?.active) {
+      return fetch(`${SUPABASE_URL}/rest/v1/agency_webhook_deliveries?id=eq.${encodeURIComponent(d.id)}`, {
+        method: "PATCH", headers,
+        body: JSON.stringify({ status: "failed", last_error: "Webhook disabled", next_attempt_at: null }),
+      }).then(() => "failed", () => "failed");
+    }
+    return attemptDelivery(SUPABASE_URL, headers, d, hook);
+  }));
+  return { retried: due.length, delivered: results.filter(s => s === "delivered").length };
+}
+
+/** Active webhooks subscribed to `event`, with the owning key's resolved scope ({ cameraIds, fields, classes }). */
+export async function subscribedWebhooks(SUPABASE_URL, headers, event) {
+  const r = await fetch(
+    `${SUPABASE_URL}/rest/v1/agency_webhooks?active=eq.true&events=cs.{${event}}`
+      + `&select=id,agency,url,secret,thresholds,agency_api_keys!inner(active,expires_at,scopes)`
+      + `&agency_api_keys.active=eq.true`,
+    { headers }
+  );
+  if (!r.ok) throw new Error(`Webhook query failed (${r.status})`);
+  const now = Date.now();
+  return (await r.json())
+    .filter(w => !w.agency_api_keys.expires_at || Date.parse(w.agency_api_keys.expires_at) > now)
+    .map(w => ({ ...w, scope: resolveScope(w.agency_api_keys.scopes, {}) }));
+}
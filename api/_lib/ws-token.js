@@ -0,0 +1,21 @@
+/**
+ * HMAC token for the Railway WebSocket / HLS endpoints (v2: ts.nonce.sig).
+ * Web Crypto only, so it runs in both Edge and Node functions.
+ */
+export async function generateHmacToken(secret) {
+  const ts         = Math.floor(Date.now() / 1000).toString();
+  const nonceBytes = new Uint8Array(8);
+  crypto.getRandomValues(nonceBytes);
+  const nonce      = Array.from(nonceBytes).map(b => b.toString(16).padStart(2, "0")).join("");
+  const payload    = `${ts}.${nonce}.`;   // extra="" → trailing dot matches backend
+
+  const encoder = new TextEncoder();
+  const key     = await crypto.subtle.importKey(
+    "raw", encoder.encode(secret),
+    { name: "HMAC", hash: "SHA-256" },
+    false, ["sign"]
+  );
+  const sigBuf = await crypto.subtle.sign("HMAC", key, encoder.encode(payload));
+  const sig    = Array.from(new Uint8Array(sigBuf)).map(b => b.toString(16).padStart(2, "0")).join("");
+  return `${ts}.${nonce}.${sig}`;
+}
@@ -0,0 +1,278 @@
+/**
+ * /api/admin/agency
+ * Agency API key self-service for admins — replaces SQL-editor key inserts.
+ *
+ * - GET                          → list keys (never includes key_hash)
+ * - GET   ?mode=usage&key_id&days → daily usage history from agency_api_usage
+ * - POST                         → issue a key; raw key returned ONCE in the response
+ * - PATCH ?mode=rename&id        → body { name }
+ * - PATCH ?mode=revoke&id        → deactivate key (kept for usage history)
+ * - PATCH ?mode=rotate&id        → new raw key + hash on the same row; old key stops working
+ * - PATCH ?mode=scopes&id        → body { scopes } — cameras / fields / classes (null = unrestricted)
+ * - GET   ?mode=webhooks         → all agency webhook subscriptions (secret never included)
+ * - GET   ?mode=deliveries[&webhook_id][&status] → latest 100 webhook deliveries
+ * - PATCH ?mode=webhook&id       → body { active } — enable / disable a webhook
+ * - PATCH ?mode=redeliver&id     → re-send a delivery now (resets its attempt count)
+ *
+ * Every POST / PATCH is written to admin_audit_log (api/_lib/audit.js).
+ *
+ * Keys are stored as SHA-256 hashes only. Required columns on agency_api_keys
+ * beyond the original set (run once in Supabase SQL editor):
+ *   ALTER TABLE agency_api_keys
+ *     ADD COLUMN IF NOT EXISTS name        text,
+ *     ADD COLUMN IF NOT EXISTS expires_at  timestamptz,
+ *     ADD COLUMN IF NOT EXISTS revoked_at  timestamptz,
+ *     ADD COLUMN IF NOT EXISTS rotated_at  timestamptz,
+ *     ADD COLUMN IF NOT EXISTS created_at  timestamptz DEFAULT now();
+ */
+import { createHash, randomBytes } from "crypto";
+import { verifyAdminJwt } from "../_lib/admin-auth.js";
+import { auditResponse, diffObjects } from "../_lib/audit.js";
+import { normalizeScopes } from "../_lib/agency-scopes.js";
+import { attemptDelivery } from "../_lib/webhooks.js";
+
+const KEY_FIELDS = "id,agency,name,key_prefix,plan,rate_limit_day,scopes,active,expires_at,last_used_at,created_at,revoked_at,rotated_at";
+const HOOK_FIELDS = "id,key_id,agency,url,events,thresholds,active,created_at";
+const DELIVERY_FIELDS = "id,webhook_id,event,status,attempts,response_status,last_error,next_attempt_at,delivered_at,created_at";
+const DELIVERY_STATUSES = new Set(["pending", "delivered", "failed"]);
+const VALID_PLANS = new Set(["free", "basic", "pro", "enterprise"]);
+const DEFAULT_EXPIRY_DAYS = 365;
+const MAX_EXPIRY_DAYS     = 730;
+
+function _newRawKey(agency) {
+  return `wlzk_${agency}_${randomBytes(16).toString("hex")}`;
+}
+
+function _hashKey(rawKey) {
+  return createHash("sha256").update(rawKey).digest("hex");
+}
+
+function _expiryISO(days) {
+  const n = Number(days ?? DEFAULT_EXPIRY_DAYS);
+  if (!Number.isFinite(n) || n < 1 || n > MAX_EXPIRY_DAYS) return null;
+  return new Date(Date.now() + Math.round(n) * 86400000).toISOString();
+}
+
+function _parseBody(req) {
+  try {
+    return typeof req.body === "string" ? JSON.parse(req.body || "{}") : (req.body || {});
+  } catch { return null; }
+}
+
+export default async function handler(req, res) {
+  const method = req.method || "GET";
+  if (!["GET", "POST", "PATCH"].includes(method)) {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  const supabaseUrl = process.env.SUPABASE_URL;
+  const serviceKey  = process.env.SUPABASE_SERVICE_ROLE_KEY;
+  if (!supabaseUrl || !serviceKey) return res.status(500).json({ error: "Server misconfiguration" });
+
+  const authHeader = req.headers["authorization"] || "";
+  const authCheck = await verifyAdminJwt(authHeader, "agency");
+  if (!authCheck.ok) return res.status(authCheck.status).json({ error: authCheck.error });
+
+  const sbH = {
+    apikey:         serviceKey,
+    Authorization:  `Bearer ${serviceKey}`,
+    "Content-Type": "application/json",
+    Prefer:         "return=representation",
+  };
+  const mode = String(req.query?.mode || "").trim().toLowerCase();
+  const audit = method === "GET" ? null : auditResponse(req, res, {
+    admin: authCheck.user, route: "/api/admin/agency", action: method === "POST" ? "key:issue" : `key:${mode}`,
+  });
+
+  try {
+    // ── GET: usage history for one key ───────────────────────────────────────
+    if (method === "GET" && mode === "usage") {
+      const keyId = String(req.query?.key_id || "").trim();
+      if (!keyId) return res.status(400).json({ error: "Missing key_id" });
+      const days  = Math.min(90, Math.max(1, Number(req.query?.days) || 30));
+      const since = new Date(Date.now() - days * 86400000).toISOString().slice(0, 10);
+      const r = await fetch(
+        `${supabaseUrl}/rest/v1/agency_api_usage?key_id=eq.${encodeURIComponent(keyId)}`
+          + `&date=gte.${since}&select=date,hits&order=date.desc`,
+        { headers: sbH }
+      );
+      if (!r.ok) return res.status(502).json({ error: "Usage query failed" });
+      const rows = await r.json();
+      return res.status(200).json({ key_id: keyId, days, usage: rows });
+    }
+
+    // ── GET: webhook subscriptions ───────────────────────────────────────────
+    if (method === "GET" && mode === "webhooks") {
+      const r = await fetch(
+        `${supabaseUrl}/rest/v1/agency_webhooks?select=${HOOK_FIELDS}&order=agency.asc,created_at.asc`,
+        { headers: sbH }
+      );
+      if (!r.ok) return res.status(502).json({ error: "Webhook query failed" });
+      return res.status(200).json({ webhooks: await r.json() });
+    }
+
+    // ── GET: webhook delivery log ────────────────────────────────────────────
+    if (method === "GET" && mode === "deliveries") {
+      let url = `${supabaseUrl}/rest/v1/agency_webhook_deliveries?select=${DELIVERY_FIELDS}&order=created_at.desc&limit=100`;
+      const webhookId = String(req.query?.webhook_id || "").trim();
+      if (webhookId) url += `&webhook_id=eq.${encodeURIComponent(webhookId)}`;
+      const status = String(req.query?.status || "").trim().toLowerCase();
+      if (status) {
+        if (!DELIVERY_STATUSES.has(status))
+          return res.status(400).json({ error: "status must be 'pending', 'delivered' or 'failed'" });
+        url += `&status=eq.${status}`;
+      }
+      const r = await fetch(url, { headers: sbH });
+      if (!r.ok) return res.status(502).json({ error: "Delivery query failed" });
+      return res.status(200).json({ deliveries: await r.json() });
+    }
+
+    // ── GET: list keys ───────────────────────────────────────────────────────
+    if (method === "GET") {
+      const r = await fetch(
+        `${supabaseUrl}/rest/v1/agency_api_keys?select=${KEY_FIELDS}&order=agency.asc,created_at.desc`,
+        { headers: sbH }
+      );
+      if (!r.ok) return res.status(502).json({ error: "Key query failed" });
+      return res.status(200).json({ keys: await r.json() });
+    }
+
+    const body = _parseBody(req);
+    if (!body) return res.status(400).json({ error: "Invalid JSON body" });
+
+    // ── POST: issue a new key ────────────────────────────────────────────────
+    if (method === "POST") {
+      const agency = String(body.agency || "").trim().toLowerCase();
+      if (!/^[a-z0-9]{2,16}$/.test(agency))
+        return res.status(400).json({ error: "agency must be 2-16 lowercase letters/digits" });
+      const plan = String(body.plan || "pro").trim().toLowerCase();
+      if (!VALID_PLANS.has(plan))
+        return res.status(400).json({ error: `plan must be one of: ${[...VALID_PLANS].join(", ")}` });
+      const rateLimitDay = Number(body.rate_limit_day ?? 500);
+      if (!Number.isInteger(rateLimitDay) || rateLimitDay < 1 || rateLimitDay > 100000)
+        return res.status(400).json({ error: "rate_limit_day must be an integer between 1 and 100000" });
+      const expiresAt = _expiryISO(body.expires_in_days);
+      if (!expiresAt)
+        return res.status(400).json({ error: `expires_in_days must be between 1 and ${MAX_EXPIRY_DAYS}` });
+      const name = String(body.name || "").trim().slice(0, 80) || null;
+      const { scopes, error: scopeError } = normalizeScopes(body.scopes);
+      if (scopeError) return res.status(400).json({ error: scopeError });
+
+      const rawKey = _newRawKey(agency);
+      const r = await fetch(`${supabaseUrl}/rest/v1/agency_api_keys?select=${KEY_FIELDS}`, {
+        method: "POST",
+        headers: sbH,
+        body: JSON.stringify({
+          agency, name, plan, scopes,
+          rate_limit_day: rateLimitDay,
+          key_prefix:     rawKey.slice(0, 12),
+          key_hash:       _hashKey(rawKey),
+          expires_at:     expiresAt,
+          active:         true,
+        }),
+      });
+      if (!r.ok) {
+        console.error("[/api/admin/agency] Key insert failed:", await r.text());
+        return res.status(502).json({ error: "Key creation failed" });
+      }
+      const [key] = await r.json();
+      audit.target = key?.id || null;
+      res.setHeader("Cache-Control", "no-store");
+      return res.status(201).json({ key, raw_key: rawKey });
+    }
+
+    // ── PATCH: webhook enable / disable, redeliver ───────────────────────────
+    if (mode === "webhook" || mode === "redeliver") {
+      const id = String(req.query?.id || "").trim();
+      if (!id) return res.status(400).json({ error: "Missing id" });
+      audit.action = mode === "webhook" ? "webhook:toggle" : "webhook:redeliver";
+      audit.target = id;
+
+      if (mode === "webhook") {
+        if (typeof body.active !== "boolean") return res.status(400).json({ error: "active (boolean) required" });
+        const r = await fetch(
+          `${supabaseUrl}/rest/v1/agency_webhooks?id=eq.${encodeURIComponent(id)}&select=${HOOK_FIELDS}`,
+          { method: "PATCH", headers: sbH, body: JSON.stringify({ active: body.active }) }
+        );
+        if (!r.ok) return res.status(502).json({ error: "Webhook update failed" });
+        const [webhook] = await r.json();
+        if (!webhook) return res.status(404).json({ error: "Webhook not found" });
+        return res.status(200).json({ webhook });
+      }
+
+      const lookup = await fetch(
+        `${supabaseUrl}/rest/v1/agency_webhook_deliveries?id=eq.${encodeURIComponent(id)}`
+          + `&select=id,event,payload,agency_webhooks(url,secret,active)`,
+        { headers: sbH }
+      );
+      if (!lookup.ok) return res.status(502).json({ error: "Delivery lookup failed" });
+      const [delivery] = await lookup.json();
+      if (!delivery) return res.status(404).json({ error: "Delivery not found" });
+      if (!delivery.agency_webhooks?.active) return res.status(409).json({ error: "Webhook is disabled" });
+      const status = await attemptDelivery(supabaseUrl, sbH, { ...delivery, attempts: 0 }, delivery.agency_webhooks);
+      return res.status(200).json({ id, status });
+    }
+
+    // ── PATCH: rename / scopes / revoke / rotate ─────────────────────────────
+    const keyId = String(req.query?.id || "").trim();
+    if (!keyId) return res.status(400).json({ error: "Missing key id" });
+    audit.target = keyId;
+
+    let patch;
+    let rawKey = null;
+    if (mode === "rename") {
+      const name = String(body.name || "").trim().slice(0, 80);
+      if (!name) return res.status(400).json({ error: "name required" });
+      patch = { name };
+    } else if (mode === "scopes") {
+      const { scopes, error: scopeError } = normalizeScopes(body.scopes);
+      if (scopeError) return res.status(400).json({ error: scopeError });
+      patch = { scopes };
+    } else if (mode === "revoke") {
+      patch = { active: false, revoked_at: new Date().toISOString() };
+    } else if (mode === "rotate") {
+      const lookup = await fetch(
+        `${supabaseUrl}/rest/v1/agency_api_keys?id=eq.${encodeURIComponent(keyId)}&select=agency,active`,
+        { headers: sbH }
+      );
+      if (!lookup.ok) return res.status(502).json({ error: "Key lookup failed" });
+      const [existing] = await lookup.json();
+      if (!existing) return res.status(404).json({ error: "Key not found" });
+      if (!existing.active) return res.status(409).json({ error: "Revoked keys cannot be rotated" });
+      patch = { rotated_at: new Date().toISOString() };
+      if (body.expires_in_days != null) {
+        const expiresAt = _expiryISO(body.expires_in_days);
+        if (!expiresAt)
+          return res.status(400).json({ error: `expires_in_days must be between 1 and ${MAX_EXPIRY_DAYS}` });
+        patch.expires_at = expiresAt;
+      }
+      rawKey = _newRawKey(existing.agency);
+      patch.key_prefix = rawKey.slice(0, 12);
+      patch.key_hash   = _hashKey(rawKey);
+    } else {
+      return res.status(400).json({ error: "mode must be 'rename', 'scopes', 'revoke', 'rotate', 'webhook' or 'redeliver'" });
+    }
+
+    const beforeRes = await fetch(
+      `${supabaseUrl}/rest/v1/agency_api_keys?id=eq.${encodeURIComponent(keyId)}&select=${KEY_FIELDS}`,
+      { headers: sbH }
+    );
+    const [before] = beforeRes.ok ? await beforeRes.json() : [];
+    const r = await fetch(
+      `${supabaseUrl}/rest/v1/agency_api_keys?id=eq.${encodeURIComponent(keyId)}&select=${KEY_FIELDS}`,
+      { method: "PATCH", headers: sbH, body: JSON.stringify(patch) }
+    );
+    if (!r.ok) {
+      console.error(`[/api/admin/agency] ${mode} failed:`, await r.text());
+      return res.status(502).json({ error: "Key update failed" });
+    }
+    const [key] = await r.json();
+    if (!key) return res.status(404).json({ error: "Key not found" });
+    audit.diff = diffObjects(before, key);
+    res.setHeader("Cache-Control", "no-store");
+    return res.status(200).json(rawKey ? { key, raw_key: rawKey } : { key });
+  } catch (err) {
+    console.error("[/api/admin/agency] Error:", err);
+    return res.status(502).json({ error: "Request failed" });
+  }
+}
@@ -0,0 +1,99 @@
+/**
+ * GET /api/admin/audit
+ * Read the admin_audit_log (schema and write path in api/_lib/audit.js).
+ *
+ * Filters (all optional):
+ *   admin      — admin user id (uuid) or part of the admin email
+ *   route      — exact route, e.g. /api/admin/set-role or supabase:banners
+ *   action     — action prefix, e.g. "key:" or "retrain"
+ *   method     — POST | PATCH | DELETE | INSERT | UPDATE
+ *   status     — "ok" (2xx) | "error" (>= 400)
+ *   from, to   — ISO 8601 bounds on created_at
+ *   limit      — 1-500 (default 100); newest first
+ *   before_id  — keyset cursor: the `next_before_id` from the previous page
+ *   format     — "json" (default) | "csv" (up to 5000 rows, ignores limit)
+ */
+import { createProxyHandler } from "../_lib/proxy.js";
+
+const AUDIT_FIELDS = "id,created_at,admin_id,admin_email,route,method,action,target,payload,diff,upstream_status,request_id";
+const CSV_COLUMNS  = AUDIT_FIELDS.split(",");
+const CSV_MAX_ROWS = 5000;
+const METHODS      = new Set(["POST", "PATCH", "PUT", "DELETE", "INSERT", "UPDATE"]);
+const UUID_RE      = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+function _csvCell(v) {
+  let s = v == null ? "" : typeof v === "object" ? JSON.stringify(v) : String(v);
+  if (/^[=+\-@\t\r]/.test(s)) s = `'${s}`;
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function _isoOrNull(raw) {
+  if (!raw) return null;
+  const d = new Date(raw);
+  return Number.isNaN(d.getTime()) ? undefined : d.toISOString();
+}
+
+export default createProxyHandler(
+  { route: "/api/admin/audit", methods: ["GET"], auth: "admin", permission: "audit", railway: false },
+  async (ctx) => {
+    const supabaseUrl = process.env.SUPABASE_URL;
+    const serviceKey  = process.env.SUPABASE_SERVICE_ROLE_KEY;
+    if (!supabaseUrl || !serviceKey) return ctx.fail(500, "Server misconfiguration");
+
+    const csv = ctx.query("format").toLowerCase() === "csv";
+    const limit = csv ? CSV_MAX_ROWS : ctx.int("limit", 100, 1, 500);
+    const qs = new URLSearchParams({ select: AUDIT_FIELDS, order: "id.desc", limit: String(limit + 1) });
+
+    const admin = ctx.query("admin");
+    if (admin) {
+      if (UUID_RE.test(admin)) qs.set("admin_id", `eq.${admin}`);
+      else qs.set("admin_email", `ilike.*${admin.replace(/[*,()]/g, "")}*`);
+    }
+    const route = ctx.query("route");
+    if (route) qs.set("route", `eq.${route.slice(0, 128)}`);
+    const action = ctx.query("action");
+    if (action) qs.set("action", `like.${action.replace(/[*%,()]/g, "").slice(0, 64)}*`);
+    const method = ctx.query("method").toUpperCase();
+    if (method) {
+      if (!METHODS.has(method)) return ctx.fail(400, `method must be one of: ${[...METHODS].join(", ")}`);
+      qs.set("method", `eq.${method}`);
+    }
+    const status = ctx.query("status").toLowerCase();
+    if (status === "ok") qs.append("upstream_status", "lt.400");
+    else if (status === "error") qs.append("upstream_status", "gte.400");
+    else if (status) return ctx.fail(400, "status must be 'ok' or 'error'");
+
+    const from = _isoOrNull(ctx.query("from"));
+    const to   = _isoOrNull(ctx.query("to"));
+    if (from === undefined || to === undefined) return ctx.fail(400, "from / to must be ISO 8601 dates");
+    if (from) qs.append("created_at", `gte.${from}`);
+    if (to)   qs.append("created_at", `lt.${to}`);
+    const beforeId = ctx.int("before_id", 0, 0, Number.MAX_SAFE_INTEGER);
+    if (beforeId) qs.set("id", `lt.${beforeId}`);
+
+    const r = await fetch(`${supabaseUrl}/rest/v1/admin_audit_log?${qs}`, {
+      headers: { apikey: serviceKey, Authorization: `Bearer ${serviceKey}` },
+    });
+    if (!r.ok) {
+      console.error("[/api/admin/audit] query failed:", (await r.text()).slice(0, 200));
+      return ctx.fail(502, "Audit log query failed");
+    }
+    const rows = await r.json();
+    const hasMore = rows.length > limit;
+    const page = hasMore ? rows.slice(0, limit) : rows;
+
+    ctx.res.setHeader("Cache-Control", "no-store");
+    if (csv) {
+      const lines = [CSV_COLUMNS.join(","), ...page.map(row => CSV_COLUMNS.map(c => _csvCell(row[c])).join(","))];
+      ctx.res.setHeader("Content-Type", "text/csv; charset=utf-8");
+      ctx.res.setHeader("Content-Disposition", `attachment; filename="admin-audit-${new Date().toISOString().slice(0, 10)}.csv"`);
+      if (hasMore) ctx.res.setHeader("X-Truncated", "true");
+      return ctx.res.status(200).send(lines.join("\n"));
+    }
+    return ctx.res.status(200).json({
+      entries: page,
+      has_more: hasMore,
+      next_before_id: hasMore ? page[page.length - 1].id : null,
+    });
+  },
+);
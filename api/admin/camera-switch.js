@@ -1,30 +1,24 @@
-import { verifyAdminJwt } from "../_lib/admin-auth.js";
+/**
+ * POST /api/admin/camera-switch
+ * Proxy the active-camera switch to the Railway backend.
+ * The audit row records which camera was active before the switch.
+ */
+import { diffObjects } from "../_lib/audit.js";
+import { createProxyHandler } from "../_lib/proxy.js";
 
-export default async function handler(req, res) {
-  if (req.method !== "POST")
-    return res.status(405).json({ error: "Method not allowed" });
-
-  const railwayUrl = process.env.RAILWAY_BACKEND_URL;
-  if (!railwayUrl)
-    return res.status(500).json({ error: "Server misconfiguration" });
-
-  const authHeader = req.headers["authorization"] || "";
-  const authCheck = await verifyAdminJwt(authHeader);
-  if (!authCheck.ok) return res.status(authCheck.status).json({ error: authCheck.error });
-
-  try {
-    const upstream = await fetch(`${railwayUrl}/admin/camera-switch`, {
-      method: "POST",
-      headers: {
-        Authorization: authHeader,
-        "Content-Type": "application/json",
-      },
-      body: JSON.stringify(req.body || {}),
-    });
-    const data = await upstream.json();
-    return res.status(upstream.status).json(data);
-  } catch (err) {
-    console.error("[/api/admin/camera-switch] Upstream error:", err);
-    return res.status(502).json({ error: "Upstream request failed" });
-  }
-}
+export default createProxyHandler(
+  { route: "/api/admin/camera-switch", methods: ["POST"], auth: "admin", permission: "cameras", timeoutMs: 15000 },
+  async (ctx) => {
+    const cameraId = String(ctx.body()?.camera_id || "").trim();
+    const supabaseUrl = process.env.SUPABASE_URL;
+    const serviceKey  = process.env.SUPABASE_SERVICE_ROLE_KEY;
+    if (ctx.audit && supabaseUrl && serviceKey) {
+      ctx.audit.target = cameraId || null;
+      const [active] = await fetch(`${supabaseUrl}/rest/v1/cameras?is_active=eq.true&select=id&limit=1`, {
+        headers: { apikey: serviceKey, Authorization: `Bearer ${serviceKey}` },
+      }).then(r => (r.ok ? r.json() : [])).catch(() => []);
+      ctx.audit.diff = diffObjects({ active_camera_id: active?.id || null }, { active_camera_id: cameraId || null });
+    }
+    return ctx.forward("/admin/camera-switch");
+  },
+);
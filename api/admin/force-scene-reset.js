@@ -1,26 +1,10 @@
-import { verifyAdminJwt } from "../_lib/admin-auth.js";
-
-export default async function handler(req, res) {
-  if (req.method !== "POST")
-    return res.status(405).json({ error: "Method not allowed" });
-
-  const railwayUrl = process.env.RAILWAY_BACKEND_URL;
-  if (!railwayUrl)
-    return res.status(500).json({ error: "Server misconfiguration" });
-
-  const authHeader = req.headers["authorization"] || "";
-  const authCheck = await verifyAdminJwt(authHeader);
-  if (!authCheck.ok) return res.status(authCheck.status).json({ error: authCheck.error });
-
-  try {
-    const upstream = await fetch(`${railwayUrl}/admin/force-scene-reset`, {
-      method: "POST",
-      headers: { Authorization: authHeader, "Content-Type": "application/json" },
-    });
-    const data = await upstream.json();
-    return res.status(upstream.status).json(data);
-  } catch (err) {
-    console.error("[/api/admin/force-scene-reset] Upstream error:", err);
-    return res.status(502).json({ error: "Upstream request failed" });
-  }
-}
+/**
+ * POST /api/admin/force-scene-reset
+ * Proxy a forced scene reset to the Railway backend.
+ */
+import { createProxyHandler } from "../_lib/proxy.js";
+
+export default createProxyHandler(
+  { route: "/api/admin/force-scene-reset", methods: ["POST"], auth: "admin", permission: "cameras", timeoutMs: 15000 },
+  async (ctx) => ctx.forward("/admin/force-scene-reset", { body: null }),
+);
@@ -15,131 +15,82 @@ export const config = {
   maxDuration: 300, // retrain can be slow; others finish in <5 s
 };
 
-// ── helpers ─────────────────────────────────────────────────────────────────
+import { createProxyHandler } from "../_lib/proxy.js";
 
-function proxyError(route, err, res) {
-  console.error(`[/api/admin/ml?_route=${route}] Upstream error:`, err);
-  return res.status(502).json({ error: "Upstream request failed" });
-}
+// Training POSTs can run close to maxDuration; leave headroom for the response.
+// The route budget must cover them too, or the proxy's 20 s default cuts them short.
+const TRAINING_TIMEOUT_MS = 280000;
+const TRAINING_BUDGET_MS  = 290000;
+
+// ── helpers ─────────────────────────────────────────────────────────────────
 
-async function proxyResponse(upstream, res) {
-  const raw = await upstream.text();
-  let data;
-  try { data = raw ? JSON.parse(raw) : {}; } catch { data = { detail: raw || "Upstream returned non-JSON" }; }
-  return res.status(upstream.status).json(data);
+function notAllowed(ctx, allowed) {
+  ctx.res.setHeader("Allow", allowed.join(", "));
+  return ctx.fail(405, "Method not allowed");
 }
 
 // ── sub-handlers ─────────────────────────────────────────────────────────────
 
-async function handleCaptureStatus(req, res, railwayUrl, auth) {
-  if (!["GET", "PATCH"].includes(req.method)) return res.status(405).json({ error: "Method not allowed" });
-  const limit  = Number(req.query?.limit || 30);
-  const isPatch = req.method === "PATCH";
-  const url = isPatch
-    ? `${railwayUrl}/admin/ml/capture-status`
-    : `${railwayUrl}/admin/ml/capture-status?limit=${encodeURIComponent(limit)}`;
-  const upstream = await fetch(url, {
-    method: req.method,
-    headers: { Authorization: auth, ...(isPatch ? { "Content-Type": "application/json" } : {}) },
-    ...(isPatch ? { body: JSON.stringify(req.body || {}) } : {}),
-  });
-  return proxyResponse(upstream, res);
+async function handleCaptureStatus(ctx) {
+  if (!["GET", "PATCH"].includes(ctx.method)) return notAllowed(ctx, ["GET", "PATCH"]);
+  if (ctx.method === "PATCH") return ctx.forward("/admin/ml/capture-status");
+  return ctx.forward("/admin/ml/capture-status", { query: { limit: ctx.int("limit", 30, 1, 500) } });
 }
 
-async function handleJobs(req, res, railwayUrl, auth) {
-  if (!["GET", "POST"].includes(req.method)) return res.status(405).json({ error: "Method not allowed" });
-  const action = String(req.query?.action || "").trim().toLowerCase();
-  let upstream;
-  if (req.method === "GET") {
-    const path = action === "diagnostics"
-      ? `${railwayUrl}/admin/ml/diagnostics`
-      : `${railwayUrl}/admin/ml/jobs?limit=${encodeURIComponent(Number(req.query?.limit || 50))}`;
-    upstream = await fetch(path, { method: "GET", headers: { Authorization: auth } });
-  } else {
-    const body   = typeof req.body === "string" ? req.body : JSON.stringify(req.body || {});
-    const target = action === "one-click"       ? "/admin/ml/one-click"
-                 : action === "train-captures"  ? "/admin/ml/train-captures-async"
-                 : "/admin/ml/retrain-async";
-    upstream = await fetch(`${railwayUrl}${target}`, {
-      method: "POST",
-      headers: { "Content-Type": "application/json", Authorization: auth },
-      body,
-    });
+async function handleJobs(ctx) {
+  if (!["GET", "POST"].includes(ctx.method)) return notAllowed(ctx, ["GET", "POST"]);
+  const action = ctx.query("action").toLowerCase();
+  if (ctx.method === "GET") {
+    if (action === "diagnostics") return ctx.forward("/admin/ml/diagnostics");
+    return ctx.forward("/admin/ml/jobs", { query: { limit: ctx.int("limit", 50, 1, 500) } });
   }
-  return proxyResponse(upstream, res);
+  const target = action === "one-click"       ? "/admin/ml/one-click"
+               : action === "train-captures"  ? "/admin/ml/train-captures-async"
+               : "/admin/ml/retrain-async";
+  return ctx.forward(target, { timeoutMs: TRAINING_TIMEOUT_MS });
 }
 
-async function handleModels(req, res, railwayUrl, auth) {
-  if (req.method !== "GET") return res.status(405).json({ error: "Method not allowed" });
-  const upstream = await fetch(
-    `${railwayUrl}/admin/ml/models?limit=${encodeURIComponent(Number(req.query?.limit || 50))}`,
-    { method: "GET", headers: { Authorization: auth } },
-  );
-  return proxyResponse(upstream, res);
+async function handleModels(ctx) {
+  if (ctx.method !== "GET") return notAllowed(ctx, ["GET"]);
+  return ctx.forward("/admin/ml/models", { query: { limit: ctx.int("limit", 50, 1, 500) } });
 }
 
-async function handleRetrain(req, res, railwayUrl, auth) {
-  if (!["GET", "POST"].includes(req.method)) return res.status(405).json({ error: "Method not allowed" });
-  const action = String(req.query?.action || "").trim().toLowerCase();
-  let upstream;
-  if (req.method === "GET") {
-    if (action !== "diagnostics") return res.status(400).json({ error: "Unsupported GET action" });
-    upstream = await fetch(`${railwayUrl}/admin/ml/diagnostics`, { method: "GET", headers: { Authorization: auth } });
-  } else {
-    const body   = typeof req.body === "string" ? req.body : JSON.stringify(req.body || {});
-    const target = action === "one-click" ? "/admin/ml/one-click" : "/admin/ml/retrain-async";
-    upstream = await fetch(`${railwayUrl}${target}`, {
-      method: "POST",
-      headers: { "Content-Type": "application/json", Authorization: auth },
-      body,
-    });
+async function handleRetrain(ctx) {
+  if (!["GET", "POST"].includes(ctx.method)) return notAllowed(ctx, ["GET", "POST"]);
+  const action = ctx.query("action").toLowerCase();
+  if (ctx.method === "GET") {
+    if (action !== "diagnostics") return ctx.fail(400, "Unsupported GET action");
+    return ctx.forward("/admin/ml/diagnostics");
   }
-  return proxyResponse(upstream, res);
+  const target = action === "one-click" ? "/admin/ml/one-click" : "/admin/ml/retrain-async";
+  return ctx.forward(target, { timeoutMs: TRAINING_TIMEOUT_MS });
 }
 
-async function handleRuntimeProfile(req, res, railwayUrl, auth) {
-  if (!["GET", "PATCH"].includes(req.method)) {
-    res.setHeader("Allow", "GET, PATCH");
-    return res.status(405).json({ error: "Method not allowed" });
-  }
-  const scope    = String(req.query?.scope || "").toLowerCase();
-  const cameraId = req.query?.camera_id ? String(req.query.camera_id) : "";
-  const qs       = cameraId ? `?camera_id=${encodeURIComponent(cameraId)}` : "";
-  const path     = scope === "night" ? "/admin/ml/night-profile" : `/admin/ml/runtime-profile${qs}`;
-  const upstream = await fetch(`${railwayUrl}${path}`, {
-    method: req.method,
-    headers: { "Content-Type": "application/json", Authorization: auth },
-    body: req.method === "PATCH" ? JSON.stringify(req.body || {}) : undefined,
-  });
-  const payload = await upstream.json().catch(() => ({}));
-  return res.status(upstream.status).json(payload);
+async function handleRuntimeProfile(ctx) {
+  if (!["GET", "PATCH"].includes(ctx.method)) return notAllowed(ctx, ["GET", "PATCH"]);
+  if (ctx.query("scope").toLowerCase() === "night") return ctx.forward("/admin/ml/night-profile");
+  return ctx.forward("/admin/ml/runtime-profile", { query: { camera_id: ctx.query("camera_id") } });
 }
 
 // ── main handler ─────────────────────────────────────────────────────────────
 
-import { verifyAdminJwt } from "../_lib/admin-auth.js";
-
-export default async function handler(req, res) {
-  const route = String(req.query._route || "").toLowerCase();
-
-  const railwayUrl = process.env.RAILWAY_BACKEND_URL;
-  if (!railwayUrl) return res.status(500).json({ error: "Server misconfiguration" });
-
-  const auth = req.headers["authorization"] || "";
-  const authCheck = await verifyAdminJwt(auth);
-  if (!authCheck.ok) return res.status(authCheck.status).json({ error: authCheck.error });
+const ROUTES = {
+  "capture-status":  handleCaptureStatus,
+  "jobs":            handleJobs,
+  "models":          handleModels,
+  "retrain":         handleRetrain,
+  "runtime-profile": handleRuntimeProfile,
+};
 
-  try {
-    switch (route) {
-      case "capture-status":   return await handleCaptureStatus(req, res, railwayUrl, auth);
-      case "jobs":             return await handleJobs(req, res, railwayUrl, auth);
-      case "models":           return await handleModels(req, res, railwayUrl, auth);
-      case "retrain":          return await handleRetrain(req, res, railwayUrl, auth);
-      case "runtime-profile":  return await handleRuntimeProfile(req, res, railwayUrl, auth);
-      default:
-        return res.status(404).json({ error: `Unknown ML route: ${route || "(none)"}` });
-    }
-  } catch (err) {
-    return proxyError(route, err, res);
-  }
-}
+export default createProxyHandler(
+  {
+    route: "/api/admin/ml", methods: ["GET", "POST", "PATCH"], auth: "admin", permission: "ml",
+    timeoutMs: 15000, budgetMs: TRAINING_BUDGET_MS,
+  },
+  async (ctx) => {
+    const route = ctx.query("_route").toLowerCase();
+    const sub = ROUTES[route];
+    if (!sub) return ctx.fail(404, `Unknown ML route: ${route || "(none)"}`);
+    return sub(ctx);
+  },
+);
@@ -1,72 +1,34 @@
 /**
  * /api/admin/rounds
  * Proxy admin round/session operations to Railway backend.
+ * - GET|POST ?mode=sessions         → /admin/round-sessions
+ * - PATCH    ?mode=session-stop&id  → /admin/round-sessions/:id/stop
+ * - otherwise                       → /admin/rounds (allow-listed params only)
  */
-import { verifyAdminJwt } from "../_lib/admin-auth.js";
+import { createProxyHandler, pickQuery } from "../_lib/proxy.js";
 
-export default async function handler(req, res) {
-  const method = req.method || "GET";
-  if (!["GET", "POST", "PATCH"].includes(method)) {
-    return res.status(405).json({ error: "Method not allowed" });
-  }
-
-  const railwayUrl = process.env.RAILWAY_BACKEND_URL;
-  if (!railwayUrl) return res.status(500).json({ error: "Server misconfiguration" });
-
-  const authHeader = req.headers["authorization"] || "";
-  const authCheck = await verifyAdminJwt(authHeader);
-  if (!authCheck.ok) return res.status(authCheck.status).json({ error: authCheck.error });
-
-  try {
-    const mode = String(req.query?.mode || "");
-    let url = `${railwayUrl}/admin/rounds`;
-    let body;
+// Only forward known-safe parameters to Railway to prevent parameter injection.
+const ALLOWED_PARAMS = ["status", "limit", "offset", "round_id", "camera_id"];
 
+export default createProxyHandler(
+  {
+    route: "/api/admin/rounds", methods: ["GET", "POST", "PATCH"], auth: "admin",
+    permission: "rounds", timeoutMs: 10000,
+  },
+  async (ctx) => {
     // Backward compatibility for older frontend query modes.
-    if (mode === "sessions") {
-      if (method === "GET") {
-        const limit = Number(req.query?.limit || 20);
-        url = `${railwayUrl}/admin/round-sessions?limit=${encodeURIComponent(limit)}`;
-      } else if (method === "POST") {
-        url = `${railwayUrl}/admin/round-sessions`;
-      }
-    } else if (mode === "session-stop" && method === "PATCH") {
-      const sessionId = String(req.query?.id || "").trim();
-      if (!sessionId) {
-        return res.status(400).json({ error: "Missing session id" });
-      }
-      url = `${railwayUrl}/admin/round-sessions/${encodeURIComponent(sessionId)}/stop`;
-    } else {
-      // Only forward known-safe parameters to Railway to prevent parameter injection.
-      const ALLOWED_PARAMS = new Set(["status", "limit", "offset", "round_id", "camera_id"]);
-      const params = new URLSearchParams();
-      for (const [k, v] of Object.entries(req.query || {})) {
-        if (!ALLOWED_PARAMS.has(k)) continue;
-        const safeV = Array.isArray(v) ? v[0] : v;
-        params.set(k, String(safeV).slice(0, 128));
-      }
-      const query = params.toString();
-      url = `${railwayUrl}/admin/rounds${query ? `?${query}` : ""}`;
+    if (ctx.mode === "sessions" && ctx.method === "GET") {
+      return ctx.forward("/admin/round-sessions", { query: { limit: ctx.int("limit", 20, 1, 200) } });
     }
-
-    if (!["GET"].includes(method)) {
-      body = typeof req.body === "string" ? req.body : JSON.stringify(req.body || {});
+    if (ctx.mode === "sessions" && ctx.method === "POST") {
+      return ctx.forward("/admin/round-sessions");
     }
-
-    const upstream = await fetch(url, {
-      method,
-      headers: {
-        "Content-Type": "application/json",
-        Authorization: authHeader,
-      },
-      body,
-    });
-    const raw = await upstream.text();
-    let data;
-    try { data = raw ? JSON.parse(raw) : {}; } catch { data = { detail: raw || "Upstream returned non-JSON" }; }
-    return res.status(upstream.status).json(data);
-  } catch (err) {
-    console.error("[/api/admin/rounds] Upstream error:", err);
-    return res.status(502).json({ error: "Upstream request failed" });
-  }
-}
+    if (ctx.mode === "session-stop" && ctx.method === "PATCH") {
+      const sessionId = ctx.query("id");
+      if (!sessionId) return ctx.fail(400, "Missing session id");
+      if (ctx.audit) ctx.audit.target = sessionId;
+      return ctx.forward(`/admin/round-sessions/${encodeURIComponent(sessionId)}/stop`);
+    }
+    return ctx.forward("/admin/rounds", { query: pickQuery(ctx.req.query, ALLOWED_PARAMS) });
+  },
+);
@@ -2,51 +2,45 @@
  * /api/admin/set-role
  * - GET ?mode=active-users  → proxy to Railway /admin/active-users
  * - GET ?page&per_page      → list users directly from Supabase Auth admin API
- * - POST                    → proxy to Railway /admin/set-role
+ * - POST { user_id, role }  → set app_metadata.role (ASSIGNABLE_ROLES)
  *
- * User listing is done directly via Supabase (not Railway) to avoid
- * SDK/serialisation issues in the Python backend.
+ * User listing and role changes are done directly via Supabase (not Railway)
+ * to avoid SDK/serialisation issues in the Python backend; the Railway
+ * endpoint only knew the single "admin" flag.
  */
-import { verifyAdminJwt } from "../_lib/admin-auth.js";
+import { ASSIGNABLE_ROLES, hasPermission } from "../_lib/admin-auth.js";
+import { diffObjects } from "../_lib/audit.js";
+import { createProxyHandler } from "../_lib/proxy.js";
 
-export default async function handler(req, res) {
-  const method = req.method || "GET";
-  if (!["GET", "POST"].includes(method)) {
-    return res.status(405).json({ error: "Method not allowed" });
-  }
+export default createProxyHandler(
+  {
+    route: "/api/admin/set-role", methods: ["GET", "POST"], auth: "admin",
+    // Live audience counts back the analysts' Audience panel; the user list and role changes do not
+    permission: (method, req) => (method === "GET" && String(req.query?.mode || "").toLowerCase() === "active-users" ? "export" : "users"),
+    railway: false, timeoutMs: 8000,
+  },
+  async (ctx) => {
+    const { res, method } = ctx;
+    const supabaseUrl  = process.env.SUPABASE_URL;
+    const serviceKey   = process.env.SUPABASE_SERVICE_ROLE_KEY;
 
-  const supabaseUrl  = process.env.SUPABASE_URL;
-  const serviceKey   = process.env.SUPABASE_SERVICE_ROLE_KEY;
-  const railwayUrl   = process.env.RAILWAY_BACKEND_URL;
-
-  const authHeader = req.headers["authorization"] || "";
-  const authCheck = await verifyAdminJwt(authHeader);
-  if (!authCheck.ok) return res.status(authCheck.status).json({ error: authCheck.error });
-
-  try {
     // ── GET: active-users → Railway ──────────────────────────────────────────
-    if (method === "GET" && String(req.query?.mode || "").trim() === "active-users") {
-      if (!railwayUrl) return res.status(500).json({ error: "Server misconfiguration" });
-      const upstream = await fetch(`${railwayUrl}/admin/active-users`, {
-        method: "GET", headers: { Authorization: authHeader },
-      });
-      const raw = await upstream.text();
-      let data;
-      try { data = raw ? JSON.parse(raw) : {}; } catch { data = { detail: raw }; }
-      return res.status(upstream.status).json(data);
+    if (method === "GET" && ctx.mode === "active-users") {
+      if (!ctx.railwayUrl) return ctx.fail(500, "Server misconfiguration");
+      return ctx.forward("/admin/active-users");
     }
 
     // ── GET: list users directly from Supabase Auth admin API ────────────────
     if (method === "GET") {
-      if (!supabaseUrl || !serviceKey) return res.status(500).json({ error: "Server misconfiguration" });
-      const page    = Math.max(1, Number(req.query?.page    || 1));
-      const perPage = Math.min(200, Math.max(1, Number(req.query?.per_page || 200)));
+      if (!supabaseUrl || !serviceKey) return ctx.fail(500, "Server misconfiguration");
+      const page    = ctx.int("page", 1, 1, 10000);
+      const perPage = ctx.int("per_page", 200, 1, 200);
 
       const sbRes = await fetch(
         `${supabaseUrl}/auth/v1/admin/users?page=${page}&per_page=${perPage}`,
         { headers: { apikey: serviceKey, Authorization: `Bearer ${serviceKey}` } }
       );
-      if (!sbRes.ok) return res.status(sbRes.status).json({ error: "Failed to fetch users" });
+      if (!sbRes.ok) return ctx.fail(sbRes.status, "Failed to fetch users");
 
       const sbData = await sbRes.json();
       const rawUsers = sbData.users || [];
@@ -79,21 +73,36 @@ export default async function handler(req, res) {
       return res.status(200).json({ users, page, per_page: perPage });
     }
 
-    // ── POST: set role → Railway ─────────────────────────────────────────────
-    if (!railwayUrl) return res.status(500).json({ error: "Server misconfiguration" });
-    const body = typeof req.body === "string" ? req.body : JSON.stringify(req.body || {});
-    const upstream = await fetch(`${railwayUrl}/admin/set-role`, {
-      method: "POST",
-      headers: { "Content-Type": "application/json", Authorization: authHeader },
-      body,
-    });
-    const raw = await upstream.text();
-    let data;
-    try { data = raw ? JSON.parse(raw) : {}; } catch { data = { detail: raw }; }
-    return res.status(upstream.status).json(data);
+    // ── POST: set role directly in Supabase app_metadata ─────────────────────
+    if (!supabaseUrl || !serviceKey) return ctx.fail(500, "Server misconfiguration");
+    const body = ctx.body();
+    if (!body) return ctx.fail(400, "Invalid JSON body");
+    const userId = String(body.user_id || "").trim();
+    const role   = String(body.role || "").trim().toLowerCase();
+    if (!userId) return ctx.fail(400, "Missing user_id");
+    if (!ASSIGNABLE_ROLES.includes(role)) {
+      return ctx.fail(400, `role must be one of: ${ASSIGNABLE_ROLES.join(", ")}`);
+    }
+    if (userId === ctx.admin?.id && !hasPermission(role, "users")) {
+      return ctx.fail(400, "You cannot remove your own user-management access");
+    }
+    if (ctx.audit) ctx.audit.target = userId;
 
-  } catch (err) {
-    console.error("[/api/admin/set-role] Error:", err);
-    return res.status(502).json({ error: "Request failed" });
-  }
-}
+    const userUrl = `${supabaseUrl}/auth/v1/admin/users/${encodeURIComponent(userId)}`;
+    const sbH = { apikey: serviceKey, Authorization: `Bearer ${serviceKey}` };
+    const current = await fetch(userUrl, { headers: sbH });
+    if (current.status === 404) return ctx.fail(404, "User not found");
+    if (!current.ok) return ctx.fail(502, "Failed to load user");
+    const before = await current.json();
+    const previous = before?.app_metadata?.role || "user";
+
+    const updated = await fetch(userUrl, {
+      method: "PUT",
+      headers: { ...sbH, "Content-Type": "application/json" },
+      body: JSON.stringify({ app_metadata: { ...(before?.app_metadata || {}), role } }),
+    });
+    if (!updated.ok) return ctx.fail(502, "Failed to update role");
+    if (ctx.audit) ctx.audit.diff = diffObjects({ role: previous }, { role });
+    return res.status(200).json({ user_id: userId, role, previous_role: previous });
+  },
+);
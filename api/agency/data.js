@@ -8,25 +8,131 @@
  *   from        — ISO date string (required)
  *   to          — ISO date string (required)
  *   camera_id   — optional camera UUID filter
- *   format      — "json" (default) | "csv"
+ *   fields      — optional comma list of columns (captured_at is always included)
+ *   vehicle_class — optional comma list of classes (car,truck,bus,motorcycle)
+ *   format      — "json" (default) | "csv" | "ndjson" | "columnar" | "geojson"
+ *   limit       — rows per page, 1–50000 (default 50000)
+ *   cursor      — opaque `next` token from the previous page
+ *   aggregate   — "hour" | "day" | "week": return bucketed totals instead of raw rows
+ *   group_by    — with aggregate: "class", "direction" or "class,direction" (long format)
  *
- * Rate limiting: per-key daily quota enforced via agency_api_usage table.
+ * Aggregate mode rows: { period, total, car, truck, bus, motorcycle, in, out, bus_car_ratio }
+ * (in/out only for keys covering every class) or, with group_by,
+ * { period, vehicle_class?, direction?, count }. Aggregates come
+ * from traffic_daily / hourly buckets (full history); the class×direction cross-tab
+ * needs raw crossings and so only covers the live retention window.
+ *
+ * Formats:
+ *   ndjson   — one JSON object per line (application/x-ndjson), streamed: each
+ *              1000-row database chunk is deduplicated, projected and written
+ *              as it arrives (the page end is probed first for the headers)
+ *   columnar — { columns, data: { <col>: [...] } } — one array per field
+ *   geojson  — raw rows only: a FeatureCollection with one Point per crossing at
+ *              its camera's location, plus one "camera" feature per camera carrying
+ *              its name and scene_map features (content-relative [0,1] image
+ *              coordinates, as drawn in Admin → Mapping). Cameras without a
+ *              location get a null geometry. Requires:
+ *                ALTER TABLE cameras
+ *                  ADD COLUMN IF NOT EXISTS latitude  double precision,
+ *                  ADD COLUMN IF NOT EXISTS longitude double precision;
+ * For csv and ndjson, has_more / next are sent as headers only.
  *
- * Key management: keys are inserted directly into agency_api_keys via Supabase
- * SQL editor by admin. The raw key is never stored — only a SHA-256 hash.
+ * Pagination: rows are ordered by (captured_at, id). When a range holds more
+ * rows than `limit`, the response carries has_more=true and a `next` cursor
+ * (JSON body, or X-Has-More / X-Next-Cursor headers for CSV). Repeat the same
+ * query with cursor=<next> until has_more is false. track_id dedup is per page.
  *
- * Example key creation (run in Supabase SQL editor):
- *   INSERT INTO agency_api_keys (agency, key_prefix, key_hash, plan, rate_limit_day)
- *   SELECT 'nwa',
- *          left(k, 8),
- *          encode(sha256(k::bytea), 'hex'),
- *          'pro', 500
- *   FROM (SELECT 'wlzk_nwa_' || replace(gen_random_uuid()::text, '-', '') AS k) t;
+ * Scopes: agency_api_keys.scopes may limit a key to certain cameras, columns
+ * and vehicle classes (see api/_lib/agency-scopes.js). Requests for anything
+ * outside the scope get 403; omitted params default to the key's full scope.
  *
- * Then send the raw key (the full `k` value) to the agency.
+ * Rate limiting: per-key daily quota enforced via agency_api_usage table.
+ *
+ * Key management: keys are issued, rotated, renamed and revoked by admins via
+ * /api/admin/agency (Admin → Agency API). The raw key is shown once at creation
+ * and never stored — only a SHA-256 hash. Keys past expires_at are rejected.
+ */
+
+import { lookupAgencyKey } from "../_lib/agency-auth.js";
+import { decodeCursor, pageSize, probePage, readPage } from "../_lib/cursor.js";
+import { trafficSeries, classDirectionSeries } from "../_lib/traffic.js";
+import {
+  AGENCY_FIELDS, AGENCY_CLASSES, AGENCY_FORMATS, AGENCY_AGGREGATES, AGENCY_GROUP_DIMS, MAX_RANGE_DAYS, resolveScope,
+} from "../_lib/agency-scopes.js";
+
+const AGGREGATES = new Set(AGENCY_AGGREGATES);
+const FORMATS    = new Set(AGENCY_FORMATS);
+const GROUP_DIMS = new Set(AGENCY_GROUP_DIMS);
+
+/** Prevent CSV formula injection by prefixing cells that start with formula chars. */
+function _csvSanitize(v) {
+  const s = String(v == null ? "" : v);
+  return /^[=+\-@\t\r]/.test(s) ? `'${s}` : s;
+}
+
+function _ratio(num, den) {
+  return den > 0 ? +(num / den).toFixed(3) : null;
+}
+
+function _toColumnar(rows, cols) {
+  return Object.fromEntries(cols.map(c => [c, rows.map(r => r[c] ?? null)]));
+}
+
+/** Rows of one page with repeated track_ids dropped (first one wins); pass `seen` to span chunks. */
+function* _dedupByTrack(rows, seen = new Set()) {
+  for (const r of rows) {
+    if (r.track_id) {
+      if (seen.has(r.track_id)) continue;
+      seen.add(r.track_id);
+    }
+    yield r;
+  }
+}
+
+function _startNdjson(res, filename) {
+  res.setHeader("Content-Type", "application/x-ndjson; charset=utf-8");
+  res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+  res.setHeader("Cache-Control", "no-store");
+  res.status(200);
+}
+
+/**
+ * Write rows as newline-delimited JSON, one write per row as `rows` yields it,
+ * waiting for the socket to drain when it pushes back.
  */
+async function _writeNdjson(res, rows, project = r => r) {
+  for (const r of rows) {
+    if (res.write(JSON.stringify(project(r)) + "\n") === false)
+      await new Promise(resolve => res.once("drain", resolve));
+  }
+}
 
-import { createHash } from "crypto";
+async function _sendNdjson(res, rows, filename, project) {
+  _startNdjson(res, filename);
+  await _writeNdjson(res, rows, project);
+  return res.end();
+}
+
+/** Cameras referenced by a GeoJSON page: { id → { name, coordinates|null, scene_map } }. */
+async function _cameraGeo(SUPABASE_URL, headers, cameraIds) {
+  if (!cameraIds.length) return {};
+  const r = await fetch(
+    `${SUPABASE_URL}/rest/v1/cameras?id=in.(${cameraIds.map(encodeURIComponent).join(",")})`
+      + `&select=id,name,feed_appearance,latitude,longitude,scene_map`,
+    { headers }
+  );
+  if (!r.ok) throw new Error(`cameras query failed (${r.status})`);
+  const out = {};
+  for (const c of await r.json()) {
+    const hasLoc = Number.isFinite(c.latitude) && Number.isFinite(c.longitude);
+    out[c.id] = {
+      name:        c.feed_appearance?.label || c.name || null,
+      coordinates: hasLoc ? [c.longitude, c.latitude] : null,
+      scene_map:   Array.isArray(c.scene_map?.features) ? c.scene_map.features : [],
+    };
+  }
+  return out;
+}
 
 export default async function handler(req, res) {
   if (req.method !== "GET")
@@ -48,18 +154,10 @@ export default async function handler(req, res) {
     "Content-Type": "application/json",
   };
 
-  const keyHash = createHash("sha256").update(rawKey).digest("hex");
-
-  // Look up key
-  const keyRes = await fetch(
-    `${SUPABASE_URL}/rest/v1/agency_api_keys?key_hash=eq.${encodeURIComponent(keyHash)}&active=eq.true&select=id,agency,plan,rate_limit_day`,
-    { headers: sbH }
-  );
-  if (!keyRes.ok) return res.status(502).json({ error: "Key lookup failed" });
-  const keys = await keyRes.json();
-  if (!keys.length) return res.status(401).json({ error: "Invalid or inactive API key" });
+  const auth = await lookupAgencyKey(rawKey, SUPABASE_URL, sbH);
+  if (!auth.ok) return res.status(auth.status).json({ error: auth.error });
+  const keyRow = auth.key;
 
-  const keyRow = keys[0];
   const today  = new Date().toISOString().slice(0, 10);
 
   // ── Rate limit: atomic increment via RPC ────────────────────────────────────
@@ -88,9 +186,36 @@ export default async function handler(req, res) {
   }).catch(() => {});
 
   // ── Validate query params ────────────────────────────────────────────────────
-  const { from, to, camera_id, format = "json" } = req.query;
+  const { from, to, camera_id } = req.query;
   if (!from || !to)
     return res.status(400).json({ error: "from and to query params required (YYYY-MM-DD)" });
+  const format = String(req.query.format || "json").toLowerCase();
+  if (!FORMATS.has(format))
+    return res.status(400).json({ error: `format must be one of: ${[...FORMATS].join(", ")}` });
+
+  const aggregate = req.query.aggregate ? String(req.query.aggregate).toLowerCase() : null;
+  if (aggregate && !AGGREGATES.has(aggregate))
+    return res.status(400).json({ error: "aggregate must be 'hour', 'day' or 'week'" });
+  const groupBy = String(req.query.group_by || "").toLowerCase().split(",").map(g => g.trim()).filter(Boolean);
+  if (groupBy.some(g => !GROUP_DIMS.has(g)))
+    return res.status(400).json({ error: "group_by must be 'class', 'direction' or 'class,direction'" });
+  if (groupBy.length && !aggregate)
+    return res.status(400).json({ error: "group_by requires aggregate=hour|day|week" });
+  if (aggregate && format === "geojson")
+    return res.status(400).json({ error: "geojson is only available for raw rows (omit aggregate)" });
+
+  const scope = resolveScope(keyRow.scopes, {
+    camera_id,
+    fields:        req.query.fields,
+    vehicle_class: req.query.vehicle_class,
+  });
+  if (scope.error)
+    return res.status(scope.status).json({ error: scope.error });
+
+  const cursor = decodeCursor(req.query.cursor);
+  if (cursor === false)
+    return res.status(400).json({ error: "Invalid cursor" });
+  const limit = pageSize(req.query.limit);
 
   const fromDate = new Date(from);
   const toDate   = new Date(to);
@@ -100,80 +225,249 @@ export default async function handler(req, res) {
   const diffDays = (toDate - fromDate) / 86400000;
   if (diffDays < 0)
     return res.status(400).json({ error: "from must be before to" });
-  if (diffDays > 90)
-    return res.status(400).json({ error: "Date range exceeds 90-day limit." });
+  if (diffDays > MAX_RANGE_DAYS)
+    return res.status(400).json({ error: `Date range exceeds ${MAX_RANGE_DAYS}-day limit.` });
 
   const fromISO = fromDate.toISOString();
   const toISO   = new Date(to + "T23:59:59Z").toISOString();
 
+  res.setHeader("X-RateLimit-Limit",     String(keyRow.rate_limit_day));
+  res.setHeader("X-RateLimit-Remaining", String(Math.max(0, keyRow.rate_limit_day - currentHits)));
+
+  // ── Aggregate mode ───────────────────────────────────────────────────────────
+  if (aggregate) {
+    // Aggregates are per camera (or all cameras for unscoped keys)
+    if (scope.cameraIds && scope.cameraIds.length > 1)
+      return res.status(400).json({ error: "camera_id required: this key is scoped to several cameras" });
+    const aggCamera = scope.cameraIds ? scope.cameraIds[0] : null;
+    try {
+      const agg = await _aggregate(SUPABASE_URL, sbH, aggCamera, fromISO, toISO, aggregate, groupBy, scope.classes);
+      if (format === "csv") {
+        const cols  = agg.rows.length ? Object.keys(agg.rows[0]) : ["period"];
+        const lines = [cols.join(",")];
+        for (const r of agg.rows) lines.push(cols.map(c => _csvSanitize(r[c])).join(","));
+        res.setHeader("Content-Type", "text/csv; charset=utf-8");
+        res.setHeader("Content-Disposition", `attachment; filename="whitelinez-${keyRow.agency}-${aggregate}-${from}.csv"`);
+        res.setHeader("Cache-Control", "no-store");
+        return res.status(200).send(lines.join("\n"));
+      }
+      if (format === "ndjson")
+        return _sendNdjson(res, agg.rows, `whitelinez-${keyRow.agency}-${aggregate}-${from}.ndjson`);
+      res.setHeader("Cache-Control", "no-store");
+      const cols = agg.rows.length ? Object.keys(agg.rows[0]) : ["period"];
+      return res.status(200).json({
+        agency:    keyRow.agency,
+        plan:      keyRow.plan,
+        from:      fromISO,
+        to:        toISO,
+        camera_id: aggCamera,
+        aggregate,
+        group_by:  groupBy.length ? groupBy : null,
+        ...agg.summary,
+        has_more:  false,
+        next:      null,
+        ...(format === "columnar"
+          ? { columns: cols, total_rows: agg.rows.length, data: _toColumnar(agg.rows, cols) }
+          : { rows: agg.rows }),
+      });
+    } catch (err) {
+      console.error("[/api/agency/data] aggregate", err);
+      return res.status(502).json({ error: "Aggregate query failed" });
+    }
+  }
+
   // ── Query vehicle_crossings ──────────────────────────────────────────────────
   try {
     let url = `${SUPABASE_URL}/rest/v1/vehicle_crossings`
-      + `?select=captured_at,track_id,vehicle_class,direction,confidence,scene_lighting,scene_weather,dwell_frames`
-      + `&vehicle_class=in.(car,truck,bus,motorcycle)`
+      + `?select=${["id", ...new Set(["track_id", ...(format === "geojson" ? ["camera_id"] : []), ...scope.fields])].join(",")}`
+      + `&vehicle_class=in.(${scope.classes.join(",")})`
       + `&captured_at=gte.${encodeURIComponent(fromISO)}`
-      + `&captured_at=lte.${encodeURIComponent(toISO)}`
-      + `&order=captured_at.asc&limit=50000`;
-    if (camera_id) url += `&camera_id=eq.${encodeURIComponent(camera_id)}`;
-
-    const dataRes = await fetch(url, { headers: sbH });
-    if (!dataRes.ok) return res.status(502).json({ error: "Data query failed" });
-    const rows = await dataRes.json();
-
-    // Deduplicate by track_id
-    const seen = new Set();
-    const deduped = rows.filter(r => {
-      if (!r.track_id) return true;
-      if (seen.has(r.track_id)) return false;
-      seen.add(r.track_id); return true;
-    });
+      + `&captured_at=lte.${encodeURIComponent(toISO)}`;
+    if (scope.cameraIds)
+      url += `&camera_id=in.(${scope.cameraIds.map(encodeURIComponent).join(",")})`;
+
+    // Deduplicate by track_id (within this page), then project to the scoped columns
+    // (id and track_id are always fetched for the cursor and dedup)
+    const cols = AGENCY_FIELDS.filter(f => scope.fields.includes(f));
+    const project = r => Object.fromEntries(cols.map(c => [c, r[c]]));
+
+    // ── NDJSON format ──────────────────────────────────────────────────────────
+    // Streamed chunk by chunk, so the page end is probed first for the headers
+    if (format === "ndjson") {
+      let end;
+      try {
+        end = await probePage(url, sbH, cursor, limit);
+      } catch (err) {
+        console.error("[/api/agency/data]", err);
+        return res.status(502).json({ error: "Data query failed" });
+      }
+      res.setHeader("X-Has-More", String(end.has_more));
+      if (end.next) res.setHeader("X-Next-Cursor", end.next);
+      _startNdjson(res, `whitelinez-${keyRow.agency}-${from}.ndjson`);
+      const seen = new Set();
+      try {
+        await readPage(url, sbH, cursor, limit, chunk => _writeNdjson(res, _dedupByTrack(chunk, seen), project));
+      } catch (err) {
+        // The 200 is already out: abort so the client sees a broken stream, not a short page
+        console.error("[/api/agency/data] ndjson stream", err);
+        return res.destroy(err);
+      }
+      return res.end();
+    }
+
+    let page;
+    try {
+      page = await readPage(url, sbH, cursor, limit);
+    } catch (err) {
+      console.error("[/api/agency/data]", err);
+      return res.status(502).json({ error: "Data query failed" });
+    }
+    res.setHeader("X-Has-More", String(page.has_more));
+    if (page.next) res.setHeader("X-Next-Cursor", page.next);
+
+    const kept = [..._dedupByTrack(page.rows)];
+    const deduped = kept.map(project);
 
     // ── CSV format ─────────────────────────────────────────────────────────────
     if (format === "csv") {
-      const _csvSanitize = (v) => {
-        const s = String(v == null ? "" : v);
-        return /^[=+\-@\t\r]/.test(s) ? `'${s}` : s;
-      };
-      const lines = ["timestamp,vehicle_class,direction,confidence,scene_lighting,scene_weather,dwell_frames,track_id"];
-      for (const r of deduped) {
-        lines.push([
-          _csvSanitize(r.captured_at),
-          _csvSanitize(r.vehicle_class),
-          _csvSanitize(r.direction),
-          r.confidence != null ? r.confidence : "",
-          _csvSanitize(r.scene_lighting),
-          _csvSanitize(r.scene_weather),
-          r.dwell_frames != null ? r.dwell_frames : "",
-          _csvSanitize(r.track_id),
-        ].join(","));
-      }
+      const lines = [cols.map(c => c === "captured_at" ? "timestamp" : c).join(",")];
+      for (const r of deduped) lines.push(cols.map(c => _csvSanitize(r[c])).join(","));
       res.setHeader("Content-Type", "text/csv; charset=utf-8");
       res.setHeader("Content-Disposition", `attachment; filename="whitelinez-${keyRow.agency}-${from}.csv"`);
       res.setHeader("Cache-Control", "no-store");
       return res.status(200).send(lines.join("\n"));
     }
 
-    // ── JSON format (default) ──────────────────────────────────────────────────
-    const classTotals = { car: 0, truck: 0, bus: 0, motorcycle: 0 };
-    for (const r of deduped) {
+    // ── GeoJSON format ─────────────────────────────────────────────────────────
+    if (format === "geojson") {
+      const cams = await _cameraGeo(SUPABASE_URL, sbH, [...new Set(kept.map(r => r.camera_id).filter(Boolean))]);
+      const point = id => cams[id]?.coordinates ? { type: "Point", coordinates: cams[id].coordinates } : null;
+      const features = [
+        ...Object.entries(cams).map(([id, c]) => ({
+          type: "Feature",
+          geometry: point(id),
+          properties: { kind: "camera", camera_id: id, name: c.name, scene_map: c.scene_map },
+        })),
+        ...kept.map((r, i) => ({
+          type: "Feature",
+          geometry: point(r.camera_id),
+          properties: { kind: "crossing", camera_id: r.camera_id, ...deduped[i] },
+        })),
+      ];
+      res.setHeader("Content-Type", "application/geo+json; charset=utf-8");
+      res.setHeader("Cache-Control", "no-store");
+      return res.status(200).send(JSON.stringify({
+        type:     "FeatureCollection",
+        agency:   keyRow.agency,
+        from:     fromISO,
+        to:       toISO,
+        has_more: page.has_more,
+        next:     page.next,
+        features,
+      }));
+    }
+
+    // ── JSON / columnar format (default) ───────────────────────────────────────
+    const classTotals = Object.fromEntries(scope.classes.map(c => [c, 0]));
+    for (const r of kept) {
       if (r.vehicle_class in classTotals) classTotals[r.vehicle_class]++;
     }
 
     res.setHeader("Cache-Control", "no-store");
-    res.setHeader("X-RateLimit-Limit",     String(keyRow.rate_limit_day));
-    res.setHeader("X-RateLimit-Remaining", String(Math.max(0, keyRow.rate_limit_day - currentHits)));
     return res.status(200).json({
       agency:      keyRow.agency,
       plan:        keyRow.plan,
       from:        fromISO,
       to:          toISO,
       camera_id:   camera_id || null,
+      fields:      cols,
       total:       deduped.length,
       class_totals: classTotals,
-      rows:        deduped,
+      has_more:    page.has_more,
+      next:        page.next,
+      ...(format === "columnar"
+        ? { columns: cols, data: _toColumnar(deduped, cols) }
+        : { rows: deduped }),
     });
   } catch (err) {
     console.error("[/api/agency/data]", err);
     return res.status(502).json({ error: "Data query failed" });
   }
 }
+
+/**
+ * Bucketed totals for aggregate mode, limited to the key's vehicle classes.
+ * Returns { rows, summary } where summary carries range-wide class/direction
+ * totals and the bus-to-car ratio. traffic_daily keeps direction counts across
+ * all classes, so class-scoped keys get directional splits from raw crossings.
+ */
+async function _aggregate(SUPABASE_URL, headers, camera_id, fromISO, toISO, granularity, groupBy, classes) {
+  const allClasses = classes.length === AGENCY_CLASSES.length;
+  const until  = Date.parse(toISO);
+  const series = (await trafficSeries(SUPABASE_URL, headers, camera_id, fromISO, toISO, granularity))
+    .filter(r => Date.parse(r.period) <= until)
+    .map(r => {
+      const row = { period: r.period, total: 0 };
+      for (const cls of classes) { row[cls] = Number(r[cls]) || 0; row.total += row[cls]; }
+      if (allClasses) {
+        row.total = Number(r.total) || row.total;
+        row.in    = Number(r.in)  || 0;
+        row.out   = Number(r.out) || 0;
+      }
+      if (classes.includes("bus") && classes.includes("car")) row.bus_car_ratio = _ratio(row.bus, row.car);
+      return row;
+    });
+
+  const classTotals = Object.fromEntries(classes.map(c => [c, 0]));
+  let total = 0;
+  for (const r of series) {
+    total += r.total;
+    for (const cls of classes) classTotals[cls] += r[cls];
+  }
+
+  // Raw class × direction cells, only fetched when the split can't come from traffic_daily
+  const needCross = groupBy.includes("direction") && (groupBy.includes("class") || !allClasses);
+  const cross = needCross
+    ? (await classDirectionSeries(SUPABASE_URL, headers, camera_id, fromISO, toISO, granularity))
+        .filter(c => classes.includes(c.vehicle_class) && Date.parse(c.period) <= until)
+    : [];
+
+  let dirTotals = null;
+  if (allClasses) {
+    dirTotals = { in: 0, out: 0 };
+    for (const r of series) { dirTotals.in += r.in; dirTotals.out += r.out; }
+  } else if (needCross) {
+    dirTotals = {};
+    for (const c of cross) dirTotals[c.direction] = (dirTotals[c.direction] || 0) + c.count;
+  }
+
+  const heavy = (classTotals.truck || 0) + (classTotals.bus || 0);
+  const summary = {
+    total,
+    class_totals:     classTotals,
+    direction_totals: dirTotals,
+    bus_car_ratio:    "bus" in classTotals && "car" in classTotals ? _ratio(classTotals.bus, classTotals.car) : null,
+    heavy_share_pct:  total > 0 ? Math.round((heavy / total) * 100) : 0,
+  };
+
+  let rows = series;
+  if (groupBy.includes("class") && groupBy.includes("direction")) {
+    rows = cross;
+  } else if (groupBy.includes("class")) {
+    rows = series.flatMap(r => classes.map(cls => ({ period: r.period, vehicle_class: cls, count: r[cls] })));
+  } else if (groupBy.includes("direction") && allClasses) {
+    rows = series.flatMap(r => [
+      { period: r.period, direction: "in",  count: r.in },
+      { period: r.period, direction: "out", count: r.out },
+    ]);
+  } else if (groupBy.includes("direction")) {
+    const cells = {};
+    for (const c of cross) {
+      const key = `${c.period}|${c.direction}`;
+      if (!cells[key]) cells[key] = { period: c.period, direction: c.direction, count: 0 };
+      cells[key].count += c.count;
+    }
+    rows = Object.values(cells);
+  }
+  return { rows, summary };
+}
@@ -0,0 +1,160 @@
+/**
+ * /api/agency/webhooks
+ *
+ * Webhook subscriptions for registered agencies, authenticated with the same
+ * x-api-key header as /api/agency/data. Webhooks belong to the key that
+ * created them and only receive data within that key's camera, class and field scope.
+ *
+ * - GET              → list this key's webhooks (secret never returned)
+ * - POST             → body { url, events?, thresholds? } → webhook + signing secret (shown ONCE)
+ * - PATCH  ?id       → body { url?, events?, thresholds?, active? }
+ * - DELETE ?id       → remove the webhook and its delivery log
+ *
+ * url: public https only — private / internal hosts are refused (see api/_lib/webhooks.js).
+ * events: "daily_summary" and/or "threshold" (default ["daily_summary"]).
+ * thresholds: [{ metric, op: "gt"|"lt", value, camera_id? }] with metric one of
+ *   total | truck_share_pct | bus_share_pct | heavy_share_pct, evaluated hourly.
+ *   Share metrics need the vehicle_class field and the classes they are computed from.
+ * Payload format, signing and retry policy are documented in api/_lib/webhooks.js.
+ */
+import { lookupAgencyKey } from "../_lib/agency-auth.js";
+import { resolveScope } from "../_lib/agency-scopes.js";
+import {
+  MAX_WEBHOOKS_PER_KEY, WEBHOOK_EVENTS, checkWebhookTarget, newWebhookSecret, normalizeThresholds, scopedMetrics,
+} from "../_lib/webhooks.js";
+
+const HOOK_FIELDS = "id,url,events,thresholds,active,created_at";
+
+function _parseBody(req) {
+  try {
+    return typeof req.body === "string" ? JSON.parse(req.body || "{}") : (req.body || {});
+  } catch { return null; }
+}
+
+function _normalizeEvents(input) {
+  const events = [...new Set((Array.isArray(input) ? input : String(input || "").split(","))
+    .map(e => String(e).trim().toLowerCase()).filter(Boolean))];
+  if (!events.length) return { error: "events must include at least one event" };
+  const bad = events.find(e => !WEBHOOK_EVENTS.includes(e));
+  if (bad) return { error: `Unknown event: ${bad}` };
+  return { events };
+}
+
+export default async function handler(req, res) {
+  const method = req.method || "GET";
+  if (!["GET", "POST", "PATCH", "DELETE"].includes(method))
+    return res.status(405).json({ error: "Method not allowed" });
+
+  const SUPABASE_URL = process.env.SUPABASE_URL;
+  const SERVICE_KEY  = process.env.SUPABASE_SERVICE_ROLE_KEY;
+  if (!SUPABASE_URL || !SERVICE_KEY)
+    return res.status(500).json({ error: "Server misconfiguration" });
+
+  const sbH = {
+    apikey:         SERVICE_KEY,
+    Authorization:  `Bearer ${SERVICE_KEY}`,
+    "Content-Type": "application/json",
+    Prefer:         "return=representation",
+  };
+
+  const auth = await lookupAgencyKey(req.headers["x-api-key"] || "", SUPABASE_URL, sbH);
+  if (!auth.ok) return res.status(auth.status).json({ error: auth.error });
+  const key = auth.key;
+  const ownFilter = `key_id=eq.${encodeURIComponent(key.id)}`;
+
+  try {
+    // ── GET: list ──────────────────────────────────────────────────────────────
+    if (method === "GET") {
+      const r = await fetch(
+        `${SUPABASE_URL}/rest/v1/agency_webhooks?${ownFilter}&select=${HOOK_FIELDS}&order=created_at.asc`,
+        { headers: sbH }
+      );
+      if (!r.ok) return res.status(502).json({ error: "Webhook query failed" });
+      res.setHeader("Cache-Control", "no-store");
+      return res.status(200).json({ webhooks: await r.json() });
+    }
+
+    const hookId = String(req.query?.id || "").trim();
+
+    // ── DELETE ─────────────────────────────────────────────────────────────────
+    if (method === "DELETE") {
+      if (!hookId) return res.status(400).json({ error: "Missing webhook id" });
+      const r = await fetch(
+        `${SUPABASE_URL}/rest/v1/agency_webhooks?id=eq.${encodeURIComponent(hookId)}&${ownFilter}&select=id`,
+        { method: "DELETE", headers: sbH }
+      );
+      if (!r.ok) return res.status(502).json({ error: "Webhook delete failed" });
+      const [deleted] = await r.json();
+      if (!deleted) return res.status(404).json({ error: "Webhook not found" });
+      return res.status(200).json({ deleted: deleted.id });
+    }
+
+    const body = _parseBody(req);
+    if (!body) return res.status(400).json({ error: "Invalid JSON body" });
+
+    const fields = {};
+    if (method === "POST" || body.url !== undefined) {
+      const { error: urlError } = await checkWebhookTarget(body.url);
+      if (urlError) return res.status(400).json({ error: urlError });
+      fields.url = String(body.url);
+    }
+    if (method === "POST" || body.events !== undefined) {
+      const { events, error } = _normalizeEvents(body.events ?? ["daily_summary"]);
+      if (error) return res.status(400).json({ error });
+      fields.events = events;
+    }
+    if (method === "POST" || body.thresholds !== undefined) {
+      const { thresholds, error } = normalizeThresholds(body.thresholds);
+      if (error) return res.status(400).json({ error });
+      const scope = resolveScope(key.scopes, {});
+      const outside = scope.cameraIds && thresholds.find(t => t.camera_id && !scope.cameraIds.includes(t.camera_id));
+      if (outside) return res.status(403).json({ error: "threshold camera_id is outside this key's scope" });
+      const hidden = thresholds.find(t => !scopedMetrics(scope).includes(t.metric));
+      if (hidden) return res.status(403).json({ error: `threshold metric '${hidden.metric}' is outside this key's scope` });
+      fields.thresholds = thresholds;
+    }
+    if (fields.events?.includes("threshold") && !fields.thresholds?.length && method === "POST")
+      return res.status(400).json({ error: "threshold events need at least one threshold" });
+
+    // ── POST: register ─────────────────────────────────────────────────────────
+    if (method === "POST") {
+      const countRes = await fetch(
+        `${SUPABASE_URL}/rest/v1/agency_webhooks?${ownFilter}&select=id`,
+        { headers: sbH }
+      );
+      if (!countRes.ok) return res.status(502).json({ error: "Webhook query failed" });
+      if ((await countRes.json()).length >= MAX_WEBHOOKS_PER_KEY)
+        return res.status(409).json({ error: `At most ${MAX_WEBHOOKS_PER_KEY} webhooks per key` });
+
+      const secret = newWebhookSecret();
+      const r = await fetch(`${SUPABASE_URL}/rest/v1/agency_webhooks?select=${HOOK_FIELDS}`, {
+        method: "POST",
+        headers: sbH,
+        body: JSON.stringify({ ...fields, key_id: key.id, agency: key.agency, secret, active: true }),
+      });
+      if (!r.ok) {
+        console.error("[/api/agency/webhooks] insert failed:", await r.text());
+        return res.status(502).json({ error: "Webhook creation failed" });
+      }
+      const [webhook] = await r.json();
+      res.setHeader("Cache-Control", "no-store");
+      return res.status(201).json({ webhook, secret });
+    }
+
+    // ── PATCH: update ──────────────────────────────────────────────────────────
+    if (!hookId) return res.status(400).json({ error: "Missing webhook id" });
+    if (body.active !== undefined) fields.active = Boolean(body.active);
+    if (!Object.keys(fields).length) return res.status(400).json({ error: "Nothing to update" });
+    const r = await fetch(
+      `${SUPABASE_URL}/rest/v1/agency_webhooks?id=eq.${encodeURIComponent(hookId)}&${ownFilter}&select=${HOOK_FIELDS}`,
+      { method: "PATCH", headers: sbH, body: JSON.stringify(fields) }
+    );
+    if (!r.ok) return res.status(502).json({ error: "Webhook update failed" });
+    const [webhook] = await r.json();
+    if (!webhook) return res.status(404).json({ error: "Webhook not found" });
+    return res.status(200).json({ webhook });
+  } catch (err) {
+    console.error("[/api/agency/webhooks]", err);
+    return res.status(502).json({ error: "Request failed" });
+  }
+}
@@ -1,18 +1,38 @@
 /**
  * /api/analytics — consolidated analytics handler.
- * Routes: /api/analytics/traffic | data | export | zones
+ * Routes: /api/analytics/traffic | forecast | data | export | zones, and /api/openapi.json
  * Routed via vercel.json rewrites: /api/analytics/:r → /api/analytics?_route=:r
  */
+import { verifyAdminJwt } from "../_lib/admin-auth.js";
+import { auditResponse, diffObjects } from "../_lib/audit.js";
+import { decodeCursor, pageSize, readPage } from "../_lib/cursor.js";
+import { buildOpenApiSpec } from "../_lib/openapi.js";
+import { enforceRateLimit } from "../_lib/rate-limit.js";
+import { MAX_COMPARE_CAMERAS, multiCameraSeries, trafficSeries } from "../_lib/traffic.js";
+import {
+  BASELINE_WEEKS, COMPARE_MODES, DEFAULT_SIGMA, SIGMA_RANGE,
+  alignComparison, baselineRows, buildBaseline, compareShift, flagAnomalies,
+} from "../_lib/traffic-compare.js";
+import { FORECAST_HOURS, trafficForecast } from "../_lib/traffic-forecast.js";
+import {
+  FREE_FLOW_PERCENTILE, LOS_CONTROLS, LOS_DELAY_BANDS, LOS_MAX_RANGE_DAYS, LOS_VC_BANDS, losReport,
+} from "../_lib/traffic-los.js";
 
 export default async function handler(req, res) {
   const route = req.query._route || "";
 
+  // CSV export is the heaviest query; the static spec is not limited
+  const limitRoute = route === "export" ? "analytics:bulk" : route === "openapi" ? null : "analytics";
+  if (limitRoute && !(await enforceRateLimit(req, res, limitRoute))) return;
+
   switch (route) {
-    case "traffic": return handleTraffic(req, res);
-    case "data":    return handleData(req, res);
-    case "export":  return handleExport(req, res);
-    case "zones":   return handleZones(req, res);
-    default:        return res.status(404).json({ error: `Unknown analytics route: ${route}` });
+    case "traffic":  return handleTraffic(req, res);
+    case "forecast": return handleForecast(req, res);
+    case "data":     return handleData(req, res);
+    case "export":   return handleExport(req, res);
+    case "zones":    return handleZones(req, res);
+    case "openapi":  return handleOpenApi(req, res);
+    default:         return res.status(404).json({ error: `Unknown analytics route: ${route}` });
   }
 }
 
@@ -50,6 +70,42 @@ function sbHeaders(SERVICE_KEY) {
 
 // ── /api/analytics/traffic ────────────────────────────────────────────────────
 
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/** Period totals, peak, class mix and queue / speed averages over a series. */
+function _seriesSummary(rows) {
+  let periodTotal = 0, peakPeriod = null, peakVal = 0;
+  const classTotals = { car: 0, truck: 0, bus: 0, motorcycle: 0 };
+  const qDepths = [], speeds = [];
+  for (const r of rows) {
+    const t = r.total || 0;
+    periodTotal += t;
+    if (t > peakVal) { peakVal = t; peakPeriod = r.period || r.hour; }
+    classTotals.car        += r.car        || 0;
+    classTotals.truck      += r.truck      || 0;
+    classTotals.bus        += r.bus        || 0;
+    classTotals.motorcycle += r.motorcycle || 0;
+    if (r.avg_queue != null) qDepths.push(parseFloat(r.avg_queue));
+    if (r.avg_speed != null) speeds.push(parseFloat(r.avg_speed));
+  }
+
+  const grand    = Object.values(classTotals).reduce((a, b) => a + b, 0) || 1;
+  const classPct = Object.fromEntries(
+    Object.entries(classTotals).map(([k, v]) => [k, Math.round((v / grand) * 100)])
+  );
+
+  return {
+    period_total:     periodTotal,
+    peak_period:      peakPeriod,
+    peak_value:       peakVal,
+    class_totals:     classTotals,
+    class_pct:        classPct,
+    avg_queue_depth:  qDepths.length > 0 ? +(qDepths.reduce((a, b) => a + b, 0) / qDepths.length).toFixed(2) : null,
+    peak_queue_depth: qDepths.length > 0 ? Math.max(...qDepths) : null,
+    avg_speed_kmh:    speeds.length > 0   ? +(speeds.reduce((a, b) => a + b, 0) / speeds.length).toFixed(1) : null,
+  };
+}
+
 async function handleTraffic(req, res) {
   if (req.method !== "GET")
     return res.status(405).json({ error: "Method not allowed" });
@@ -59,7 +115,41 @@ async function handleTraffic(req, res) {
   const { SUPABASE_URL, SERVICE_KEY } = env;
   const headers = sbHeaders(SERVICE_KEY);
 
-  const { camera_id, hours = "24", from, to, granularity = "hour" } = req.query;
+  const { camera_id, camera_ids, corridor, compare, sigma, hours = "24", from, to, granularity = "hour" } = req.query;
+
+  if (compare && !COMPARE_MODES.includes(compare))
+    return res.status(400).json({ error: `compare must be one of: ${COMPARE_MODES.join(", ")}` });
+  let sigmaNum = null;
+  if (sigma != null && sigma !== "") {
+    sigmaNum = Number(sigma);
+    if (!Number.isFinite(sigmaNum) || sigmaNum < SIGMA_RANGE[0] || sigmaNum > SIGMA_RANGE[1])
+      return res.status(400).json({ error: `sigma must be between ${SIGMA_RANGE[0]} and ${SIGMA_RANGE[1]}` });
+  }
+  // Anomaly flags come with any comparison, or on their own when sigma is given
+  if (compare && sigmaNum == null) sigmaNum = DEFAULT_SIGMA;
+
+  const corridorName = String(corridor || "").trim() || null;
+  if (corridorName) {
+    if (camera_id || camera_ids != null)
+      return res.status(400).json({ error: "Use corridor or camera_id / camera_ids, not both" });
+    if (corridorName.length > 100)
+      return res.status(400).json({ error: "corridor must be at most 100 characters" });
+    if (compare || sigmaNum != null)
+      return res.status(400).json({ error: "compare and sigma apply to a single camera series, not a corridor" });
+  }
+
+  let compareIds = null;
+  if (camera_ids != null) {
+    if (camera_id)
+      return res.status(400).json({ error: "Use camera_id or camera_ids, not both" });
+    if (compare || sigmaNum != null)
+      return res.status(400).json({ error: "compare and sigma apply to a single camera series, not camera_ids" });
+    compareIds = [...new Set(String(camera_ids).split(",").map(v => v.trim()).filter(Boolean))];
+    if (!compareIds.length || compareIds.some(id => !UUID_RE.test(id)))
+      return res.status(400).json({ error: "camera_ids must be a comma-separated list of camera UUIDs" });
+    if (compareIds.length > MAX_COMPARE_CAMERAS)
+      return res.status(400).json({ error: `camera_ids accepts at most ${MAX_COMPARE_CAMERAS} cameras` });
+  }
 
   let fromISO, toISO;
   if (from || to) {
@@ -75,103 +165,33 @@ async function handleTraffic(req, res) {
     fromISO = new Date(Date.now() - hoursInt * 3600 * 1000).toISOString();
   }
 
-  try {
-    let rows = [];
-
-    if (granularity === "day" || granularity === "week") {
-      const fromDate = fromISO.slice(0, 10);
-      const toDate   = toISO.slice(0, 10);
-      let url = `${SUPABASE_URL}/rest/v1/traffic_daily`
-        + `?date=gte.${fromDate}&date=lte.${toDate}`
-        + `&order=date.asc`;
-      if (camera_id) url += `&camera_id=eq.${encodeURIComponent(camera_id)}`;
-
-      const [r, outMap] = await Promise.all([
-        fetch(url, { headers }),
-        _outboundCounts(SUPABASE_URL, headers, camera_id, fromISO, toISO, granularity),
-      ]);
-      const dailyRows = r.ok ? (await r.json()) : [];
-
-      if (granularity === "week") {
-        const weeks = {};
-        for (const d of dailyRows) {
-          const monday = _getMondayISO(d.date);
-          if (!weeks[monday]) weeks[monday] = { period: monday, total: 0, car: 0, truck: 0, bus: 0, motorcycle: 0, in: 0, out: 0, avg_queue: 0, avg_speed: 0, _q_sum: 0, _q_n: 0, _s_sum: 0, _s_n: 0 };
-          const w = weeks[monday];
-          w.total      += d.total_crossings  || 0;
-          w.car        += d.car_count        || 0;
-          w.truck      += d.truck_count      || 0;
-          w.bus        += d.bus_count        || 0;
-          w.motorcycle += d.motorcycle_count || 0;
-          w.in         += d.count_in         || 0;
-          w.out        += d.count_out        || 0;
-          if (d.avg_queue_depth != null) { w._q_sum += parseFloat(d.avg_queue_depth); w._q_n += 1; }
-          if (d.avg_speed_kmh   != null) { w._s_sum += parseFloat(d.avg_speed_kmh);   w._s_n += 1; }
-        }
-        rows = Object.values(weeks).map(w => ({
-          period: w.period, total: w.total, car: w.car, truck: w.truck, bus: w.bus, motorcycle: w.motorcycle,
-          in: w.in, out: outMap[w.period] ?? w.out,
-          avg_queue: w._q_n > 0 ? +(w._q_sum / w._q_n).toFixed(2) : null,
-          avg_speed: w._s_n > 0 ? +(w._s_sum / w._s_n).toFixed(1) : null,
-        })).sort((a, b) => a.period.localeCompare(b.period));
-      } else {
-        rows = dailyRows.map(d => ({
-          period: d.date, total: d.total_crossings, car: d.car_count, truck: d.truck_count,
-          bus: d.bus_count, motorcycle: d.motorcycle_count, in: d.count_in, out: outMap[d.date] ?? d.count_out ?? 0,
-          avg_queue: d.avg_queue_depth, avg_speed: d.avg_speed_kmh,
-          peak_queue: d.peak_queue_depth, peak_hour: d.peak_hour,
-        }));
-      }
-
-      if (rows.length === 0)
-        rows = await _hourlyFallback(SUPABASE_URL, headers, camera_id, fromISO, toISO, "day");
-    } else {
-      rows = await _hourlyData(SUPABASE_URL, headers, camera_id, fromISO, toISO);
-    }
-
-    let periodTotal = 0, peakPeriod = null, peakVal = 0;
-    const classTotals = { car: 0, truck: 0, bus: 0, motorcycle: 0 };
-    const qDepths = [], speeds = [];
-    for (const r of rows) {
-      const t = r.total || 0;
-      periodTotal += t;
-      if (t > peakVal) { peakVal = t; peakPeriod = r.period || r.hour; }
-      classTotals.car        += r.car        || 0;
-      classTotals.truck      += r.truck      || 0;
-      classTotals.bus        += r.bus        || 0;
-      classTotals.motorcycle += r.motorcycle || 0;
-      if (r.avg_queue != null) qDepths.push(parseFloat(r.avg_queue));
-      if (r.avg_speed != null) speeds.push(parseFloat(r.avg_speed));
-    }
+  if (compareIds || corridorName) {
+    return _handleTrafficCompare(res, SUPABASE_URL, headers, compareIds, corridorName, fromISO, toISO, granularity);
+  }
 
-    const grand    = Object.values(classTotals).reduce((a, b) => a + b, 0) || 1;
-    const classPct = Object.fromEntries(
-      Object.entries(classTotals).map(([k, v]) => [k, Math.round((v / grand) * 100)])
-    );
+  try {
+    const rows = await trafficSeries(SUPABASE_URL, headers, camera_id, fromISO, toISO, granularity);
 
-    const [globalTotals, firstDate] = await Promise.all([
+    const [globalTotals, firstDate, comparison, anomalyFlags] = await Promise.all([
       _globalTotals(SUPABASE_URL, headers, camera_id),
       _firstDate(SUPABASE_URL, headers, camera_id),
+      compare ? _comparison(SUPABASE_URL, headers, camera_id, rows, compare, fromISO, toISO, granularity) : null,
+      sigmaNum != null ? _anomalies(SUPABASE_URL, headers, camera_id, rows, fromISO, toISO, granularity, sigmaNum) : null,
     ]);
 
     res.setHeader("Cache-Control", "s-maxage=60, stale-while-revalidate=30");
     return res.status(200).json({
       rows,
       summary: {
-        period_total:    periodTotal,
-        peak_period:     peakPeriod,
-        peak_value:      peakVal,
-        class_totals:    classTotals,
-        class_pct:       classPct,
-        avg_queue_depth: qDepths.length > 0 ? +(qDepths.reduce((a, b) => a + b, 0) / qDepths.length).toFixed(2) : null,
-        peak_queue_depth: qDepths.length > 0 ? Math.max(...qDepths) : null,
-        avg_speed_kmh:   speeds.length > 0   ? +(speeds.reduce((a, b) => a + b, 0) / speeds.length).toFixed(1) : null,
+        ..._seriesSummary(rows),
         global:          globalTotals,
         first_date:      firstDate,
         granularity,
         from: fromISO,
         to:   toISO,
       },
+      ...(comparison ? { compare: comparison } : {}),
+      ...(anomalyFlags || {}),
     });
   } catch (err) {
     console.error("[/api/analytics/traffic]", err);
@@ -179,128 +199,131 @@ async function handleTraffic(req, res) {
   }
 }
 
-async function _hourlyData(SUPABASE_URL, headers, camera_id, fromISO, toISO) {
-  const [rpcRes, outMap] = await Promise.all([
-    fetch(`${SUPABASE_URL}/rest/v1/rpc/analytics_traffic_hourly`, {
-      method: "POST", headers,
-      body: JSON.stringify({ p_camera_id: camera_id || null, p_since: fromISO }),
-    }),
-    _outboundCounts(SUPABASE_URL, headers, camera_id, fromISO, toISO, "hour"),
-  ]);
-  if (rpcRes.ok) {
-    const rows = await rpcRes.json();
-    if (rows && rows.length > 0)
-      return rows.map(r => {
-        const key = new Date(r.hour).toISOString().slice(0, 13) + ":00:00Z";
-        return { ...r, period: r.hour, out: outMap[key] ?? 0 };
-      });
-  }
-  // RPC only covers live vehicle_crossings (24h retention).
-  // Try unpacking hour_buckets from traffic_daily for historical requests.
-  const hist = await _hourlyFromDailyBuckets(SUPABASE_URL, headers, camera_id, fromISO, toISO);
-  if (hist.length > 0) return hist;
-  return _hourlyFallback(SUPABASE_URL, headers, camera_id, fromISO, toISO, "hour", outMap);
+/** compare= payload: the shifted series aligned to `rows`, per-bucket deltas and totals. */
+async function _comparison(SUPABASE_URL, headers, camera_id, rows, mode, fromISO, toISO, granularity) {
+  const shift = compareShift(mode, fromISO, toISO, granularity);
+  const cFrom = new Date(Date.parse(fromISO) - shift).toISOString();
+  const cTo   = new Date(Date.parse(toISO) - shift).toISOString();
+  const shifted = await trafficSeries(SUPABASE_URL, headers, camera_id, cFrom, cTo, granularity);
+  const aligned = alignComparison(rows, shifted, shift, granularity);
+  const summary = _seriesSummary(aligned.rows);
+  const current = rows.reduce((sum, r) => sum + (r.total || 0), 0);
+  return {
+    mode, from: cFrom, to: cTo,
+    rows:       aligned.rows,
+    deltas:     aligned.deltas,
+    summary,
+    delta_total: current - summary.period_total,
+    delta_pct:   summary.period_total ? Math.round(((current - summary.period_total) / summary.period_total) * 1000) / 10 : null,
+  };
+}
+
+/** Buckets of `rows` outside `sigma` standard deviations of the weekly-cycle baseline. */
+async function _anomalies(SUPABASE_URL, headers, camera_id, rows, fromISO, toISO, granularity, sigma) {
+  const history  = await baselineRows(SUPABASE_URL, headers, camera_id, fromISO, granularity);
+  const baseline = buildBaseline(history, granularity);
+  return {
+    anomalies: flagAnomalies(rows, baseline, granularity, sigma, fromISO, toISO),
+    baseline: {
+      weeks: BASELINE_WEEKS,
+      sigma,
+      slot:  granularity === "hour" ? "hour_of_week" : granularity === "day" ? "day_of_week" : "week",
+      slots: baseline.size,
+    },
+  };
 }
 
 /**
- * Build hourly rows from traffic_daily.hour_buckets for date ranges beyond live retention.
- * Each bucket key is a string hour "0"-"23"; we reconstruct full ISO timestamps per date.
+ * camera_ids / corridor mode: one aligned series per camera plus the corridor —
+ * the same cameras summed period by period. With `corridorName` the cameras are
+ * the stored set of that name (null name for an ad-hoc camera_ids group):
+ *
+ *   CREATE TABLE IF NOT EXISTS traffic_corridors (
+ *     name       text   PRIMARY KEY,
+ *     camera_ids uuid[] NOT NULL CHECK (cardinality(camera_ids) BETWEEN 1 AND 8),
+ *     updated_at timestamptz NOT NULL DEFAULT now()
+ *   );
+ *   ALTER TABLE traffic_corridors ENABLE ROW LEVEL SECURITY;
+ *   CREATE POLICY traffic_corridors_read ON traffic_corridors FOR SELECT USING (true);
  */
-async function _hourlyFromDailyBuckets(SUPABASE_URL, headers, camera_id, fromISO, toISO) {
+async function _handleTrafficCompare(res, SUPABASE_URL, headers, cameraIds, corridorName, fromISO, toISO, granularity) {
   try {
-    const fromDate = fromISO.slice(0, 10);
-    const toDate   = toISO.slice(0, 10);
-    let url = `${SUPABASE_URL}/rest/v1/traffic_daily`
-      + `?select=date,hour_buckets`
-      + `&date=gte.${fromDate}&date=lte.${toDate}`
-      + `&hour_buckets=not.is.null`
-      + `&order=date.asc`;
-    if (camera_id) url += `&camera_id=eq.${encodeURIComponent(camera_id)}`;
-    const r = await fetch(url, { headers });
-    if (!r.ok) return [];
-    const dailyRows = await r.json();
-    if (!dailyRows || dailyRows.length === 0) return [];
-
-    const result = [];
-    for (const d of dailyRows) {
-      if (!d.hour_buckets || typeof d.hour_buckets !== "object") continue;
-      for (const [hStr, hv] of Object.entries(d.hour_buckets)) {
-        const h = parseInt(hStr, 10);
-        if (isNaN(h) || h < 0 || h > 23) continue;
-        const period = `${d.date}T${String(h).padStart(2, "0")}:00:00Z`;
-        result.push({
-          period,
-          total:      hv.total      || 0,
-          in:         hv.in         || 0,
-          out:        hv.out        || 0,
-          car:        hv.car        || 0,
-          truck:      hv.truck      || 0,
-          bus:        hv.bus        || 0,
-          motorcycle: hv.motorcycle || 0,
-        });
-      }
+    if (corridorName) {
+      const corRes = await fetch(
+        `${SUPABASE_URL}/rest/v1/traffic_corridors?select=camera_ids&name=eq.${encodeURIComponent(corridorName)}`,
+        { headers },
+      );
+      if (!corRes.ok) throw new Error(`traffic_corridors query failed (${corRes.status})`);
+      const [row] = await corRes.json();
+      if (!row) return res.status(404).json({ error: `Unknown corridor: ${corridorName}` });
+      cameraIds = [...new Set(row.camera_ids || [])].slice(0, MAX_COMPARE_CAMERAS);
+      if (!cameraIds.length) return res.status(404).json({ error: `Corridor has no cameras: ${corridorName}` });
     }
-    return result.sort((a, b) => a.period.localeCompare(b.period));
-  } catch { return []; }
-}
 
-async function _hourlyFallback(SUPABASE_URL, headers, camera_id, fromISO, toISO, targetGranularity, outMap) {
-  if (!outMap) outMap = await _outboundCounts(SUPABASE_URL, headers, camera_id, fromISO, toISO, targetGranularity);
-  let url = `${SUPABASE_URL}/rest/v1/vehicle_crossings`
-    + `?select=captured_at,vehicle_class,direction,zone_source,track_id`
-    + `&captured_at=gte.${encodeURIComponent(fromISO)}`
-    + `&captured_at=lte.${encodeURIComponent(toISO)}`
-    + `&zone_source=eq.entry`;  // entry only — game zone double-counts the same vehicles
-  if (camera_id) url += `&camera_id=eq.${encodeURIComponent(camera_id)}`;
-  const r = await fetch(url, { headers });
-  if (!r.ok) return [];
-  const rows = await r.json();
-  // Deduplicate: count each track_id only once per bucket (first occurrence)
-  const seen = new Set();
-  const buckets = {};
-  for (const row of rows) {
-    const dt  = new Date(row.captured_at);
-    const key = targetGranularity === "hour"
-      ? dt.toISOString().slice(0, 13) + ":00:00Z"
-      : dt.toISOString().slice(0, 10);
-    const dedupeKey = row.track_id != null ? `${key}:${row.track_id}` : null;
-    if (dedupeKey && seen.has(dedupeKey)) continue;
-    if (dedupeKey) seen.add(dedupeKey);
-    if (!buckets[key]) buckets[key] = { period: key, total: 0, car: 0, truck: 0, bus: 0, motorcycle: 0, in: 0, out: 0 };
-    buckets[key].total += 1;
-    const cls = (row.vehicle_class || "car").toLowerCase();
-    if (cls in buckets[key]) buckets[key][cls] += 1;
-    if (row.direction === "in")  buckets[key].in  += 1;
-    if (row.direction === "out") buckets[key].out += 1;
-  }
-  // Merge outbound counts from turning_movements
-  for (const [key, val] of Object.entries(outMap)) {
-    if (buckets[key]) buckets[key].out = val;
+    const camRes = await fetch(
+      `${SUPABASE_URL}/rest/v1/cameras?select=id,name,ipcam_alias&id=in.(${cameraIds.join(",")})`,
+      { headers },
+    );
+    if (!camRes.ok) throw new Error(`cameras query failed (${camRes.status})`);
+    const cams = new Map((await camRes.json()).map(c => [c.id, c]));
+    const unknown = cameraIds.find(id => !cams.has(id));
+    if (unknown) return res.status(400).json({ error: `Unknown camera_id: ${unknown}` });
+
+    const { periods, series, corridor } = await multiCameraSeries(SUPABASE_URL, headers, cameraIds, fromISO, toISO, granularity);
+
+    res.setHeader("Cache-Control", "s-maxage=60, stale-while-revalidate=30");
+    return res.status(200).json({
+      periods,
+      cameras: cameraIds.map(id => ({
+        camera_id: id,
+        name:      cams.get(id).name || cams.get(id).ipcam_alias || null,
+        rows:      series[id],
+        summary:   _seriesSummary(series[id]),
+      })),
+      corridor: {
+        name:       corridorName,
+        camera_ids: cameraIds,
+        rows:       corridor,
+        summary:    _seriesSummary(corridor),
+      },
+      summary: { granularity, from: fromISO, to: toISO },
+    });
+  } catch (err) {
+    console.error("[/api/analytics/traffic] compare", err);
+    return res.status(502).json({ error: "Analytics query failed" });
   }
-  return Object.values(buckets).sort((a, b) => a.period.localeCompare(b.period));
 }
 
-// Returns a map of { period_key → outbound_count } by bucketing turning_movements via RPC
-async function _outboundCounts(SUPABASE_URL, headers, camera_id, fromISO, toISO, targetGranularity) {
+// ── /api/analytics/forecast ───────────────────────────────────────────────────
+
+async function handleForecast(req, res) {
+  if (req.method !== "GET")
+    return res.status(405).json({ error: "Method not allowed" });
+
+  const { camera_id, hours = "6" } = req.query;
+  if (camera_id && !UUID_RE.test(camera_id))
+    return res.status(400).json({ error: "camera_id must be a UUID" });
+  const hoursInt = Math.min(Math.max(FORECAST_HOURS[0], parseInt(hours, 10) || 6), FORECAST_HOURS[1]);
+
+  const env = getEnv(res);
+  if (!env) return;
+  const { SUPABASE_URL, SERVICE_KEY } = env;
+
   try {
-    const res = await fetch(`${SUPABASE_URL}/rest/v1/rpc/analytics_turnings_hourly`, {
-      method: "POST", headers,
-      body: JSON.stringify({ p_camera_id: camera_id || null, p_since: fromISO, p_until: toISO }),
+    const now = Date.now();
+    const { forecast, model } = await trafficForecast(SUPABASE_URL, sbHeaders(SERVICE_KEY), camera_id || null, now, hoursInt);
+    res.setHeader("Cache-Control", "s-maxage=300, stale-while-revalidate=60");
+    return res.status(200).json({
+      camera_id: camera_id || null,
+      hours:     hoursInt,
+      generated_at: new Date(now).toISOString(),
+      forecast,
+      model,
     });
-    if (!res.ok) return {};
-    const rows = await res.json();
-    const map = {};
-    for (const r of rows) {
-      const h = r.hour; // ISO string "2026-03-08T14:00:00+00:00"
-      const key = targetGranularity === "hour"
-        ? new Date(h).toISOString().slice(0, 13) + ":00:00Z"
-        : targetGranularity === "day"
-          ? new Date(h).toISOString().slice(0, 10)
-          : _getMondayISO(new Date(h).toISOString().slice(0, 10));
-      map[key] = (map[key] || 0) + Number(r.total || 0);
-    }
-    return map;
-  } catch { return {}; }
+  } catch (err) {
+    console.error("[/api/analytics/forecast]", err);
+    return res.status(502).json({ error: "Forecast query failed" });
+  }
 }
 
 async function _firstDate(SUPABASE_URL, headers, camera_id) {
@@ -350,13 +373,6 @@ async function _globalTotals(SUPABASE_URL, headers, camera_id) {
   } catch { return null; }
 }
 
-function _getMondayISO(dateStr) {
-  const d = new Date(dateStr + "T00:00:00Z");
-  const day = d.getUTCDay();
-  d.setUTCDate(d.getUTCDate() + (day === 0 ? -6 : 1 - day));
-  return d.toISOString().slice(0, 10);
-}
-
 // ── /api/analytics/data ───────────────────────────────────────────────────────
 
 async function handleData(req, res) {
@@ -367,7 +383,25 @@ async function handleData(req, res) {
   const { type } = req.query;
   if (type === "zones")    return _handleDataZones(req, res, SUPABASE_URL, SERVICE_KEY);
   if (type === "turnings") return _handleDataTurnings(req, res, SUPABASE_URL, SERVICE_KEY);
-  return res.status(400).json({ error: "type must be 'zones' or 'turnings'" });
+  if (type === "los")      return _handleDataLos(req, res, SUPABASE_URL, SERVICE_KEY);
+  return res.status(400).json({ error: "type must be 'zones', 'turnings' or 'los'" });
+}
+
+/**
+ * Zone metadata kept on write: speed-trap distance_m, and lanes /
+ * lane_capacity_vph on entry approaches (used for v/c in type=los).
+ * Anything else is dropped; null when nothing valid is left.
+ */
+function _zoneMetadata(m) {
+  if (!m || typeof m !== "object") return null;
+  const out = {};
+  const dist  = Number(m.distance_m);
+  const lanes = Number(m.lanes);
+  const cap   = Number(m.lane_capacity_vph);
+  if (dist > 0 && dist <= 1000) out.distance_m = dist;
+  if (Number.isInteger(lanes) && lanes >= 1 && lanes <= 12) out.lanes = lanes;
+  if (cap > 0 && cap <= 3000) out.lane_capacity_vph = Math.round(cap);
+  return Object.keys(out).length ? out : null;
 }
 
 async function _handleDataZones(req, res, SUPABASE_URL, SERVICE_KEY) {
@@ -391,26 +425,17 @@ async function _handleDataZones(req, res, SUPABASE_URL, SERVICE_KEY) {
     }
   }
 
+  let audit = null;
   if (req.method === "POST" || req.method === "DELETE") {
-    // Zone writes require admin authentication.
-    const authHeader = req.headers.authorization || "";
-    const jwt = authHeader.startsWith("Bearer ") ? authHeader.slice(7).trim() : null;
-    if (!jwt) return res.status(401).json({ error: "Authentication required" });
-    try {
-      const verifyRes = await fetch(`${SUPABASE_URL}/auth/v1/user`, {
-        headers: { apikey: SERVICE_KEY, Authorization: `Bearer ${jwt}` },
-      });
-      if (!verifyRes.ok) return res.status(401).json({ error: "Invalid or expired token" });
-      const user = await verifyRes.json();
-      if (user?.app_metadata?.role !== "admin")
-        return res.status(403).json({ error: "Admin role required" });
-    } catch {
-      return res.status(401).json({ error: "Token verification failed" });
-    }
+    // Zone writes require admin authentication and are audited.
+    const authCheck = await verifyAdminJwt(req.headers.authorization || "", "zones");
+    if (!authCheck.ok) return res.status(authCheck.status).json({ error: authCheck.error });
+    audit = auditResponse(req, res, { admin: authCheck.user, route: "/api/analytics/data", action: `zones:${req.method.toLowerCase()}` });
   }
 
   if (req.method === "POST") {
     const { camera_id, zones } = req.body || {};
+    audit.target = camera_id || null;
     if (!camera_id || !Array.isArray(zones) || !zones.length)
       return res.status(400).json({ error: "camera_id and zones[] required" });
 
@@ -423,7 +448,7 @@ async function _handleDataZones(req, res, SUPABASE_URL, SERVICE_KEY) {
         if (!Array.isArray(z.points) || z.points.length > 200) throw new Error("Invalid points");
         const colorHex = /^#[0-9a-fA-F]{3,8}$/.test(z.color || "") ? z.color : null;
         return { camera_id, zone_type: z.zone_type, name: z.name.slice(0, 100),
-                 points: z.points, metadata: null, color: colorHex, active: true };
+                 points: z.points, metadata: _zoneMetadata(z.metadata), color: colorHex, active: true };
       });
     } catch (err) {
       return res.status(400).json({ error: err.message });
@@ -447,6 +472,8 @@ async function _handleDataZones(req, res, SUPABASE_URL, SERVICE_KEY) {
   if (req.method === "DELETE") {
     const { zone_id } = req.query;
     if (!zone_id) return res.status(400).json({ error: "zone_id required" });
+    audit.target = zone_id;
+    audit.diff = diffObjects({ active: true }, { active: false });
     try {
       const r = await fetch(
         `${SUPABASE_URL}/rest/v1/camera_zones?id=eq.${encodeURIComponent(zone_id)}`,
@@ -466,11 +493,29 @@ async function _handleDataZones(req, res, SUPABASE_URL, SERVICE_KEY) {
   return res.status(405).json({ error: "Method not allowed" });
 }
 
+/** analytics_turnings_matrix rows → { matrix: { "A→B": cell }, clsTotals }. */
+function _turningMatrix(matrixRows) {
+  const matrix = {};
+  const clsTotals = { car: 0, truck: 0, bus: 0, motorcycle: 0 };
+  for (const r of matrixRows) {
+    const key = `${r.entry_zone}→${r.exit_zone}`;
+    matrix[key] = {
+      from: r.entry_zone, to: r.exit_zone,
+      total: Number(r.total), car: Number(r.car), truck: Number(r.truck),
+      bus: Number(r.bus), motorcycle: Number(r.motorcycle),
+      avg_dwell_ms: Number(r.avg_dwell_ms) || 0,
+    };
+    for (const cls of ["car","truck","bus","motorcycle"])
+      clsTotals[cls] += Number(r[cls]) || 0;
+  }
+  return { matrix, clsTotals };
+}
+
 async function _handleDataTurnings(req, res, SUPABASE_URL, SERVICE_KEY) {
   if (req.method !== "GET")
     return res.status(405).json({ error: "Method not allowed" });
 
-  const { camera_id, from, to, granularity = "hour" } = req.query;
+  const { camera_id, from, to, granularity = "hour", matrix_only } = req.query;
   const toDate   = _parseDate(to,   new Date());
   const fromDate = _parseDate(from, new Date(toDate - 24 * 3600 * 1000));
   if (!fromDate || !toDate)
@@ -495,6 +540,23 @@ async function _handleDataTurnings(req, res, SUPABASE_URL, SERVICE_KEY) {
   try {
     const rpcBase = { method: "POST", headers: h };
 
+    // matrix_only: just the entry→exit matrix — the OD view re-queries it per time bucket
+    if (matrix_only === "1" || matrix_only === "true") {
+      const r = await fetch(`${SUPABASE_URL}/rest/v1/rpc/analytics_turnings_matrix`, {
+        ...rpcBase,
+        body: JSON.stringify({ p_camera_id: camera_id || null, p_since: fromISO, p_until: toISO }),
+      });
+      if (!r.ok) throw new Error(`analytics_turnings_matrix failed (${r.status})`);
+      const { matrix, clsTotals } = _turningMatrix(await r.json());
+      res.setHeader("Cache-Control", "s-maxage=60, stale-while-revalidate=30");
+      return res.status(200).json({
+        matrix,
+        top_movements: Object.values(matrix).sort((a, b) => b.total - a.total).slice(0, 10),
+        class_totals: clsTotals,
+        period: { from: fromISO, to: toISO },
+      });
+    }
+
     // Fetch hourly time series + entry→exit matrix via pre-aggregated RPCs (avoid 1000-row PostgREST cap)
     // Also get exact total count in parallel
     const tmCountBase = `${SUPABASE_URL}/rest/v1/turning_movements`
@@ -519,20 +581,7 @@ async function _handleDataTurnings(req, res, SUPABASE_URL, SERVICE_KEY) {
     const tmCountRange = tmCountRes.headers?.get("Content-Range") || "";
     const totalMovements = parseInt(tmCountRange.split("/")[1] || "") || 0;
 
-    // Build matrix object from RPC results
-    const matrix = {};
-    const clsTotals = { car: 0, truck: 0, bus: 0, motorcycle: 0 };
-    for (const r of matrixRows) {
-      const key = `${r.entry_zone}→${r.exit_zone}`;
-      matrix[key] = {
-        from: r.entry_zone, to: r.exit_zone,
-        total: Number(r.total), car: Number(r.car), truck: Number(r.truck),
-        bus: Number(r.bus), motorcycle: Number(r.motorcycle),
-        avg_dwell_ms: Number(r.avg_dwell_ms) || 0,
-      };
-      for (const cls of ["car","truck","bus","motorcycle"])
-        clsTotals[cls] += Number(r[cls]) || 0;
-    }
+    const { matrix, clsTotals } = _turningMatrix(matrixRows);
 
     // Build time buckets from hourly RPC, re-bucket to day/week if needed
     const timeBuckets = {};
@@ -602,6 +651,48 @@ async function _handleDataTurnings(req, res, SUPABASE_URL, SERVICE_KEY) {
   }
 }
 
+/**
+ * type=los: level of service per entry approach and hour (see _lib/traffic-los.js).
+ * Approaches are one camera's entry zones, so camera_id is required.
+ * Reads raw crossings and dwell rows, so the window is capped at LOS_MAX_RANGE_DAYS.
+ */
+async function _handleDataLos(req, res, SUPABASE_URL, SERVICE_KEY) {
+  if (req.method !== "GET")
+    return res.status(405).json({ error: "Method not allowed" });
+
+  const { camera_id, from, to, control = "signalized" } = req.query;
+  if (!camera_id || !UUID_RE.test(camera_id))
+    return res.status(400).json({ error: "camera_id is required and must be a UUID" });
+  if (!LOS_CONTROLS.includes(control))
+    return res.status(400).json({ error: `control must be one of: ${LOS_CONTROLS.join(", ")}` });
+  const toDate   = _parseDate(to,   new Date());
+  const fromDate = _parseDate(from, new Date(toDate - 24 * 3600 * 1000));
+  if (!fromDate || !toDate)
+    return res.status(400).json({ error: "Invalid date format. Use YYYY-MM-DD or ISO 8601." });
+  if (fromDate >= toDate)
+    return res.status(400).json({ error: "from must be before to" });
+  if (toDate - fromDate > LOS_MAX_RANGE_DAYS * 86400000)
+    return res.status(400).json({ error: `Range must be ${LOS_MAX_RANGE_DAYS} days or less` });
+  const fromISO = fromDate.toISOString();
+  const toISO   = toDate.toISOString();
+
+  try {
+    const report = await losReport(SUPABASE_URL, sbHeaders(SERVICE_KEY), camera_id, fromISO, toISO, control);
+    res.setHeader("Cache-Control", "s-maxage=60, stale-while-revalidate=30");
+    return res.status(200).json({
+      camera_id,
+      from: fromISO,
+      to:   toISO,
+      control,
+      thresholds: { delay_s: LOS_DELAY_BANDS[control], vc: LOS_VC_BANDS, free_flow_percentile: FREE_FLOW_PERCENTILE },
+      ...report,
+    });
+  } catch (err) {
+    console.error("[/api/analytics/data?type=los]", err);
+    return res.status(502).json({ error: "Analytics query failed" });
+  }
+}
+
 // ── /api/analytics/export ─────────────────────────────────────────────────────
 
 async function handleExport(req, res) {
@@ -609,26 +700,21 @@ async function handleExport(req, res) {
     return res.status(405).json({ error: "Method not allowed" });
 
   const authHeader = req.headers.authorization || "";
-  const jwt = authHeader.startsWith("Bearer ") ? authHeader.slice(7) : null;
-  if (!jwt) return res.status(401).json({ error: "Authentication required" });
+  if (!authHeader.startsWith("Bearer "))
+    return res.status(401).json({ error: "Authentication required" });
 
   const env = getEnv(res);
   if (!env) return;
   const { SUPABASE_URL, SERVICE_KEY } = env;
 
-  try {
-    const verifyRes = await fetch(`${SUPABASE_URL}/auth/v1/user`, {
-      headers: { apikey: SERVICE_KEY, Authorization: `Bearer ${jwt}` },
-    });
-    if (!verifyRes.ok) return res.status(401).json({ error: "Invalid or expired token" });
-    const user = await verifyRes.json();
-    if (user?.app_metadata?.role !== "admin")
-      return res.status(403).json({ error: "Admin role required for data export" });
-  } catch {
-    return res.status(401).json({ error: "Token verification failed" });
-  }
+  const authCheck = await verifyAdminJwt(authHeader, "export");
+  if (!authCheck.ok) return res.status(authCheck.status).json({ error: authCheck.error });
 
   const { camera_id, from, to } = req.query;
+  const cursor = decodeCursor(req.query.cursor);
+  if (cursor === false)
+    return res.status(400).json({ error: "Invalid cursor" });
+  const limit = pageSize(req.query.limit);
   const _fd = _parseDate(from, new Date(Date.now() - 24 * 3600 * 1000));
   const _td = _parseDate(to,   new Date());
   if (!_fd || !_td)
@@ -644,27 +730,37 @@ async function handleExport(req, res) {
     return res.status(400).json({ error: "Date range exceeds 90 days. Narrow your selection and try again." });
 
   try {
-    // Select only vehicle classes; include track_id for deduplication
+    // Select only vehicle classes; include track_id for deduplication, id for the page cursor
     let url = `${SUPABASE_URL}/rest/v1/vehicle_crossings`
-      + `?select=captured_at,track_id,vehicle_class,direction,confidence,scene_lighting,scene_weather,dwell_frames,cameras(name)`
+      + `?select=id,captured_at,track_id,vehicle_class,direction,confidence,scene_lighting,scene_weather,dwell_frames,cameras(name)`
       + `&vehicle_class=in.(car,truck,bus,motorcycle)`
       + `&captured_at=gte.${encodeURIComponent(fromDate)}`
-      + `&captured_at=lte.${encodeURIComponent(toDate)}`
-      + `&order=captured_at.asc&limit=50000`;
+      + `&captured_at=lte.${encodeURIComponent(toDate)}`;
     if (camera_id) url += `&camera_id=eq.${encodeURIComponent(camera_id)}`;
 
-    const dataRes = await fetch(url, { headers });
-    if (!dataRes.ok) return res.status(502).json({ error: "Data query failed" });
-    const rows = await dataRes.json();
+    let page;
+    try {
+      page = await readPage(url, headers, cursor, limit);
+    } catch (err) {
+      console.error("[/api/analytics/export]", err);
+      return res.status(502).json({ error: "Data query failed" });
+    }
 
-    // ── Deduplicate by track_id (first occurrence per unique vehicle) ─────────
+    // ── Deduplicate by track_id (first occurrence per unique vehicle, per page) ─
     const seenTracks = new Set();
-    const deduped = rows.filter(r => {
+    const deduped = page.rows.filter(r => {
       if (!r.track_id) return true;            // rows without track_id always included
       if (seenTracks.has(r.track_id)) return false;
       seenTracks.add(r.track_id); return true;
     });
 
+    res.setHeader("X-Has-More", String(page.has_more));
+    if (page.next) res.setHeader("X-Next-Cursor", page.next);
+
+    // A cursor past the last row simply means the range is exhausted
+    if (deduped.length === 0 && cursor)
+      return res.status(204).end();
+
     if (deduped.length === 0) {
       // Fallback: generate daily summary CSV from traffic_daily (permanent aggregated store)
       // This covers dates older than 7 days where vehicle_crossings has been pruned.
@@ -771,3 +867,15 @@ async function handleZones(req, res) {
     return res.status(502).json({ error: "Zone analytics query failed" });
   }
 }
+
+// ── /api/openapi.json ─────────────────────────────────────────────────────────
+
+function handleOpenApi(req, res) {
+  if (req.method !== "GET")
+    return res.status(405).json({ error: "Method not allowed" });
+  const host  = req.headers["x-forwarded-host"] || req.headers.host;
+  const proto = req.headers["x-forwarded-proto"] || "https";
+  res.setHeader("Cache-Control", "s-maxage=3600, stale-while-revalidate=600");
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  return res.status(200).json(buildOpenApiSpec(host ? `${proto}://${host}` : undefined));
+}
@@ -3,82 +3,54 @@
  * Single function endpoint for:
  * - POST market bet (/bets/place)
  * - POST live bet   (/bets/place-live)
- * - GET history     (/bets/history)
+ * - GET history     (Supabase `bets`, see api/_lib/bet-history.js)
+ * - GET stats       (lifetime player stats, see api/_lib/bet-stats.js)
  * - GET my-round    (/bets/my-round)
+ *
+ * Rate limited per IP and per user: placing bets ("bets:place") is tighter
+ * than reads ("bets:read"); see api/_lib/rate-limit.js.
+ *
+ * POST bodies are checked against api/_lib/bet-schema.js first; a bad bet
+ * gets 400 with the usual envelope plus `fields: { field: message }`, and
+ * only the normalised payload is forwarded.
+ *
+ * POSTs may carry an Idempotency-Key (one per submit attempt, reused on
+ * retries); duplicates get the first response replayed instead of a second
+ * bet, and a retry after a timeout gets 409 { outcome: "unknown" } rather
+ * than a second try. See api/_lib/idempotency.js.
  */
-export default async function handler(req, res) {
-  const railwayUrl = process.env.RAILWAY_BACKEND_URL;
-  if (!railwayUrl) {
-    return res.status(500).json({ error: "Server misconfiguration" });
-  }
+import { betHistory } from "../_lib/bet-history.js";
+import { describeBetErrors, validateBet } from "../_lib/bet-schema.js";
+import { betStats } from "../_lib/bet-stats.js";
+import { claimIdempotencyKey } from "../_lib/idempotency.js";
+import { createProxyHandler } from "../_lib/proxy.js";
 
-  const authHeader = req.headers["authorization"];
-  if (!authHeader || !authHeader.startsWith("Bearer ")) {
-    return res.status(401).json({ error: "Missing Bearer token" });
-  }
-
-  const mode = String(req.query?.mode || "").trim().toLowerCase();
-
-  try {
-    let upstream;
-    if (req.method === "GET") {
-      if (mode === "history") {
-        const limit = Number(req.query?.limit || 100);
-        const safeLimit = Number.isFinite(limit) ? Math.max(1, Math.min(limit, 200)) : 100;
-        const roundId = String(req.query?.round_id || "").trim();
-        const qs = new URLSearchParams({ limit: String(safeLimit) });
-        if (roundId) qs.set("round_id", roundId);
-        upstream = await fetch(`${railwayUrl}/bets/history?${qs.toString()}`, {
-          method: "GET",
-          headers: { Authorization: authHeader },
-        });
-      } else if (mode === "my-round") {
-        const roundId = String(req.query?.round_id || "").trim();
-        if (!roundId) {
-          return res.status(400).json({ error: "Missing round_id" });
-        }
-        const limit = Number(req.query?.limit || 20);
-        const safeLimit = Number.isFinite(limit) ? Math.max(1, Math.min(limit, 100)) : 20;
-        const qs = new URLSearchParams({ round_id: roundId, limit: String(safeLimit) });
-        upstream = await fetch(`${railwayUrl}/bets/my-round?${qs.toString()}`, {
-          method: "GET",
-          headers: { Authorization: authHeader },
-        });
-      } else {
-        return res.status(405).json({ error: "Method not allowed" });
-      }
-    } else if (req.method === "POST") {
-      let body;
-      try {
-        body = typeof req.body === "string" ? JSON.parse(req.body) : req.body;
-      } catch {
-        return res.status(400).json({ error: "Invalid JSON body" });
-      }
-
-      const isLive = String(req.query?.live || "") === "1";
-      const upstreamPath = isLive ? "/bets/place-live" : "/bets/place";
-      upstream = await fetch(`${railwayUrl}${upstreamPath}`, {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-          Authorization: authHeader,
-        },
-        body: JSON.stringify(body),
-      });
-    } else {
-      return res.status(405).json({ error: "Method not allowed" });
+export default createProxyHandler(
+  {
+    route: "/api/bets/place", methods: ["GET", "POST"], auth: "bearer", timeoutMs: 6000,
+    rateLimit: (method) => (method === "POST" ? "bets:place" : "bets:read"),
+  },
+  async (ctx) => {
+    if (ctx.method === "POST") {
+      const isLive = ctx.query("live") === "1";
+      const body = ctx.body();
+      if (body === null) return ctx.fail(400, "Invalid JSON body");
+      const { bet, errors } = validateBet(body, { live: isLive });
+      if (errors) return ctx.fail(400, describeBetErrors(errors), { fields: errors });
+      if (await claimIdempotencyKey(ctx, { scope: isLive ? "bets:place-live" : "bets:place", payload: bet })) return;
+      return ctx.forward(isLive ? "/bets/place-live" : "/bets/place", { body: bet });
     }
 
-    const raw = await upstream.text();
-    let data;
-    try {
-      data = raw ? JSON.parse(raw) : (req.method === "GET" ? [] : {});
-    } catch {
-      data = { detail: raw || "Upstream returned a non-JSON response" };
+    if (ctx.mode === "history") return betHistory(ctx);
+    if (ctx.mode === "stats") return betStats(ctx);
+    if (ctx.mode === "my-round") {
+      const roundId = ctx.query("round_id");
+      if (!roundId) return ctx.fail(400, "Missing round_id");
+      return ctx.forward("/bets/my-round", {
+        query: { round_id: roundId, limit: ctx.int("limit", 20, 1, 100) },
+        empty: [],
+      });
     }
-    return res.status(upstream.status).json(data);
-  } catch (err) {
-    console.error("[/api/bets/place] Upstream error:", err);
-    return res.status(502).json({ error: "Upstream request failed" });
-  }
-}
+    return ctx.fail(405, "Method not allowed");
+  },
+);
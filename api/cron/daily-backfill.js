@@ -6,11 +6,18 @@
  * Can also be triggered manually:
  *   curl -H "Authorization: Bearer $CRON_SECRET" https://aitrafficja.com/api/cron/daily-backfill
  *
+ * On success, agency webhooks subscribed to daily_summary receive yesterday's
+ * traffic_daily rows for their cameras and vehicle classes (see api/_lib/webhooks.js).
+ *
  * Env vars required:
  *   CRON_SECRET         — shared secret for auth
  *   RAILWAY_BACKEND_URL — backend base URL
  *   ADMIN_SECRET        — optional Bearer token for Railway /admin/* endpoints
+ *   SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY — webhook dispatch (skipped if unset)
  */
+import { AGENCY_CLASSES } from "../_lib/agency-scopes.js";
+import { dispatchEvent, scopeCounts, subscribedWebhooks } from "../_lib/webhooks.js";
+
 export default async function handler(req, res) {
   if (req.method !== "GET")
     return res.status(405).json({ error: "Method not allowed" });
@@ -37,9 +44,69 @@ export default async function handler(req, res) {
       headers: { Authorization: `Bearer ${adminSecret}` },
     });
     const body = await r.json().catch(() => ({}));
-    return res.status(r.ok ? 200 : r.status).json({ triggered_for: yesterday, ...body });
+    if (!r.ok) return res.status(r.status).json({ triggered_for: yesterday, ...body });
+
+    let webhooks = null;
+    try {
+      webhooks = await _sendDailySummaries(yesterday);
+    } catch (err) {
+      console.error("[cron/daily-backfill] webhook dispatch", err);
+      webhooks = { error: "Webhook dispatch failed" };
+    }
+    return res.status(200).json({ triggered_for: yesterday, ...body, webhooks });
   } catch (err) {
     console.error("[cron/daily-backfill]", err);
     return res.status(502).json({ error: "Upstream request failed", triggered_for: yesterday });
   }
 }
+
+async function _sendDailySummaries(date) {
+  const supabaseUrl = process.env.SUPABASE_URL;
+  const serviceKey  = process.env.SUPABASE_SERVICE_ROLE_KEY;
+  if (!supabaseUrl || !serviceKey) return null;
+  const sbH = {
+    apikey:         serviceKey,
+    Authorization:  `Bearer ${serviceKey}`,
+    "Content-Type": "application/json",
+  };
+
+  const hooks = await subscribedWebhooks(supabaseUrl, sbH, "daily_summary");
+  if (!hooks.length) return { queued: 0, delivered: 0 };
+
+  const r = await fetch(
+    `${supabaseUrl}/rest/v1/traffic_daily?date=eq.${date}`
+      + `&select=camera_id,total_crossings,car_count,truck_count,bus_count,motorcycle_count,count_in,count_out,peak_hour,avg_speed_kmh`,
+    { headers: sbH }
+  );
+  if (!r.ok) throw new Error(`traffic_daily query failed (${r.status})`);
+  const cameras = (await r.json()).map(d => ({
+    camera_id:  d.camera_id,
+    total:      d.total_crossings  || 0,
+    car:        d.car_count        || 0,
+    truck:      d.truck_count      || 0,
+    bus:        d.bus_count        || 0,
+    motorcycle: d.motorcycle_count || 0,
+    in:         d.count_in         || 0,
+    out:        d.count_out        || 0,
+    peak_hour:  d.peak_hour,
+    avg_speed:  d.avg_speed_kmh,
+  }));
+
+  // Counts follow the key's class / field scope; peak hour and speed span every class
+  const items = hooks.map(webhook => ({
+    webhook,
+    payload: {
+      event:   "daily_summary",
+      agency:  webhook.agency,
+      date,
+      cameras: cameras
+        .filter(c => !webhook.scope.cameraIds || webhook.scope.cameraIds.includes(c.camera_id))
+        .map(({ camera_id, peak_hour, avg_speed, ...counts }) => ({
+          camera_id,
+          ...scopeCounts(counts, webhook.scope),
+          ...(webhook.scope.classes.length === AGENCY_CLASSES.length ? { peak_hour, avg_speed } : {}),
+        })),
+    },
+  }));
+  return dispatchEvent(supabaseUrl, sbH, "daily_summary", items);
+}
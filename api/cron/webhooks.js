@@ -0,0 +1,119 @@
+/**
+ * GET /api/cron/webhooks
+ *
+ * Hourly agency webhook pass (Vercel Cron, 5 minutes past the hour):
+ *   1. Evaluates threshold rules against the last complete hour of
+ *      vehicle_crossings and queues a `threshold` event per rule crossed.
+ *      Metrics follow the key's camera and class scope; rules on a metric the
+ *      key can no longer see are skipped.
+ *   2. Retries pending deliveries whose backoff has elapsed.
+ * Can also be triggered manually:
+ *   curl -H "Authorization: Bearer $CRON_SECRET" https://aitrafficja.com/api/cron/webhooks
+ *
+ * Env vars required:
+ *   CRON_SECRET — shared secret for auth
+ *   SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY
+ */
+import { readPage } from "../_lib/cursor.js";
+import {
+  dispatchEvent, hourMetrics, retryDueDeliveries, scopedMetrics, subscribedWebhooks, thresholdCrossed,
+} from "../_lib/webhooks.js";
+
+export default async function handler(req, res) {
+  if (req.method !== "GET")
+    return res.status(405).json({ error: "Method not allowed" });
+
+  const secret = process.env.CRON_SECRET;
+  if (!secret || req.headers.authorization !== `Bearer ${secret}`)
+    return res.status(401).json({ error: "Unauthorized" });
+
+  const supabaseUrl = process.env.SUPABASE_URL;
+  const serviceKey  = process.env.SUPABASE_SERVICE_ROLE_KEY;
+  if (!supabaseUrl || !serviceKey)
+    return res.status(500).json({ error: "Server misconfiguration" });
+
+  const sbH = {
+    apikey:         serviceKey,
+    Authorization:  `Bearer ${serviceKey}`,
+    "Content-Type": "application/json",
+  };
+
+  const hourEnd   = new Date(Math.floor(Date.now() / 3600000) * 3600000);
+  const hourStart = new Date(hourEnd.getTime() - 3600000);
+
+  let thresholds = null;
+  let retries    = null;
+  try {
+    thresholds = await _evaluateThresholds(supabaseUrl, sbH, hourStart.toISOString(), hourEnd.toISOString());
+  } catch (err) {
+    console.error("[cron/webhooks] thresholds", err);
+    thresholds = { error: "Threshold evaluation failed" };
+  }
+  try {
+    retries = await retryDueDeliveries(supabaseUrl, sbH);
+  } catch (err) {
+    console.error("[cron/webhooks] retries", err);
+    retries = { error: "Retry pass failed" };
+  }
+  return res.status(200).json({ hour: hourStart.toISOString(), thresholds, retries });
+}
+
+async function _evaluateThresholds(SUPABASE_URL, headers, fromISO, toISO) {
+  const hooks = (await subscribedWebhooks(SUPABASE_URL, headers, "threshold"))
+    .filter(w => Array.isArray(w.thresholds) && w.thresholds.length);
+  if (!hooks.length) return { queued: 0, delivered: 0 };
+
+  // Per-camera class counts for the hour (entry zone, one count per track_id),
+  // folded in as each keyset chunk of the whole hour arrives
+  const seen = new Set();
+  const counts = {};
+  await readPage(
+    `${SUPABASE_URL}/rest/v1/vehicle_crossings`
+      + `?select=id,captured_at,camera_id,vehicle_class,track_id`
+      + `&captured_at=gte.${encodeURIComponent(fromISO)}`
+      + `&captured_at=lt.${encodeURIComponent(toISO)}`
+      + `&zone_source=eq.entry`,
+    headers, null, Infinity,
+    (rows) => {
+      for (const row of rows) {
+        if (!row.camera_id) continue;
+        if (row.track_id != null) {
+          const key = `${row.camera_id}:${row.track_id}`;
+          if (seen.has(key)) continue;
+          seen.add(key);
+        }
+        const c = counts[row.camera_id] || (counts[row.camera_id] = { total: 0, car: 0, truck: 0, bus: 0, motorcycle: 0 });
+        c.total += 1;
+        if (row.vehicle_class in c) c[row.vehicle_class] += 1;
+      }
+    },
+  );
+
+  const items = [];
+  for (const webhook of hooks) {
+    const { cameraIds } = webhook.scope;
+    const visible = scopedMetrics(webhook.scope);
+    for (const rule of webhook.thresholds) {
+      if (!visible.includes(rule.metric)) continue;
+      const cams = rule.camera_id ? [rule.camera_id] : Object.keys(counts);
+      for (const camId of cams) {
+        if (cameraIds && !cameraIds.includes(camId)) continue;
+        const metrics = hourMetrics(counts[camId] || {}, webhook.scope);
+        if (!thresholdCrossed(rule, metrics)) continue;
+        items.push({
+          webhook,
+          payload: {
+            event:     "threshold",
+            agency:    webhook.agency,
+            camera_id: camId,
+            hour:      fromISO,
+            rule,
+            observed:  metrics[rule.metric],
+            metrics,
+          },
+        });
+      }
+    }
+  }
+  return dispatchEvent(SUPABASE_URL, headers, "threshold", items);
+}
@@ -4,10 +4,14 @@
  * GET  /api/demo          → proxy manifest from Railway
  * POST /api/demo?action=start-detect → start live YOLO on demo video
  * POST /api/demo?action=stop-detect  → stop demo YOLO, resume live AI
+ *
+ * Rate limited per IP (api/_lib/rate-limit.js).
  */
+import { withRateLimit } from "./_lib/rate-limit.js";
+
 export const config = { runtime: "edge" };
 
-export default async function handler(req) {
+async function handler(req) {
   const backendBase = (process.env.RAILWAY_BACKEND_URL || "").replace(/\/+$/, "");
   const demoSecret  = process.env.DEMO_SECRET || "";
 
@@ -86,3 +90,5 @@ export default async function handler(req) {
     headers: { "Content-Type": "application/json" },
   });
 }
+
+export default withRateLimit("demo", handler);
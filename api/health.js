@@ -1,42 +1,205 @@
 /**
  * GET /api/health
- * Proxy backend health to keep Railway URL out of the client.
+ * Composite health report. Railway's own /health payload is spread at the top
+ * level (unchanged for existing clients), plus:
  *
- * Edge Function: s-maxage=10 lets Vercel CDN cache the response at edge nodes,
- * so most health polls never hit Railway at all.
+ *   state   — "ok" | "degraded" | "down" (503 when down)
+ *   checks  — { railway, supabase, freshness, env, hls }, each
+ *             { status: "ok"|"degraded"|"down", detail, ...metrics }
+ *   circuit — the Railway circuit breaker shared with the proxy routes
+ *             (api/_lib/circuit.js), read fresh from its store
+ *
+ * Railway or Supabase down → down; any other failing check → degraded.
+ *
+ * Edge Function: s-maxage=3 lets Vercel CDN cache the response at edge nodes,
+ * so most health polls never hit Railway or Supabase at all.
  */
+import { backoffMs, breakerFor, isUpstreamFailure } from "./_lib/circuit.js";
+import { generateHmacToken } from "./_lib/ws-token.js";
+
 export const config = { runtime: "edge" };
 
-export default async function handler(req) {
-  if (req.method !== "GET") {
-    return new Response(JSON.stringify({ error: "Method not allowed" }), {
-      status: 405,
-      headers: { "Content-Type": "application/json" },
-    });
-  }
+const CHECK_TIMEOUT_MS  = 4000;
+const RAILWAY_RETRIES   = 1;
+const SLOW_MS           = 2000;   // reachable but slower than this → degraded
+const STALE_CROSSING_SEC = 900;   // no crossing for 15 min → degraded
+
+// Names only are reported, never values.
+const REQUIRED_ENV = [
+  "RAILWAY_BACKEND_URL", "SUPABASE_URL", "SUPABASE_SERVICE_ROLE_KEY",
+  "WS_AUTH_SECRET", "CRON_SECRET", "ADMIN_SECRET",
+];
+
+function _json(body, status, extraHeaders = {}) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { "Content-Type": "application/json", ...extraHeaders },
+  });
+}
 
-  const railwayUrl = process.env.RAILWAY_BACKEND_URL;
-  if (!railwayUrl) {
-    return new Response(JSON.stringify({ error: "Server misconfiguration" }), {
-      status: 500,
-      headers: { "Content-Type": "application/json" },
-    });
+async function _timed(url, init = {}) {
+  const t0 = Date.now();
+  const res = await fetch(url, { ...init, signal: AbortSignal.timeout(CHECK_TIMEOUT_MS) });
+  return { res, ms: Date.now() - t0 };
+}
+
+function _failDetail(err) {
+  return err?.name === "TimeoutError" ? `timed out after ${CHECK_TIMEOUT_MS} ms` : "unreachable";
+}
+
+// ── Railway ──────────────────────────────────────────────────────────────────
+async function _checkRailway(railwayUrl) {
+  if (!railwayUrl) return { check: { status: "down", detail: "RAILWAY_BACKEND_URL not set" }, data: null };
+  const breaker = await breakerFor("railway").sync();
+  if (!breaker.allow()) {
+    return {
+      check: { status: "down", detail: `circuit open, retry in ${breaker.retryAfter()} s` },
+      data: null,
+    };
   }
+  for (let attempt = 0; ; attempt++) {
+    let failure;
+    try {
+      const { res, ms } = await _timed(`${railwayUrl}/health`);
+      if (!isUpstreamFailure(res.status)) {
+        await breaker.success();
+        const data = await res.json().catch(() => ({}));
+        const status = !res.ok ? "degraded" : ms > SLOW_MS ? "degraded" : "ok";
+        return {
+          check: { status, latency_ms: ms, detail: res.ok ? (ms > SLOW_MS ? "slow" : "reachable") : `HTTP ${res.status}` },
+          data: res.ok ? data : null,
+        };
+      }
+      failure = `HTTP ${res.status}`;
+    } catch (err) {
+      failure = _failDetail(err);
+    }
+    await breaker.failure(failure);
+    if (attempt >= RAILWAY_RETRIES || !breaker.allow()) {
+      return { check: { status: "down", detail: failure }, data: null };
+    }
+    await new Promise(r => setTimeout(r, backoffMs(attempt)));
+  }
+}
 
+// ── Supabase REST + crossing freshness (one query covers both) ───────────────
+async function _checkSupabase(supabaseUrl, key) {
+  if (!supabaseUrl || !key) {
+    const missing = { status: "down", detail: "Supabase not configured" };
+    return { supabase: missing, freshness: { status: "degraded", detail: "Supabase not configured" } };
+  }
   try {
-    const upstream = await fetch(`${railwayUrl}/health`);
-    const data     = await upstream.json();
-    return new Response(JSON.stringify(data), {
-      status: upstream.status,
-      headers: {
-        "Content-Type":  "application/json",
-        "Cache-Control": "public, s-maxage=3, stale-while-revalidate=5",
+    const { res, ms } = await _timed(
+      `${supabaseUrl}/rest/v1/vehicle_crossings?select=captured_at&order=captured_at.desc&limit=1`,
+      { headers: { apikey: key, Authorization: `Bearer ${key}` } }
+    );
+    if (!res.ok) {
+      return {
+        supabase:  { status: res.status >= 500 ? "down" : "degraded", latency_ms: ms, detail: `HTTP ${res.status}` },
+        freshness: { status: "degraded", detail: "query failed" },
+      };
+    }
+    const [latest] = await res.json();
+    const ageSec = latest?.captured_at
+      ? Math.max(0, Math.round((Date.now() - new Date(latest.captured_at).getTime()) / 1000))
+      : null;
+    return {
+      supabase: { status: ms > SLOW_MS ? "degraded" : "ok", latency_ms: ms, detail: ms > SLOW_MS ? "slow" : "reachable" },
+      freshness: {
+        status:           ageSec != null && ageSec <= STALE_CROSSING_SEC ? "ok" : "degraded",
+        last_crossing_at: latest?.captured_at || null,
+        age_sec:          ageSec,
+        detail:           ageSec == null ? "no crossings recorded" : ageSec > STALE_CROSSING_SEC ? "stale" : "fresh",
       },
-    });
-  } catch {
-    return new Response(JSON.stringify({ error: "Upstream request failed" }), {
-      status: 502,
-      headers: { "Content-Type": "application/json" },
-    });
+    };
+  } catch (err) {
+    return {
+      supabase:  { status: "down", detail: _failDetail(err) },
+      freshness: { status: "degraded", detail: "Supabase unreachable" },
+    };
+  }
+}
+
+// ── HLS manifest for the active camera ───────────────────────────────────────
+async function _checkHls(railwayUrl, supabaseUrl, key, railwayUp) {
+  const secret = process.env.WS_AUTH_SECRET;
+  if (!railwayUrl || !secret) return { status: "degraded", detail: "stream not configured" };
+  if (!railwayUp) return { status: "degraded", detail: "skipped, Railway down" };
+
+  let camera = null;
+  if (supabaseUrl && key) {
+    try {
+      const { res } = await _timed(
+        `${supabaseUrl}/rest/v1/cameras?is_active=eq.true&select=id,name,ipcam_alias&limit=1`,
+        { headers: { apikey: key, Authorization: `Bearer ${key}` } }
+      );
+      if (res.ok) [camera] = await res.json();
+    } catch { /* fall through to the default stream */ }
   }
+
+  const alias = camera?.ipcam_alias || "";
+  const url = `${railwayUrl}/stream/live.m3u8?token=${encodeURIComponent(await generateHmacToken(secret))}`
+    + (alias ? `&alias=${encodeURIComponent(alias)}` : "");
+  try {
+    const { res, ms } = await _timed(url);
+    const text = res.ok ? await res.text() : "";
+    const ok = text.trimStart().startsWith("#EXTM3U");
+    return {
+      status:     ok ? "ok" : "degraded",
+      latency_ms: ms,
+      camera_id:  camera?.id || null,
+      camera:     camera?.name || alias || null,
+      detail:     ok ? "manifest resolves" : res.ok ? "not a playlist" : `HTTP ${res.status}`,
+    };
+  } catch (err) {
+    return { status: "degraded", camera_id: camera?.id || null, camera: camera?.name || alias || null, detail: _failDetail(err) };
+  }
+}
+
+function _checkEnv() {
+  const missing = REQUIRED_ENV.filter(name => !process.env[name]);
+  return {
+    status:  missing.length ? "degraded" : "ok",
+    missing,
+    detail:  missing.length ? `${missing.length} missing` : "all set",
+  };
+}
+
+export default async function handler(req) {
+  if (req.method !== "GET") {
+    return _json({ error: "Method not allowed" }, 405);
+  }
+
+  const railwayUrl  = process.env.RAILWAY_BACKEND_URL;
+  const supabaseUrl = process.env.SUPABASE_URL;
+  const sbKey       = process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.SUPABASE_ANON_KEY;
+
+  const [railway, sb] = await Promise.all([
+    _checkRailway(railwayUrl),
+    _checkSupabase(supabaseUrl, sbKey),
+  ]);
+  const hls = await _checkHls(railwayUrl, supabaseUrl, sbKey, railway.check.status !== "down");
+
+  const checks = {
+    railway:   railway.check,
+    supabase:  sb.supabase,
+    freshness: sb.freshness,
+    env:       _checkEnv(),
+    hls,
+  };
+  const state = railway.check.status === "down" || sb.supabase.status === "down" ? "down"
+    : Object.values(checks).some(c => c.status !== "ok") ? "degraded"
+    : "ok";
+
+  return _json(
+    {
+      ...(railway.data || {}),
+      state,
+      checks,
+      circuit:    (await breakerFor("railway").sync({ force: true })).snapshot(),
+      checked_at: new Date().toISOString(),
+    },
+    state === "down" ? 503 : 200,
+    { "Cache-Control": "public, s-maxage=3, stale-while-revalidate=5" },
+  );
 }
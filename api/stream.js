@@ -4,28 +4,15 @@
  *
  * Edge Function: runs at Vercel's global edge nodes for lower latency.
  * Dual-mode keeps us within Vercel Hobby's 12-function limit.
+ * Manifest requests are rate limited per IP; segment requests (?p=) are not,
+ * since players fetch one every few seconds.
  */
-export const config = { runtime: "edge" };
-
-async function generateHmacToken(secret) {
-  const ts          = Math.floor(Date.now() / 1000).toString();
-  const nonceBytes  = new Uint8Array(8);
-  crypto.getRandomValues(nonceBytes);
-  const nonce       = Array.from(nonceBytes).map(b => b.toString(16).padStart(2, "0")).join("");
-  const payload     = `${ts}.${nonce}.`;
+import { withRateLimit } from "./_lib/rate-limit.js";
+import { generateHmacToken } from "./_lib/ws-token.js";
 
-  const encoder = new TextEncoder();
-  const key     = await crypto.subtle.importKey(
-    "raw", encoder.encode(secret),
-    { name: "HMAC", hash: "SHA-256" },
-    false, ["sign"]
-  );
-  const sigBuf = await crypto.subtle.sign("HMAC", key, encoder.encode(payload));
-  const sig    = Array.from(new Uint8Array(sigBuf)).map(b => b.toString(16).padStart(2, "0")).join("");
-  return `${ts}.${nonce}.${sig}`;
-}
+export const config = { runtime: "edge" };
 
-export default async function handler(req) {
+async function handler(req) {
   if (req.method !== "GET") {
     return new Response(JSON.stringify({ error: "Method not allowed" }), {
       status: 405,
@@ -132,3 +119,5 @@ export default async function handler(req) {
     });
   }
 }
+
+export default withRateLimit((req) => (new URL(req.url).searchParams.get("p") ? null : "stream"), handler);
@@ -8,30 +8,16 @@
  *   - Nonce prevents replay of captured tokens
  *
  * Edge Function: runs at Vercel's global edge for minimal latency on WS connect.
+ * Every call signs a fresh token, so it is rate limited per IP (api/_lib/rate-limit.js).
  */
+import { withRateLimit } from "./_lib/rate-limit.js";
+import { generateHmacToken } from "./_lib/ws-token.js";
+
 export const config = { runtime: "edge" };
 
 const TOKEN_TTL_SECONDS = 300;
 
-async function generateHmacToken(secret) {
-  const ts         = Math.floor(Date.now() / 1000).toString();
-  const nonceBytes = new Uint8Array(8);
-  crypto.getRandomValues(nonceBytes);
-  const nonce      = Array.from(nonceBytes).map(b => b.toString(16).padStart(2, "0")).join("");
-  const payload    = `${ts}.${nonce}.`;   // extra="" → trailing dot matches backend
-
-  const encoder = new TextEncoder();
-  const key     = await crypto.subtle.importKey(
-    "raw", encoder.encode(secret),
-    { name: "HMAC", hash: "SHA-256" },
-    false, ["sign"]
-  );
-  const sigBuf = await crypto.subtle.sign("HMAC", key, encoder.encode(payload));
-  const sig    = Array.from(new Uint8Array(sigBuf)).map(b => b.toString(16).padStart(2, "0")).join("");
-  return `${ts}.${nonce}.${sig}`;
-}
-
-export default async function handler(req) {
+async function handler(req) {
   if (req.method !== "GET") {
     return new Response(JSON.stringify({ error: "Method not allowed" }), {
       status: 405,
@@ -52,7 +38,9 @@ export default async function handler(req) {
   }
 
   const token  = await generateHmacToken(secret);
-  const wssUrl = wsBase.replace(/^https?:\/\//, "wss://") + "/ws/live";
+  // Plain ws:// only for a local backend (scripts/mock); production is always wss://
+  const isLocal = /^http:\/\/(localhost|127\.0\.0\.1)[:/]/.test(wsBase);
+  const wssUrl  = wsBase.replace(/^https?:\/\//, isLocal ? "ws://" : "wss://") + "/ws/live";
 
   return new Response(
     JSON.stringify({ token, wss_url: wssUrl, expires_in: TOKEN_TTL_SECONDS }),
@@ -65,3 +53,5 @@ export default async function handler(req) {
     }
   );
 }
+
+export default withRateLimit("token", handler);
@@ -3,6 +3,8 @@ import { defineConfig } from '@playwright/test';
 
 export default defineConfig({
   testDir: './tests',
+  // tests/unit/*.test.js are node:test suites (npm run test:unit)
+  testMatch: '*.spec.js',
   timeout: 20000,
   retries: 1,
   reporter: 'list',
@@ -0,0 +1,25 @@
+// @ts-check
+/**
+ * Offline run: starts `npm run dev:mock` (Vite + scripts/mock) and points the
+ * specs at it through BASE_URL. Only the suites that exercise the app and
+ * api/ functions run here — security headers, SEO files and performance
+ * budgets come from the Vercel/Cloudflare edge and are checked in production.
+ *
+ * Run: npm run test:offline
+ */
+import { defineConfig } from '@playwright/test';
+import base from './playwright.config.js';
+
+process.env.BASE_URL ??= 'http://localhost:3000';
+
+export default defineConfig({
+  ...base,
+  testMatch: ['backend.spec.js', 'frontend.spec.js'],
+  grepInvert: /Security headers/,
+  webServer: {
+    command: 'npm run dev:mock',
+    url: `${process.env.BASE_URL}/api/health`,
+    reuseExistingServer: true,
+    timeout: 60000,
+  },
+});
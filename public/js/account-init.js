@@ -349,7 +349,7 @@ async function loadHistory() {
     if (!res.ok) {
       error = new Error(payload?.detail || payload?.error || "History load failed");
     } else {
-      data = Array.isArray(payload) ? payload : [];
+      data = Array.isArray(payload) ? payload : (payload?.bets || []);
     }
   } catch (err) {
     error = err;
@@ -1,5 +1,6 @@
 import { sb } from './core/supabase.js';
 import { Auth } from './services/auth.js';
+import { isStaffRole } from './core/roles.js';
 
 let accountWs = null;
 let currentSession = null;
@@ -123,6 +124,7 @@ async function init() {
 
   initTabs();
   initUsernameEdit();
+  initHistoryFilters();
 
   // Avatar click → trigger file input
   document.getElementById("acc-avatar-wrap")?.addEventListener("click", () => {
@@ -172,7 +174,7 @@ async function loadProfile() {
   if (avatarEl)   { avatarEl.onerror   = () => { avatarEl.src   = defaultAvatar(user.id); }; avatarEl.src   = avatarSrc; }
   if (headerAvEl) { headerAvEl.onerror = () => { headerAvEl.src = defaultAvatar(user.id); }; headerAvEl.src = avatarSrc; }
 
-  if (user?.app_metadata?.role === "admin") {
+  if (isStaffRole(user?.app_metadata?.role)) {
     document.getElementById("account-nav-admin")?.classList.remove("hidden");
   }
 
@@ -323,44 +325,29 @@ function renderHistoryRows(data) {
   `).join("");
 }
 
-function updateStats(data) {
-  const all      = data || [];
-  const resolved = all.filter((b) => b.status !== "pending");
-  const wins     = resolved.filter((b) => b.status === "won");
-  const exacts   = wins.filter((b) => b.bet_type === "exact_count" && String(b.actual_count) === String(b.exact_count));
-  const rate     = resolved.length ? Math.round((wins.length / resolved.length) * 100) : null;
-
-  const set = (id, val) => { const el = document.getElementById(id); if (el) el.textContent = val; };
-  set("stat-total", resolved.length || all.length || "0");
-  set("stat-wins",  wins.length);
-  set("stat-rate",  rate !== null ? `${rate}%` : "—");
-  set("stat-exact", exacts.length);
+/** GET /api/bets/place?mode=history with `qs`; returns { bets, next } or throws. */
+async function fetchHistory(qs) {
+  const jwt = await Auth.getJwt();
+  if (!jwt) throw new Error("Session expired");
+  qs.set("mode", "history");
+  const res     = await fetch(`/api/bets/place?${qs}`, {
+    headers: { Authorization: `Bearer ${jwt}` },
+  });
+  const payload = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(payload?.detail || payload?.error || "History load failed");
+  return { bets: Array.isArray(payload?.bets) ? payload.bets : [], next: payload?.next || null };
 }
 
+// Stats, the Pending tab and the History tab — refreshed on load and whenever a bet resolves
 async function loadHistory() {
   if (!currentSession?.user?.id) return;
-  const jwt = await Auth.getJwt();
-  if (!jwt) return;
 
-  let data  = [];
-  let error = null;
+  let pending = [];
   try {
-    const res     = await fetch("/api/bets/place?mode=history&limit=100", {
-      headers: { Authorization: `Bearer ${jwt}` },
-    });
-    const payload = await res.json();
-    if (!res.ok) {
-      error = new Error(payload?.detail || payload?.error || "History load failed");
-    } else {
-      data = Array.isArray(payload) ? payload : [];
-    }
+    ({ bets: pending } = await fetchHistory(new URLSearchParams({ status: "pending", limit: "200" })));
   } catch (err) {
-    error = err;
+    console.warn("[account] pending load failed:", err);
   }
-
-  updateStats(data);
-
-  const pending = (data || []).filter((b) => b.status === "pending");
   renderPending(pending);
 
   // Badge pending count on tab
@@ -369,12 +356,212 @@ async function loadHistory() {
     pendingTabBtn.textContent = pending.length ? `Pending (${pending.length})` : "Pending";
   }
 
+  await Promise.all([loadStats(), loadHistoryTable()]);
+}
+
+// ── Stats tab: lifetime numbers from /api/bets/place?mode=stats ─
+let balanceChart = null;
+let chartJsPromise = null;
+
+function loadChartJs() {
+  if (window.Chart) return Promise.resolve();
+  chartJsPromise ??= new Promise((resolve, reject) => {
+    const s = document.createElement("script");
+    s.src = "https://cdn.jsdelivr.net/npm/chart.js@4.4.3/dist/chart.umd.min.js";
+    s.onload = resolve;
+    s.onerror = () => { chartJsPromise = null; reject(new Error("Chart.js failed to load")); };
+    document.head.appendChild(s);
+  });
+  return chartJsPromise;
+}
+
+const fmtPts  = (n) => Math.round(n || 0).toLocaleString();
+const fmtPct  = (x) => (x == null ? "—" : `${Math.round(x * 100)}%`);
+const signCls = (n) => (n > 0 ? "acc-stats-pos" : n < 0 ? "acc-stats-neg" : "");
+const fmtRoi  = (x) => (x == null ? "—" : `<span class="${signCls(x)}">${x > 0 ? "+" : ""}${(x * 100).toFixed(1)}%</span>`);
+const fmtNet  = (n) => `<span class="${signCls(n)}">${n > 0 ? "+" : ""}${fmtPts(n)}</span>`;
+
+function updateStats(stats) {
+  const set = (id, val) => { const el = document.getElementById(id); if (el) el.textContent = val; };
+  set("stat-total", stats.totals.resolved || stats.totals.bets || "0");
+  set("stat-wins",  stats.totals.won);
+  set("stat-rate",  fmtPct(stats.totals.win_rate));
+  set("stat-exact", stats.exact_count.exact_hits);
+}
+
+function statsTable(title, firstCol, rows) {
+  if (!rows.length) return "";
+  return `
+    <div class="acc-settings-section acc-stats-card">
+      <div class="acc-settings-title">${title}</div>
+      <table class="history-table">
+        <thead><tr><th>${firstCol}</th><th>Guesses</th><th>Win rate</th><th>Staked</th><th>Net</th><th>ROI</th></tr></thead>
+        <tbody>
+          ${rows.map(([label, g]) => `
+            <tr>
+              <td>${label}</td>
+              <td>${g.bets.toLocaleString()}</td>
+              <td>${fmtPct(g.win_rate)}</td>
+              <td>${fmtPts(g.staked)}</td>
+              <td>${fmtNet(g.net)}</td>
+              <td>${fmtRoi(g.roi)}</td>
+            </tr>`).join("")}
+        </tbody>
+      </table>
+    </div>`;
+}
+
+const CLASS_LABELS = { all: "All vehicles", car: "Cars", truck: "Trucks", bus: "Buses", motorcycle: "Motorcycles" };
+const windowLabel  = (sec) => `${Math.round(sec / 60)}-minute`;
+
+function renderStatsDashboard(stats) {
+  const el = document.getElementById("stats-dashboard");
+  if (!el) return;
+  const { totals, exact_count: exact, streaks, windows } = stats;
+  if (!totals.bets) {
+    el.innerHTML = `<p class="muted">No guesses yet. <a href="/">Make your first guess!</a></p>`;
+    return;
+  }
+
+  const run = streaks.current;
+  const current = run
+    ? `${run.length} ${run.result === "won" ? (run.length === 1 ? "win" : "wins") : (run.length === 1 ? "loss" : "losses")}`
+    : "—";
+  const tile = (val, label) => `
+    <div class="acc-stat-tile"><span class="acc-stat-val">${val}</span><span class="acc-stat-label">${label}</span></div>`;
+  const windowNote = (w, word) => (w
+    ? `<strong>${word}:</strong> ${windowLabel(w.window_duration_sec)} windows (${fmtRoi(w.roi)} ROI over ${w.resolved} resolved)`
+    : "");
+
+  el.innerHTML = `
+    <div class="acc-stats-kpis">
+      ${tile(fmtPct(totals.win_rate), "Lifetime win rate")}
+      ${tile(fmtRoi(totals.roi), "ROI")}
+      ${tile(fmtNet(totals.net), "Net pts")}
+      ${tile(exact.mean_abs_error ?? "—", "Avg exact-count error")}
+      ${tile(current, "Current streak")}
+      ${tile(`${streaks.longest_win} / ${streaks.longest_loss}`, "Best win / loss run")}
+    </div>
+    <div class="acc-stats-grid">
+      ${statsTable("ROI by guess type", "Type", [["Market", stats.by_type.market], ["Live exact count", stats.by_type.live]].filter(([, g]) => g.bets))}
+      ${statsTable("ROI by vehicle class", "Vehicles", Object.entries(stats.by_vehicle_class).map(([k, g]) => [CLASS_LABELS[k] || k, g]))}
+      ${statsTable("Count windows", "Window", Object.entries(windows.by_duration).map(([sec, g]) => [windowLabel(Number(sec)), g]))}
+    </div>
+    ${windows.best ? `<p class="acc-stats-note">${[windowNote(windows.best, "Best"), windowNote(windows.worst, "Worst")].filter(Boolean).join(" · ")}</p>` : ""}
+    ${exact.guesses ? `<p class="acc-stats-note">Exact-count guesses were off by ${exact.mean_abs_error} vehicles on average across ${exact.guesses.toLocaleString()} resolved windows; ${exact.exact_hits} landed exactly.</p>` : ""}
+    ${stats.truncated ? `<p class="acc-stats-note">Covers your newest ${totals.bets.toLocaleString()} guesses.</p>` : ""}`;
+}
+
+async function renderBalanceChart(series) {
+  const canvas = document.getElementById("stats-balance-canvas");
+  if (!canvas) return;
+  try {
+    await loadChartJs();
+  } catch (err) {
+    console.warn("[account]", err.message);
+    return;
+  }
+  if (balanceChart) { balanceChart.destroy(); balanceChart = null; }
+  if (series.length < 2) return;
+
+  const lineColor  = "#29B6F6";
+  const mutedColor = "rgba(255,255,255,0.12)";
+  balanceChart = new window.Chart(canvas, {
+    type: "line",
+    data: {
+      labels: series.map((p) => new Date(p.t).toLocaleDateString([], { month: "short", day: "numeric" })),
+      datasets: [{
+        label: "Balance", data: series.map((p) => p.balance),
+        borderColor: lineColor, backgroundColor: `${lineColor}22`,
+        fill: true, tension: 0.25, pointRadius: 0, borderWidth: 2,
+      }],
+    },
+    options: {
+      animation: false, responsive: true, maintainAspectRatio: false,
+      plugins: {
+        legend: { display: false },
+        tooltip: {
+          mode: "index", intersect: false,
+          callbacks: {
+            title: (items) => new Date(series[items[0].dataIndex].t).toLocaleString(),
+            label: (item) => `${fmtPts(item.raw)} pts`,
+          },
+        },
+      },
+      scales: {
+        x: { ticks: { maxTicksLimit: 6, font: { size: 10 }, color: mutedColor }, grid: { display: false } },
+        y: { ticks: { maxTicksLimit: 4, font: { size: 10 }, color: mutedColor }, grid: { color: mutedColor }, border: { display: false } },
+      },
+    },
+  });
+}
+
+async function loadStats() {
+  const el = document.getElementById("stats-dashboard");
+  try {
+    const jwt = await Auth.getJwt();
+    if (!jwt) throw new Error("Session expired");
+    const res   = await fetch("/api/bets/place?mode=stats", { headers: { Authorization: `Bearer ${jwt}` } });
+    const stats = await res.json().catch(() => ({}));
+    if (!res.ok) throw new Error(stats?.detail || stats?.error || "Stats unavailable");
+    updateStats(stats);
+    renderStatsDashboard(stats);
+    await renderBalanceChart(stats.balance?.series || []);
+  } catch (err) {
+    if (!el) return;
+    el.innerHTML = `<p class="muted"></p>`;
+    el.firstElementChild.textContent = err.message || "Stats unavailable";
+  }
+}
+
+// ── History tab: filters, "Load more" and CSV export ───────────
+let historyRows = [];
+let historyNext = null;
+
+function historyFilterQuery() {
+  const qs  = new URLSearchParams();
+  const val = (id) => document.getElementById(id)?.value.trim() || "";
+  if (val("history-filter-status")) qs.set("status", val("history-filter-status"));
+  if (val("history-filter-type"))   qs.set("type", val("history-filter-type"));
+  if (val("history-filter-class"))  qs.set("vehicle_class", val("history-filter-class"));
+  if (val("history-filter-from"))   qs.set("from", val("history-filter-from"));
+  if (val("history-filter-to"))     qs.set("to", val("history-filter-to"));
+  return qs;
+}
+
+function historyMsg(text, isErr = false) {
+  const el = document.getElementById("history-msg");
+  if (!el) return;
+  el.textContent = text;
+  el.style.color = isErr ? "var(--red)" : "";
+}
+
+async function loadHistoryTable(append = false) {
   const container = document.getElementById("history-container");
   if (!container) return;
+  const qs = historyFilterQuery();
+  qs.set("limit", "50");
+  if (append && historyNext) qs.set("cursor", historyNext);
 
-  const resolved = (data || []).filter((b) => b.status !== "pending");
-  if (error || !resolved.length) {
-    container.innerHTML = `<p class="muted">No resolved guesses yet. <a href="/">Make your first guess!</a></p>`;
+  try {
+    const { bets, next } = await fetchHistory(qs);
+    historyRows = append ? historyRows.concat(bets) : bets;
+    historyNext = next;
+  } catch (err) {
+    historyRows = append ? historyRows : [];
+    historyNext = null;
+    historyMsg(err.message || "History load failed", true);
+  }
+
+  const moreBtn = document.getElementById("history-more-btn");
+  if (moreBtn) moreBtn.style.display = historyNext ? "" : "none";
+
+  if (!historyRows.length) {
+    // The default filter is "Resolved" (status=won,lost) and nothing else
+    const filtered = historyFilterQuery().toString() !== "status=won%2Clost";
+    container.innerHTML = filtered
+      ? `<p class="muted">No guesses match these filters.</p>`
+      : `<p class="muted">No resolved guesses yet. <a href="/">Make your first guess!</a></p>`;
     return;
   }
 
@@ -391,11 +578,49 @@ async function loadHistory() {
         </tr>
       </thead>
       <tbody>
-        ${renderHistoryRows(resolved)}
+        ${renderHistoryRows(historyRows)}
       </tbody>
     </table>`;
 }
 
+async function exportHistory() {
+  const btn = document.getElementById("history-export-btn");
+  if (btn) btn.disabled = true;
+  try {
+    const jwt = await Auth.getJwt();
+    if (!jwt) throw new Error("Session expired");
+    const qs = historyFilterQuery();
+    qs.set("mode", "history");
+    qs.set("format", "csv");
+    const res = await fetch(`/api/bets/place?${qs}`, { headers: { Authorization: `Bearer ${jwt}` } });
+    if (!res.ok) {
+      const payload = await res.json().catch(() => ({}));
+      throw new Error(payload?.detail || payload?.error || `Export failed (${res.status})`);
+    }
+    const blob = await res.blob();
+    const a = document.createElement("a");
+    a.href = URL.createObjectURL(blob);
+    a.download = `bet-history-${new Date().toISOString().slice(0, 10)}.csv`;
+    a.click();
+    setTimeout(() => URL.revokeObjectURL(a.href), 10000);
+    historyMsg(res.headers.get("X-Truncated") === "true" ? "Exported your newest 5000 guesses — narrow the dates for older ones." : "Export downloaded.");
+  } catch (err) {
+    historyMsg(err.message || "Export failed", true);
+  } finally {
+    if (btn) btn.disabled = false;
+  }
+}
+
+function initHistoryFilters() {
+  document.getElementById("history-filter-form")?.addEventListener("submit", (e) => {
+    e.preventDefault();
+    historyMsg("");
+    loadHistoryTable();
+  });
+  document.getElementById("history-more-btn")?.addEventListener("click", () => loadHistoryTable(true));
+  document.getElementById("history-export-btn")?.addEventListener("click", exportHistory);
+}
+
 function connectAccountWs(jwt) {
   const wsMetaPromise = typeof Auth.getWsMeta === "function"
     ? Auth.getWsMeta()
@@ -0,0 +1,378 @@
+import { Auth } from '../services/auth.js';
+
+/**
+ * admin-agency.js — Agency API key management for admin panel.
+ * Issue / rotate / rename / revoke keys, edit scopes and view daily usage via /api/admin/agency.
+ * Also lists agency webhooks and their delivery log (enable / disable, redeliver).
+ * Raw keys are only ever shown once, right after issue or rotate.
+ */
+export const AdminAgency = (() => {
+  let _keys = [];
+  let _usageKeyId = null;
+  let _webhooks = [];
+  let _deliveryHookId = null;
+  let _bound = false;
+
+  // ── Helpers ───────────────────────────────────────────────────
+  function esc(s) {
+    return String(s ?? "")
+      .replace(/&/g, "&amp;").replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+  }
+
+  function _fmtDate(iso) {
+    if (!iso) return "—";
+    return new Date(iso).toLocaleDateString([], { month: "short", day: "numeric", year: "numeric" });
+  }
+
+  function _fmtAgo(iso) {
+    if (!iso) return "never";
+    const sec = Math.max(0, Math.floor((Date.now() - Date.parse(iso)) / 1000));
+    if (sec < 60) return `${sec}s ago`;
+    if (sec < 3600) return `${Math.floor(sec / 60)}m ago`;
+    if (sec < 86400) return `${Math.floor(sec / 3600)}h ago`;
+    return `${Math.floor(sec / 86400)}d ago`;
+  }
+
+  function _msg(text, isErr = false) {
+    const el = document.getElementById("agency-msg");
+    if (!el) return;
+    el.textContent = text;
+    el.style.color = isErr ? "var(--red)" : "var(--green)";
+  }
+
+  function _status(k) {
+    if (!k.active) return { label: "Revoked", cls: "round-locked" };
+    if (k.expires_at && Date.parse(k.expires_at) <= Date.now()) return { label: "Expired", cls: "round-locked" };
+    return { label: "Active", cls: "round-open" };
+  }
+
+  function _splitList(value) {
+    return String(value || "").split(",").map((v) => v.trim()).filter(Boolean);
+  }
+
+  function _scopesFrom(cameras, fields, classes) {
+    const scopes = {
+      camera_ids:      _splitList(cameras),
+      fields:          _splitList(fields),
+      vehicle_classes: _splitList(classes),
+    };
+    return Object.values(scopes).some((l) => l.length) ? scopes : null;
+  }
+
+  function _scopeLabel(scopes) {
+    if (!scopes) return "Unrestricted";
+    const parts = [];
+    if (scopes.camera_ids?.length) parts.push(`${scopes.camera_ids.length} camera${scopes.camera_ids.length === 1 ? "" : "s"}`);
+    if (scopes.fields?.length) parts.push(`fields ${scopes.fields.join(", ")}`);
+    if (scopes.vehicle_classes?.length) parts.push(`classes ${scopes.vehicle_classes.join(", ")}`);
+    return parts.join(" · ") || "Unrestricted";
+  }
+
+  async function _api(path, opts = {}) {
+    const jwt = await Auth.getJwt();
+    if (!jwt) throw new Error("Admin session expired");
+    const res = await fetch(path, {
+      ...opts,
+      headers: { "Content-Type": "application/json", Authorization: `Bearer ${jwt}`, ...(opts.headers || {}) },
+    });
+    const payload = await res.json().catch(() => ({}));
+    if (!res.ok) throw new Error(payload?.detail || payload?.error || `Request failed (${res.status})`);
+    return payload;
+  }
+
+  function _showRawKey(rawKey, agency) {
+    const box = document.getElementById("agency-raw-key");
+    if (!box) return;
+    box.style.display = "";
+    box.innerHTML = `
+      <p class="admin-hint">Copy this key for <strong>${esc(agency)}</strong> now — it will not be shown again.</p>
+      <div class="agency-raw-key-row">
+        <code id="agency-raw-key-value">${esc(rawKey)}</code>
+        <button type="button" class="btn-secondary" id="agency-raw-key-copy">Copy</button>
+      </div>`;
+    document.getElementById("agency-raw-key-copy")?.addEventListener("click", async () => {
+      try { await navigator.clipboard.writeText(rawKey); _msg("Key copied to clipboard."); }
+      catch { _msg("Copy failed — select the key manually.", true); }
+    });
+  }
+
+  // ── Load & render ─────────────────────────────────────────────
+  async function load() {
+    _loadWebhooks();
+    const listEl = document.getElementById("agency-keys-list");
+    if (!listEl) return;
+    listEl.innerHTML = `<p class="loading">Loading keys...</p>`;
+    try {
+      const payload = await _api("/api/admin/agency");
+      _keys = Array.isArray(payload?.keys) ? payload.keys : [];
+    } catch (e) {
+      listEl.innerHTML = `<p class="muted" style="font-size:0.82rem;">${esc(e.message || "Agency keys unavailable.")}</p>`;
+      return;
+    }
+    _renderList(listEl);
+  }
+
+  function _renderList(listEl) {
+    if (!_keys.length) {
+      listEl.innerHTML = `<p class="muted" style="font-size:0.82rem;">No agency keys issued yet.</p>`;
+      return;
+    }
+    listEl.innerHTML = _keys.map((k) => {
+      const st = _status(k);
+      const live = st.label === "Active";
+      return `
+        <div class="round-row agency-key-row">
+          <div class="round-row-info">
+            <span class="round-row-id">${esc(String(k.agency || "").toUpperCase())} · ${esc(k.name || k.key_prefix || "")}</span>
+            <span class="round-badge ${st.cls}">${st.label}</span>
+          </div>
+          <span class="round-row-meta">
+            ${esc(k.key_prefix)}… · Plan ${esc(k.plan || "-")} · Quota ${Number(k.rate_limit_day || 0).toLocaleString()}/day
+            · Last used ${_fmtAgo(k.last_used_at)} · Expires ${_fmtDate(k.expires_at)}
+          </span>
+          <span class="round-row-meta">Scope: ${esc(_scopeLabel(k.scopes))}</span>
+          <div class="agency-key-actions">
+            <button type="button" class="btn-secondary" data-action="usage" data-id="${esc(k.id)}">Usage</button>
+            <button type="button" class="btn-secondary" data-action="rename" data-id="${esc(k.id)}">Rename</button>
+            ${k.active ? `<button type="button" class="btn-secondary" data-action="scopes" data-id="${esc(k.id)}">Scopes</button>` : ""}
+            ${live ? `<button type="button" class="btn-secondary" data-action="rotate" data-id="${esc(k.id)}">Rotate</button>` : ""}
+            ${k.active ? `<button type="button" class="btn-secondary" data-action="revoke" data-id="${esc(k.id)}">Revoke</button>` : ""}
+          </div>
+        </div>`;
+    }).join("");
+  }
+
+  async function _loadUsage(keyId) {
+    const box = document.getElementById("agency-usage");
+    if (!box) return;
+    _usageKeyId = keyId;
+    const key = _keys.find((k) => String(k.id) === String(keyId));
+    box.innerHTML = `<p class="loading">Loading usage...</p>`;
+    try {
+      const payload = await _api(`/api/admin/agency?mode=usage&key_id=${encodeURIComponent(keyId)}&days=30`);
+      const rows = Array.isArray(payload?.usage) ? payload.usage : [];
+      const quota = Number(key?.rate_limit_day || 0);
+      const label = key ? `${String(key.agency).toUpperCase()} · ${key.name || key.key_prefix}` : keyId;
+      if (!rows.length) {
+        box.innerHTML = `<p class="muted" style="font-size:0.82rem;">${esc(label)}: no requests in the last 30 days.</p>`;
+        return;
+      }
+      const total = rows.reduce((sum, r) => sum + Number(r.hits || 0), 0);
+      box.innerHTML = `
+        <p class="round-row-meta" style="margin:0 0 6px;">${esc(label)} — ${total.toLocaleString()} requests in 30 days</p>
+        ${rows.map((r) => {
+          const hits = Number(r.hits || 0);
+          const pct = quota > 0 ? Math.min(100, Math.round((hits / quota) * 100)) : 0;
+          return `
+            <div class="aud-page-row">
+              <span class="aud-page-label">${esc(r.date)}</span>
+              <span class="aud-page-value">${hits.toLocaleString()}${quota ? ` / ${quota.toLocaleString()}` : ""}</span>
+              <div class="aud-page-bar"><div class="aud-page-fill" style="width:${pct}%"></div></div>
+            </div>`;
+        }).join("")}`;
+    } catch (e) {
+      box.innerHTML = `<p class="muted" style="font-size:0.82rem;">${esc(e.message || "Usage unavailable.")}</p>`;
+    }
+  }
+
+  // ── Webhooks ──────────────────────────────────────────────────
+  function _thresholdLabel(t) {
+    const unit = t.metric === "total" ? "" : "%";
+    return `${t.metric} ${t.op === "lt" ? "<" : ">"} ${t.value}${unit}${t.camera_id ? ` @ ${t.camera_id.slice(0, 8)}` : ""}`;
+  }
+
+  async function _loadWebhooks() {
+    const listEl = document.getElementById("agency-webhooks-list");
+    if (!listEl) return;
+    try {
+      const payload = await _api("/api/admin/agency?mode=webhooks");
+      _webhooks = Array.isArray(payload?.webhooks) ? payload.webhooks : [];
+    } catch (e) {
+      listEl.innerHTML = `<p class="muted" style="font-size:0.82rem;">${esc(e.message || "Webhooks unavailable.")}</p>`;
+      return;
+    }
+    if (!_webhooks.length) {
+      listEl.innerHTML = `<p class="muted" style="font-size:0.82rem;">No webhooks registered.</p>`;
+    } else {
+      listEl.innerHTML = _webhooks.map((w) => `
+        <div class="round-row agency-key-row">
+          <div class="round-row-info">
+            <span class="round-row-id">${esc(String(w.agency || "").toUpperCase())} · ${esc(w.url)}</span>
+            <span class="round-badge ${w.active ? "round-open" : "round-locked"}">${w.active ? "Active" : "Disabled"}</span>
+          </div>
+          <span class="round-row-meta">
+            ${esc((w.events || []).join(", "))}
+            ${(w.thresholds || []).length ? ` · ${esc(w.thresholds.map(_thresholdLabel).join("; "))}` : ""}
+          </span>
+          <div class="agency-key-actions">
+            <button type="button" class="btn-secondary" data-hook-action="deliveries" data-id="${esc(w.id)}">Deliveries</button>
+            <button type="button" class="btn-secondary" data-hook-action="${w.active ? "disable" : "enable"}" data-id="${esc(w.id)}">${w.active ? "Disable" : "Enable"}</button>
+          </div>
+        </div>`).join("");
+    }
+    _loadDeliveries();
+  }
+
+  async function _loadDeliveries() {
+    const box = document.getElementById("agency-deliveries");
+    if (!box) return;
+    const status = document.getElementById("agency-deliveries-status")?.value || "";
+    const params = new URLSearchParams({ mode: "deliveries" });
+    if (_deliveryHookId) params.set("webhook_id", _deliveryHookId);
+    if (status) params.set("status", status);
+    box.innerHTML = `<p class="loading">Loading deliveries...</p>`;
+    try {
+      const payload = await _api(`/api/admin/agency?${params}`);
+      const rows = Array.isArray(payload?.deliveries) ? payload.deliveries : [];
+      const hook = _webhooks.find((w) => String(w.id) === String(_deliveryHookId));
+      const scope = hook ? `<p class="round-row-meta" style="margin:0 0 6px;">${esc(hook.agency.toUpperCase())} · ${esc(hook.url)}</p>` : "";
+      if (!rows.length) {
+        box.innerHTML = `${scope}<p class="muted" style="font-size:0.82rem;">No deliveries.</p>`;
+        return;
+      }
+      const cls = { delivered: "round-open", pending: "round-upcoming", failed: "round-locked" };
+      box.innerHTML = scope + rows.map((d) => `
+        <div class="round-row agency-key-row">
+          <div class="round-row-info">
+            <span class="round-row-id">${esc(d.event)} · ${esc(new Date(d.created_at).toLocaleString())}</span>
+            <span class="round-badge ${cls[d.status] || ""}">${esc(d.status)}</span>
+          </div>
+          <span class="round-row-meta">
+            Attempts ${Number(d.attempts || 0)}${d.response_status ? ` · HTTP ${Number(d.response_status)}` : ""}
+            ${d.last_error ? ` · ${esc(d.last_error)}` : ""}
+            ${d.status === "pending" && d.next_attempt_at ? ` · Next ${esc(new Date(d.next_attempt_at).toLocaleTimeString())}` : ""}
+          </span>
+          ${d.status !== "delivered" ? `<div class="agency-key-actions">
+            <button type="button" class="btn-secondary" data-delivery-id="${esc(d.id)}">Redeliver</button>
+          </div>` : ""}
+        </div>`).join("");
+    } catch (e) {
+      box.innerHTML = `<p class="muted" style="font-size:0.82rem;">${esc(e.message || "Deliveries unavailable.")}</p>`;
+    }
+  }
+
+  async function _handleHookAction(action, hookId) {
+    if (action === "deliveries") {
+      _deliveryHookId = _deliveryHookId === hookId ? null : hookId;
+      _loadDeliveries();
+      return;
+    }
+    try {
+      await _api(`/api/admin/agency?mode=webhook&id=${encodeURIComponent(hookId)}`, {
+        method: "PATCH", body: JSON.stringify({ active: action === "enable" }),
+      });
+      _msg(`Webhook ${action}d.`);
+      _loadWebhooks();
+    } catch (err) {
+      _msg(err.message || `${action} failed`, true);
+    }
+  }
+
+  async function _redeliver(deliveryId) {
+    try {
+      const payload = await _api(`/api/admin/agency?mode=redeliver&id=${encodeURIComponent(deliveryId)}`, {
+        method: "PATCH", body: "{}",
+      });
+      _msg(payload.status === "delivered" ? "Redelivered." : `Redelivery ${payload.status}.`, payload.status !== "delivered");
+      _loadDeliveries();
+    } catch (err) {
+      _msg(err.message || "Redelivery failed", true);
+    }
+  }
+
+  // ── Actions ───────────────────────────────────────────────────
+  async function _handleIssue(e) {
+    e.preventDefault();
+    const agency = document.getElementById("agency-key-agency")?.value?.trim().toLowerCase();
+    const body = {
+      agency,
+      name:            document.getElementById("agency-key-name")?.value?.trim() || null,
+      plan:            document.getElementById("agency-key-plan")?.value || "pro",
+      rate_limit_day:  Number(document.getElementById("agency-key-quota")?.value || 500),
+      expires_in_days: Number(document.getElementById("agency-key-expiry")?.value || 365),
+      scopes: _scopesFrom(
+        document.getElementById("agency-key-cameras")?.value,
+        document.getElementById("agency-key-fields")?.value,
+        document.getElementById("agency-key-classes")?.value,
+      ),
+    };
+    const btn = document.getElementById("agency-key-submit");
+    if (btn) btn.disabled = true;
+    try {
+      const payload = await _api("/api/admin/agency", { method: "POST", body: JSON.stringify(body) });
+      _showRawKey(payload.raw_key, agency);
+      _msg(`Key issued for ${agency.toUpperCase()}.`);
+      document.getElementById("agency-key-form")?.reset();
+      await load();
+    } catch (err) {
+      _msg(err.message || "Key creation failed", true);
+    } finally {
+      if (btn) btn.disabled = false;
+    }
+  }
+
+  async function _handleAction(action, keyId) {
+    const key = _keys.find((k) => String(k.id) === String(keyId));
+    if (!key) return;
+    const label = `${String(key.agency).toUpperCase()} · ${key.name || key.key_prefix}`;
+
+    if (action === "usage") { _loadUsage(keyId); return; }
+
+    let body = {};
+    if (action === "rename") {
+      const name = window.prompt(`New name for ${label}:`, key.name || "");
+      if (!name || !name.trim()) return;
+      body = { name: name.trim() };
+    } else if (action === "scopes") {
+      const cur = key.scopes || {};
+      const cameras = window.prompt(`Camera IDs for ${label} (comma-separated, blank = all):`, (cur.camera_ids || []).join(","));
+      if (cameras === null) return;
+      const fields = window.prompt(`Fields for ${label} (comma-separated, blank = all):`, (cur.fields || []).join(","));
+      if (fields === null) return;
+      const classes = window.prompt(`Vehicle classes for ${label} (comma-separated, blank = all):`, (cur.vehicle_classes || []).join(","));
+      if (classes === null) return;
+      body = { scopes: _scopesFrom(cameras, fields, classes) };
+    } else if (action === "revoke") {
+      if (!window.confirm(`Revoke ${label}? The agency will lose access immediately.`)) return;
+    } else if (action === "rotate") {
+      if (!window.confirm(`Rotate ${label}? The current key stops working immediately.`)) return;
+    }
+
+    try {
+      const payload = await _api(
+        `/api/admin/agency?mode=${encodeURIComponent(action)}&id=${encodeURIComponent(keyId)}`,
+        { method: "PATCH", body: JSON.stringify(body) },
+      );
+      if (payload.raw_key) _showRawKey(payload.raw_key, key.agency);
+      _msg(`${label}: ${action} done.`);
+      await load();
+      if (_usageKeyId === keyId) _loadUsage(keyId);
+    } catch (err) {
+      _msg(err.message || `${action} failed`, true);
+    }
+  }
+
+  function init() {
+    if (_bound) return;
+    _bound = true;
+    document.getElementById("agency-key-form")?.addEventListener("submit", _handleIssue);
+    document.getElementById("agency-refresh-btn")?.addEventListener("click", load);
+    document.getElementById("agency-keys-list")?.addEventListener("click", (e) => {
+      const btn = e.target.closest("button[data-action]");
+      if (btn) _handleAction(btn.dataset.action, btn.dataset.id);
+    });
+    document.getElementById("agency-webhooks-refresh-btn")?.addEventListener("click", _loadWebhooks);
+    document.getElementById("agency-deliveries-status")?.addEventListener("change", _loadDeliveries);
+    document.getElementById("agency-webhooks-list")?.addEventListener("click", (e) => {
+      const btn = e.target.closest("button[data-hook-action]");
+      if (btn) _handleHookAction(btn.dataset.hookAction, btn.dataset.id);
+    });
+    document.getElementById("agency-deliveries")?.addEventListener("click", (e) => {
+      const btn = e.target.closest("button[data-delivery-id]");
+      if (btn) _redeliver(btn.dataset.deliveryId);
+    });
+  }
+
+  return { init, load };
+})();
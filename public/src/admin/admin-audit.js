@@ -0,0 +1,151 @@
+import { Auth } from '../services/auth.js';
+
+/**
+ * admin-audit.js — Audit log viewer for admin panel.
+ * Lists admin_audit_log entries via /api/admin/audit with filters,
+ * "Load more" keyset paging and CSV export of the current filter.
+ */
+export const AdminAudit = (() => {
+  let _entries = [];
+  let _nextBeforeId = null;
+  let _bound = false;
+
+  // ── Helpers ───────────────────────────────────────────────────
+  function esc(s) {
+    return String(s ?? "")
+      .replace(/&/g, "&amp;").replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+  }
+
+  function _fmtTime(iso) {
+    if (!iso) return "—";
+    return new Date(iso).toLocaleString([], { month: "short", day: "numeric", hour: "2-digit", minute: "2-digit", second: "2-digit" });
+  }
+
+  function _msg(text, isErr = false) {
+    const el = document.getElementById("audit-msg");
+    if (!el) return;
+    el.textContent = text;
+    el.style.color = isErr ? "var(--red)" : "var(--green)";
+  }
+
+  function _filterQuery() {
+    const qs = new URLSearchParams();
+    const val = (id) => document.getElementById(id)?.value.trim() || "";
+    if (val("audit-filter-admin"))  qs.set("admin", val("audit-filter-admin"));
+    if (val("audit-filter-route"))  qs.set("route", val("audit-filter-route"));
+    if (val("audit-filter-action")) qs.set("action", val("audit-filter-action"));
+    if (val("audit-filter-status")) qs.set("status", val("audit-filter-status"));
+    if (val("audit-filter-from"))   qs.set("from", new Date(val("audit-filter-from")).toISOString());
+    if (val("audit-filter-to"))     qs.set("to", new Date(val("audit-filter-to")).toISOString());
+    return qs;
+  }
+
+  async function _authHeaders() {
+    const jwt = await Auth.getJwt();
+    if (!jwt) throw new Error("Admin session expired");
+    return { Authorization: `Bearer ${jwt}` };
+  }
+
+  function _statusBadge(status) {
+    if (status == null) return `<span class="round-badge round-upcoming">—</span>`;
+    const ok = status < 400;
+    return `<span class="round-badge ${ok ? "round-open" : "round-locked"}">${esc(status)}</span>`;
+  }
+
+  function _diffLabel(diff) {
+    if (!diff || typeof diff !== "object") return "";
+    return Object.entries(diff)
+      .map(([k, v]) => `${k}: ${JSON.stringify(v?.from ?? null)} → ${JSON.stringify(v?.to ?? null)}`)
+      .join(" · ");
+  }
+
+  // ── Load & render ─────────────────────────────────────────────
+  async function load(append = false) {
+    const listEl = document.getElementById("audit-list");
+    if (!listEl) return;
+    if (!append) {
+      _entries = [];
+      _nextBeforeId = null;
+      listEl.innerHTML = `<p class="loading">Loading audit log...</p>`;
+    }
+    const qs = _filterQuery();
+    if (append && _nextBeforeId) qs.set("before_id", String(_nextBeforeId));
+    try {
+      const res = await fetch(`/api/admin/audit?${qs}`, { headers: await _authHeaders() });
+      const payload = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(payload?.detail || payload?.error || `Request failed (${res.status})`);
+      _entries = _entries.concat(Array.isArray(payload?.entries) ? payload.entries : []);
+      _nextBeforeId = payload?.next_before_id || null;
+    } catch (e) {
+      listEl.innerHTML = `<p class="muted" style="font-size:0.82rem;">${esc(e.message || "Audit log unavailable.")}</p>`;
+      return;
+    }
+    _render(listEl);
+  }
+
+  function _render(listEl) {
+    const moreBtn = document.getElementById("audit-more-btn");
+    if (moreBtn) moreBtn.style.display = _nextBeforeId ? "" : "none";
+    if (!_entries.length) {
+      listEl.innerHTML = `<p class="muted" style="font-size:0.82rem;">No audit entries match these filters.</p>`;
+      return;
+    }
+    listEl.innerHTML = _entries.map((e) => {
+      const diff = _diffLabel(e.diff);
+      const payload = e.payload ? JSON.stringify(e.payload) : "";
+      return `
+        <div class="round-row">
+          <div class="round-row-info">
+            <span class="round-row-id">${esc(e.method)} ${esc(e.route)}${e.action ? ` · ${esc(e.action)}` : ""}</span>
+            ${_statusBadge(e.upstream_status)}
+          </div>
+          <span class="round-row-meta">
+            ${_fmtTime(e.created_at)} · ${esc(e.admin_email || e.admin_id || "unknown admin")}
+            ${e.target ? ` · target ${esc(e.target)}` : ""}
+          </span>
+          ${diff ? `<span class="round-row-meta">Changed: ${esc(diff)}</span>` : ""}
+          ${payload ? `<span class="round-row-meta" title="${esc(payload)}">Payload: ${esc(payload.length > 160 ? `${payload.slice(0, 160)}…` : payload)}</span>` : ""}
+        </div>`;
+    }).join("");
+  }
+
+  async function _export() {
+    const btn = document.getElementById("audit-export-btn");
+    if (btn) btn.disabled = true;
+    try {
+      const qs = _filterQuery();
+      qs.set("format", "csv");
+      const res = await fetch(`/api/admin/audit?${qs}`, { headers: await _authHeaders() });
+      if (!res.ok) {
+        const payload = await res.json().catch(() => ({}));
+        throw new Error(payload?.detail || payload?.error || `Export failed (${res.status})`);
+      }
+      const blob = await res.blob();
+      const a = document.createElement("a");
+      a.href = URL.createObjectURL(blob);
+      a.download = `admin-audit-${new Date().toISOString().slice(0, 10)}.csv`;
+      a.click();
+      setTimeout(() => URL.revokeObjectURL(a.href), 10000);
+      _msg(res.headers.get("X-Truncated") === "true" ? "Exported the newest 5000 entries — narrow the filters for more." : "Export downloaded.");
+    } catch (e) {
+      _msg(e.message || "Export failed", true);
+    } finally {
+      if (btn) btn.disabled = false;
+    }
+  }
+
+  function init() {
+    if (_bound) return;
+    _bound = true;
+    document.getElementById("audit-filter-form")?.addEventListener("submit", (e) => {
+      e.preventDefault();
+      _msg("");
+      load();
+    });
+    document.getElementById("audit-more-btn")?.addEventListener("click", () => load(true));
+    document.getElementById("audit-export-btn")?.addEventListener("click", _export);
+  }
+
+  return { init, load };
+})();
@@ -1,7 +1,10 @@
 import Hls from 'hls.js';
 import { sb } from '../core/supabase.js';
 import { Auth } from '../services/auth.js';
+import { ROLE_LABELS, hasPermission, isStaffRole, roleOf } from '../core/roles.js';
 import { Stream } from '../services/stream.js';
+import { AdminAgency } from './admin-agency.js';
+import { AdminAudit } from './admin-audit.js';
 import { AdminBanners } from './admin-banners.js';
 import { AdminLandmarks } from './admin-landmarks.js';
 import { AdminLine } from './admin-line.js';
@@ -17,6 +20,7 @@ import { WidgetLayout } from './admin-widget-layout.js';
  */
 
 let adminSession = null;
+let adminRole = null; // app_metadata.role once the session resolves
 let registeredUsersCache = [];
 let latestCaptureUploadError = null;
 let mlCaptureStats = { captureTotal: 0, uploadSuccessTotal: 0, uploadFailTotal: 0 };
@@ -28,6 +32,8 @@ let activeCameraId = null;
 let audienceSnapshot = null;
 let audienceSnapshotAt = 0;
 
+const ADMIN_ROUND_EVENTS = ["round_scheduled", "round_opened", "betting_closed", "round_resolved"];
+
 async function getAdminJwt() {
   const jwt = await Auth.getJwt();
   if (jwt && adminSession) {
@@ -248,6 +254,67 @@ function getBaselineForHour(dateObj) {
   return hourlyBaseline[dateObj.getHours()] ?? null;
 }
 
+// ── Volume forecast ───────────────────────────────────────────────────────────
+// /api/analytics/forecast for the active camera: hourly crossings per class
+// for the next 24h. Preferred over the detection baseline when it covers the
+// whole round window.
+const FORECAST_TTL_MS = 5 * 60_000;
+let forecastCache   = null; // { cameraId, loadedAt, basis, rows }
+let forecastLoading = null;
+
+async function loadForecast() {
+  if (forecastCache && Date.now() - forecastCache.loadedAt < FORECAST_TTL_MS) return forecastCache;
+  if (forecastLoading) return forecastLoading;
+  forecastLoading = (async () => {
+    try {
+      const cameraId = await resolveActiveCameraId();
+      if (!cameraId) return null;
+      const res = await fetch(`/api/analytics/forecast?camera_id=${encodeURIComponent(cameraId)}&hours=24`);
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      const json = await res.json();
+      forecastCache = { cameraId, loadedAt: Date.now(), basis: json.model?.basis || "none", rows: json.forecast || [] };
+      return forecastCache;
+    } catch (e) {
+      console.warn("[admin-init] Forecast load failed:", e);
+      return null;
+    } finally {
+      forecastLoading = null;
+    }
+  })();
+  return forecastLoading;
+}
+
+/**
+ * Expected crossings in [starts, ends) from the cached forecast: hours are
+ * pro-rated by overlap, variances added. Null unless the forecast covers the
+ * whole window.
+ */
+function getForecastForWindow(starts, ends) {
+  const rows = forecastCache?.rows;
+  if (!rows?.length) return null;
+  const from = starts.getTime(), to = ends.getTime();
+  let covered = 0, mean = 0, variance = 0;
+  const classes = { car: 0, truck: 0, bus: 0, motorcycle: 0 };
+  for (const r of rows) {
+    const h = Date.parse(r.hour);
+    const overlap = Math.min(to, h + 3600_000) - Math.max(from, h);
+    if (overlap <= 0) continue;
+    const frac = overlap / 3600_000;
+    covered += overlap;
+    mean += r.total * frac;
+    variance += (r.std * frac) ** 2;
+    for (const c in classes) classes[c] += (r[c] || 0) * frac;
+  }
+  if (covered < to - from || mean <= 0) return null;
+  const classTotal = Math.max(1e-9, classes.car + classes.truck + classes.bus + classes.motorcycle);
+  return {
+    basis: forecastCache.basis,
+    mean,
+    std: Math.sqrt(variance),
+    class_share: Object.fromEntries(Object.entries(classes).map(([c, v]) => [c, v / classTotal])),
+  };
+}
+
 // ── Helpers ───────────────────────────────────────────────────────────────────
 function fmtLocal(d) { return d.toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" }); }
 function fmtDurationMin(min) {
@@ -729,8 +796,8 @@ async function loadStats() {
     // WS users + visits from health endpoint (best effort)
     try {
       const h = await fetch("/api/health");
-      if (h.ok) {
-        const hData = await h.json();
+      const hData = await h.json().catch(() => null);
+      if (h.ok && hData) {
         const usersEl = document.getElementById("stat-users");
         if (usersEl) usersEl.textContent = Number(hData.total_ws_connections ?? 0).toLocaleString();
         const visitsEl = document.getElementById("stat-visits");
@@ -738,6 +805,9 @@ async function loadStats() {
         const fpsEl = document.getElementById("stat-ai-fps");
         if (fpsEl) fpsEl.textContent = hData.ai_fps_estimate != null ? Number(hData.ai_fps_estimate).toFixed(1) : "—";
         renderHealthOverview(hData);
+      } else if (hData?.checks) {
+        // 503 "down" still carries the per-dependency checks
+        renderHealthOverview(hData);
       } else {
         renderHealthOverview(null, `HTTP ${h.status}`);
       }
@@ -786,7 +856,8 @@ async function connectAdminLiveStatsWs() {
           if (typeof data.total !== "undefined") _setAdminLiveStatCount(data.total);
           if (data.round) _setAdminLiveStatRound(data.round);
           window.dispatchEvent(new CustomEvent("admin:live-count", { detail: data }));
-        } else if (data?.type === "round") {
+        } else if (data?.type === "round" || ADMIN_ROUND_EVENTS.includes(data?.type)) {
+          // Lifecycle events (round-events.js); legacy backends send { type: "round" }
           _setAdminLiveStatRound(data.round);
           window.dispatchEvent(new CustomEvent("admin:live-round", { detail: data.round || null }));
         }
@@ -1022,6 +1093,43 @@ function initDetSubnav() {
   });
 }
 
+// Permission each panel needs (api/_lib/admin-auth.js); null = any staff role.
+const PANEL_PERMISSIONS = {
+  overview: null, health: null,
+  bets: "rounds",
+  cameras: "cameras", visual: "cameras",
+  detection: "zones", "map-zones": "zones",
+  ml: "ml", profiles: "ml", model: "ml",
+  audience: "export",
+  banners: "banners",
+  users: "users", agency: "agency", audit: "audit",
+};
+
+// The API enforces permissions; this only hides what the role can't use.
+// Everything stays visible until the role is known.
+const can = (permission) => adminRole == null || hasPermission(adminRole, permission);
+const canOpenPanel = (panel) => can(PANEL_PERMISSIONS[panel] ?? null);
+
+function applyPanelPermissions() {
+  document.querySelectorAll(".admin-nav-btn").forEach((btn) => {
+    btn.style.display = canOpenPanel(btn.dataset.panel) ? "" : "none";
+  });
+  // Drop section labels left with no visible entries
+  document.querySelectorAll(".sidebar-section-label").forEach((label) => {
+    let visible = false;
+    for (let el = label.nextElementSibling; el && !el.classList.contains("sidebar-section-label"); el = el.nextElementSibling) {
+      if (el.classList.contains("admin-nav-btn") && el.style.display !== "none") { visible = true; break; }
+    }
+    label.style.display = visible ? "" : "none";
+  });
+  const active = document.querySelector(".admin-panel.active");
+  if (!active || !canOpenPanel(active.id.replace(/^panel-/, ""))) {
+    document.querySelector('.admin-nav-btn[data-panel="overview"]')?.click();
+  }
+  const roleEl = document.getElementById("admin-role-label");
+  if (roleEl) roleEl.textContent = ROLE_LABELS[adminRole] || adminRole;
+}
+
 function initAdminSections() {
   const navBtns = Array.from(document.querySelectorAll(".admin-nav-btn"));
   const panels = Array.from(document.querySelectorAll(".admin-panel"));
@@ -1030,7 +1138,8 @@ function initAdminSections() {
   const storageKey = "whitelinez.admin.active_panel";
   const normalize = (value) => String(value || "").replace(/^#?panel-?/, "").trim();
   const show = (panelName) => {
-    const target = normalize(panelName);
+    let target = normalize(panelName);
+    if (!canOpenPanel(target)) target = "overview";
     navBtns.forEach((btn) => btn.classList.toggle("active", btn.dataset.panel === target));
     panels.forEach((panel) => panel.classList.toggle("active", panel.id === `panel-${target}`));
     localStorage.setItem(storageKey, target);
@@ -1093,7 +1202,35 @@ function renderHealthOverview(health, errMsg = "") {
     watchdogOk, streamOk, heartbeatOk,
   ];
   const onlineCount = svcFlags.filter(Boolean).length;
-  const allOk = onlineCount === svcFlags.length;
+  const state  = health.state || (onlineCount === svcFlags.length ? "ok" : "degraded");
+  const allOk  = onlineCount === svcFlags.length && state === "ok";
+
+  const checks = Object.entries(health.checks || {});
+  const checksOk = checks.filter(([, c]) => c?.status === "ok").length;
+  const checkLabels = {
+    railway: "Railway API", supabase: "Supabase REST", freshness: "Crossing Data",
+    env: "Env Config", hls: "HLS Manifest",
+  };
+  const checkMeta = (name, c) => {
+    const parts = [];
+    if (c.latency_ms != null) parts.push(`${c.latency_ms} ms`);
+    if (name === "freshness" && c.last_crossing_at) parts.push(`last ${fmtAgo(c.last_crossing_at)}`);
+    if (name === "env" && c.missing?.length) parts.push(`missing ${c.missing.join(", ")}`);
+    if (name === "hls" && c.camera) parts.push(c.camera);
+    if (c.detail && !(name === "env" && c.missing?.length)) parts.push(c.detail);
+    return escHtml(parts.join(" · "));
+  };
+  const check = (name, c) => {
+    const st = String(c?.status || "down");
+    return `
+    <div class="hv-svc-card ${st === "ok" ? "hv-ok" : st === "degraded" ? "hv-warn" : "hv-down"}">
+      <div class="hv-svc-body">
+        <div class="hv-svc-name">${escHtml(checkLabels[name] || name)}</div>
+        <div class="hv-svc-meta">${checkMeta(name, c || {})}</div>
+      </div>
+      <div class="hv-svc-badge">${escHtml(st.toUpperCase())}</div>
+    </div>`;
+  };
 
   const svc = (icon, name, isOk, meta = "") => `
     <div class="hv-svc-card ${isOk ? "hv-ok" : "hv-down"}">
@@ -1119,8 +1256,11 @@ function renderHealthOverview(health, errMsg = "") {
           }
         </div>
         <div>
-          <div class="hv-sum-title">${allOk ? "All Systems Operational" : `${svcFlags.length - onlineCount} Service${svcFlags.length - onlineCount !== 1 ? "s" : ""} Degraded`}</div>
-          <div class="hv-sum-sub">${onlineCount} / ${svcFlags.length} services online</div>
+          <div class="hv-sum-title">${allOk ? "All Systems Operational"
+            : state === "down" ? "Backend Down"
+            : onlineCount < svcFlags.length ? `${svcFlags.length - onlineCount} Service${svcFlags.length - onlineCount !== 1 ? "s" : ""} Degraded`
+            : "Dependencies Degraded"}</div>
+          <div class="hv-sum-sub">${onlineCount} / ${svcFlags.length} services online${checks.length ? ` · ${checksOk} / ${checks.length} checks ok` : ""}</div>
         </div>
       </div>
       <div class="hv-sum-pills">
@@ -1130,6 +1270,8 @@ function renderHealthOverview(health, errMsg = "") {
       </div>
     </div>
 
+    ${checks.length ? `<div class="hv-checks">${checks.map(([name, c]) => check(name, c)).join("")}</div>` : ""}
+
     <div class="hv-body">
       <div class="hv-services">
         ${svc(`<svg width="15" height="15" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.8"><rect x="2" y="3" width="20" height="5" rx="1.5"/><rect x="2" y="10" width="20" height="5" rx="1.5"/><rect x="2" y="17" width="20" height="4" rx="1.5"/><circle cx="19" cy="5.5" r="1" fill="currentColor" stroke="none"/><circle cx="19" cy="12.5" r="1" fill="currentColor" stroke="none"/></svg>`,
@@ -2111,16 +2253,19 @@ async function updatePreview() {
   preview?.classList.remove("hidden");
   if (prevDur) prevDur.textContent = fmtDurationMin(duration);
 
-  await loadBaseline();
+  await Promise.all([loadBaseline(), loadForecast()]);
   const baseline = getBaselineForHour(starts);
+  const forecast = getForecastForWindow(starts, ends);
   const avgPerMin = baseline?.avg_per_min ?? null;
   const stdPerMin = baseline?.std_per_min ?? null;
   const avgConf = baseline?.avg_conf ?? null;
 
   if (prevRate) {
-    prevRate.textContent = avgPerMin !== null
-      ? `~${avgPerMin.toFixed(1)} / min (${baseline.sample_count} samples${avgConf != null ? `, ${(avgConf * 100).toFixed(1)}% conf` : ""})`
-      : "No telemetry profile for this hour yet";
+    prevRate.textContent = forecast
+      ? `~${(forecast.mean / duration).toFixed(1)} / min forecast (${forecast.basis})`
+      : avgPerMin !== null
+        ? `~${avgPerMin.toFixed(1)} / min (${baseline.sample_count} samples${avgConf != null ? `, ${(avgConf * 100).toFixed(1)}% conf` : ""})`
+        : "No telemetry profile for this hour yet";
   }
 
   prevWarn?.classList.add("hidden");
@@ -2134,7 +2279,7 @@ async function updatePreview() {
     prevExpRow?.classList.remove("hidden");
 
     const classShare = marketType === "vehicle_count"
-      ? (baseline?.class_share?.[vehicleClass] ?? CLASS_RATE_FALLBACK[vehicleClass] ?? 0.25)
+      ? ((forecast ?? baseline)?.class_share?.[vehicleClass] ?? CLASS_RATE_FALLBACK[vehicleClass] ?? 0.25)
       : 1.0;
 
     const guardrailMin = Math.max(1, Math.ceil(duration * THRESHOLD_MIN_PER_MIN * classShare));
@@ -2144,9 +2289,9 @@ async function updatePreview() {
     let maxThresh = guardrailMax;
     let expectedText = `${guardrailMin}-${guardrailMax}`;
 
-    if (avgPerMin !== null) {
-      const mean = Math.max(1, avgPerMin * duration * classShare);
-      const sigma = Math.max(Math.sqrt(mean), (stdPerMin ?? 0) * duration * classShare);
+    if (forecast || avgPerMin !== null) {
+      const mean = Math.max(1, (forecast ? forecast.mean : avgPerMin * duration) * classShare);
+      const sigma = Math.max(Math.sqrt(mean), (forecast ? forecast.std : (stdPerMin ?? 0) * duration) * classShare);
       const lowData = Math.max(1, Math.floor(mean - 1.2 * sigma));
       const highData = Math.max(lowData + 1, Math.ceil(mean + 1.2 * sigma));
       minThresh = Math.max(guardrailMin, lowData);
@@ -2155,7 +2300,7 @@ async function updatePreview() {
         minThresh = guardrailMin;
         maxThresh = guardrailMax;
       }
-      expectedText = `${minThresh}-${maxThresh} (from telemetry, mean ${Math.round(mean)})`;
+      expectedText = `${minThresh}-${maxThresh} (from ${forecast ? "forecast" : "telemetry"}, mean ${Math.round(mean)})`;
     }
 
     if (prevExp) prevExp.textContent = expectedText;
@@ -2180,9 +2325,11 @@ async function updatePreview() {
     if (submitBtn) submitBtn.disabled = true;
   } else if (duration >= MIN_DURATION_MIN) {
     if (prevOk) {
-      const quality = avgConf == null
-        ? "using telemetry range"
-        : `using ${(avgConf * 100).toFixed(1)}% avg confidence profile`;
+      const quality = forecast
+        ? "using the traffic forecast"
+        : avgConf == null
+          ? "using telemetry range"
+          : `using ${(avgConf * 100).toFixed(1)}% avg confidence profile`;
       prevOk.textContent = `Round looks competitive - ${quality}`;
       prevOk.classList.remove("hidden");
     }
@@ -2417,7 +2564,7 @@ async function handleSetAdmin() {
   const roleEl  = document.getElementById("admin-role-select");
   const msgEl   = document.getElementById("user-mgmt-msg");
   const email   = emailEl?.value?.trim();
-  const role    = roleEl?.value || "admin";
+  const role    = roleEl?.value || "user";
   if (!email) { if (msgEl) { msgEl.style.color = "var(--red)"; msgEl.textContent = "Enter an email address."; } return; }
   if (!adminSession) return;
   if (msgEl) { msgEl.style.color = "var(--muted)"; msgEl.textContent = "Looking up user..."; }
@@ -2438,7 +2585,7 @@ async function handleSetAdmin() {
     });
     const payload = await res.json().catch(() => ({}));
     if (!res.ok) throw new Error(payload?.detail || payload?.error || "Failed to update role");
-    if (msgEl) { msgEl.style.color = "var(--green)"; msgEl.textContent = `Role set to "${role}" for ${email}`; }
+    if (msgEl) { msgEl.style.color = "var(--green)"; msgEl.textContent = `Role set to "${ROLE_LABELS[role] || role}" for ${email}`; }
     loadRegisteredUsers();
   } catch (e) {
     if (msgEl) { msgEl.style.color = "var(--red)"; msgEl.textContent = e.message || "Failed to set role"; }
@@ -2490,8 +2637,8 @@ async function loadRegisteredUsers() {
       const email = escHtml(u.email || "no-email");
       const uid = escHtml(String(u.id || "").slice(0, 8));
       const roleValue = String(u.role || "user").toLowerCase();
-      const role = escHtml(roleValue.toUpperCase());
-      const roleClass = roleValue === "admin" ? "round-open" : "round-upcoming";
+      const role = escHtml((ROLE_LABELS[roleValue] || roleValue).toUpperCase());
+      const roleClass = isStaffRole(roleValue) ? "round-open" : "round-upcoming";
       const username = u.username ? `@${escHtml(String(u.username))}` : "";
       const created = u.created_at
         ? new Date(u.created_at).toLocaleString([], {
@@ -2546,6 +2693,8 @@ function setDefaultTimes() {
 async function init() {
   adminSession = await Auth.requireAdmin("/index.html");
   if (!adminSession) return;
+  adminRole = roleOf(adminSession);
+  applyPanelPermissions();
   initMlDatasetUrlField();
   initDetectionStudio();
 
@@ -2635,29 +2784,38 @@ async function init() {
   await loadCameraFeedAppearance();
 
   // Load stats + recent rounds
+  // Only poll what this role can read — the rest would just 403
   loadBaseline();
   loadStats();
   connectAdminLiveStatsWs();
-  loadMlProgress();
-  loadMlUsage();
-  loadMlCaptureStatus();
-  loadBetValidationStatus();
-  loadRecentRounds();
-  loadRecentBets();
-  loadRoundSessions();
-  loadRegisteredUsers();
-  loadActiveUsers();
-  loadAudiencePanel(true);
   setInterval(loadStats, 10_000);
-  setInterval(loadMlProgress, 15_000);
-  setInterval(loadMlUsage, 20_000);
-  setInterval(loadMlCaptureStatus, 8_000);
-  setInterval(loadBetValidationStatus, 8_000);
-  setInterval(loadRecentBets, 15_000);
-  setInterval(loadRoundSessions, 15_000);
-  setInterval(loadRegisteredUsers, 30_000);
-  setInterval(loadActiveUsers, 10_000);
-  setInterval(loadAudiencePanel, 12_000);
+  if (can("ml")) {
+    loadMlProgress();
+    loadMlUsage();
+    loadMlCaptureStatus();
+    setInterval(loadMlProgress, 15_000);
+    setInterval(loadMlUsage, 20_000);
+    setInterval(loadMlCaptureStatus, 8_000);
+  }
+  if (can("rounds")) {
+    loadBetValidationStatus();
+    loadRecentRounds();
+    loadRecentBets();
+    loadRoundSessions();
+    setInterval(loadBetValidationStatus, 8_000);
+    setInterval(loadRecentBets, 15_000);
+    setInterval(loadRoundSessions, 15_000);
+  }
+  if (can("users")) {
+    loadRegisteredUsers();
+    loadActiveUsers();
+    setInterval(loadRegisteredUsers, 30_000);
+    setInterval(loadActiveUsers, 10_000);
+  }
+  if (can("export")) {
+    loadAudiencePanel(true);
+    setInterval(loadAudiencePanel, 12_000);
+  }
 }
 
 document.addEventListener("DOMContentLoaded", () => {
@@ -2696,6 +2854,8 @@ document.addEventListener("DOMContentLoaded", () => {
     const panel = String(e?.detail?.panel || "");
     if (panel === "audience") loadAudiencePanel(true);
     if (panel === "banners") { AdminBanners?.init(); AdminBanners?.load(); }
+    if (panel === "agency") { AdminAgency?.init(); AdminAgency?.load(); }
+    if (panel === "audit") { AdminAudit?.init(); AdminAudit?.load(); }
     if (panel === "cameras") { AdminStreams?.init(); }
     if (panel === "detection") {
       // Ensure zone editor renders when Detection panel first opens
@@ -2803,6 +2963,7 @@ document.addEventListener("DOMContentLoaded", () => {
     const _initPanel = localStorage.getItem("whitelinez.admin.active_panel") || "overview";
     if (_initPanel === "audience") loadAudiencePanel(true);
     if (_initPanel === "banners") { AdminBanners?.init(); AdminBanners?.load(); }
+    if (_initPanel === "audit")   { AdminAudit?.init(); AdminAudit?.load(); }
     if (_initPanel === "cameras") { AdminStreams?.init(); }
     if (_initPanel === "model")   { AdminModel?.init(); AdminModel?.start(); }
     if (_initPanel === "map-zones") { _mappingActive = true; AdminMapping?.start(activeCameraId); }
@@ -15,6 +15,7 @@ import Hls from 'hls.js';
 export const AdminStreams = (() => {
   let _cameras = [];
   let _editId = null;
+  let _hasLocation = true; // false until the cameras latitude/longitude migration has run
   const _hlsMap = {}; // camId → Hls instance
 
   // ── Helpers ───────────────────────────────────────────────────
@@ -52,6 +53,7 @@ export const AdminStreams = (() => {
 
     if (error) { _msg("Load failed: " + error.message, true); return; }
     _cameras = Array.isArray(data) ? data : [];
+    await _loadLocations();
 
     // Fetch FPS per camera from ml_detection_events (last 5 min)
     const since = new Date(Date.now() - 5 * 60_000).toISOString();
@@ -87,6 +89,23 @@ export const AdminStreams = (() => {
 
   let _fpsMap = {};
 
+  // Coordinates are read separately so the stream list still loads on a
+  // database without the latitude/longitude columns; the location fields are
+  // hidden and left out of writes until the migration has run.
+  async function _loadLocations() {
+    const { data, error } = await sb.from("cameras").select("id, latitude, longitude");
+    _hasLocation = !error;
+    const row = document.getElementById("streams-form-location");
+    if (row) row.hidden = !_hasLocation;
+    if (error) return;
+    const byId = new Map((data || []).map(r => [String(r.id), r]));
+    _cameras.forEach(cam => {
+      const loc = byId.get(String(cam.id));
+      cam.latitude  = loc?.latitude ?? null;
+      cam.longitude = loc?.longitude ?? null;
+    });
+  }
+
   // ── Determine which camera the public page loads by default ──
   function _getDefaultCamId() {
     const rank = (cam) => {
@@ -381,6 +400,10 @@ export const AdminStreams = (() => {
     if (nameEl)    nameEl.value  = cam.feed_appearance?.label || "";
     if (aliasEl)   aliasEl.value = cam.ipcam_alias || "";
     if (activeEl)  activeEl.checked = !!cam.is_active;
+    const latEl = document.getElementById("streams-form-lat");
+    const lngEl = document.getElementById("streams-form-lng");
+    if (latEl) latEl.value = cam.latitude ?? "";
+    if (lngEl) lngEl.value = cam.longitude ?? "";
     if (submitBtn) submitBtn.textContent = "Update Stream";
 
     document.getElementById("streams-form-card")?.scrollIntoView({ behavior: "smooth" });
@@ -470,6 +493,17 @@ export const AdminStreams = (() => {
 
       if (!alias) { _msg("Stream alias or URL is required.", true); return; }
 
+      // Location (optional) — used for agency GeoJSON exports
+      const latRaw = _hasLocation ? document.getElementById("streams-form-lat")?.value.trim() || "" : "";
+      const lngRaw = _hasLocation ? document.getElementById("streams-form-lng")?.value.trim() || "" : "";
+      const latitude  = latRaw === "" ? null : Number(latRaw);
+      const longitude = lngRaw === "" ? null : Number(lngRaw);
+      if ((latitude === null) !== (longitude === null)
+          || (latitude !== null && !(Math.abs(latitude) <= 90 && Math.abs(longitude) <= 180))) {
+        _msg("Enter both latitude and longitude (or neither).", true);
+        return;
+      }
+
       const submitBtn = document.getElementById("streams-form-submit");
       if (submitBtn) { submitBtn.disabled = true; submitBtn.textContent = "Saving..."; }
 
@@ -478,15 +512,14 @@ export const AdminStreams = (() => {
         ? (_cameras.find(c => String(c.id) === String(_editId))?.feed_appearance || {})
         : {};
       const appearance = { ...existingAppearance, label: name || alias };
+      const fields = { ipcam_alias: alias, is_active: active, feed_appearance: appearance };
+      if (_hasLocation) Object.assign(fields, { latitude, longitude });
 
       let error;
       if (_editId) {
-        ({ error } = await sb.from("cameras")
-          .update({ ipcam_alias: alias, is_active: active, feed_appearance: appearance })
-          .eq("id", _editId));
+        ({ error } = await sb.from("cameras").update(fields).eq("id", _editId));
       } else {
-        ({ error } = await sb.from("cameras")
-          .insert({ ipcam_alias: alias, is_active: active, feed_appearance: appearance }));
+        ({ error } = await sb.from("cameras").insert(fields));
       }
 
       if (submitBtn) {
@@ -372,11 +372,13 @@ export const AdminZones = (() => {
     const type = getZoneType();
     const name = document.getElementById("az-zone-name")?.value.trim() || `Zone ${draftZones.length + 1}`;
     const distM = type === "speed_a" ? parseFloat(document.getElementById("az-speed-dist")?.value || "0") : null;
+    const laneCap = type === "entry" ? parseFloat(document.getElementById("az-lane-cap")?.value || "0") : null;
+    const lanes   = type === "entry" ? parseInt(document.getElementById("az-lanes")?.value || "1", 10) || 1 : null;
     draftZones.push({
       zone_type: type,
       name,
       points: draftPts.map(p => ({ x: parseFloat(p.rx.toFixed(5)), y: parseFloat(p.ry.toFixed(5)) })),
-      metadata: distM ? { distance_m: distM } : null,
+      metadata: distM ? { distance_m: distM } : laneCap ? { lanes, lane_capacity_vph: laneCap } : null,
       color: ZONE_CONFIG[type]?.color || "#FFB800",
     });
     cancelDraw();
@@ -480,11 +482,12 @@ export const AdminZones = (() => {
       const cfg   = ZONE_CONFIG[z.zone_type] || {};
       const color = cfg.color || "#FFB800";
       const delId = z.isDraft ? z.id : z.id;
+      const cap   = z.metadata?.lane_capacity_vph ? ` · ${z.metadata.lanes || 1}×${z.metadata.lane_capacity_vph} veh/h` : "";
       return `<div class="az-zone-item" data-id="${delId}" data-draft="${z.isDraft}">
         <span class="az-zone-dot" style="background:${color}"></span>
         <div class="az-zone-item-info">
           <span class="az-zone-item-name">${z.name}</span>
-          <span class="az-zone-item-type">${cfg.label || z.zone_type}${z.isDraft ? " · unsaved" : ""}</span>
+          <span class="az-zone-item-type">${cfg.label || z.zone_type}${cap}${z.isDraft ? " · unsaved" : ""}</span>
         </div>
         <button class="az-zone-del-btn" data-idx="${idx}" data-id="${delId}" data-draft="${z.isDraft}" data-name="${z.name}" title="Remove zone">✕</button>
       </div>`;
@@ -505,9 +508,11 @@ export const AdminZones = (() => {
     const dot  = document.getElementById("az-type-dot");
     const desc = document.getElementById("az-type-desc");
     const distRow = document.getElementById("az-speed-dist-row");
+    const lanesRow = document.getElementById("az-lanes-row");
     if (dot)  dot.style.background  = cfg.color || "#FFB800";
     if (desc) desc.textContent       = cfg.desc  || "";
     if (distRow) distRow.style.display = type === "speed_a" ? "" : "none";
+    if (lanesRow) lanesRow.style.display = type === "entry" ? "" : "none";
   }
 
   function updateDraftInfo() {
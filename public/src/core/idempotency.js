@@ -0,0 +1,38 @@
+/**
+ * idempotency.js — Idempotency-Key per write attempt (see api/_lib/idempotency.js).
+ *
+ * keyFor(payload) returns the same key while the payload is unchanged and the
+ * attempt is unsettled, so a double-click or a retry after a network error
+ * replays the first result instead of placing a second bet. Call settle()
+ * once the server has given a definitive answer; the next submit gets a new key.
+ */
+
+export function createIdempotencyKeys() {
+  let _key = null;
+  let _payload = null;
+
+  function keyFor(payload) {
+    const p = JSON.stringify(payload);
+    if (!_key || p !== _payload) {
+      _key = crypto.randomUUID();
+      _payload = p;
+    }
+    return _key;
+  }
+
+  function settle() {
+    _key = null;
+    _payload = null;
+  }
+
+  /**
+   * True when the response ends the attempt: anything but server errors and an
+   * in-flight 409. A 409 with outcome "unknown" ends it too — the first request
+   * may have placed the bet, so the user checks their bets before a fresh submit.
+   */
+  function isDefinitive(status, body) {
+    return status < 500 && (status !== 409 || body?.outcome === "unknown");
+  }
+
+  return { keyFor, settle, isDefinitive };
+}
@@ -0,0 +1,38 @@
+/**
+ * roles.js — Staff roles and the permissions they grant.
+ * Mirror of ROLE_PERMISSIONS in api/_lib/admin-auth.js (the API enforces it;
+ * this copy only decides what the UI shows) — keep in sync.
+ */
+
+export const ROLE_PERMISSIONS = {
+  superadmin:  ['*'],
+  admin:       ['*'], // legacy single flag
+  moderator:   ['chat', 'banners'],
+  operator:    ['rounds', 'cameras', 'zones'],
+  ml_engineer: ['ml'],
+  analyst:     ['export'],
+};
+
+export const ROLE_LABELS = {
+  superadmin:  'Superadmin',
+  moderator:   'Moderator',
+  operator:    'Operator',
+  ml_engineer: 'ML Engineer',
+  analyst:     'Analyst',
+  user:        'User',
+};
+
+export function roleOf(session) {
+  return session?.user?.app_metadata?.role || 'user';
+}
+
+export function isStaffRole(role) {
+  return Object.hasOwn(ROLE_PERMISSIONS, role);
+}
+
+/** A null permission means any staff role. */
+export function hasPermission(role, permission) {
+  const perms = isStaffRole(role) ? ROLE_PERMISSIONS[role] : null;
+  if (!perms) return false;
+  return !permission || perms.includes('*') || perms.includes(permission);
+}
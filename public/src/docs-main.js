@@ -0,0 +1,152 @@
+/**
+ * docs-main.js — API reference page.
+ * Renders /api/openapi.json as collapsible endpoint cards with a parameter
+ * table and, for GET operations, a "Try it" form that calls the live API.
+ */
+
+const METHODS = ["get", "post", "patch", "delete"];
+
+function esc(s) {
+  return String(s ?? "")
+    .replace(/&/g, "&amp;").replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+}
+
+/** Resolve a local "#/components/..." $ref against the spec. */
+function _deref(spec, obj) {
+  if (!obj?.$ref) return obj;
+  return obj.$ref.slice(2).split("/").reduce((o, k) => o?.[k], spec);
+}
+
+function _typeLabel(schema = {}) {
+  if (schema.enum) return schema.enum.join(" | ");
+  const range = schema.minimum != null && schema.maximum != null ? ` ${schema.minimum}–${schema.maximum}` : "";
+  return `${schema.format || schema.type || "string"}${range}`;
+}
+
+function _paramInput(opId, p) {
+  const id = `${opId}-${p.name}`;
+  const schema = p.schema || {};
+  if (schema.enum) {
+    return `<select id="${esc(id)}" data-param="${esc(p.name)}">
+      <option value=""></option>
+      ${schema.enum.map((v) => `<option value="${esc(v)}">${esc(v)}</option>`).join("")}
+    </select>`;
+  }
+  return `<input id="${esc(id)}" data-param="${esc(p.name)}" type="text"
+    placeholder="${esc(schema.example ?? schema.default ?? "")}" />`;
+}
+
+function _renderOperation(spec, path, method, op, idx) {
+  const opId = `op${idx}`;
+  const params = (op.parameters || []).map((p) => _deref(spec, p));
+  const secured = Array.isArray(op.security) && op.security.length > 0;
+  const tryable = method === "get";
+  const codes = Object.entries(op.responses || {})
+    .map(([code, r]) => `<tr><td>${esc(code)}</td><td>${esc(_deref(spec, r)?.description || "")}</td></tr>`)
+    .join("");
+
+  return `
+    <details class="docs-op" data-op="${opId}" data-path="${esc(path)}" data-secured="${secured}">
+      <summary>
+        <span class="docs-method docs-method-${method}">${method.toUpperCase()}</span>
+        <span class="docs-path">${esc(path)}</span>
+        ${secured ? '<span class="docs-lock">x-api-key</span>' : ""}
+        <span class="docs-summary">${esc(op.summary || "")}</span>
+      </summary>
+      <div class="docs-op-body">
+        ${op.description ? `<p>${esc(op.description)}</p>` : ""}
+        ${params.length ? `
+          <table class="docs-table">
+            <thead><tr><th>Param</th><th>Type</th><th>Description</th>${tryable ? "<th></th>" : ""}</tr></thead>
+            <tbody>
+              ${params.map((p) => `
+                <tr>
+                  <td><code>${esc(p.name)}</code>${p.required ? ' <span class="docs-req">*</span>' : ""}</td>
+                  <td>${esc(_typeLabel(p.schema))}</td>
+                  <td>${esc(p.description || "")}</td>
+                  ${tryable ? `<td>${_paramInput(opId, p)}</td>` : ""}
+                </tr>`).join("")}
+            </tbody>
+          </table>` : ""}
+        <table class="docs-table" style="margin-top:8px;">
+          <thead><tr><th>Status</th><th>Response</th></tr></thead>
+          <tbody>${codes}</tbody>
+        </table>
+        ${tryable ? `
+          <div class="docs-try">
+            <button type="button" data-try="${opId}">Try it</button>
+            <span class="docs-try-status" id="${opId}-status"></span>
+          </div>
+          <pre class="docs-code" id="${opId}-out" hidden></pre>` : ""}
+      </div>
+    </details>`;
+}
+
+async function _tryIt(opEl) {
+  const opId = opEl.dataset.op;
+  const statusEl = document.getElementById(`${opId}-status`);
+  const outEl = document.getElementById(`${opId}-out`);
+  const qs = new URLSearchParams();
+  opEl.querySelectorAll("[data-param]").forEach((input) => {
+    if (input.value.trim()) qs.set(input.dataset.param, input.value.trim());
+  });
+  const url = `${opEl.dataset.path}${qs.toString() ? `?${qs}` : ""}`;
+  const headers = {};
+  const apiKey = document.getElementById("docs-api-key")?.value.trim();
+  if (opEl.dataset.secured === "true" && apiKey) headers["x-api-key"] = apiKey;
+
+  statusEl.textContent = "Sending…";
+  outEl.hidden = true;
+  const t0 = performance.now();
+  try {
+    const res = await fetch(url, { headers });
+    const text = await res.text();
+    // Pretty-print JSON; csv / ndjson are shown as returned
+    let body = text;
+    try { body = JSON.stringify(JSON.parse(text), null, 2); } catch {}
+    const ms = Math.round(performance.now() - t0);
+    const rate = res.headers.get("X-RateLimit-Remaining");
+    statusEl.textContent = `${res.status} ${res.statusText} · ${ms} ms${rate != null ? ` · ${rate} requests left today` : ""}`;
+    outEl.textContent = body.length > 20000 ? `${body.slice(0, 20000)}\n… (truncated)` : body;
+    outEl.hidden = false;
+  } catch (e) {
+    statusEl.textContent = e.message || "Request failed";
+  }
+}
+
+async function init() {
+  const root = document.getElementById("docs-endpoints");
+  if (!root) return;
+  let spec;
+  try {
+    const res = await fetch("/api/openapi.json");
+    if (!res.ok) throw new Error(`Spec unavailable (${res.status})`);
+    spec = await res.json();
+  } catch (e) {
+    root.innerHTML = `<p class="muted">${esc(e.message || "Spec unavailable.")}</p>`;
+    return;
+  }
+
+  let idx = 0;
+  const groups = {};
+  for (const [path, item] of Object.entries(spec.paths || {})) {
+    for (const method of METHODS) {
+      const op = item[method];
+      if (!op) continue;
+      const tag = op.tags?.[0] || "Other";
+      (groups[tag] ||= []).push(_renderOperation(spec, path, method, op, idx++));
+    }
+  }
+  root.innerHTML = Object.entries(groups).map(([tag, ops]) => {
+    const desc = spec.tags?.find((t) => t.name === tag)?.description;
+    return `<h3>${esc(tag)}${desc ? ` <span class="docs-summary">— ${esc(desc)}</span>` : ""}</h3>${ops.join("")}`;
+  }).join("");
+
+  root.addEventListener("click", (e) => {
+    const btn = e.target.closest("button[data-try]");
+    if (btn) _tryIt(btn.closest(".docs-op"));
+  });
+}
+
+init();
@@ -1,6 +1,7 @@
 import { sb } from './core/supabase.js';
 import { AppCache } from './core/cache.js';
 import { Auth } from './services/auth.js';
+import { hasPermission, isStaffRole, roleOf } from './core/roles.js';
 import { Stream } from './services/stream.js';
 import { Markets } from './services/markets.js';
 import { Counter } from './services/counter.js';
@@ -16,6 +17,7 @@ import { StreamChatOverlay } from './ui/chat.js';
 import { Banners } from './ui/banners.js';
 import { CameraSwitcher } from './ui/camera-switcher.js';
 import { LiveBet } from './ui/live-bet.js';
+import { OdView } from './ui/od-view.js';
 import { getContentBounds, contentToPixel } from './utils/coord-utils.js';
 import { Demo } from './services/demo.js';
 
@@ -348,7 +350,7 @@ const GUEST_TS_KEY = "wlz.guest.session_ts";
         balEl.insertAdjacentElement("afterend", badge);
       }
     }
-    if (user.app_metadata?.role === "admin") {
+    if (isStaffRole(user.app_metadata?.role)) {
       el("nav-admin-link")?.classList.remove("hidden");
       el("btn-layout-editor")?.classList.remove("hidden");
       el("header-demo-btn")?.classList.remove("hidden");
@@ -1232,12 +1234,18 @@ function _connectUserWs(session) {
   let _govFrom      = null;   // ISO date string or null
   let _govTo        = null;   // ISO date string or null
   let _govGranularity = "hour"; // "hour" | "day" | "week"
+  let _govCompare   = "";     // "" | "previous" | "same_weekday_last_week" | "same_period_last_year"
   let _chartJsReady = false;
   let _trendChart   = null;
   let _chartsBuilding = false; // guard against concurrent _initAllCharts calls
   let _donutChart   = null;
   let _clsChart     = null;
   let _peakChart    = null;
+  let _forecastChart = null;
+  let _compareChart = null;
+  let _compareIds   = [];     // camera ids ticked in COMPARE JUNCTIONS
+  let _compareCorridor = "";  // stored corridor picked instead of ticking cameras
+  let _compareCamsLoaded = false;
   let _queueChart   = null;
   let _speedChart   = null;
   let _crossingsInterval = null;
@@ -1245,7 +1253,7 @@ function _connectUserWs(session) {
   let _dbKpisLoaded = false;  // true once analytics data has updated KPI cards from DB
 
   // ── Admin: detection confidence slider ───────────────────────────────────
-  // Shown only to admin users. Reads/writes cameras.count_settings.min_confidence
+  // Shown only to staff with the "ml" permission. Reads/writes cameras.count_settings.min_confidence
   // via /api/admin/ml-runtime-profile (GET/PATCH proxied to Railway).
   let _confDebounceTimer = null;
 
@@ -1295,7 +1303,7 @@ function _connectUserWs(session) {
 
   async function _initConfSlider() {
     const session = await Auth.getSession();
-    const isAdmin = session?.user?.app_metadata?.role === "admin";
+    const isAdmin = hasPermission(roleOf(session), "ml");
     const section = el("gov-conf-section");
     if (!section) return;
     if (!isAdmin) { section.classList.add("hidden"); return; }
@@ -1314,7 +1322,7 @@ function _connectUserWs(session) {
   // ── Admin: recording start date override ─────────────────────────────────
   async function _initRecordingOverride() {
     const session = await Auth.getSession();
-    const isAdmin = session?.user?.app_metadata?.role === "admin";
+    const isAdmin = isStaffRole(roleOf(session));
     const section = el("gov-rec-admin-section");
     if (!section) return;
     if (!isAdmin) return; // stays hidden
@@ -2150,13 +2158,9 @@ function _connectUserWs(session) {
     _setAnalyticsLoading(true);
     _setProgress(30, "Fetching traffic data…");
 
-    // Build URL — use date range if set, else fall back to hours
-    let url;
-    if (_govFrom || _govTo) {
-      url = `/api/analytics/traffic?granularity=${_govGranularity}${_govFrom?`&from=${_govFrom}`:""}${_govTo?`&to=${_govTo}`:""}${_camId?`&camera_id=${_camId}`:""}`;
-    } else {
-      url = `/api/analytics/traffic?hours=${hours || _govHours}&granularity=${_govGranularity}${_camId?`&camera_id=${_camId}`:""}`;
-    }
+    // sigma → anomaly flags against the hour-of-week / day-of-week baseline
+    const url = `/api/analytics/traffic?${_trafficRangeQs(hours)}${_camId ? `&camera_id=${_camId}` : ""}`
+      + `&sigma=${GOV_ANOMALY_SIGMA}${_govCompare ? `&compare=${_govCompare}` : ""}`;
     try {
       const res  = await fetch(url);
       const json = res.ok ? await res.json() : null;
@@ -2204,7 +2208,7 @@ function _connectUserWs(session) {
       // Speed card visibility controlled by zone analytics (_buildSpeedChart / _loadZoneAnalytics)
       // _initAllCharts only sets the value if the traffic API happens to include speed
       txt("gov-kpi-peak",   peakLabel);
-      txt("gov-trend-label", `— ${granLabel} view`);
+      txt("gov-trend-label", `— ${granLabel} view${_compareNote(json)}`);
 
       // Global lifetime total — also update header ticker
       const g = summary.global;
@@ -2218,14 +2222,18 @@ function _connectUserWs(session) {
 
       _populateAgencyMetrics(summary);
       _setProgress(60, "Rendering charts…");
-      _buildTrendChart(rows);
+      const anomalies = new Map((json.anomalies || []).map(a => [a.period, a]));
+      _buildTrendChart(rows, json.compare, anomalies);
       _buildClsChart(summary);
-      _buildPeakChart(rows);
+      _buildPeakChart(rows, anomalies);
       _setAnalyticsLoading(false);
 
       // Zone analytics (queue + turnings + speed) — progress continues inside
       _setProgress(80, "Loading zone analytics…");
       _loadZoneAnalytics();
+      _loadForecast();
+      _loadLos();
+      _loadCompareCameras().then(() => _loadCompare(hours));
 
     } catch (err) {
       console.warn("[GovAnalytics] Chart load failed:", err);
@@ -2236,6 +2244,406 @@ function _connectUserWs(session) {
     }
   }
 
+  const GOV_ANOMALY_SIGMA = 2;
+  const COMPARE_LABELS = {
+    previous:               "previous period",
+    same_weekday_last_week: "same weekday last week",
+    same_period_last_year:  "same period last year",
+  };
+
+  // "· +4.2% vs previous period · 3 unusual" for the VEHICLE FLOW head
+  function _compareNote(json) {
+    let note = "";
+    const cmp = json.compare;
+    if (cmp && cmp.delta_pct != null) {
+      note += ` · ${cmp.delta_pct > 0 ? "+" : ""}${cmp.delta_pct}% vs ${COMPARE_LABELS[cmp.mode] || cmp.mode}`;
+    }
+    const n = (json.anomalies || []).length;
+    if (n) note += ` · ${n} unusual ${n === 1 ? "period" : "periods"}`;
+    return note;
+  }
+
+  // Date range (or trailing hours) + granularity, shared by every traffic query
+  function _trafficRangeQs(hours) {
+    if (_govFrom || _govTo) {
+      return `granularity=${_govGranularity}${_govFrom ? `&from=${_govFrom}` : ""}${_govTo ? `&to=${_govTo}` : ""}`;
+    }
+    return `hours=${hours || _govHours}&granularity=${_govGranularity}`;
+  }
+
+  // ── Junction comparison (camera_ids mode of /api/analytics/traffic) ──────
+  const COMPARE_COLORS = ["#0284c7", "#f59e0b", "#ef4444", "#8b5cf6", "#10b981", "#ec4899", "#64748b", "#14b8a6"];
+  const COMPARE_MAX    = 8;
+
+  async function _loadCompareCameras() {
+    if (_compareCamsLoaded || !sb) return;
+    const wrap = el("gov-compare-cams");
+    if (!wrap) return;
+    try {
+      const { data, error } = await sb.from("cameras").select("id, name, ipcam_alias").order("name");
+      if (error || !Array.isArray(data)) return;
+      _compareCamsLoaded = true;
+      if (!_compareIds.length && _camId && data.some(c => c.id === _camId)) _compareIds = [_camId];
+      wrap.replaceChildren(...data.map(c => {
+        const label = document.createElement("label");
+        label.className = "gov-compare-cam" + (_compareIds.includes(c.id) ? " active" : "");
+        const box = document.createElement("input");
+        box.type = "checkbox";
+        box.value = c.id;
+        box.checked = _compareIds.includes(c.id);
+        box.addEventListener("change", () => {
+          if (box.checked && _compareIds.length >= COMPARE_MAX) { box.checked = false; return; }
+          _compareIds = box.checked ? [..._compareIds, c.id] : _compareIds.filter(id => id !== c.id);
+          label.classList.toggle("active", box.checked);
+          _setCompareCorridor("");
+          _syncCompareBtn();
+        });
+        label.append(box, document.createTextNode(c.name || c.ipcam_alias || "Camera"));
+        return label;
+      }));
+      el("gov-compare-btn")?.addEventListener("click", () => _loadCompare(_govHours));
+      _syncCompareBtn();
+      _loadCompareCorridors();
+    } catch (e) { console.warn("[GovAnalytics] Camera list failed:", e); }
+  }
+
+  // Stored corridors (traffic_corridors); the picker stays hidden when there are none.
+  async function _loadCompareCorridors() {
+    const select = el("gov-compare-corridor");
+    if (!select) return;
+    try {
+      const { data, error } = await sb.from("traffic_corridors").select("name, camera_ids").order("name");
+      if (error || !Array.isArray(data) || !data.length) return;
+      const byName = new Map(data.map(c => [c.name, c.camera_ids || []]));
+      select.append(...data.map(c => new Option(c.name, c.name)));
+      select.hidden = false;
+      select.addEventListener("change", () => {
+        _setCompareCorridor(select.value);
+        if (!select.value) return;
+        _compareIds = byName.get(select.value).slice(0, COMPARE_MAX);
+        document.querySelectorAll("#gov-compare-cams input").forEach(box => {
+          box.checked = _compareIds.includes(box.value);
+          box.parentElement?.classList.toggle("active", box.checked);
+        });
+        _syncCompareBtn();
+      });
+    } catch (e) { console.warn("[GovAnalytics] Corridor list failed:", e); }
+  }
+
+  function _setCompareCorridor(name) {
+    _compareCorridor = name;
+    const select = el("gov-compare-corridor");
+    if (select && select.value !== name) select.value = name;
+  }
+
+  // ── Next hours outlook (/api/analytics/forecast) ──────────────────────────
+  const GOV_FORECAST_HOURS = 12;
+  const FORECAST_BASIS_LABELS = {
+    "seasonal+live": "usual pattern adjusted to the last few hours",
+    seasonal:        "usual pattern for these hours",
+    live:            "recent hourly rate",
+  };
+
+  async function _loadForecast() {
+    if (!window.Chart) return;
+    txt("gov-forecast-label", "— loading…");
+    try {
+      const res = await fetch(`/api/analytics/forecast?hours=${GOV_FORECAST_HOURS}${_camId ? `&camera_id=${_camId}` : ""}`);
+      const json = await res.json().catch(() => null);
+      if (!res.ok || !json) {
+        txt("gov-forecast-label", `— ${json?.error || "forecast unavailable"}`);
+        return;
+      }
+      const rows = json.forecast || [];
+      if (!rows.length) {
+        if (_forecastChart) { _forecastChart.destroy(); _forecastChart = null; }
+        el("gov-forecast-totals")?.replaceChildren();
+        txt("gov-forecast-label", "— not enough data yet");
+        return;
+      }
+      _buildForecastChart(rows);
+      _renderForecastTotals(rows, Date.parse(json.generated_at) || Date.now());
+      txt("gov-forecast-label", `— ${FORECAST_BASIS_LABELS[json.model?.basis] || "expected traffic"}`);
+    } catch (err) {
+      console.warn("[GovAnalytics] Forecast failed:", err);
+      txt("gov-forecast-label", "— forecast unavailable");
+    }
+  }
+
+  function _buildForecastChart(rows) {
+    const canvas = el("gov-forecast-canvas");
+    if (!canvas || !window.Chart) return;
+    if (_forecastChart) { _forecastChart.destroy(); _forecastChart = null; }
+    _forecastChart = new window.Chart(canvas, {
+      type: "line",
+      data: {
+        labels: rows.map(r => _formatPeriodLabel(r.hour, "hour")),
+        datasets: [
+          {
+            label: "Likely high", data: rows.map(r => r.high),
+            borderColor: "transparent", backgroundColor: "rgba(2,132,199,0.12)",
+            pointRadius: 0, tension: 0.38, fill: "+1",
+          },
+          {
+            label: "Likely low", data: rows.map(r => r.low),
+            borderColor: "transparent", backgroundColor: "transparent",
+            pointRadius: 0, tension: 0.38, fill: false,
+          },
+          {
+            label: "Expected", data: rows.map(r => r.total),
+            borderColor: "#0284c7", backgroundColor: "transparent",
+            borderWidth: 2, tension: 0.38, pointRadius: 2, fill: false,
+          },
+        ],
+      },
+      options: {
+        ...CHART_GOV,
+        plugins: {
+          ...CHART_GOV.plugins,
+          legend: { display: false },
+          tooltip: {
+            ...CHART_GOV.plugins.tooltip,
+            callbacks: { label: (c) => ` ${c.dataset.label}: ${Math.round(c.parsed.y).toLocaleString()}` },
+          },
+        },
+      },
+    });
+  }
+
+  function _renderForecastTotals(rows, nowMs) {
+    const wrap = el("gov-forecast-totals");
+    if (!wrap) return;
+    // Rows are whole hours — count only the part of each inside [now, now + GOV_FORECAST_HOURS]
+    const endMs = nowMs + GOV_FORECAST_HOURS * 3600000;
+    const share = (r) => {
+      const h = Date.parse(r.hour);
+      return Math.max(0, Math.min(endMs, h + 3600000) - Math.max(nowMs, h)) / 3600000;
+    };
+    const sum = (key) => Math.round(rows.reduce((a, r) => a + (r[key] || 0) * share(r), 0));
+    const peak = rows.reduce((a, r) => (r.total > a.total ? r : a), rows[0]);
+    const tile = (name, value, sub) => {
+      const div = document.createElement("div");
+      div.className = "gov-forecast-total";
+      const n = document.createElement("span");
+      n.className = "gov-forecast-total-name";
+      n.textContent = name;
+      const v = document.createElement("span");
+      v.className = "gov-forecast-total-val";
+      v.textContent = value;
+      const s = document.createElement("span");
+      s.className = "gov-forecast-total-sub";
+      s.textContent = sub;
+      div.append(n, v, s);
+      return div;
+    };
+    wrap.replaceChildren(
+      tile(`Next ${GOV_FORECAST_HOURS}h`, sum("total").toLocaleString(), `likely ${sum("low").toLocaleString()}–${sum("high").toLocaleString()}`),
+      tile("Busiest hour", _formatPeriodLabel(peak.hour, "hour"), `~${Math.round(peak.total).toLocaleString()} vehicles`),
+      tile("Heavy vehicles", (sum("truck") + sum("bus")).toLocaleString(), `${sum("truck").toLocaleString()} trucks · ${sum("bus").toLocaleString()} buses`),
+    );
+  }
+
+  // ── Level of service (/api/analytics/data?type=los) ──────────────────────
+  const GOV_LOS_MAX_DAYS = 7;
+
+  async function _loadLos() {
+    const body = el("gov-los-body");
+    if (!body) return;
+    const empty = (msg) => {
+      const p = document.createElement("p");
+      p.className = "gov-turnings-empty";
+      p.textContent = msg;
+      body.replaceChildren(p);
+    };
+    // Same window as the zone analytics, trimmed to the endpoint's maximum range
+    const toMs   = _govTo ? Date.parse(_govTo) : Date.now();
+    const wantMs = _govFrom ? Date.parse(_govFrom) : toMs - _govHours * 3600000;
+    const fromMs = Math.max(wantMs, toMs - GOV_LOS_MAX_DAYS * 86400000);
+    const trimmed = wantMs < fromMs;
+    if (!_camId) {
+      txt("gov-los-label", "— no camera selected");
+      empty("Select a camera to grade its entry approaches.");
+      return;
+    }
+    txt("gov-los-label", "— loading…");
+    try {
+      const qs = `from=${new Date(fromMs).toISOString()}&to=${new Date(toMs).toISOString()}&camera_id=${_camId}`;
+      const res = await fetch(`/api/analytics/data?type=los&${qs}`);
+      const json = await res.json().catch(() => null);
+      if (!res.ok || !json) {
+        txt("gov-los-label", "— unavailable");
+        empty(json?.error || "Level of service could not be loaded.");
+        return;
+      }
+      if (!json.approaches?.length) {
+        txt("gov-los-label", "— no entry approaches yet");
+        empty("No entry zones defined yet. Use Admin → Analytics Zones to draw entry approaches and set their lane capacity.");
+        return;
+      }
+      _renderLos(json);
+      const grade = json.intersection?.grade;
+      txt("gov-los-label", `— intersection ${grade ? `LOS ${grade}` : "not graded"}${trimmed ? ` · last ${GOV_LOS_MAX_DAYS} days` : ""}`);
+      const d = json.thresholds?.delay_s || [];
+      txt("gov-los-legend-note", d.length
+        ? `Delay per vehicle (s): A ≤${d[0]} · B ≤${d[1]} · C ≤${d[2]} · D ≤${d[3]} · E ≤${d[4]} · F above, or demand over capacity. Faded cells are graded on volume/capacity only.`
+        : "");
+    } catch (err) {
+      console.warn("[GovAnalytics] LOS failed:", err);
+      txt("gov-los-label", "— unavailable");
+      empty("Level of service could not be loaded.");
+    }
+  }
+
+  function _renderLos(json) {
+    const body = el("gov-los-body");
+    if (!body) return;
+    const hours = json.intersection?.hours || [];
+    const make = (tag, cls, text) => {
+      const n = document.createElement(tag);
+      if (cls) n.className = cls;
+      if (text != null) n.textContent = text;
+      return n;
+    };
+    const cell = (grade, basis, title) => {
+      const td = make("td", `gov-los-cell ${grade ? `gov-los-${grade}` : "gov-los-none"}${basis === "vc" ? " vc" : ""}`, grade || "·");
+      td.title = title;
+      return td;
+    };
+    const fmt = (v, unit) => (v == null ? "—" : `${v}${unit}`);
+
+    const head = make("tr");
+    head.append(make("th"), make("th"));
+    hours.forEach((h, i) => {
+      const d = new Date(h.hour);
+      // Hour-of-day ticks, with the date where a new day starts
+      const th = make("th", null, i === 0 || d.getHours() === 0 ? `${d.getDate()}/${d.getMonth() + 1}` : d.getHours() % 3 === 0 ? String(d.getHours()) : "");
+      th.title = _formatPeriodLabel(h.hour, "hour");
+      head.append(th);
+    });
+
+    const rows = json.approaches.map((a) => {
+      const tr = make("tr");
+      const name = make("th", null, a.zone);
+      name.title = a.capacity_vph
+        ? `${a.lanes} lane${a.lanes === 1 ? "" : "s"} × ${a.lane_capacity_vph} veh/h = ${a.capacity_vph} veh/h`
+        : "No lane capacity set — graded on delay only";
+      const s = a.summary;
+      const sum = make("td", "gov-los-sum", `${s.grade || "–"} · ${fmt(s.avg_delay_s, "s")} · v/c ${fmt(s.peak_vc, "")}`);
+      sum.title = `Worst grade ${s.grade || "—"}, average delay ${fmt(s.avg_delay_s, " s")}, peak v/c ${fmt(s.peak_vc, "")}, ${s.volume.toLocaleString()} vehicles`;
+      tr.append(name, sum, ...a.hours.map(h => cell(h.grade, h.grade_basis,
+        `${a.zone} · ${_formatPeriodLabel(h.hour, "hour")}\n` +
+        `LOS ${h.grade || "—"} · ${h.volume.toLocaleString()} vehicles (${h.flow_vph} veh/h)\n` +
+        `v/c ${fmt(h.vc, "")} · delay ${fmt(h.delay_s, " s")} · ${h.dwell_samples} timed`)));
+      return tr;
+    });
+
+    const total = make("tr", "gov-los-total");
+    const ix = json.intersection;
+    total.append(make("th", null, "Intersection"), make("td", "gov-los-sum", `${ix.grade || "–"}`),
+      ...hours.map(h => cell(h.grade, h.grade_basis,
+        `Intersection · ${_formatPeriodLabel(h.hour, "hour")}\n` +
+        `LOS ${h.grade || "—"} · ${h.volume.toLocaleString()} vehicles\n` +
+        `delay ${fmt(h.delay_s, " s")} · worst v/c ${fmt(h.vc_max, "")} · wait line ${fmt(h.queue_avg, "")} avg, ${fmt(h.queue_peak, "")} peak`)));
+
+    const table = make("table", "gov-los-grid");
+    const thead = make("thead");
+    thead.append(head);
+    const tbody = make("tbody");
+    tbody.append(...rows, total);
+    table.append(thead, tbody);
+    body.replaceChildren(table);
+  }
+
+  function _syncCompareBtn() {
+    const ready = _compareCorridor || _compareIds.length >= 2;
+    const btn = el("gov-compare-btn");
+    if (btn) btn.disabled = !ready;
+    if (!ready) txt("gov-compare-label", "— pick two or more cameras or a corridor");
+  }
+
+  async function _loadCompare(hours) {
+    if ((!_compareCorridor && _compareIds.length < 2) || !window.Chart) return;
+    txt("gov-compare-label", "— loading…");
+    try {
+      const res = await fetch(`/api/analytics/traffic?${_trafficRangeQs(hours)}`
+        + (_compareCorridor
+          ? `&corridor=${encodeURIComponent(_compareCorridor)}`
+          : `&camera_ids=${_compareIds.map(encodeURIComponent).join(",")}`));
+      const json = await res.json().catch(() => null);
+      if (!res.ok || !json) {
+        txt("gov-compare-label", `— ${json?.error || "comparison unavailable"}`);
+        return;
+      }
+      _buildCompareChart(json);
+      _renderCompareTotals(json);
+      const granLabel = _govGranularity === "week" ? "weekly" : _govGranularity === "day" ? "daily" : "hourly";
+      txt("gov-compare-label", `— ${json.cameras.length} cameras · ${granLabel} view`);
+    } catch (err) {
+      console.warn("[GovAnalytics] Compare failed:", err);
+      txt("gov-compare-label", "— comparison unavailable");
+    }
+  }
+
+  function _buildCompareChart(data) {
+    const canvas = el("gov-compare-canvas");
+    if (!canvas || !window.Chart) return;
+    if (_compareChart) { _compareChart.destroy(); _compareChart = null; }
+    const labels = (data.periods || []).map(p => _formatPeriodLabel(p, _govGranularity));
+    const datasets = data.cameras.map((cam, i) => ({
+      label: cam.name || "Camera",
+      data: cam.rows.map(r => r.total),
+      borderColor: COMPARE_COLORS[i % COMPARE_COLORS.length],
+      backgroundColor: "transparent",
+      borderWidth: 1.8, tension: 0.38, pointRadius: 0,
+    }));
+    datasets.push({
+      label: data.corridor?.name ? `${data.corridor.name} (total)` : "Corridor total",
+      data: (data.corridor?.rows || []).map(r => r.total),
+      borderColor: "#0f1c2e", backgroundColor: "transparent",
+      borderWidth: 1.5, borderDash: [5, 4], tension: 0.38, pointRadius: 0,
+    });
+    _compareChart = new window.Chart(canvas, {
+      type: "line",
+      data: { labels, datasets },
+      options: {
+        ...CHART_GOV,
+        plugins: {
+          ...CHART_GOV.plugins,
+          legend: {
+            display: true,
+            labels: { color: "#64748b", font: { size: 9, family: "JetBrains Mono" }, boxWidth: 12, padding: 14 },
+          },
+        },
+      },
+    });
+  }
+
+  function _renderCompareTotals(data) {
+    const wrap = el("gov-compare-totals");
+    if (!wrap) return;
+    const tile = (name, summary, extraClass = "") => {
+      const div = document.createElement("div");
+      div.className = `gov-compare-total ${extraClass}`.trim();
+      const n = document.createElement("span");
+      n.className = "gov-compare-total-name";
+      n.textContent = name;
+      const v = document.createElement("span");
+      v.className = "gov-compare-total-val";
+      v.textContent = Number(summary?.period_total || 0).toLocaleString();
+      const p = document.createElement("span");
+      p.className = "gov-compare-total-peak";
+      p.textContent = summary?.peak_period
+        ? `peak ${_formatPeriodLabel(summary.peak_period, _govGranularity)} (${summary.peak_value})`
+        : "no traffic";
+      div.append(n, v, p);
+      return div;
+    };
+    wrap.replaceChildren(
+      ...data.cameras.map(cam => tile(cam.name || "Camera", cam.summary)),
+      tile(data.corridor?.name || "Corridor", data.corridor?.summary, "corridor"),
+    );
+  }
+
   function _formatPeriodLabel(period, gran) {
     if (!period) return "—";
     if (gran === "day" || gran === "week") return period.slice(0, 10);
@@ -2244,11 +2652,31 @@ function _connectUserWs(session) {
     return `${String(d.getHours()).padStart(2,"0")}:00`;
   }
 
-  function _buildTrendChart(rows) {
+  function _buildTrendChart(rows, compare = null, anomalies = new Map()) {
     const canvas = el("gov-trend-canvas");
     if (!canvas || !window.Chart) return;
     if (_trendChart) { _trendChart.destroy(); _trendChart = null; }
     const labels = rows.map(r => _formatPeriodLabel(r.period || r.hour, _govGranularity));
+    // Overlays sit in their own stacks so they are not added onto the class bands
+    const overlays = [];
+    if (compare?.rows?.length) {
+      overlays.push({
+        label: `Total · ${COMPARE_LABELS[compare.mode] || "comparison"}`, stack: "compare",
+        data: compare.rows.map(r => r.total || 0),
+        borderColor: "#0f1c2e", backgroundColor: "transparent",
+        borderWidth: 1.4, borderDash: [5, 4], tension: 0.42, pointRadius: 0, fill: false,
+      });
+    }
+    if (anomalies.size) {
+      const hits = rows.map(r => anomalies.get(r.period || r.hour) || null);
+      overlays.push({
+        label: "Unusual", stack: "anomaly", _anomalies: hits,
+        data: hits.map(a => (a ? a.total : null)),
+        showLine: false, fill: false, pointStyle: "triangle", pointRadius: 6, pointHoverRadius: 8,
+        pointBackgroundColor: hits.map(a => (a?.direction === "below" ? "#0ea5e9" : "#ef4444")),
+        borderColor: "#0f1c2e", borderWidth: 1,
+      });
+    }
     const mk = (f) => rows.map(r => r[f] || 0);
     // Stacked area — each class fills its own colored band, bottom→top
     const band = (label, field, border, fill) => ({
@@ -2265,6 +2693,7 @@ function _connectUserWs(session) {
           band("Buses",       "bus",        "#7c3aed",         "rgba(124,58,237,0.50)"),
           band("Trucks",      "truck",      "#dc2626",         "rgba(220,38,38,0.50)"),
           band("Cars",        "car",        "rgba(2,132,199,0.9)", "rgba(2,132,199,0.45)"),
+          ...overlays,
         ],
       },
       options: {
@@ -2282,6 +2711,16 @@ function _connectUserWs(session) {
               boxWidth: 12, padding: 14, usePointStyle: true, pointStyle: "rect",
             },
           },
+          tooltip: {
+            ...CHART_GOV.plugins.tooltip,
+            callbacks: {
+              label: (c) => {
+                const a = c.dataset._anomalies?.[c.dataIndex];
+                if (a) return ` Unusual: ${a.total.toLocaleString()} (usually ~${Math.round(a.baseline_mean).toLocaleString()})`;
+                return ` ${c.dataset.label}: ${Number(c.parsed.y || 0).toLocaleString()}`;
+              },
+            },
+          },
         },
       },
     });
@@ -2319,7 +2758,7 @@ function _connectUserWs(session) {
     });
   }
 
-  function _buildPeakChart(rows) {
+  function _buildPeakChart(rows, anomalies = new Map()) {
     const canvas = el("gov-peak-canvas");
     if (!canvas || !window.Chart) return;
     if (_peakChart) { _peakChart.destroy(); _peakChart = null; }
@@ -2331,10 +2770,22 @@ function _connectUserWs(session) {
       v >= maxVal * 0.6  ? "rgba(245,158,11,0.75)"  :
                            "rgba(2,132,199,0.55)"
     );
+    // Unusual periods (anomaly flags) get an outline marker
+    const flagged = rows.map(r => anomalies.get(r.period || r.hour) || null);
     _peakChart = new window.Chart(canvas, {
       type: "bar",
-      data: { labels, datasets: [{ data:totals, backgroundColor:colors, borderRadius:3, borderWidth:0 }] },
-      options: { ...CHART_GOV },
+      data: { labels, datasets: [{
+        data:totals, backgroundColor:colors, borderRadius:3,
+        borderWidth: flagged.map(a => (a ? 2 : 0)), borderColor: "#0f1c2e",
+      }] },
+      options: {
+        ...CHART_GOV,
+        plugins: { ...CHART_GOV.plugins,
+          tooltip: { ...CHART_GOV.plugins.tooltip, callbacks: { afterLabel: (c) => {
+            const a = flagged[c.dataIndex];
+            return a ? `Unusual — ${a.direction} the usual ~${Math.round(a.baseline_mean).toLocaleString()}` : "";
+          } } } },
+      },
     });
   }
 
@@ -2403,6 +2854,7 @@ function _connectUserWs(session) {
       _buildQueueChart(data.queue_series || []);
       _buildSpeedChart(data);
       _renderTurningMovements(data);
+      OdView.load({ camId: _camId, from: fromParam, to: toParam, granularity: _govGranularity, zones, data });
 
       // ── Zone intelligence — queue, speed, class, traffic flow ──────────────
       // NOTE: gov-sum-total / gov-kpi-total / gov-hdr-total are NOT overwritten
@@ -3008,6 +3460,11 @@ function _connectUserWs(session) {
     }
   });
 
+  el("gov-trend-compare")?.addEventListener("change", (e) => {
+    _govCompare = e.target.value || "";
+    _loadChartJs(() => _initAllCharts(_govHours).then(() => _updatePeakKpiFromChart()));
+  });
+
   // Custom calendar — wire date buttons
   el("gov-date-from")?.addEventListener("click", (e) => { e.stopPropagation(); _openCal("from"); });
   el("gov-date-to")?.addEventListener("click",   (e) => { e.stopPropagation(); _openCal("to"); });
@@ -3016,6 +3473,25 @@ function _connectUserWs(session) {
   el("gov-export-btn")?.addEventListener("click", _triggerExport);
   el("gov-export-dl-btn")?.addEventListener("click", _triggerExport);
 
+  // Fetch an export CSV, following X-Next-Cursor pages so long ranges aren't cut
+  // at one page. Returns the first response (for status handling) and the joined blob.
+  async function _fetchExportCsv(url, jwt) {
+    const headers = { Authorization: `Bearer ${jwt}` };
+    const first   = await fetch(url, { headers });
+    if (!first.ok || first.status === 204) return { resp: first, blob: null };
+    const parts = [await first.text()];
+    let next = first.headers.get("X-Next-Cursor");
+    for (let guard = 0; next && guard < 100; guard += 1) {
+      const r = await fetch(`${url}&cursor=${encodeURIComponent(next)}`, { headers });
+      if (r.status === 204) break;
+      if (!r.ok) throw new Error(`Export page failed (${r.status})`);
+      const text = await r.text();
+      parts.push(text.slice(text.indexOf("\n") + 1));   // drop repeated CSV header
+      next = r.headers.get("X-Next-Cursor");
+    }
+    return { resp: first, blob: new Blob([parts.join("\n")], { type: "text/csv" }) };
+  }
+
   async function _triggerExport() {
     const fromEl = el("gov-exp-from");
     const toEl   = el("gov-exp-to");
@@ -3030,9 +3506,8 @@ function _connectUserWs(session) {
     }
     const url = `/api/analytics/export?from=${from.toISOString()}&to=${to.toISOString()}${_camId ? `&camera_id=${_camId}` : ""}`;
     try {
-      const res = await fetch(url, { headers: { Authorization: `Bearer ${jwt}` } });
-      if (!res.ok) { _showModal("EXPORT", `<p class="gov-modal-pitch">No data available for the selected date range.</p>`); return; }
-      const blob    = await res.blob();
+      const { resp: res, blob } = await _fetchExportCsv(url, jwt);
+      if (!res.ok || !blob) { _showModal("EXPORT", `<p class="gov-modal-pitch">No data available for the selected date range.</p>`); return; }
       const blobUrl = URL.createObjectURL(blob);
       const a = Object.assign(document.createElement("a"), { href: blobUrl, download: `traffic-${from.toISOString().slice(0,10)}.csv` });
       document.body.appendChild(a); a.click(); document.body.removeChild(a);
@@ -3528,7 +4003,7 @@ function _connectUserWs(session) {
 
       _setBtnState("loading", '<span class="gov-dl-spinner"></span> Preparing data…');
 
-      const resp = await fetch(url, { headers: { Authorization: `Bearer ${session.access_token}` } });
+      const { resp, blob } = await _fetchExportCsv(url, session.access_token);
       if (resp.status === 204) return _showError("No data in selected range");
       if (resp.status === 400) {
         const msg = (await resp.json().catch(() => ({}))).error || "Invalid request";
@@ -3541,7 +4016,6 @@ function _connectUserWs(session) {
       }
 
       // ── Trigger browser download ──────────────────────────────────────────
-      const blob = await resp.blob();
       if (blob.size === 0) return _showError("No data in selected range");
 
       const a  = document.createElement("a");
@@ -1,5 +1,6 @@
 import { sb } from '../core/supabase.js';
 import { AppCache } from '../core/cache.js';
+import { isStaffRole, roleOf } from '../core/roles.js';
 
 async function login(email, password) {
   const { data, error } = await sb.auth.signInWithPassword({ email, password });
@@ -41,8 +42,7 @@ async function requireAdmin(redirectTo = '/') {
   const returnTo = encodeURIComponent(window.location.pathname);
   const session = await requireAuth(`/?login=1&return=${returnTo}`);
   if (!session) return null;
-  const role = session.user?.app_metadata?.role;
-  if (role !== 'admin') { window.location.href = redirectTo; return null; }
+  if (!isStaffRole(roleOf(session))) { window.location.href = redirectTo; return null; }
   return session;
 }
 
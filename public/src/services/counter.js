@@ -1,11 +1,11 @@
 import { AppCache } from '../core/cache.js';
 import { FloatingCount } from '../overlays/floating-count.js';
+import { RoundEvents } from './round-events.js';
 
 let ws = null;
 let reconnectTimer = null;
 let backoff = 2000;
 let started = false;
-let lastRoundSig = '';
 let lastCountTsMs = 0;
 let lastKnownTotal = 0;
 const MAX_BACKOFF = 30000;
@@ -34,18 +34,6 @@ function sanitizeCountPayload(data) {
   return data;
 }
 
-function roundSignature(round) {
-  if (!round) return 'none';
-  return [round.id || '', round.status || '', round.opens_at || '', round.closes_at || '', round.ends_at || ''].join('|');
-}
-
-function emitRoundIfChanged(round) {
-  const sig = roundSignature(round);
-  if (sig === lastRoundSig) return;
-  lastRoundSig = sig;
-  window.dispatchEvent(new CustomEvent('round:update', { detail: round || null }));
-}
-
 async function bootstrapFromHealth() {
   try {
     const res = await fetch('/api/health');
@@ -96,13 +84,11 @@ async function connect() {
   ws.onmessage = (e) => {
     try {
       const data = JSON.parse(e.data);
+      if (RoundEvents.handleMessage(data)) return;
       if (data.type === 'count') {
         const sanitized = sanitizeCountPayload(data);
         if (!sanitized) return;
         update(sanitized);
-        if ('round' in data) emitRoundIfChanged(data.round);
-      } else if (data.type === 'round') {
-        emitRoundIfChanged(data.round);
       } else if (data.type === 'scene:reset') {
         // Reset timestamp filter so next count messages aren't silently dropped
         lastCountTsMs = 0;
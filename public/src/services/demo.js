@@ -17,6 +17,7 @@ import { Stream } from './stream.js';
 import { Counter } from './counter.js';
 import { DetectionOverlay } from '../overlays/detection-overlay.js';
 import { sb } from '../core/supabase.js';
+import { isStaffRole, roleOf } from '../core/roles.js';
 
 let _active      = false;
 let _rafId       = null;
@@ -204,7 +205,7 @@ export async function activate() {
 async function _isAdmin() {
   try {
     const { data: { session } } = await sb.auth.getSession();
-    return session?.user?.app_metadata?.role === 'admin';
+    return isStaffRole(roleOf(session));
   } catch {
     return false;
   }
@@ -4,11 +4,16 @@ import { TimeUtil } from '../core/time.js';
 import { Auth } from './auth.js';
 import { Bet } from '../ui/bet.js';
 import { LiveBet } from '../ui/live-bet.js';
+import { RoundEvents } from './round-events.js';
 
 /**
  * markets.js - Renders active bet markets in the sidebar.
  * Manages sidebar tab switching.
  * Connects market cards to bet panel (LiveBet) instead of a modal.
+ * Round state is fetched once on load, then driven by /ws/live round
+ * events (round-events.js). Until the backend has sent a typed v:1 event
+ * (RoundEvents.typed()) the old polls stay on as a fallback: the 60 s round
+ * reload, the close/end reloads and the user bet poll.
  */
 
 export const Markets = (() => {
@@ -21,14 +26,13 @@ export const Markets = (() => {
   let userRoundBets = [];
   let optimisticPendingBet = null;
   let userBetPollTimer = null;
-  let nextRoundPollTimer = null;
   let nextRoundTickTimer = null;
   let nextRoundAtIso = null;
   let hasInitialRender = false;
   let lastUserBetMarkup = "";
   let latestResolvedCard = null;
   let roundGuideCollapsed = false;
-  let _lastRenderedRoundKey = null;   // prevents timer flicker on 60s polls
+  let _lastRenderedRoundKey = null;   // prevents timer flicker on repeated round events
   let _receiptSkeletonBetKey = null;  // prevents receipt flicker on count:update
   const dismissedResolvedBetIds = new Set();
   const RESOLVED_CARD_STORAGE_KEY = "wlz_round_result_card_v1";
@@ -65,31 +69,48 @@ export const Markets = (() => {
         renderNoRound();
         return;
       }
+      await _showRound(round);
+    } catch (e) {
+      console.error("[Markets] Failed to load:", e);
+      renderNoRound();
+    }
+  }
 
-      if (currentRound?.id !== round.id) {
-        if (latestResolvedCard?.round_id && latestResolvedCard.round_id !== round.id) {
-          _clearResolvedOutcomeCard();
-        }
-        _resetRoundLiveState();
+  async function _showRound(round) {
+    if (currentRound?.id !== round.id) {
+      if (latestResolvedCard?.round_id && latestResolvedCard.round_id !== round.id) {
+        _clearResolvedOutcomeCard();
       }
+      _resetRoundLiveState();
+    }
+
+    currentRound = round;
+    lastRoundId = round.id;
+    LiveBet.setRound(round);
+    renderRound(round);
+    updateRoundStrip(round);
+    await _ensureRoundBaseline(round);
+    await _loadUserRoundBets();
+    _startUserBetPolling();
+  }
 
-      currentRound = round;
-      LiveBet.setRound(round);
-      renderRound(round);
-      updateRoundStrip(round);
-      await _ensureRoundBaseline(round);
-      await _loadUserRoundBets();
-      _startUserBetPolling();
+  // round_scheduled / round_opened / betting_closed carry the full round (with markets)
+  async function _applyRound(round) {
+    AppCache?.invalidate("round:preferred");
+    await _ensureCurrentUser();
+    // Legacy `round` frames carry no markets — fetch the full round once
+    if (!Array.isArray(round.markets)) return loadMarkets();
+    try {
+      await _showRound(round);
     } catch (e) {
-      console.error("[Markets] Failed to load:", e);
-      renderNoRound();
+      console.error("[Markets] Failed to apply round event:", e);
     }
   }
 
   async function _fetchPreferredRound() {
     // 30-second cache — eliminates redundant queries on heartbeat bursts.
     // Wrapped in { v } so a null result (no round) is also cached.
-    // Invalidated by AppCache.invalidate("round:") before each heartbeat loadMarkets().
+    // Invalidated by AppCache.invalidate("round:") whenever a round event arrives.
     const cached = AppCache?.get("round:preferred");
     if (cached !== null) return cached.v;
 
@@ -152,10 +173,11 @@ export const Markets = (() => {
     `;
   }
 
-  function renderNoRound() {
+  function renderNoRound(nextRoundAt = null) {
     clearInterval(timersInterval);
     timersInterval = null;
     lastRoundId = null;
+    currentRound = null;
     _stopUserBetPolling();
     _resetRoundLiveState();
     window.dispatchEvent(new CustomEvent('banners:show'));
@@ -170,7 +192,7 @@ export const Markets = (() => {
       if (container.innerHTML !== html) container.innerHTML = html;
     }
     updateRoundStrip(null);
-    _startNextRoundCountdown();
+    _startNextRoundCountdown(nextRoundAt);
     _renderResolvedOutcomeCard();
     hasInitialRender = true;
   }
@@ -306,7 +328,7 @@ export const Markets = (() => {
     `;
     // Only rebuild DOM (and restart timers/listeners) when round identity or
     // status changes. This prevents the timer elements from being destroyed
-    // and recreated on every 60-second loadMarkets() poll.
+    // and recreated when the same state is replayed on reconnect.
     const roundKey = `${round.id}:${round.status}`;
     if (roundKey !== _lastRenderedRoundKey) {
       // Detect if this is a brand-new round (different ID) vs. same round status change
@@ -428,6 +450,7 @@ export const Markets = (() => {
 
   function startTimers(opensAt, closesAt, endsAt) {
     clearInterval(timersInterval);
+    // Fallback reloads for backends without betting_closed / round_resolved events
     let closedFired = false;
     let endedFired = false;
 
@@ -451,7 +474,7 @@ export const Markets = (() => {
         closesEl.textContent = diff === 0 ? "Closed" : `in ${fmtDuration(diff)}`;
         if (diff === 0 && !closedFired) {
           closedFired = true;
-          setTimeout(loadMarkets, 1500);
+          if (!RoundEvents.typed()) setTimeout(loadMarkets, 1500);
         }
       }
 
@@ -462,7 +485,7 @@ export const Markets = (() => {
         endsEl.textContent = diff === 0 ? "Resolving..." : `in ${fmtDuration(diff)}`;
         if (diff === 0 && !endedFired) {
           endedFired = true;
-          setTimeout(loadMarkets, 4000);
+          if (!RoundEvents.typed()) setTimeout(loadMarkets, 4000);
         }
       }
     }, 1000);
@@ -523,10 +546,13 @@ export const Markets = (() => {
     userBetPollTimer = null;
   }
 
+  // Fallback for backends without bet_placed / bet_settled events; stops
+  // itself once typed round events arrive.
   function _startUserBetPolling() {
     _stopUserBetPolling();
-    if (!currentRound || !currentUserId) return;
+    if (!currentRound || !currentUserId || RoundEvents.typed()) return;
     userBetPollTimer = setInterval(() => {
+      if (RoundEvents.typed()) return _stopUserBetPolling();
       _loadUserRoundBets();
     }, USER_BET_POLL_MS);
   }
@@ -539,31 +565,42 @@ export const Markets = (() => {
   }
 
   function _stopNextRoundCountdown() {
-    clearInterval(nextRoundPollTimer);
     clearInterval(nextRoundTickTimer);
-    nextRoundPollTimer = null;
     nextRoundTickTimer = null;
     nextRoundAtIso = null;
   }
 
-  async function _pollNextRoundAt() {
+  function _renderNextRoundCountdown() {
     const noteEl = document.getElementById("next-round-note");
     const cdEl = document.getElementById("next-round-countdown");
     if (!noteEl || !cdEl) return;
+    if (!nextRoundAtIso) {
+      noteEl.textContent = "New round schedule will appear shortly.";
+      cdEl.textContent = "--:--";
+      return;
+    }
+    const diff = Math.max(0, Math.floor((new Date(nextRoundAtIso).getTime() - Date.now()) / 1000));
+    noteEl.textContent = diff > 0 ? "Next round starts soon." : "Starting next round...";
+    cdEl.textContent = _formatCountdown(diff);
+  }
+
+  // One-shot lookup for when the page loads between rounds; afterwards
+  // round_scheduled events carry next_round_at.
+  async function _fetchNextRoundAt() {
     try {
-      nextRoundAtIso = null;
+      let next = null;
 
       // 1) Try backend health first, but do not fail hard if unavailable.
       try {
         const h = await fetch("/api/health");
         if (h.ok) {
           const health = await h.json();
-          nextRoundAtIso = health?.next_round_at || null;
+          next = health?.next_round_at || null;
         }
       } catch {}
 
       // 2) Fallback to active session scheduler timestamp.
-      if (!nextRoundAtIso && sb) {
+      if (!next && sb) {
         const { data: session } = await sb
           .from("round_sessions")
           .select("next_round_at,status")
@@ -572,11 +609,11 @@ export const Markets = (() => {
           .order("next_round_at", { ascending: true })
           .limit(1)
           .maybeSingle();
-        nextRoundAtIso = session?.next_round_at || null;
+        next = session?.next_round_at || null;
       }
 
       // 3) Final fallback to upcoming rounds table.
-      if (!nextRoundAtIso && sb) {
+      if (!next && sb) {
         const { data } = await sb
           .from("bet_rounds")
           .select("id, opens_at, status")
@@ -584,38 +621,27 @@ export const Markets = (() => {
           .order("opens_at", { ascending: true })
           .limit(1)
           .maybeSingle();
-        nextRoundAtIso = data?.opens_at || null;
+        next = data?.opens_at || null;
       }
-      if (!nextRoundAtIso) {
-        noteEl.textContent = "New round schedule will appear shortly.";
-        cdEl.textContent = "--:--";
-        return;
-      }
-      noteEl.textContent = "Next round starts soon.";
-      const diff = Math.max(0, Math.floor((new Date(nextRoundAtIso).getTime() - Date.now()) / 1000));
-      cdEl.textContent = _formatCountdown(diff);
+      // A round event may have arrived while we were fetching
+      if (!nextRoundTickTimer || nextRoundAtIso) return;
+      nextRoundAtIso = next;
+      _renderNextRoundCountdown();
     } catch {
-      noteEl.textContent = "Schedule temporarily unavailable.";
-      cdEl.textContent = "--:--";
+      const noteEl = document.getElementById("next-round-note");
+      const cdEl = document.getElementById("next-round-countdown");
+      if (noteEl) noteEl.textContent = "Schedule temporarily unavailable.";
+      if (cdEl) cdEl.textContent = "--:--";
     }
   }
 
-  function _startNextRoundCountdown() {
+  // Counts down locally; the next round_opened / round_scheduled event ends it.
+  function _startNextRoundCountdown(nextRoundAt = null) {
     _stopNextRoundCountdown();
-    _pollNextRoundAt();
-    nextRoundPollTimer = setInterval(_pollNextRoundAt, 15000);
-    nextRoundTickTimer = setInterval(() => {
-      const cdEl = document.getElementById("next-round-countdown");
-      const noteEl = document.getElementById("next-round-note");
-      if (!cdEl || !nextRoundAtIso) return;
-      const diff = Math.max(0, Math.floor((new Date(nextRoundAtIso).getTime() - Date.now()) / 1000));
-      cdEl.textContent = _formatCountdown(diff);
-      if (diff <= 0) {
-        if (noteEl) noteEl.textContent = "Starting next round...";
-        _pollNextRoundAt();
-        loadMarkets();
-      }
-    }, 1000);
+    nextRoundAtIso = nextRoundAt;
+    nextRoundTickTimer = setInterval(_renderNextRoundCountdown, 1000);
+    _renderNextRoundCountdown();
+    if (!nextRoundAtIso) _fetchNextRoundAt();
   }
 
   async function _ensureRoundBaseline(round) {
@@ -1037,20 +1063,31 @@ export const Markets = (() => {
     initTabs();
     loadMarkets();
 
-    setInterval(loadMarkets, 60000);
+    setInterval(() => {
+      if (!RoundEvents.typed()) loadMarkets();
+    }, 60000);
 
-    window.addEventListener("round:update", (e) => {
-      if (e.detail) {
-        if (e.detail.id !== lastRoundId) {
-          lastRoundId = e.detail.id;
-          loadMarkets();
-        }
+    RoundEvents.on(["round_scheduled", "round_opened", "betting_closed"], (ev) => {
+      if (ev.round) {
+        _applyRound(ev.round);
       } else {
-        lastRoundId = null;
-        renderNoRound();
+        AppCache?.invalidate("round:preferred");
+        renderNoRound(ev.next_round_at || null);
       }
     });
 
+    RoundEvents.on("round_resolved", (ev) => {
+      AppCache?.invalidate("round:preferred");
+      if (!currentRound || ev.round?.id === currentRound.id) renderNoRound();
+    });
+
+    RoundEvents.on(["bet_placed", "bet_settled"], async (ev) => {
+      await _ensureCurrentUser();
+      const bet = ev.bet || {};
+      if (!currentRound || !currentUserId) return;
+      if (bet.user_id === currentUserId && bet.round_id === currentRound.id) _loadUserRoundBets();
+    });
+
     window.addEventListener("count:update", (e) => {
       latestCountPayload = e.detail || null;
       _renderUserRoundBet();
@@ -0,0 +1,114 @@
+/**
+ * round-events.js — Typed round lifecycle events from /ws/live.
+ *
+ * Every round state change reaches the page as one message on the live
+ * socket (read by counter.js) and is re-dispatched here as a window
+ * "round:event" CustomEvent whose detail is the message itself:
+ *
+ *   round_scheduled  { round | null, next_round_at | null }
+ *                    A round exists but is not open yet (round.status "upcoming"),
+ *                    or nothing is running and the scheduler's next start is known.
+ *                    Both null = no round and nothing scheduled.
+ *   round_opened     { round }  guesses accepted; round includes markets
+ *   betting_closed   { round }  round locked, the count is still running
+ *   round_resolved   { round }  round.result = { total, outcome_key }
+ *   bet_placed       { bet }    { id, user_id, round_id, bet_type, amount, ... }
+ *   bet_settled      { bet }    same shape with status won | lost and actual_count
+ *
+ * All messages also carry `v` (protocol version, 1) and `at` (ISO time).
+ * On connect the server sends the event for the current state with
+ * `replay: true`, so a reconnecting page resynchronises without polling;
+ * listeners that announce changes (chat) skip replays.
+ *
+ * Backends that still send `{ type: "round", round }` frames, or a `round`
+ * field on count frames, are translated by the legacy adapter below into the
+ * lifecycle event implied by a change of round id / status. Those backends
+ * send no bet events and no close/resolve event on time, so consumers keep a
+ * slow fallback poll until typed() reports that real v:1 frames arrived.
+ */
+
+export const ROUND_EVENT_TYPES = [
+  'round_scheduled', 'round_opened', 'betting_closed', 'round_resolved', 'bet_placed', 'bet_settled',
+];
+
+const LIFECYCLE_BY_STATUS = {
+  upcoming:  'round_scheduled',
+  open:      'round_opened',
+  locked:    'betting_closed',
+  resolved:  'round_resolved',
+  cancelled: 'round_resolved',
+};
+
+let _lastLifecycleKey = null;
+let _latest = null;
+let _typed = false;
+
+function _lifecycleKey(msg) {
+  return `${msg.type}|${msg.round?.id || ''}|${msg.next_round_at || ''}`;
+}
+
+function _dispatch(msg) {
+  if (msg.type !== 'bet_placed' && msg.type !== 'bet_settled') {
+    _lastLifecycleKey = _lifecycleKey(msg);
+    _latest = msg;
+  }
+  window.dispatchEvent(new CustomEvent('round:event', { detail: msg }));
+}
+
+/** Legacy `round` payload → lifecycle event, only when the round id or status changed. */
+function _fromLegacyRound(round) {
+  const type = round ? LIFECYCLE_BY_STATUS[String(round.status || '').toLowerCase()] : 'round_scheduled';
+  if (!type) return;
+  const msg = {
+    type, v: 1, at: new Date().toISOString(), round: round || null,
+    ...(type === 'round_scheduled' ? { next_round_at: round?.opens_at || null } : {}),
+    replay: _latest === null,
+  };
+  if (_lifecycleKey(msg) === _lastLifecycleKey) return;
+  _dispatch(msg);
+}
+
+/**
+ * Route one /ws/live message. Returns true when it was a round event (typed
+ * or legacy `round` frame); count frames are only inspected for their
+ * legacy `round` field and still return false.
+ */
+function handleMessage(data) {
+  if (!data || typeof data !== 'object') return false;
+  if (ROUND_EVENT_TYPES.includes(data.type)) {
+    if (Number(data.v) >= 1) _typed = true;
+    _dispatch(data);
+    return true;
+  }
+  if (data.type === 'round') {
+    _fromLegacyRound(data.round || null);
+    return true;
+  }
+  if (data.type === 'count' && 'round' in data) _fromLegacyRound(data.round || null);
+  return false;
+}
+
+/**
+ * Subscribe to round events. `types` is one type, a list, or "*".
+ * Returns an unsubscribe function.
+ */
+function on(types, handler) {
+  const wanted = types === '*' ? null : new Set([].concat(types));
+  const listener = (e) => {
+    if (!wanted || wanted.has(e.detail?.type)) handler(e.detail);
+  };
+  window.addEventListener('round:event', listener);
+  return () => window.removeEventListener('round:event', listener);
+}
+
+/** Latest lifecycle event seen (null before the first one). */
+function latest() {
+  return _latest;
+}
+
+/** True once the server itself has sent a typed (v:1) round event. */
+function typed() {
+  return _typed;
+}
+
+export const RoundEvents = { handleMessage, on, latest, typed };
@@ -1,5 +1,6 @@
 import { sb } from '../core/supabase.js';
 import { Markets } from '../services/markets.js';
+import { RoundEvents } from '../services/round-events.js';
 
 /**
  * banners.js — Public banner/announcement tiles shown when no round is active.
@@ -11,6 +12,10 @@ import { Markets } from '../services/markets.js';
  *     banner's `updated_at` timestamp is compared to the user's dismiss time;
  *     if updated AFTER the user dismissed, the banner reappears.
  *
+ * The play tile follows the round session: one Supabase check on show, then
+ * /ws/live round events (round-events.js) keep it current. Until the backend
+ * has sent a typed v:1 event the 12 s session poll stays on as a fallback.
+ *
  * Admin controls:
  *   - Activate / deactivate banners (is_active)
  *   - Edit a banner content → automatically clears all user dismissals for it
@@ -29,6 +34,7 @@ export const Banners = (() => {
   let _visible          = false;
   let _sessionLive      = false;
   let _sessionPollTimer = null;
+  let _roundUnsub       = null;
   let _authUnsub        = null;
 
   // ── User-scoped storage key ───────────────────────────────────
@@ -217,10 +223,33 @@ export const Banners = (() => {
     } catch { return false; }
   }
 
+  /** Whether a round event implies a running session; undefined for events that say nothing. */
+  function _liveFrom(ev) {
+    if (!ev) return undefined;
+    if (ev.type === "round_opened" || ev.type === "betting_closed") return true;
+    if (ev.type === "round_scheduled") return Boolean(ev.round || ev.next_round_at);
+    return undefined;
+  }
+
+  function _watchRounds() {
+    if (_roundUnsub) return;
+    _roundUnsub = RoundEvents.on(["round_scheduled", "round_opened", "betting_closed"], (ev) => {
+      const live = _liveFrom(ev);
+      if (live === _sessionLive) return;
+      _sessionLive = live;
+      if (_visible) _render();
+    });
+  }
+
+  function _stopSessionPoll() {
+    clearInterval(_sessionPollTimer);
+    _sessionPollTimer = null;
+  }
+
   function _startSessionPoll() {
-    if (_sessionPollTimer) return;
+    if (_sessionPollTimer || RoundEvents.typed()) return;
     _sessionPollTimer = setInterval(async () => {
-      if (!_visible) { clearInterval(_sessionPollTimer); _sessionPollTimer = null; return; }
+      if (!_visible || RoundEvents.typed()) return _stopSessionPoll();
       const live = await _checkSession();
       if (live !== _sessionLive) { _sessionLive = live; _render(); }
     }, 12000);
@@ -463,7 +492,11 @@ export const Banners = (() => {
     _loadLiked();
     _watchAuth();
 
-    [_banners, _sessionLive] = await Promise.all([_fetch(), _checkSession()]);
+    _watchRounds();
+    const known = _liveFrom(RoundEvents.latest());
+    const [banners, live] = await Promise.all([_fetch(), known ?? _checkSession()]);
+    _banners = banners;
+    _sessionLive = _liveFrom(RoundEvents.latest()) ?? live;
 
     // Clear any dismissals that admin has overridden via banner updates
     _pruneOutdatedDismissals();
@@ -474,8 +507,7 @@ export const Banners = (() => {
 
   function hide() {
     _visible = false;
-    clearInterval(_sessionPollTimer);
-    _sessionPollTimer = null;
+    _stopSessionPoll();
     const section = document.getElementById("banners-section");
     if (section) {
       section.classList.add("hidden");
@@ -1,5 +1,6 @@
 import { Auth } from '../services/auth.js';
 import { Markets } from '../services/markets.js';
+import { createIdempotencyKeys } from '../core/idempotency.js';
 
 /**
  * bet.js — Market bet modal (existing rounds with markets).
@@ -10,6 +11,8 @@ export const Bet = (() => {
   let _marketId = null;
   let _odds = null;
   let _marketLabel = "";
+  let _submitting = false;
+  const _idempotency = createIdempotencyKeys();
 
   function openModal(marketId, label, odds) {
     _marketId = marketId;
@@ -81,7 +84,18 @@ export const Bet = (() => {
     el.textContent = (amount > 0 && _odds) ? Math.floor(amount * _odds).toLocaleString() : "—";
   }
 
+  // One submit at a time; the Idempotency-Key covers retries that still slip through
   async function submit() {
+    if (_submitting) return;
+    _submitting = true;
+    try {
+      await _submit();
+    } finally {
+      _submitting = false;
+    }
+  }
+
+  async function _submit() {
     const amountEl = document.getElementById("bmi-amount");
     const errorEl = document.getElementById("bmi-error");
     const submitBtn = document.getElementById("bmi-submit");
@@ -127,26 +141,29 @@ export const Bet = (() => {
 
     if (submitBtn) submitBtn.disabled = true;
     if (errorEl) errorEl.textContent = "";
+    amountEl?.removeAttribute("aria-invalid");
     if (loadingEl) loadingEl.classList.remove("hidden");
     if (submitBtn) submitBtn.textContent = "Validating...";
 
+    const payload = { round_id: round.id, market_id: _marketId, amount };
+
     try {
       const res = await fetch("/api/bets/place", {
         method: "POST",
         headers: {
           "Content-Type": "application/json",
           Authorization: `Bearer ${jwt}`,
+          "Idempotency-Key": _idempotency.keyFor(payload),
         },
-        body: JSON.stringify({
-          round_id: round.id,
-          market_id: _marketId,
-          amount,
-        }),
+        body: JSON.stringify(payload),
       });
 
       const data = await res.json();
+      if (_idempotency.isDefinitive(res.status, data)) _idempotency.settle();
       if (!res.ok) {
-        if (errorEl) errorEl.textContent = data.detail || "Bet failed";
+        // Stake errors point at the amount field; id errors are not the user's to fix
+        if (data.fields?.amount) amountEl?.setAttribute("aria-invalid", "true");
+        if (errorEl) errorEl.textContent = data.fields?.amount || data.detail || "Bet failed";
         return;
       }
 
@@ -1,4 +1,5 @@
 import { sb } from '../core/supabase.js';
+import { RoundEvents } from '../services/round-events.js';
 
 /**
  * chat.js - Global chat via Supabase realtime.
@@ -19,7 +20,6 @@ export const Chat = (() => {
   const MAX_MESSAGES = 100;
   let _unread = 0;
   let _presenceInitialized = false;
-  let _lastRoundEvent = null;
   let _boundRoundUpdates = false;
   let _lastChatUserId = null; // track last message sender for grouping
 
@@ -295,22 +295,9 @@ export const Chat = (() => {
   function _bindRoundAnnouncements() {
     if (_boundRoundUpdates) return;
     _boundRoundUpdates = true;
-    window.addEventListener("round:update", (e) => {
-      const round = e.detail || null;
-      const current = round ? {
-        id: round.id || null,
-        status: String(round.status || "").toLowerCase(),
-        opens_at: round.opens_at || null,
-      } : null;
-      const prev = _lastRoundEvent;
-      const becameOpen = !!current
-        && current.status === "open"
-        && !!prev
-        && (prev.id !== current.id || prev.status !== "open");
-      if (becameOpen) {
-        _addSystemMessage("New match started. Guesses are now open.");
-      }
-      _lastRoundEvent = current;
+    // Replays describe the state on (re)connect, not a round that just opened
+    RoundEvents.on("round_opened", (ev) => {
+      if (!ev.replay) _addSystemMessage("New match started. Guesses are now open.");
     });
   }
 
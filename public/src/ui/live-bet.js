@@ -1,8 +1,11 @@
 import { Auth } from '../services/auth.js';
+import { createIdempotencyKeys } from '../core/idempotency.js';
+import { RoundEvents } from '../services/round-events.js';
 
 /**
  * live-bet.js — Exact-count micro-bet panel logic.
  * Works with the bet-panel in the sidebar.
+ * Round status and the active guess's settlement follow /ws/live round events.
  */
 
 export const LiveBet = (() => {
@@ -18,6 +21,10 @@ export const LiveBet = (() => {
   let _replayChart = null;
   let _betActive = false;    // true while countdown is running
   let _resultPending = false; // true while result card is visible
+  let _submitting = false;    // true from click until the submit settles
+  let _activeBetId = null;    // bet_id of the guess being counted
+  let _lastSettledBetId = null; // settled via bet_settled or /ws/account, whichever lands first
+  const _idempotency = createIdempotencyKeys();
 
   // Track latest global total so we can use it as baseline if API doesn't send one
   window.addEventListener("count:update", (e) => {
@@ -61,6 +68,7 @@ export const LiveBet = (() => {
 
     // Reset form
     document.getElementById("bp-error").textContent = "";
+    _markFieldErrors();
     document.getElementById("bp-count").value = "5";
     _hideBpActiveBet();
     _hideBpResult();
@@ -68,6 +76,7 @@ export const LiveBet = (() => {
     // Reset pills
     _setPill("bp-vehicle-pills", "");
     _setPill("bp-window-pills", "60");
+    _syncRoundStatus();
 
     panel.classList.remove("hidden");
     requestAnimationFrame(() => panel.classList.add("visible"));
@@ -104,12 +113,42 @@ export const LiveBet = (() => {
     });
   }
 
+  // ── Field errors ──────────────────────────────────────────────────
+
+  // 400 `fields` from /api/bets/place (api/_lib/bet-schema.js) → controls they flag
+  const FIELD_CONTROLS = {
+    exact_count:         "bp-count",
+    window_duration_sec: "bp-window-pills",
+    vehicle_class:       "bp-vehicle-pills",
+  };
+
+  function _markFieldErrors(fields = {}) {
+    for (const [field, id] of Object.entries(FIELD_CONTROLS)) {
+      const el = document.getElementById(id);
+      if (!el) continue;
+      if (fields[field]) el.setAttribute("aria-invalid", "true");
+      else el.removeAttribute("aria-invalid");
+    }
+  }
+
   // ── Submit ────────────────────────────────────────────────────────
 
+  // One submit at a time; the Idempotency-Key covers retries that still slip through
   async function submit() {
+    if (_submitting) return;
+    _submitting = true;
+    try {
+      await _submit();
+    } finally {
+      _submitting = false;
+    }
+  }
+
+  async function _submit() {
     const errorEl = document.getElementById("bp-error");
     const submitBtn = document.getElementById("bp-submit");
     errorEl.textContent = "";
+    _markFieldErrors();
 
     const amount = 10;
     const exact = parseInt(document.getElementById("bp-count")?.value ?? 0, 10);
@@ -154,29 +193,35 @@ export const LiveBet = (() => {
     submitBtn.innerHTML = `<span class="wlz-inline-spinner" aria-hidden="true"></span>Submitting...`;
     errorEl.textContent = "";
 
+    const payload = {
+      round_id: _round.id,
+      window_duration_sec: _windowSec,
+      vehicle_class: _vehicleClass || null,
+      exact_count: exact,
+      amount,
+    };
+
     try {
       const res = await fetch("/api/bets/place?live=1", {
         method: "POST",
         headers: {
           "Content-Type": "application/json",
           Authorization: `Bearer ${jwt}`,
+          "Idempotency-Key": _idempotency.keyFor(payload),
         },
-        body: JSON.stringify({
-          round_id: _round.id,
-          window_duration_sec: _windowSec,
-          vehicle_class: _vehicleClass || null,
-          exact_count: exact,
-          amount,
-        }),
+        body: JSON.stringify(payload),
       });
 
       const data = await res.json();
+      if (_idempotency.isDefinitive(res.status, data)) _idempotency.settle();
       if (!res.ok) {
+        _markFieldErrors(data.fields);
         errorEl.textContent = data.detail || "Submission failed";
         return;
       }
 
       // Show countdown + receipt
+      _activeBetId = data.bet_id ? String(data.bet_id) : null;
       _showBpActiveBet(data.window_end, exact, data.baseline_count);
       window.dispatchEvent(new CustomEvent("bet:placed", {
         detail: {
@@ -298,6 +343,9 @@ export const LiveBet = (() => {
   // ── Handle ws_account bet_resolved event ─────────────────────────
 
   function onBetResolved(data) {
+    if (data?.bet_id && String(data.bet_id) === _lastSettledBetId) return;
+    _lastSettledBetId = data?.bet_id ? String(data.bet_id) : null;
+    _activeBetId = null;
     _hideBpActiveBet(false); // don't show submit — result panel takes over
 
     // Ensure user is on the PLAY tab and panel is visible before showing result
@@ -453,6 +501,7 @@ export const LiveBet = (() => {
     if (countEl) countEl.value = "5";
     const errEl = document.getElementById("bp-error");
     if (errEl) errEl.textContent = "";
+    _markFieldErrors();
     _setPill("bp-window-pills", "60");
     _windowSec = 60;
     document.querySelector("#bp-window-pills")?.closest(".bp-field")?.classList.remove("hidden");
@@ -462,6 +511,7 @@ export const LiveBet = (() => {
     document.getElementById("bp-market-label")?.classList.remove("hidden");
     document.getElementById("bp-submit")?.classList.remove("hidden");
     document.getElementById("bet-panel")?.scrollTo?.(0, 0);
+    _syncRoundStatus();
   }
 
   function _showToast(msg, type = "info") {
@@ -472,6 +522,45 @@ export const LiveBet = (() => {
     setTimeout(() => el.remove(), 5000);
   }
 
+  // ── Round events ──────────────────────────────────────────────────
+
+  const CLOSED_MSG = "Guesses are closed for this match";
+
+  // Lock the form once the round stops taking guesses; an active guess keeps counting
+  function _syncRoundStatus() {
+    const submitBtn = document.getElementById("bp-submit");
+    const errorEl = document.getElementById("bp-error");
+    if (!submitBtn || _betActive || _resultPending || _submitting) return;
+    const open = String(_round?.status || "").toLowerCase() === "open";
+    submitBtn.disabled = !open;
+    if (!errorEl) return;
+    if (!open && _round) errorEl.textContent = CLOSED_MSG;
+    else if (errorEl.textContent === CLOSED_MSG) errorEl.textContent = "";
+  }
+
+  function _onRoundEvent(ev) {
+    if (!ev.round || ev.round.id !== _round?.id) return;
+    _round = { ..._round, ...ev.round };
+    _syncRoundStatus();
+  }
+
+  function _onBetSettled(ev) {
+    const bet = ev.bet || {};
+    if (!_activeBetId || String(bet.id) !== _activeBetId) return;
+    const won = bet.status === "won";
+    onBetResolved({
+      bet_id: bet.id,
+      round_id: bet.round_id,
+      won,
+      payout: won ? Number(bet.potential_payout || 0) : 0,
+      actual: bet.actual_count,
+      exact: bet.exact_count,
+      vehicle_class: bet.vehicle_class || null,
+      amount: Number(bet.amount || 0),
+      status: bet.status,
+    });
+  }
+
   // ── Init ──────────────────────────────────────────────────────────
 
   function init() {
@@ -512,6 +601,9 @@ export const LiveBet = (() => {
     });
 
     document.getElementById("bpr-share-btn")?.addEventListener("click", _shareResult);
+
+    RoundEvents.on(["round_opened", "betting_closed", "round_resolved"], _onRoundEvent);
+    RoundEvents.on("bet_settled", _onBetSettled);
   }
 
   // ── Share result ──────────────────────────────────────────────────────────
@@ -693,5 +785,10 @@ export const LiveBet = (() => {
     setTimeout(() => { btn.innerHTML = orig; btn.disabled = false; }, 2200);
   }
 
-  return { init, open, close, restore, onBetResolved, setRound: (r) => { _round = r; } };
+  function setRound(r) {
+    _round = r;
+    _syncRoundStatus();
+  }
+
+  return { init, open, close, restore, onBetResolved, setRound };
 })();
@@ -0,0 +1,425 @@
+/**
+ * od-view.js
+ * ROUTE MAP card in the gov analytics overlay: the entry→exit matrix from
+ * /api/analytics/data?type=turnings drawn as chord-style ribbons between the
+ * camera's zones, laid out on their own polygons (normalised 0-1 video coords).
+ * Ribbon width is the flow for the selected class; hover shows the cell.
+ *
+ * The time scrubber steps through the turnings time_series buckets and
+ * re-queries each one with matrix_only=1 (cached per load); the left end is
+ * the whole period, which reuses the matrix the overlay already fetched.
+ */
+export const OdView = (() => {
+  const CLASSES = ['car', 'truck', 'bus', 'motorcycle'];
+  const CLASS_LABELS = { all: 'All', car: 'Cars', truck: 'Trucks', bus: 'Buses', motorcycle: 'Motorcycles' };
+  const ZONE_PALETTE = ['#0284c7', '#16a34a', '#f59e0b', '#9333ea', '#dc2626', '#0891b2', '#db2777', '#65a30d'];
+  const UNIT_MS = { hour: 3600000, day: 86400000, week: 7 * 86400000 };
+  const PLAY_STEP_MS = 1200;
+  const MIN_WIDTH = 1.5;
+  const MAX_WIDTH = 18;
+  const SAMPLES = 24;
+
+  let _bound = false;
+  let _ctx = null;          // { camId, from, to, granularity, zones, buckets }
+  let _whole = null;        // matrix for the whole period
+  let _cache = new Map();   // bucket period → matrix
+  let _index = 0;           // 0 = whole period, i = buckets[i - 1]
+  let _cls = 'all';
+  let _flows = [];          // last drawn ribbons, for hover hit-testing
+  let _hover = null;
+  let _playTimer = null;
+  let _loadToken = 0;
+
+  const $ = (id) => document.getElementById(id);
+
+  function _hexToRgba(hex, a) {
+    const r = String(hex || '').replace('#', '').padEnd(6, '0').slice(0, 6);
+    const n = parseInt(r, 16);
+    return `rgba(${(n >> 16) & 255},${(n >> 8) & 255},${n & 255},${a})`;
+  }
+
+  function _bucketLabel(period, granularity) {
+    if (granularity === 'day') return period.slice(0, 10);
+    if (granularity === 'week') return `week of ${period.slice(0, 10)}`;
+    const d = new Date(period);
+    const hh = (h) => `${String(h % 24).padStart(2, '0')}:00`;
+    return `${d.toLocaleDateString([], { day: 'numeric', month: 'short' })} ${hh(d.getHours())}–${hh(d.getHours() + 1)}`;
+  }
+
+  function _value(cell) {
+    return _cls === 'all' ? (cell.total || 0) : (cell[_cls] || 0);
+  }
+
+  // ── Data ────────────────────────────────────────────────────────────────────
+
+  /**
+   * Show the overlay's turnings payload. `zones` is the camera_zones list,
+   * `data` the full turnings response for [from, to].
+   */
+  function load({ camId, from, to, granularity, zones, data }) {
+    _bind();
+    _stop();
+    _loadToken++;
+    _cache = new Map();
+    _whole = data?.matrix || {};
+    _ctx = {
+      camId, from, to, granularity,
+      zones: (zones || []).filter(z => (z.points || []).length >= 3),
+      buckets: (data?.time_series || []).map(r => r.period).filter(Boolean),
+    };
+    _index = 0;
+    const range = $('gov-od-range');
+    if (range) {
+      range.max = String(_ctx.buckets.length);
+      range.value = '0';
+      range.disabled = !_ctx.buckets.length;
+    }
+    const play = $('gov-od-play');
+    if (play) play.disabled = !_ctx.buckets.length;
+    _show();
+  }
+
+  async function _matrixFor(index) {
+    if (index === 0) return _whole;
+    const period = _ctx.buckets[index - 1];
+    if (_cache.has(period)) return _cache.get(period);
+    const start = Date.parse(period.length === 10 ? `${period}T00:00:00Z` : period);
+    const end = Math.min(start + (UNIT_MS[_ctx.granularity] || UNIT_MS.hour), Date.parse(_ctx.to) || Infinity);
+    const qs = new URLSearchParams({
+      type: 'turnings', matrix_only: '1',
+      from: new Date(start).toISOString(), to: new Date(end).toISOString(),
+    });
+    if (_ctx.camId) qs.set('camera_id', _ctx.camId);
+    const res = await fetch(`/api/analytics/data?${qs}`);
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    const matrix = (await res.json()).matrix || {};
+    _cache.set(period, matrix);
+    return matrix;
+  }
+
+  async function _show() {
+    if (!_ctx) return;
+    const token = _loadToken;
+    const index = _index;
+    const timeEl = $('gov-od-time');
+    if (timeEl) timeEl.textContent = index === 0 ? 'Whole period' : _bucketLabel(_ctx.buckets[index - 1], _ctx.granularity);
+    let matrix;
+    try {
+      matrix = await _matrixFor(index);
+    } catch (err) {
+      console.warn('[OdView] Bucket load failed:', err);
+      if (token === _loadToken && index === _index) _setLabel('— could not load this time slice');
+      return;
+    }
+    // A newer load or scrub happened while this bucket was in flight
+    if (token !== _loadToken || index !== _index) return;
+    _render(matrix);
+  }
+
+  // ── Layout and drawing ──────────────────────────────────────────────────────
+
+  /** Zone name → { x, y, color } in canvas pixels; zones without geometry go on a ring. */
+  function _nodes(names, w, h) {
+    const nodes = new Map();
+    _ctx.zones.forEach((z, i) => {
+      if (!names.has(z.name) || nodes.has(z.name)) return;
+      const pts = z.points;
+      nodes.set(z.name, {
+        x: (pts.reduce((s, p) => s + p.x, 0) / pts.length) * w,
+        y: (pts.reduce((s, p) => s + p.y, 0) / pts.length) * h,
+        color: z.color || ZONE_PALETTE[i % ZONE_PALETTE.length],
+      });
+    });
+    const loose = [...names].filter(n => !nodes.has(n));
+    const r = Math.min(w, h) * 0.38;
+    loose.forEach((name, i) => {
+      const a = -Math.PI / 2 + (i / loose.length) * Math.PI * 2;
+      nodes.set(name, {
+        x: w / 2 + Math.cos(a) * r, y: h / 2 + Math.sin(a) * r,
+        color: ZONE_PALETTE[(nodes.size + i) % ZONE_PALETTE.length],
+      });
+    });
+    return nodes;
+  }
+
+  /** Points along the ribbon from `a` to `b`, bowed toward the centre and offset by direction. */
+  function _curve(a, b, w, h) {
+    if (a === b) {
+      // U-turn: small loop on the far side of the zone from the junction centre
+      const dx = a.x - w / 2, dy = a.y - h / 2;
+      const len = Math.hypot(dx, dy) || 1;
+      const cx = a.x + (dx / len) * 16, cy = a.y + (dy / len) * 16;
+      return Array.from({ length: SAMPLES + 1 }, (_, i) => {
+        const t = (i / SAMPLES) * Math.PI * 1.7 + Math.atan2(-dy, -dx) + Math.PI * 0.15;
+        return { x: cx + Math.cos(t) * 12, y: cy + Math.sin(t) * 12 };
+      });
+    }
+    const mx = (a.x + b.x) / 2, my = (a.y + b.y) / 2;
+    const dx = b.x - a.x, dy = b.y - a.y;
+    const len = Math.hypot(dx, dy) || 1;
+    // Pull toward the junction centre, then push sideways so A→B and B→A separate
+    const cx = mx + (w / 2 - mx) * 0.55 + (-dy / len) * len * 0.12;
+    const cy = my + (h / 2 - my) * 0.55 + (dx / len) * len * 0.12;
+    const pts = [];
+    for (let i = 0; i <= SAMPLES; i++) {
+      const t = 0.06 + (i / SAMPLES) * 0.84;
+      const u = 1 - t;
+      pts.push({ x: u * u * a.x + 2 * u * t * cx + t * t * b.x, y: u * u * a.y + 2 * u * t * cy + t * t * b.y });
+    }
+    return pts;
+  }
+
+  function _canvas() {
+    const canvas = $('gov-od-canvas');
+    const stage = $('gov-od-stage');
+    if (!canvas || !stage) return null;
+    const w = stage.clientWidth;
+    if (!w) return null;
+    const h = Math.min(420, Math.round(w * 9 / 16));
+    const dpr = window.devicePixelRatio || 1;
+    if (canvas.width !== Math.round(w * dpr) || canvas.height !== Math.round(h * dpr)) {
+      canvas.width = Math.round(w * dpr);
+      canvas.height = Math.round(h * dpr);
+      canvas.style.width = `${w}px`;
+      canvas.style.height = `${h}px`;
+    }
+    const ctx = canvas.getContext('2d');
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    return { ctx, w, h };
+  }
+
+  function _render(matrix) {
+    const c = _canvas();
+    if (!c) return;
+    const { ctx, w, h } = c;
+    ctx.clearRect(0, 0, w, h);
+    ctx.fillStyle = '#f8fafc';
+    ctx.fillRect(0, 0, w, h);
+
+    // Zone geometry underneath the flows
+    _ctx.zones.forEach((z, i) => {
+      const col = z.color || ZONE_PALETTE[i % ZONE_PALETTE.length];
+      ctx.beginPath();
+      z.points.forEach((p, k) => (k ? ctx.lineTo(p.x * w, p.y * h) : ctx.moveTo(p.x * w, p.y * h)));
+      ctx.closePath();
+      ctx.fillStyle = _hexToRgba(col, 0.08);
+      ctx.fill();
+      ctx.strokeStyle = _hexToRgba(col, 0.45);
+      ctx.lineWidth = 1;
+      ctx.setLineDash([5, 4]);
+      ctx.stroke();
+      ctx.setLineDash([]);
+    });
+
+    const cells = Object.values(matrix || {}).filter(m => _value(m) > 0);
+    const names = new Set(cells.flatMap(m => [m.from, m.to]));
+    const nodes = _nodes(names, w, h);
+    const max = Math.max(1, ...cells.map(_value));
+    const total = cells.reduce((s, m) => s + _value(m), 0);
+
+    _flows = cells
+      .sort((a, b) => _value(b) - _value(a))
+      .map(m => ({
+        cell: m,
+        value: _value(m),
+        width: MIN_WIDTH + (MAX_WIDTH - MIN_WIDTH) * (_value(m) / max),
+        color: nodes.get(m.from).color,
+        pts: _curve(nodes.get(m.from), nodes.get(m.to), w, h),
+      }));
+
+    // Smallest on top so thin ribbons stay visible
+    for (const f of [..._flows].reverse()) {
+      const active = !_hover || _hover === f.cell;
+      ctx.strokeStyle = _hexToRgba(f.color, active ? (_hover ? 0.9 : 0.55) : 0.12);
+      ctx.lineWidth = f.width;
+      ctx.lineCap = 'round';
+      ctx.beginPath();
+      f.pts.forEach((p, i) => (i ? ctx.lineTo(p.x, p.y) : ctx.moveTo(p.x, p.y)));
+      ctx.stroke();
+      // Arrowhead at the exit end
+      const end = f.pts[f.pts.length - 1], prev = f.pts[f.pts.length - 3] || f.pts[0];
+      const ang = Math.atan2(end.y - prev.y, end.x - prev.x);
+      const size = 5 + f.width * 0.6;
+      ctx.fillStyle = ctx.strokeStyle;
+      ctx.beginPath();
+      ctx.moveTo(end.x + Math.cos(ang) * size, end.y + Math.sin(ang) * size);
+      ctx.lineTo(end.x + Math.cos(ang + 2.4) * size, end.y + Math.sin(ang + 2.4) * size);
+      ctx.lineTo(end.x + Math.cos(ang - 2.4) * size, end.y + Math.sin(ang - 2.4) * size);
+      ctx.closePath();
+      ctx.fill();
+    }
+
+    // Zone nodes with in / out totals
+    ctx.font = "700 10px 'JetBrains Mono',monospace";
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    for (const [name, n] of nodes) {
+      const out = cells.filter(m => m.from === name).reduce((s, m) => s + _value(m), 0);
+      const inn = cells.filter(m => m.to === name).reduce((s, m) => s + _value(m), 0);
+      ctx.fillStyle = '#ffffff';
+      ctx.strokeStyle = n.color;
+      ctx.lineWidth = 2;
+      ctx.beginPath(); ctx.arc(n.x, n.y, 7, 0, Math.PI * 2); ctx.fill(); ctx.stroke();
+      const label = `${name.toUpperCase()}  ↘${out.toLocaleString()} ↗${inn.toLocaleString()}`;
+      const tw = ctx.measureText(label).width;
+      const ly = n.y > h - 30 ? n.y - 18 : n.y + 18;
+      ctx.fillStyle = 'rgba(15,28,46,0.82)';
+      ctx.beginPath();
+      ctx.roundRect?.(n.x - tw / 2 - 6, ly - 8, tw + 12, 16, 3) || ctx.rect(n.x - tw / 2 - 6, ly - 8, tw + 12, 16);
+      ctx.fill();
+      ctx.fillStyle = '#ffffff';
+      ctx.fillText(label, n.x, ly);
+    }
+
+    if (!cells.length) {
+      ctx.fillStyle = '#94a3b8';
+      ctx.font = "600 11px 'JetBrains Mono',monospace";
+      ctx.fillText('No routes recorded for this selection', w / 2, h / 2);
+    }
+
+    _setLabel(cells.length
+      ? `— ${cells.length} routes · ${total.toLocaleString()} ${_cls === 'all' ? 'vehicles' : CLASS_LABELS[_cls].toLowerCase()}`
+      : '— where vehicles enter and leave');
+    _renderTop(total);
+  }
+
+  function _renderTop(total) {
+    const wrap = $('gov-od-top');
+    if (!wrap) return;
+    wrap.replaceChildren(..._flows.slice(0, 5).map(f => {
+      const row = document.createElement('div');
+      row.className = 'gov-od-top-row';
+      const sw = document.createElement('span');
+      sw.className = 'gov-od-top-swatch';
+      sw.style.background = f.color;
+      const route = document.createElement('span');
+      route.className = 'gov-od-top-route';
+      route.textContent = `${f.cell.from} → ${f.cell.to}`;
+      const val = document.createElement('span');
+      val.className = 'gov-od-top-val';
+      val.textContent = `${f.value.toLocaleString()} · ${Math.round((f.value / (total || 1)) * 100)}%`;
+      row.append(sw, route, val);
+      row.addEventListener('mouseenter', () => { _hover = f.cell; _redraw(); });
+      row.addEventListener('mouseleave', () => { _hover = null; _redraw(); });
+      return row;
+    }));
+  }
+
+  function _setLabel(text) {
+    const el = $('gov-od-label');
+    if (el) el.textContent = text;
+  }
+
+  function _redraw() {
+    const matrix = _index === 0 ? _whole : _cache.get(_ctx?.buckets[_index - 1]);
+    if (matrix) _render(matrix);
+  }
+
+  // ── Hover ───────────────────────────────────────────────────────────────────
+
+  function _hit(x, y) {
+    // Thin ribbons first so they can be picked out from under wide ones
+    for (const f of [..._flows].reverse()) {
+      const reach = f.width / 2 + 3;
+      if (f.pts.some(p => Math.hypot(p.x - x, p.y - y) <= reach)) return f;
+    }
+    return null;
+  }
+
+  function _onMove(e) {
+    const canvas = $('gov-od-canvas');
+    const tip = $('gov-od-tip');
+    if (!canvas || !tip) return;
+    const rect = canvas.getBoundingClientRect();
+    const x = e.clientX - rect.left, y = e.clientY - rect.top;
+    const f = _hit(x, y);
+    if ((f?.cell || null) !== _hover) {
+      _hover = f?.cell || null;
+      _redraw();
+    }
+    if (!f) { tip.classList.add('hidden'); return; }
+    const m = f.cell;
+    const head = document.createElement('strong');
+    head.textContent = `${m.from} → ${m.to}`;
+    const lines = [
+      `${(m.total || 0).toLocaleString()} vehicles`,
+      CLASSES.map(c => `${CLASS_LABELS[c]} ${(m[c] || 0).toLocaleString()}`).join(' · '),
+      m.avg_dwell_ms ? `avg ${(m.avg_dwell_ms / 1000).toFixed(1)}s in the junction` : null,
+    ].filter(Boolean).map(t => {
+      const d = document.createElement('div');
+      d.textContent = t;
+      return d;
+    });
+    tip.replaceChildren(head, ...lines);
+    tip.style.left = `${Math.min(x + 12, rect.width - 220)}px`;
+    tip.style.top = `${y + 12}px`;
+    tip.classList.remove('hidden');
+  }
+
+  function _onLeave() {
+    $('gov-od-tip')?.classList.add('hidden');
+    if (_hover) { _hover = null; _redraw(); }
+  }
+
+  // ── Controls ────────────────────────────────────────────────────────────────
+
+  function _stop() {
+    if (_playTimer) { clearTimeout(_playTimer); _playTimer = null; }
+    const play = $('gov-od-play');
+    if (play) { play.textContent = '▶'; play.setAttribute('aria-label', 'Play through the period'); }
+  }
+
+  async function _step() {
+    if (!_ctx?.buckets.length) return _stop();
+    _index = _index >= _ctx.buckets.length ? 1 : _index + 1;
+    const range = $('gov-od-range');
+    if (range) range.value = String(_index);
+    await _show();
+    if (!_playTimer) return;
+    if (_index >= _ctx.buckets.length) return _stop();
+    _playTimer = setTimeout(_step, PLAY_STEP_MS);
+  }
+
+  function _bind() {
+    if (_bound) return;
+    _bound = true;
+
+    $('gov-od-classes')?.addEventListener('click', (e) => {
+      const pill = e.target.closest('[data-cls]');
+      if (!pill) return;
+      _cls = pill.dataset.cls;
+      document.querySelectorAll('#gov-od-classes [data-cls]').forEach(p => p.classList.toggle('active', p === pill));
+      _hover = null;
+      _redraw();
+    });
+
+    $('gov-od-range')?.addEventListener('input', (e) => {
+      _stop();
+      _index = parseInt(e.target.value, 10) || 0;
+      _show();
+    });
+
+    $('gov-od-play')?.addEventListener('click', (e) => {
+      if (_playTimer) return _stop();
+      e.currentTarget.textContent = '❚❚';
+      e.currentTarget.setAttribute('aria-label', 'Pause');
+      _playTimer = setTimeout(_step, 0);
+    });
+
+    const canvas = $('gov-od-canvas');
+    canvas?.addEventListener('mousemove', _onMove);
+    canvas?.addEventListener('mouseleave', _onLeave);
+
+    // Also fires when the analytics tab is first shown (stage width 0 → real width)
+    let resizeTimer = null;
+    const stage = $('gov-od-stage');
+    if (stage && window.ResizeObserver) {
+      new ResizeObserver(() => {
+        clearTimeout(resizeTimer);
+        resizeTimer = setTimeout(_redraw, 150);
+      }).observe(stage);
+    }
+  }
+
+  return { load };
+})();
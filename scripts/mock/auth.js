@@ -0,0 +1,169 @@
+/**
+ * auth.js — Supabase Auth (GoTrue) subset for the mock backend.
+ *
+ * Enough for supabase-js password / anonymous sign-in, token refresh,
+ * updateUser, and the service-role admin user API used by set-role.
+ * Access tokens are unsigned-for-real JWTs: the payload is readable and
+ * /auth/v1/user resolves them by `sub`, which is how the API handlers verify
+ * callers (and key the per-user rate-limit bucket) against this mock.
+ */
+import { randomUUID } from 'crypto';
+import { MOCK_PASSWORD } from './fixtures.js';
+import { bearer, readJson, send } from './http.js';
+
+export const MOCK_ANON_KEY    = 'mock-anon-key';
+export const MOCK_SERVICE_KEY = 'mock-service-role-key';
+
+const TOKEN_TTL_SEC = 3600;
+
+const b64url = (obj) => Buffer.from(JSON.stringify(obj)).toString('base64url');
+
+export function publicUser(u) {
+  return {
+    id: u.id,
+    aud: 'authenticated',
+    role: 'authenticated',
+    email: u.email || '',
+    email_confirmed_at: u.email ? u.created_at : null,
+    app_metadata: { provider: u.is_anonymous ? 'anonymous' : 'email', ...(u.role ? { role: u.role } : {}), ...(u.app_metadata || {}) },
+    user_metadata: u.user_metadata || {},
+    identities: [],
+    is_anonymous: Boolean(u.is_anonymous),
+    created_at: u.created_at,
+    updated_at: u.updated_at || u.created_at,
+    last_sign_in_at: u.last_sign_in_at || u.created_at,
+  };
+}
+
+function accessToken(user) {
+  const iat = Math.floor(Date.now() / 1000);
+  const pub = publicUser(user);
+  return [
+    b64url({ alg: 'HS256', typ: 'JWT' }),
+    b64url({
+      sub: user.id, email: pub.email, aud: 'authenticated', role: 'authenticated',
+      app_metadata: pub.app_metadata, user_metadata: pub.user_metadata,
+      is_anonymous: pub.is_anonymous, iat, exp: iat + TOKEN_TTL_SEC,
+    }),
+    'mock-signature',
+  ].join('.');
+}
+
+function session(user) {
+  user.last_sign_in_at = new Date().toISOString();
+  return {
+    access_token: accessToken(user),
+    token_type: 'bearer',
+    expires_in: TOKEN_TTL_SEC,
+    expires_at: Math.floor(Date.now() / 1000) + TOKEN_TTL_SEC,
+    refresh_token: `mock-refresh.${user.id}`,
+    user: publicUser(user),
+  };
+}
+
+/** Resolve a Bearer value to { service: true } | user | null. */
+export function whoIs(store, token) {
+  if (!token) return null;
+  if (token === MOCK_SERVICE_KEY) return { service: true };
+  const part = token.split('.')[1];
+  if (!part) return null;
+  try {
+    const { sub, exp } = JSON.parse(Buffer.from(part, 'base64url').toString('utf8'));
+    if (exp && exp * 1000 < Date.now()) return null;
+    return store.users.find(u => u.id === sub) || null;
+  } catch {
+    return null;
+  }
+}
+
+function authError(res, status, code, message) {
+  return send(res, status, { code: status, error_code: code, msg: message, error: code, error_description: message });
+}
+
+function _newUser(store, fields) {
+  const now = new Date().toISOString();
+  const user = { id: randomUUID(), role: null, created_at: now, user_metadata: {}, ...fields };
+  store.users.push(user);
+  return user;
+}
+
+export async function handleAuth(store, req, res, url) {
+  const path = url.pathname.replace(/^\/auth\/v1/, '');
+  const method = req.method;
+
+  if (path === '/settings') {
+    return send(res, 200, { external: { email: true, anonymous_users: true }, disable_signup: false });
+  }
+
+  if (path === '/token' && method === 'POST') {
+    const body = (await readJson(req)) || {};
+    const grant = url.searchParams.get('grant_type');
+    if (grant === 'password') {
+      const user = store.users.find(u => u.email && u.email.toLowerCase() === String(body.email || '').toLowerCase());
+      if (!user || body.password !== (user.password || MOCK_PASSWORD)) {
+        return authError(res, 400, 'invalid_credentials', 'Invalid login credentials');
+      }
+      return send(res, 200, session(user));
+    }
+    if (grant === 'refresh_token') {
+      const id = String(body.refresh_token || '').split('.')[1];
+      const user = store.users.find(u => u.id === id);
+      if (!user) return authError(res, 400, 'refresh_token_not_found', 'Invalid Refresh Token');
+      return send(res, 200, session(user));
+    }
+    return authError(res, 400, 'unsupported_grant_type', `grant_type ${grant} is not supported by the mock`);
+  }
+
+  if (path === '/signup' && method === 'POST') {
+    const body = (await readJson(req)) || {};
+    if (!body.email) {
+      return send(res, 200, session(_newUser(store, { is_anonymous: true, user_metadata: body.data || {} })));
+    }
+    if (store.users.some(u => u.email?.toLowerCase() === String(body.email).toLowerCase())) {
+      return authError(res, 422, 'user_already_exists', 'User already registered');
+    }
+    const user = _newUser(store, { email: String(body.email), password: body.password, user_metadata: body.data || {} });
+    return send(res, 200, session(user));
+  }
+
+  if (path === '/logout') return send(res, 204, null);
+
+  if (path === '/user') {
+    const who = whoIs(store, bearer(req));
+    if (!who || who.service) return authError(res, 401, 'bad_jwt', 'invalid JWT');
+    if (method === 'PUT') {
+      const body = (await readJson(req)) || {};
+      if (body.data) who.user_metadata = { ...(who.user_metadata || {}), ...body.data };
+      if (body.email) who.email = String(body.email);
+      if (body.password) who.password = String(body.password);
+      who.updated_at = new Date().toISOString();
+    }
+    return send(res, 200, publicUser(who));
+  }
+
+  // ── Admin API (service role only) ──────────────────────────────
+  if (path.startsWith('/admin/users')) {
+    if (!whoIs(store, bearer(req))?.service) return authError(res, 403, 'not_admin', 'User not allowed');
+    const id = decodeURIComponent(path.slice('/admin/users/'.length));
+    if (!id) {
+      const page = Math.max(1, Number(url.searchParams.get('page')) || 1);
+      const perPage = Math.min(1000, Math.max(1, Number(url.searchParams.get('per_page')) || 50));
+      const users = store.users.slice((page - 1) * perPage, page * perPage).map(publicUser);
+      return send(res, 200, { users, aud: 'authenticated', total: store.users.length });
+    }
+    const user = store.users.find(u => u.id === id);
+    if (!user) return authError(res, 404, 'user_not_found', 'User not found');
+    if (method === 'PUT') {
+      const body = (await readJson(req)) || {};
+      if (body.app_metadata) {
+        user.app_metadata = { ...(user.app_metadata || {}), ...body.app_metadata };
+        if ('role' in body.app_metadata) user.role = body.app_metadata.role === 'user' ? null : body.app_metadata.role;
+      }
+      if (body.user_metadata) user.user_metadata = { ...(user.user_metadata || {}), ...body.user_metadata };
+      user.updated_at = new Date().toISOString();
+    }
+    return send(res, 200, publicUser(user));
+  }
+
+  return authError(res, 404, 'not_found', `Mock auth does not implement ${method} ${path}`);
+}
@@ -0,0 +1,288 @@
+/**
+ * fixtures.js — Seed data for the offline mock backend.
+ *
+ * Deterministic (seeded PRNG) so screenshots and tests are stable between
+ * runs; timestamps are relative to server start so "last 24 h" queries
+ * always have data.
+ *
+ * Sign-in accounts (password for all: MOCK_PASSWORD):
+ *   admin@mock.local      superadmin
+ *   operator@mock.local   operator
+ *   moderator@mock.local  moderator
+ *   ml@mock.local         ml_engineer
+ *   analyst@mock.local    analyst
+ *   player@mock.local     regular user
+ *
+ * Agency API key: MOCK_AGENCY_KEY (plan "pro", all cameras).
+ */
+import { createHash } from 'crypto';
+
+export const MOCK_PASSWORD   = 'mock-password';
+export const MOCK_AGENCY_KEY = 'wlzk_mock_00000000000000000000000000000000';
+
+export const VEHICLE_CLASSES = ['car', 'truck', 'bus', 'motorcycle'];
+const CLASS_WEIGHTS = [0.68, 0.12, 0.07, 0.13];
+const ZONES = ['North', 'South', 'East', 'West'];
+
+export function mulberry32(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+export function pickClass(rand) {
+  let r = rand();
+  for (let i = 0; i < VEHICLE_CLASSES.length; i++) {
+    r -= CLASS_WEIGHTS[i];
+    if (r <= 0) return VEHICLE_CLASSES[i];
+  }
+  return 'car';
+}
+
+/** Vehicles per hour by hour of day (Kingston-ish commuter curve). */
+export function hourlyRate(hour) {
+  const curve = [30, 20, 15, 15, 30, 90, 210, 320, 300, 230, 200, 210,
+                 220, 210, 220, 260, 320, 340, 280, 200, 150, 110, 80, 50];
+  return curve[hour % 24];
+}
+
+const uuid = (n) => `00000000-0000-4000-8000-${String(n).padStart(12, '0')}`;
+
+export const USERS = [
+  { id: uuid(1), email: 'admin@mock.local',     role: 'superadmin',  username: 'mock_admin' },
+  { id: uuid(2), email: 'operator@mock.local',  role: 'operator',    username: 'mock_operator' },
+  { id: uuid(3), email: 'moderator@mock.local', role: 'moderator',   username: 'mock_moderator' },
+  { id: uuid(4), email: 'ml@mock.local',        role: 'ml_engineer', username: 'mock_ml' },
+  { id: uuid(5), email: 'analyst@mock.local',   role: 'analyst',     username: 'mock_analyst' },
+  { id: uuid(6), email: 'player@mock.local',    role: null,          username: 'kingston_driver' },
+];
+
+export const CAMERAS = [
+  {
+    id: uuid(101), name: 'Half Way Tree', area: 'St Andrew', ipcam_alias: 'hwt-main',
+    latitude: 18.0127, longitude: -76.7973, is_active: true,
+  },
+  {
+    id: uuid(102), name: 'Constant Spring Rd', area: 'St Andrew', ipcam_alias: 'csr-north',
+    latitude: 18.0301, longitude: -76.7962, is_active: false,
+  },
+];
+
+function _camera(cam, now) {
+  return {
+    ...cam,
+    player_host: 'mock', category: 'intersection', youtube_url: null,
+    created_at: new Date(now - 90 * 86400000).toISOString(),
+    quality_snapshot: { resolution: '1280x720', fps: 15 },
+    feed_appearance: { label: cam.name, brightness: 100, contrast: 100, saturate: 100 },
+    count_line: { x1: 0.1, y1: 0.62, x2: 0.9, y2: 0.62 },
+    detect_zone: { points: [[0.05, 0.3], [0.95, 0.3], [0.95, 0.95], [0.05, 0.95]] },
+    count_settings: { min_confidence: 0.35 },
+    landmarks: [],
+    scene_map: null,
+  };
+}
+
+function _zones(cam, now) {
+  const boxes = {
+    North: [[0.35, 0.25], [0.65, 0.25], [0.65, 0.4], [0.35, 0.4]],
+    South: [[0.35, 0.8], [0.65, 0.8], [0.65, 0.95], [0.35, 0.95]],
+    East:  [[0.75, 0.45], [0.95, 0.45], [0.95, 0.75], [0.75, 0.75]],
+    West:  [[0.05, 0.45], [0.25, 0.45], [0.25, 0.75], [0.05, 0.75]],
+  };
+  return ZONES.map((name, i) => ({
+    id: uuid(1000 + Number(cam.id.slice(-3)) * 10 + i),
+    camera_id: cam.id, name, zone_type: 'entry', points: boxes[name],
+    color: ['#29B6F6', '#66BB6A', '#FFA726', '#AB47BC'][i],
+    metadata: {}, active: true,
+    created_at: new Date(now - 30 * 86400000).toISOString(),
+  }));
+}
+
+/** Crossings, turning movements and daily rollups. */
+function _traffic(now, rand) {
+  const crossings = [];
+  const turnings  = [];
+  const daily     = [];
+  let crossingId  = 1;
+  let turningId   = 1;
+  const dayMs = 86400000;
+
+  for (const cam of CAMERAS) {
+    const scale = cam.is_active ? 1 : 0.6;
+
+    // Live table: one row per crossing for the last 24 h
+    for (let t = now - dayMs; t < now; t += 60000) {
+      const hour = new Date(t).getUTCHours();
+      const perMinute = (hourlyRate(hour) * scale) / 60;
+      const n = Math.floor(perMinute + rand());
+      for (let k = 0; k < n; k++) {
+        const captured = new Date(t + Math.floor(rand() * 60000)).toISOString();
+        const cls = pickClass(rand);
+        const entry = ZONES[Math.floor(rand() * 4)];
+        const exit = ZONES[(ZONES.indexOf(entry) + 1 + Math.floor(rand() * 3)) % 4];
+        const trackId = 10000 + crossingId;
+        crossings.push({
+          id: crossingId++, camera_id: cam.id, captured_at: captured, track_id: trackId,
+          vehicle_class: cls, direction: rand() < 0.52 ? 'in' : 'out', zone_source: 'entry',
+          zone_name: entry, confidence: Math.round((0.55 + rand() * 0.4) * 100) / 100,
+          scene_lighting: hour >= 6 && hour < 18 ? 'day' : 'night', scene_weather: 'clear',
+          dwell_frames: 8 + Math.floor(rand() * 40),
+          speed_kmh: Math.round((18 + rand() * 35) * 10) / 10,
+        });
+        if (rand() < 0.35) {
+          turnings.push({
+            id: turningId++, camera_id: cam.id, captured_at: captured, track_id: trackId,
+            entry_zone: entry, exit_zone: exit, vehicle_class: cls,
+            dwell_ms: Math.floor(2500 + rand() * 9000),
+          });
+        }
+      }
+    }
+
+    // Daily rollups with hour buckets for the last 60 days
+    for (let d = 60; d >= 1; d--) {
+      const date = new Date(now - d * dayMs).toISOString().slice(0, 10);
+      const buckets = {};
+      const totals = { total: 0, in: 0, out: 0, car: 0, truck: 0, bus: 0, motorcycle: 0 };
+      for (let h = 0; h < 24; h++) {
+        const total = Math.round(hourlyRate(h) * scale * (0.85 + rand() * 0.3));
+        const b = { total, in: Math.round(total * 0.52), out: total - Math.round(total * 0.52) };
+        VEHICLE_CLASSES.forEach((cls, i) => { b[cls] = Math.round(total * CLASS_WEIGHTS[i]); });
+        buckets[String(h)] = b;
+        for (const k of Object.keys(totals)) totals[k] += b[k];
+      }
+      const peak = Object.entries(buckets).sort((a, b) => b[1].total - a[1].total)[0][0];
+      daily.push({
+        id: daily.length + 1, camera_id: cam.id, date,
+        total_crossings: totals.total, count_in: totals.in, count_out: totals.out,
+        car_count: totals.car, truck_count: totals.truck, bus_count: totals.bus,
+        motorcycle_count: totals.motorcycle, peak_hour: Number(peak),
+        avg_speed_kmh: Math.round((28 + rand() * 8) * 10) / 10,
+        hour_buckets: buckets,
+      });
+    }
+  }
+  return { crossings, turnings, daily };
+}
+
+function _round(id, cam, status, opensAt, durationMs, market_type, params) {
+  return {
+    id, camera_id: cam.id, status, market_type, params,
+    opens_at:  new Date(opensAt).toISOString(),
+    closes_at: new Date(opensAt + durationMs * 0.6).toISOString(),
+    ends_at:   new Date(opensAt + durationMs).toISOString(),
+    created_at: new Date(opensAt - 60000).toISOString(),
+    result: null, resolved_at: null,
+  };
+}
+
+export function roundMarkets(round) {
+  const t = Number(round.params?.threshold || 0);
+  return [
+    { outcome_key: 'over',  label: `Over ${t}`,    odds: 1.85 },
+    { outcome_key: 'under', label: `Under ${t}`,   odds: 1.95 },
+    { outcome_key: 'exact', label: `Exactly ${t}`, odds: 12.0 },
+  ].map((m, i) => ({
+    id: `${round.id.slice(0, -2)}${String(i + 10).padStart(2, '0')}`,
+    round_id: round.id, ...m, total_staked: 0, created_at: round.created_at,
+  }));
+}
+
+export function buildFixtures(now = Date.now()) {
+  const rand = mulberry32(20260101);
+  const active = CAMERAS.find(c => c.is_active);
+  const { crossings, turnings, daily } = _traffic(now, rand);
+
+  const rounds = [
+    _round(uuid(501), active, 'resolved', now - 20 * 60000, 5 * 60000, 'over_under', { threshold: 45 }),
+    _round(uuid(502), active, 'open',     now - 60000,      5 * 60000, 'over_under', { threshold: 40 }),
+  ];
+  rounds[0].result = { total: 52, outcome_key: 'over' };
+  rounds[0].resolved_at = rounds[0].ends_at;
+
+  const users = USERS.map(u => ({
+    id: u.id, email: u.email, role: u.role,
+    created_at: new Date(now - 45 * 86400000).toISOString(),
+    last_sign_in_at: new Date(now - 3600000).toISOString(),
+  }));
+
+  return {
+    users,
+    tables: {
+      cameras:       CAMERAS.map(c => _camera(c, now)),
+      camera_zones:  CAMERAS.flatMap(c => _zones(c, now)),
+      vehicle_crossings: crossings,
+      turning_movements: turnings,
+      traffic_daily: daily,
+      traffic_corridors: [{
+        name: 'Constant Spring Road', camera_ids: CAMERAS.map(c => c.id),
+        updated_at: new Date(now - 7 * 86400000).toISOString(),
+      }],
+      traffic_snapshots: [],
+      count_snapshots: [],
+      bet_rounds:    rounds,
+      markets:       rounds.flatMap(roundMarkets),
+      round_sessions: [{
+        id: uuid(601), camera_id: active.id, status: 'active',
+        round_duration_min: 5, next_round_at: rounds[1].ends_at,
+        created_at: new Date(now - 3600000).toISOString(),
+      }],
+      bets: [{
+        id: uuid(701), user_id: USERS[5].id, round_id: rounds[0].id, market_id: roundMarkets(rounds[0])[0].id,
+        bet_type: 'market', amount: 100, potential_payout: 185, status: 'won',
+        exact_count: null, vehicle_class: null, window_duration_sec: null,
+        placed_at: new Date(now - 18 * 60000).toISOString(),
+      }],
+      profiles: USERS.map(u => ({ user_id: u.id, username: u.username, avatar_url: null })),
+      user_balances: USERS.map(u => ({ user_id: u.id, balance: 1000 })),
+      messages: [
+        { id: uuid(801), user_id: USERS[5].id, username: USERS[5].username, content: 'Traffic building up on the north side',
+          created_at: new Date(now - 5 * 60000).toISOString() },
+        { id: uuid(802), user_id: USERS[2].id, username: USERS[2].username, content: 'Welcome to the offline mock chat',
+          created_at: new Date(now - 2 * 60000).toISOString() },
+      ],
+      banners: [{
+        id: uuid(901), title: 'Offline mock mode', info: '<p>All data on this page comes from the local mock backend.</p>',
+        image_url: '', is_active: true, is_pinned: true, likes: 0,
+        created_at: new Date(now - 86400000).toISOString(), updated_at: new Date(now - 86400000).toISOString(),
+      }],
+      ml_detection_events: Array.from({ length: 120 }, (_, i) => ({
+        id: i + 1, camera_id: active.id,
+        captured_at: new Date(now - (120 - i) * 60000).toISOString(),
+        model_name: 'yolov8s-jam-v3', model_conf_threshold: 0.35,
+        detections_count: 4 + Math.floor(rand() * 12),
+        avg_confidence: Math.round((0.62 + rand() * 0.2) * 100) / 100,
+        class_counts: { car: 6, truck: 1, bus: 1, motorcycle: 1 },
+        new_crossings: Math.floor(rand() * 4),
+      })),
+      ml_model_registry: [
+        { id: uuid(1101), model_name: 'yolov8s-jam-v2', status: 'archived', promoted_at: new Date(now - 30 * 86400000).toISOString() },
+        { id: uuid(1102), model_name: 'yolov8s-jam-v3', status: 'active',   promoted_at: new Date(now - 7 * 86400000).toISOString() },
+      ],
+      ml_training_jobs: [{
+        id: uuid(1201), job_type: 'retrain', status: 'completed', notes: 'mAP50 0.81',
+        created_at: new Date(now - 7 * 86400000 - 3600000).toISOString(),
+        completed_at: new Date(now - 7 * 86400000).toISOString(),
+      }],
+      site_views: [],
+      agency_api_keys: [{
+        id: uuid(1301), agency: 'mock', name: 'Mock agency key', key_prefix: MOCK_AGENCY_KEY.slice(0, 14),
+        key_hash: createHash('sha256').update(MOCK_AGENCY_KEY).digest('hex'),
+        plan: 'pro', rate_limit_day: 500, scopes: {}, active: true,
+        expires_at: new Date(now + 365 * 86400000).toISOString(), last_used_at: null,
+        created_at: new Date(now - 10 * 86400000).toISOString(), revoked_at: null, rotated_at: null,
+      }],
+      agency_api_usage: [],
+      agency_downloads: [],
+      agency_webhooks: [],
+      agency_webhook_deliveries: [],
+      admin_audit_log: [],
+    },
+  };
+}
@@ -0,0 +1,34 @@
+/**
+ * http.js — Small helpers shared by the mock route modules.
+ */
+
+export async function readBody(req) {
+  if (req.rawBody !== undefined) return req.rawBody;
+  const chunks = [];
+  for await (const chunk of req) chunks.push(chunk);
+  req.rawBody = Buffer.concat(chunks);
+  return req.rawBody;
+}
+
+export async function readJson(req) {
+  const raw = await readBody(req);
+  if (!raw.length) return null;
+  try { return JSON.parse(raw.toString('utf8')); } catch { return undefined; }
+}
+
+export function send(res, status, body, headers = {}) {
+  const isText = typeof body === 'string' || Buffer.isBuffer(body);
+  const payload = body == null ? '' : isText ? body : JSON.stringify(body);
+  res.writeHead(status, {
+    ...(body != null && !isText ? { 'Content-Type': 'application/json; charset=utf-8' } : {}),
+    ...headers,
+  });
+  res.end(payload);
+}
+
+export function bearer(req) {
+  const auth = String(req.headers.authorization || '');
+  return auth.startsWith('Bearer ') ? auth.slice(7).trim() : '';
+}
+
+export const sleep = (ms) => new Promise(r => setTimeout(r, ms));
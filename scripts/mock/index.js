@@ -0,0 +1,164 @@
+/**
+ * scripts/mock — Offline stand-ins for Supabase and the Railway backend.
+ *
+ * Everything is mounted on one origin so the browser, the api/ functions
+ * and the sockets all talk to the same in-memory store:
+ *   /mock/supabase/rest/v1/*        PostgREST subset (postgrest.js)
+ *   /mock/supabase/auth/v1/*        GoTrue subset (auth.js)
+ *   /mock/supabase/storage/v1/*     in-memory object storage
+ *   /mock/supabase/realtime/v1/*    Phoenix socket (realtime.js)
+ *   /mock/railway/*                 backend HTTP + /ws/live, /ws/account (railway.js)
+ *   /api/*                          the real api/ functions (vercel.js)
+ *
+ * Used by `npm run dev:mock` (vite.config.js mounts the middleware), by
+ * plain `npm run dev` when no VITE_SUPABASE_URL is configured, or
+ * standalone:  node scripts/mock/index.js [--port 8787]
+ * Sign in as any fixtures.js user (admin@mock.local, player@mock.local, …)
+ * with the password "mock-password".
+ */
+import http from 'http';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { buildFixtures, MOCK_PASSWORD } from './fixtures.js';
+import { createStore } from './store.js';
+import { handleAuth, MOCK_ANON_KEY, MOCK_SERVICE_KEY } from './auth.js';
+import { handleRest, handleStorage } from './postgrest.js';
+import { createRealtime } from './realtime.js';
+import { createRailway } from './railway.js';
+import { createVercel } from './vercel.js';
+import { send } from './http.js';
+
+export { MOCK_ANON_KEY, MOCK_PASSWORD, MOCK_SERVICE_KEY };
+
+const ROOT_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../..');
+
+export const SUPABASE_PREFIX = '/mock/supabase';
+export const RAILWAY_PREFIX  = '/mock/railway';
+
+const MOCK_ENV = {
+  SUPABASE_SERVICE_ROLE_KEY: MOCK_SERVICE_KEY,
+  SUPABASE_ANON_KEY:         MOCK_ANON_KEY,
+  WS_AUTH_SECRET:            'mock-ws-secret',
+  ADMIN_SECRET:              'mock-admin-secret',
+  CRON_SECRET:               'mock-cron-secret',
+  DEMO_SECRET:               'mock-demo-secret',
+  RATE_LIMIT_STORE:          'memory',
+  IDEMPOTENCY_STORE:         'memory',
+  CIRCUIT_STORE:             'memory',
+};
+
+/**
+ * Build the mock backend for `baseUrl` (the origin the server listens on).
+ * Points the api/ functions at it via process.env, so call this before any
+ * api/ module is imported.
+ */
+export function createMockBackend({ baseUrl, now = Date.now() } = {}) {
+  Object.assign(process.env, MOCK_ENV, {
+    SUPABASE_URL:        `${baseUrl}${SUPABASE_PREFIX}`,
+    RAILWAY_BACKEND_URL: `${baseUrl}${RAILWAY_PREFIX}`,
+  });
+  delete process.env.WS_BACKEND_URL;
+
+  const fixtures = buildFixtures(now);
+  const store = createStore(fixtures);
+  const realtime = createRealtime(store);
+  const railway = createRailway(store, { wsSecret: MOCK_ENV.WS_AUTH_SECRET, demoSecret: MOCK_ENV.DEMO_SECRET });
+  const vercel = createVercel(ROOT_DIR);
+  const objects = new Map();
+
+  async function route(req, res, next) {
+    const url = new URL(req.url, baseUrl);
+    const p = url.pathname;
+
+    if (p.startsWith(`${SUPABASE_PREFIX}/`)) {
+      url.pathname = p.slice(SUPABASE_PREFIX.length);
+      if (url.pathname.startsWith('/rest/v1')) return handleRest(store, req, res, url);
+      if (url.pathname.startsWith('/auth/v1')) return handleAuth(store, req, res, url);
+      if (url.pathname.startsWith('/storage/v1')) return handleStorage(req, res, url, objects);
+      return send(res, 404, { message: `Mock Supabase does not implement ${url.pathname}` });
+    }
+    if (p.startsWith(`${RAILWAY_PREFIX}/`)) {
+      url.pathname = p.slice(RAILWAY_PREFIX.length);
+      return railway.handle(req, res, url);
+    }
+    if (p.startsWith('/api/') && (await vercel.handle(req, res, url))) return;
+    return next();
+  }
+
+  return {
+    store,
+
+    /** Connect-style middleware (Vite `server.middlewares.use`). */
+    middleware(req, res, next) {
+      route(req, res, next).catch((err) => {
+        console.error('[mock]', req.method, req.url, err);
+        if (!res.headersSent) send(res, 500, { error: 'Mock backend error', detail: String(err?.message || err) });
+        else res.end();
+      });
+    },
+
+    /** Returns true when the upgrade was for a mock socket. */
+    handleUpgrade(req, socket, head) {
+      const url = new URL(req.url, baseUrl);
+      if (url.pathname.startsWith(`${SUPABASE_PREFIX}/realtime/v1/websocket`)) {
+        realtime.handleUpgrade(req, socket, head);
+        return true;
+      }
+      if (url.pathname.startsWith(`${RAILWAY_PREFIX}/ws/`)) {
+        url.pathname = url.pathname.slice(RAILWAY_PREFIX.length);
+        railway.handleUpgrade(req, socket, head, url);
+        return true;
+      }
+      return false;
+    },
+
+    start() { railway.start(); },
+    stop() {
+      railway.stop();
+      realtime.close();
+    },
+    tick: railway.tick,
+  };
+}
+
+// ── Standalone server ───────────────────────────────────────────
+
+function _cors(req, res) {
+  res.setHeader('Access-Control-Allow-Origin', req.headers.origin || '*');
+  res.setHeader('Access-Control-Allow-Credentials', 'true');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE, HEAD, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', req.headers['access-control-request-headers'] || '*');
+  res.setHeader('Access-Control-Expose-Headers', 'Content-Range, X-Request-Id, X-Truncated, RateLimit, RateLimit-Policy, Retry-After, Idempotency-Replayed');
+}
+
+/** Listen on `port` with CORS; resolves to { server, backend, url }. */
+export function startMockServer({ port = 8787, host = 'localhost' } = {}) {
+  const baseUrl = `http://${host}:${port}`;
+  const backend = createMockBackend({ baseUrl });
+  const server = http.createServer((req, res) => {
+    _cors(req, res);
+    if (req.method === 'OPTIONS') return send(res, 204, null);
+    backend.middleware(req, res, () => send(res, 404, { error: 'Not found' }));
+  });
+  server.on('upgrade', (req, socket, head) => {
+    if (!backend.handleUpgrade(req, socket, head)) socket.destroy();
+  });
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => {
+      backend.start();
+      resolve({ server, backend, url: baseUrl });
+    });
+  });
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const i = process.argv.indexOf('--port');
+  const port = i > 0 ? Number(process.argv[i + 1]) : Number(process.env.MOCK_PORT || 8787);
+  const { server, backend, url } = await startMockServer({ port });
+  console.log(`[mock] Supabase ${url}${SUPABASE_PREFIX}  Railway ${url}${RAILWAY_PREFIX}  api ${url}/api`);
+  console.log(`[mock] sign in with admin@mock.local / ${MOCK_PASSWORD}`);
+  const shutdown = () => { backend.stop(); server.close(() => process.exit(0)); };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
@@ -0,0 +1,392 @@
+/**
+ * postgrest.js — PostgREST subset over the in-memory store.
+ *
+ * Covers what the API handlers and supabase-js actually send:
+ *   select   — columns, `alias:col`, embeds `rel(cols)` / `rel!inner(cols)`
+ *   filters  — eq neq gt gte lt lte like ilike in is cs, `not.` prefix,
+ *              `or=(…)` / `and=(…)`, and `rel.col=` filters on embeds
+ *   order    — `col.desc.nullslast,col2`, plus limit / offset
+ *   Prefer   — count=exact (Content-Range), return=representation,
+ *              resolution=merge-duplicates|ignore-duplicates + on_conflict
+ *   Accept   — application/vnd.pgrst.object+json (406 unless one row)
+ * There is no row-level security: any key can read and write any table.
+ */
+import { RELATIONS } from './store.js';
+import { readJson, send } from './http.js';
+
+const RESERVED = new Set(['select', 'order', 'limit', 'offset', 'on_conflict', 'columns', 'or', 'and']);
+
+// ── Parsing ─────────────────────────────────────────────────────
+
+/** Split on commas that are not inside parentheses. */
+function splitTop(str) {
+  const out = [];
+  let depth = 0;
+  let cur = '';
+  for (const ch of str) {
+    if (ch === '(') depth++;
+    if (ch === ')') depth--;
+    if (ch === ',' && depth === 0) { out.push(cur); cur = ''; continue; }
+    cur += ch;
+  }
+  if (cur) out.push(cur);
+  return out.map(s => s.trim()).filter(Boolean);
+}
+
+function parseSelect(str) {
+  return splitTop(str || '*').map((item) => {
+    const embed = item.match(/^(?:(\w+):)?(\w+)(?:!(\w+))?\((.*)\)$/s);
+    if (embed) {
+      const [, alias, rel, hint, inner] = embed;
+      return { embed: rel, as: alias || rel, inner: hint === 'inner', select: parseSelect(inner) };
+    }
+    const [lhs, rhs] = item.split(':').length === 2 && !item.includes('::') ? item.split(':') : [null, item];
+    const col = rhs.split('::')[0].split('->')[0];
+    return { col, as: lhs || col };
+  });
+}
+
+function _unquote(v) {
+  return v.startsWith('"') && v.endsWith('"') ? v.slice(1, -1) : v;
+}
+
+/** "not.gte.5" → { negate, op, value } */
+function parseCondition(raw) {
+  let rest = raw;
+  let negate = false;
+  if (rest.startsWith('not.')) { negate = true; rest = rest.slice(4); }
+  const dot = rest.indexOf('.');
+  if (dot < 0) return { negate, op: 'eq', value: rest };
+  return { negate, op: rest.slice(0, dot), value: rest.slice(dot + 1) };
+}
+
+/** "(a.eq.1,and(b.gt.2,c.is.null))" → nested predicate list */
+function parseLogic(expr) {
+  const body = expr.replace(/^\(/, '').replace(/\)$/, '');
+  return splitTop(body).map((part) => {
+    const nested = part.match(/^(not\.)?(and|or)\((.*)\)$/s);
+    if (nested) return { logic: nested[2], negate: Boolean(nested[1]), items: parseLogic(`(${nested[3]})`) };
+    const dot = part.indexOf('.');
+    return { col: part.slice(0, dot), ...parseCondition(part.slice(dot + 1)) };
+  });
+}
+
+// ── Evaluation ──────────────────────────────────────────────────
+
+const ISO_RE = /^\d{4}-\d{2}-\d{2}/;
+
+function compare(a, b) {
+  if (a == null) return NaN;
+  b = _unquote(String(b));
+  if (typeof a === 'number' || (typeof a !== 'object' && a !== '' && !Number.isNaN(Number(a)) && !Number.isNaN(Number(b)) && !ISO_RE.test(String(a)))) {
+    return Number(a) - Number(b);
+  }
+  if (ISO_RE.test(String(a)) && ISO_RE.test(String(b))) {
+    const ta = Date.parse(a);
+    const tb = Date.parse(b);
+    if (!Number.isNaN(ta) && !Number.isNaN(tb)) return ta - tb;
+  }
+  return String(a) < String(b) ? -1 : String(a) > String(b) ? 1 : 0;
+}
+
+function likeToRegex(pattern, flags) {
+  const escaped = pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/[*%]/g, '.*').replace(/_/g, '.');
+  return new RegExp(`^${escaped}$`, flags);
+}
+
+function testOp(value, op, arg) {
+  switch (op) {
+    case 'eq':    return value != null && (String(value) === _unquote(arg) || compare(value, arg) === 0);
+    case 'neq':   return value != null && String(value) !== _unquote(arg);
+    case 'gt':    return compare(value, arg) > 0;
+    case 'gte':   return compare(value, arg) >= 0;
+    case 'lt':    return compare(value, arg) < 0;
+    case 'lte':   return compare(value, arg) <= 0;
+    case 'like':  return value != null && likeToRegex(arg, '').test(String(value));
+    case 'ilike': return value != null && likeToRegex(arg, 'i').test(String(value));
+    case 'in': {
+      const list = splitTop(arg.replace(/^\(/, '').replace(/\)$/, '')).map(_unquote);
+      return value != null && list.includes(String(value));
+    }
+    case 'is':
+      if (arg === 'null') return value == null;
+      if (arg === 'true') return value === true;
+      if (arg === 'false') return value === false;
+      return false;
+    case 'cs': {
+      if (Array.isArray(value)) {
+        const want = arg.replace(/^\{/, '').replace(/\}$/, '').split(',').map(_unquote);
+        return want.every(w => value.map(String).includes(w));
+      }
+      try {
+        const want = JSON.parse(arg);
+        return value != null && Object.entries(want).every(([k, v]) => JSON.stringify(value[k]) === JSON.stringify(v));
+      } catch { return false; }
+    }
+    default:
+      throw Object.assign(new Error(`operator "${op}" is not supported by the mock`), { status: 400 });
+  }
+}
+
+function matches(row, cond) {
+  if (cond.logic) {
+    const hit = cond.logic === 'or' ? cond.items.some(c => matches(row, c)) : cond.items.every(c => matches(row, c));
+    return cond.negate ? !hit : hit;
+  }
+  const hit = testOp(row[cond.col], cond.op, cond.value);
+  return cond.negate ? !hit : hit;
+}
+
+/** Split query params into top-level conditions and per-embed conditions. */
+function readFilters(params) {
+  const top = [];
+  const embedded = {};
+  for (const [key, raw] of params) {
+    if (key === 'or' || key === 'and') { top.push({ logic: key, negate: false, items: parseLogic(raw) }); continue; }
+    if (key.endsWith('.or') || key.endsWith('.and') || RESERVED.has(key)) continue;
+    const dot = key.indexOf('.');
+    if (dot > 0) {
+      const rel = key.slice(0, dot);
+      (embedded[rel] ||= []).push({ col: key.slice(dot + 1), ...parseCondition(raw) });
+      continue;
+    }
+    top.push({ col: key, ...parseCondition(raw) });
+  }
+  return { top, embedded };
+}
+
+function sortRows(rows, orderParam) {
+  if (!orderParam) return rows;
+  const keys = splitTop(orderParam).map((part) => {
+    const [col, ...mods] = part.split('.');
+    return { col, desc: mods.includes('desc'), nullsFirst: mods.includes('nullsfirst') ? true : mods.includes('nullslast') ? false : null };
+  });
+  return [...rows].sort((a, b) => {
+    for (const { col, desc, nullsFirst } of keys) {
+      const av = a[col];
+      const bv = b[col];
+      if (av == null || bv == null) {
+        if (av == null && bv == null) continue;
+        // Postgres default: NULLS LAST for ASC, NULLS FIRST for DESC
+        const nullFirst = nullsFirst ?? desc;
+        return (av == null ? -1 : 1) * (nullFirst ? 1 : -1);
+      }
+      const c = compare(av, bv);
+      if (c) return desc ? -c : c;
+    }
+    return 0;
+  });
+}
+
+function project(store, table, row, select, embedFilters) {
+  const out = {};
+  for (const item of select) {
+    if (item.embed) {
+      const rel = RELATIONS[table]?.[item.embed];
+      if (!rel) throw Object.assign(new Error(`Could not find a relationship between '${table}' and '${item.embed}'`), { status: 400, code: 'PGRST200' });
+      const conds = embedFilters[item.embed] || [];
+      let related;
+      if (rel.one) {
+        const hit = store.rows(item.embed).find(r => String(r.id) === String(row[rel.one]));
+        related = hit && conds.every(c => matches(hit, c)) ? project(store, item.embed, hit, item.select, {}) : null;
+        if (item.inner && !related) return null;
+      } else {
+        related = store.rows(item.embed)
+          .filter(r => String(r[rel.many]) === String(row.id) && conds.every(c => matches(r, c)))
+          .map(r => project(store, item.embed, r, item.select, {}));
+        if (item.inner && !related.length) return null;
+      }
+      out[item.as] = related;
+    } else if (item.col === '*') {
+      Object.assign(out, row);
+    } else {
+      out[item.as] = row[item.col] ?? null;
+    }
+  }
+  return out;
+}
+
+// ── RPC functions ───────────────────────────────────────────────
+
+const rateBuckets = new Map();
+
+function _inRange(row, col, since, until) {
+  const t = Date.parse(row[col]);
+  return (!since || t >= Date.parse(since)) && (!until || t < Date.parse(until));
+}
+
+function _hourKey(iso) {
+  return new Date(iso).toISOString().slice(0, 13) + ':00:00+00:00';
+}
+
+const RPC = {
+  increment_rate_limit(_store, { p_bucket, p_window_start }) {
+    const key = `${p_bucket}|${p_window_start}`;
+    const next = (rateBuckets.get(key) || 0) + 1;
+    rateBuckets.set(key, next);
+    if (rateBuckets.size > 5000) rateBuckets.delete(rateBuckets.keys().next().value);
+    return next;
+  },
+
+  increment_agency_usage(store, { p_key_id, p_agency, p_date }) {
+    const [row] = store.upsert('agency_api_usage', [{ key_id: p_key_id, agency: p_agency, date: p_date }], ['key_id', 'date']);
+    store.update('agency_api_usage', r => r === row, { hits: (row.hits || 0) + 1 });
+    return row.hits;
+  },
+
+  analytics_traffic_hourly(store, { p_camera_id, p_since }) {
+    const buckets = new Map();
+    for (const r of store.rows('vehicle_crossings')) {
+      if (p_camera_id && r.camera_id !== p_camera_id) continue;
+      if (!_inRange(r, 'captured_at', p_since, null)) continue;
+      const hour = _hourKey(r.captured_at);
+      const b = buckets.get(hour) || { hour, total: 0, in: 0, car: 0, truck: 0, bus: 0, motorcycle: 0 };
+      b.total++;
+      if (r.direction === 'in') b.in++;
+      if (r.vehicle_class in b) b[r.vehicle_class]++;
+      buckets.set(hour, b);
+    }
+    return [...buckets.values()].sort((a, b) => a.hour.localeCompare(b.hour));
+  },
+
+  analytics_turnings_hourly(store, { p_camera_id, p_since, p_until }) {
+    const buckets = new Map();
+    for (const r of store.rows('turning_movements')) {
+      if (p_camera_id && r.camera_id !== p_camera_id) continue;
+      if (!_inRange(r, 'captured_at', p_since, p_until)) continue;
+      const hour = _hourKey(r.captured_at);
+      const b = buckets.get(hour) || { hour, total: 0, car: 0, truck: 0, bus: 0, motorcycle: 0 };
+      b.total++;
+      if (r.vehicle_class in b) b[r.vehicle_class]++;
+      buckets.set(hour, b);
+    }
+    return [...buckets.values()].sort((a, b) => a.hour.localeCompare(b.hour));
+  },
+
+  analytics_turnings_matrix(store, { p_camera_id, p_since, p_until }) {
+    const cells = new Map();
+    for (const r of store.rows('turning_movements')) {
+      if (p_camera_id && r.camera_id !== p_camera_id) continue;
+      if (!_inRange(r, 'captured_at', p_since, p_until)) continue;
+      const key = `${r.entry_zone}→${r.exit_zone}`;
+      const c = cells.get(key) || { entry_zone: r.entry_zone, exit_zone: r.exit_zone, total: 0, car: 0, truck: 0, bus: 0, motorcycle: 0, _dwell: 0 };
+      c.total++;
+      if (r.vehicle_class in c) c[r.vehicle_class]++;
+      c._dwell += Number(r.dwell_ms) || 0;
+      cells.set(key, c);
+    }
+    return [...cells.values()].map(({ _dwell, ...c }) => ({ ...c, avg_dwell_ms: c.total ? Math.round(_dwell / c.total) : null }));
+  },
+};
+
+// ── Handler ─────────────────────────────────────────────────────
+
+function pgError(res, status, code, message, details = null) {
+  return send(res, status, { code, message, details, hint: null });
+}
+
+function _prefer(req) {
+  const out = {};
+  for (const part of String(req.headers.prefer || '').split(',')) {
+    const [k, v] = part.trim().split('=');
+    if (k) out[k] = v ?? true;
+  }
+  return out;
+}
+
+export async function handleRest(store, req, res, url) {
+  const path = url.pathname.replace(/^\/rest\/v1\/?/, '');
+  const method = req.method;
+  const params = [...url.searchParams.entries()];
+
+  try {
+    if (path.startsWith('rpc/')) {
+      const name = path.slice(4);
+      const fn = RPC[name];
+      if (!fn) return pgError(res, 404, 'PGRST202', `Could not find the function public.${name} in the schema cache`);
+      const args = method === 'GET' ? Object.fromEntries(params) : ((await readJson(req)) || {});
+      return send(res, 200, fn(store, args));
+    }
+
+    const table = decodeURIComponent(path);
+    if (!store.has(table)) return pgError(res, 404, 'PGRST205', `Could not find the table 'public.${table}' in the schema cache`);
+
+    const prefer = _prefer(req);
+    const { top, embedded } = readFilters(params);
+    const select = parseSelect(url.searchParams.get('select'));
+    const match = (row) => top.every(c => matches(row, c));
+    const shape = (rows) => rows.map(r => project(store, table, r, select, embedded)).filter(Boolean);
+    const wantsObject = String(req.headers.accept || '').includes('application/vnd.pgrst.object+json');
+
+    const reply = (status, rows, extra = {}) => {
+      if (wantsObject) {
+        if (rows.length !== 1) {
+          return pgError(res, 406, 'PGRST116', 'JSON object requested, multiple (or no) rows returned',
+            `The result contains ${rows.length} rows`);
+        }
+        return send(res, status, rows[0], extra);
+      }
+      return send(res, status, rows, extra);
+    };
+
+    if (method === 'GET' || method === 'HEAD') {
+      const filtered = shape(sortRows(store.rows(table).filter(match), url.searchParams.get('order')));
+      const offset = Number(url.searchParams.get('offset')) || 0;
+      const limit = url.searchParams.has('limit') ? Number(url.searchParams.get('limit')) : Infinity;
+      const page = filtered.slice(offset, offset + limit);
+      const headers = {};
+      if (prefer.count) {
+        headers['Content-Range'] = page.length
+          ? `${offset}-${offset + page.length - 1}/${filtered.length}`
+          : `*/${filtered.length}`;
+      }
+      if (method === 'HEAD') return send(res, 200, null, headers);
+      return reply(200, page, headers);
+    }
+
+    const representation = prefer.return === 'representation';
+
+    if (method === 'POST') {
+      const body = await readJson(req);
+      if (body === undefined || body === null) return pgError(res, 400, 'PGRST102', 'Empty or invalid json');
+      const list = Array.isArray(body) ? body : [body];
+      const resolution = prefer.resolution;
+      const written = resolution
+        ? store.upsert(table, list, (url.searchParams.get('on_conflict') || 'id').split(','),
+          { ignoreDuplicates: resolution === 'ignore-duplicates' })
+        : store.insert(table, list);
+      return representation ? reply(201, shape(written)) : send(res, 201, null);
+    }
+
+    if (method === 'PATCH') {
+      const body = (await readJson(req)) || {};
+      const written = store.update(table, match, body);
+      return representation ? reply(200, shape(written)) : send(res, 204, null);
+    }
+
+    if (method === 'DELETE') {
+      const removed = store.remove(table, match);
+      return representation ? reply(200, shape(removed)) : send(res, 204, null);
+    }
+
+    return pgError(res, 405, 'PGRST117', `Unsupported HTTP method: ${method}`);
+  } catch (err) {
+    return pgError(res, err.status || 500, err.code || 'PGRST100', err.message);
+  }
+}
+
+/** Storage is only used for banner images — keep uploads in memory. */
+export async function handleStorage(req, res, url, objects) {
+  const m = url.pathname.match(/^\/storage\/v1\/object\/(?:public\/)?(.+)$/);
+  if (!m) return send(res, 404, { statusCode: '404', error: 'not_found', message: 'Mock storage route not found' });
+  const key = decodeURIComponent(m[1]);
+  if (req.method === 'POST' || req.method === 'PUT') {
+    const chunks = [];
+    for await (const chunk of req) chunks.push(chunk);
+    objects.set(key, { type: req.headers['content-type'] || 'application/octet-stream', body: Buffer.concat(chunks) });
+    return send(res, 200, { Key: key });
+  }
+  const hit = objects.get(key);
+  if (!hit) return send(res, 404, { statusCode: '404', error: 'not_found', message: 'Object not found' });
+  return send(res, 200, hit.body, { 'Content-Type': hit.type });
+}
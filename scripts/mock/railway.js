@@ -0,0 +1,698 @@
+/**
+ * railway.js — Stand-in for the Railway backend (AI counter + game engine).
+ *
+ * HTTP: the routes the api/ proxies forward to (health, stream, bets, admin
+ * rounds/sessions/bets/ML, camera switch, scene reset, demo, daily backfill).
+ * WS:   /ws/live    — HMAC-token gated count frames with moving detections, plus
+ *                     round lifecycle events (public/src/services/round-events.js)
+ *       /ws/account — balance and bet_resolved pushes for a Supabase JWT
+ *
+ * A simulator moves synthetic vehicles through the active camera's frame;
+ * every vehicle that crosses the count line is written to vehicle_crossings,
+ * so analytics, rounds and bets all resolve against the same numbers the
+ * overlay shows. Errors use the backend's FastAPI shape: { detail }.
+ */
+import { createHmac, timingSafeEqual } from 'crypto';
+import { WebSocketServer } from 'ws';
+import { hasPermission, isStaffRole } from '../../api/_lib/admin-auth.js';
+import { VEHICLE_CLASSES, hourlyRate, pickClass, roundMarkets } from './fixtures.js';
+import { whoIs } from './auth.js';
+import { bearer, readJson, send } from './http.js';
+
+const TICK_MS            = 700;
+const SNAPSHOT_EVERY     = 14;      // ticks (~10 s) between count_snapshots rows
+const PRUNE_EVERY        = 4000;    // ticks (~45 min) between crossing prunes
+const CROSSING_RETAIN_MS = 26 * 3600000;
+const TOKEN_MAX_AGE_SEC  = 300;
+const LIVE_BET_ODDS      = 8;
+const EMPTY_PLAYLIST     = '#EXTM3U\n#EXT-X-VERSION:3\n#EXT-X-TARGETDURATION:2\n#EXT-X-MEDIA-SEQUENCE:0\n';
+
+/** Mirrors api/_lib/ws-token.js: ts.nonce.sig, sig = HMAC-SHA256(`${ts}.${nonce}.`). */
+export function verifyHmacToken(token, secret) {
+  const [ts, nonce, sig] = String(token || '').split('.');
+  if (!ts || !nonce || !sig || !secret) return false;
+  if (Math.abs(Date.now() / 1000 - Number(ts)) > TOKEN_MAX_AGE_SEC) return false;
+  const want = createHmac('sha256', secret).update(`${ts}.${nonce}.`).digest('hex');
+  return want.length === sig.length && timingSafeEqual(Buffer.from(want), Buffer.from(sig));
+}
+
+const detail = (res, status, message) => send(res, status, { detail: message });
+
+export function createRailway(store, { wsSecret, demoSecret }) {
+  const liveWss = new WebSocketServer({ noServer: true });
+  const accountWss = new WebSocketServer({ noServer: true });
+  const accountSockets = new Map(); // user id → Set<ws>
+
+  const sim = {
+    tracks: [],
+    nextTrackerId: 1,
+    counts: { count_in: 0, count_out: 0, total: 0, vehicle_breakdown: Object.fromEntries(VEHICLE_CLASSES.map(c => [c, 0])) },
+    ticks: 0,
+    framesTotal: 0,
+    lastFrameAt: null,
+    latestSnapshot: null,
+    demo: false,
+  };
+
+  const ml = {
+    capture: { capture_enabled: true, upload_enabled: false, capture_paused: false, capture_classes: [...VEHICLE_CLASSES],
+      capture_total: 1240, upload_success_total: 0, upload_fail_total: 0, events: [] },
+    runtime: { mode: 'auto', conf_threshold: 0.35, iou_threshold: 0.5, infer_every_n: 2, imgsz: 640 },
+    night: { enabled: true, start_hour: 18, end_hour: 6, conf_threshold: 0.28 },
+  };
+
+  // ── Helpers ────────────────────────────────────────────────────
+
+  const activeCamera = () => store.rows('cameras').find(c => c.is_active) || store.rows('cameras')[0] || null;
+
+  function currentRound(cameraId) {
+    const live = store.rows('bet_rounds')
+      .filter(r => r.camera_id === cameraId && ['upcoming', 'open', 'locked'].includes(r.status))
+      .sort((a, b) => Date.parse(a.opens_at) - Date.parse(b.opens_at));
+    return live[0] || null;
+  }
+
+  function countCrossings(cameraId, fromMs, toMs, vehicleClass = null) {
+    let n = 0;
+    for (const r of store.rows('vehicle_crossings')) {
+      if (r.camera_id !== cameraId) continue;
+      const t = Date.parse(r.captured_at);
+      if (t < fromMs || t >= toMs) continue;
+      if (vehicleClass && r.vehicle_class !== vehicleClass) continue;
+      n++;
+    }
+    return n;
+  }
+
+  function balanceOf(userId) {
+    return store.rows('user_balances').find(b => b.user_id === userId)?.balance ?? 0;
+  }
+
+  function setBalance(userId, balance) {
+    store.upsert('user_balances', [{ user_id: userId, balance }], ['user_id']);
+    pushAccount(userId, { type: 'balance', balance });
+  }
+
+  function pushAccount(userId, payload) {
+    for (const ws of accountSockets.get(userId) || []) ws.send(JSON.stringify(payload));
+  }
+
+  function broadcastLive(payload) {
+    const text = JSON.stringify(payload);
+    for (const ws of liveWss.clients) if (ws.readyState === 1) ws.send(text);
+  }
+
+  /** Staff JWT check — the real backend re-verifies the token the proxy forwards. */
+  function staff(req, res, permission = null) {
+    const who = whoIs(store, bearer(req));
+    if (!who || who.service) { detail(res, 401, 'Invalid or expired token'); return null; }
+    if (!isStaffRole(who.role) || (permission && !hasPermission(who.role, permission))) {
+      detail(res, 403, 'Admin access required');
+      return null;
+    }
+    return who;
+  }
+
+  function player(req, res) {
+    const who = whoIs(store, bearer(req));
+    if (!who || who.service) { detail(res, 401, 'Invalid or expired token'); return null; }
+    return who;
+  }
+
+  // ── Simulator ──────────────────────────────────────────────────
+
+  function _spawn(rand = Math.random) {
+    const fromTop = rand() < 0.5;
+    const cls = pickClass(rand);
+    const size = { car: [0.07, 0.06], truck: [0.11, 0.09], bus: [0.13, 0.1], motorcycle: [0.035, 0.04] }[cls];
+    sim.tracks.push({
+      tracker_id: sim.nextTrackerId++, cls,
+      x: 0.2 + rand() * 0.6, y: fromTop ? 0.3 : 0.95,
+      vx: (rand() - 0.5) * 0.01, vy: (fromTop ? 1 : -1) * (0.012 + rand() * 0.018),
+      w: size[0], h: size[1], conf: 0.55 + rand() * 0.4, crossed: false,
+    });
+  }
+
+  function _recordCrossing(cam, track, direction, now) {
+    const zones = store.rows('camera_zones').filter(z => z.camera_id === cam.id).map(z => z.name);
+    const [row] = store.insert('vehicle_crossings', [{
+      camera_id: cam.id, captured_at: new Date(now).toISOString(), track_id: track.tracker_id,
+      vehicle_class: track.cls, direction, zone_source: 'entry',
+      zone_name: zones.length ? zones[track.tracker_id % zones.length] : null,
+      confidence: Math.round(track.conf * 100) / 100,
+      scene_lighting: new Date(now).getHours() >= 6 && new Date(now).getHours() < 18 ? 'day' : 'night',
+      scene_weather: 'clear', dwell_frames: 10 + (track.tracker_id % 30),
+      speed_kmh: Math.round((18 + Math.random() * 35) * 10) / 10,
+    }]);
+    const c = sim.counts;
+    c.total++;
+    if (direction === 'in') c.count_in++; else c.count_out++;
+    c.vehicle_breakdown[track.cls] = (c.vehicle_breakdown[track.cls] || 0) + 1;
+    return row;
+  }
+
+  function tickSimulator(now) {
+    const cam = activeCamera();
+    if (!cam) return;
+    const lineY = Number(cam.count_line?.y1 ?? 0.62);
+    // Spawn at 6× the hourly traffic rate so the overlay stays busy
+    const perTick = (hourlyRate(new Date(now).getHours()) / 3600) * (TICK_MS / 1000) * 6;
+    if (Math.random() < perTick && sim.tracks.length < 14) _spawn();
+
+    const crossings = [];
+    for (const t of sim.tracks) {
+      const prevY = t.y;
+      t.x = Math.min(0.95, Math.max(0.05, t.x + t.vx));
+      t.y += t.vy;
+      t.conf = Math.min(0.97, Math.max(0.4, t.conf + (Math.random() - 0.5) * 0.04));
+      if (!t.crossed && (prevY - lineY) * (t.y - lineY) <= 0) {
+        t.crossed = true;
+        crossings.push(_recordCrossing(cam, t, t.vy > 0 ? 'in' : 'out', now));
+      }
+    }
+    sim.tracks = sim.tracks.filter(t => t.y > 0.22 && t.y < 1.02);
+
+    sim.framesTotal++;
+    sim.lastFrameAt = now;
+    const frame = {
+      type: 'count',
+      camera_id: cam.id,
+      captured_at: new Date(now).toISOString(),
+      count_in: sim.counts.count_in,
+      count_out: sim.counts.count_out,
+      total: sim.counts.total,
+      vehicle_breakdown: { ...sim.counts.vehicle_breakdown },
+      new_crossings: crossings.length,
+      detections: sim.tracks.map(t => ({
+        tracker_id: t.tracker_id, cls: t.cls, conf: Math.round(t.conf * 100) / 100,
+        x1: +(t.x - t.w / 2).toFixed(4), y1: +(t.y - t.h / 2).toFixed(4),
+        x2: +(t.x + t.w / 2).toFixed(4), y2: +(t.y + t.h / 2).toFixed(4),
+        in_detect_zone: t.y >= 0.3 && t.y <= 0.95,
+      })),
+      fps: 12 + Math.round(Math.random() * 30) / 10,
+    };
+    sim.latestSnapshot = {
+      camera_id: cam.id, captured_at: frame.captured_at, count_in: frame.count_in,
+      count_out: frame.count_out, total: frame.total, vehicle_breakdown: frame.vehicle_breakdown,
+    };
+    broadcastLive(frame);
+
+    if (sim.ticks % SNAPSHOT_EVERY === 0) store.insert('count_snapshots', [{ ...sim.latestSnapshot }]);
+    if (sim.ticks % PRUNE_EVERY === 0) {
+      store.prune('vehicle_crossings', 'captured_at', CROSSING_RETAIN_MS);
+      store.prune('count_snapshots', 'captured_at', CROSSING_RETAIN_MS);
+    }
+  }
+
+  function resetScene() {
+    sim.tracks = [];
+    sim.counts = { count_in: 0, count_out: 0, total: 0, vehicle_breakdown: Object.fromEntries(VEHICLE_CLASSES.map(c => [c, 0])) };
+    broadcastLive({ type: 'scene:reset' });
+  }
+
+  // ── Rounds ─────────────────────────────────────────────────────
+
+  function roundEvent(type, fields) {
+    broadcastLive({ type, v: 1, at: new Date().toISOString(), ...fields });
+  }
+
+  function _withMarkets(round) {
+    return round && { ...round, markets: store.rows('markets').filter(m => m.round_id === round.id) };
+  }
+
+  function _publicBet(bet) {
+    const { id, user_id, round_id, market_id, bet_type, amount, potential_payout, status, exact_count, actual_count,
+      vehicle_class, window_duration_sec, window_end, placed_at, resolved_at } = bet;
+    return { id, user_id, round_id, market_id, bet_type, amount, potential_payout, status, exact_count,
+      actual_count: actual_count ?? null, vehicle_class, window_duration_sec, window_end: window_end || null,
+      placed_at, resolved_at: resolved_at || null };
+  }
+
+  /** The lifecycle event describing a camera's current state (sent on connect and after a round ends). */
+  function stateEvent(cameraId) {
+    const round = cameraId ? currentRound(cameraId) : null;
+    if (round?.status === 'open')   return { type: 'round_opened', round: _withMarkets(round) };
+    if (round?.status === 'locked') return { type: 'betting_closed', round: _withMarkets(round) };
+    if (round) return { type: 'round_scheduled', round: _withMarkets(round), next_round_at: round.opens_at };
+    const session = store.rows('round_sessions').find(s => s.camera_id === cameraId && s.status === 'active');
+    return { type: 'round_scheduled', round: null, next_round_at: session?.next_round_at || null };
+  }
+
+  function announceState(cameraId) {
+    const { type, ...fields } = stateEvent(cameraId);
+    roundEvent(type, fields);
+  }
+
+  function _outcome(round, total) {
+    const threshold = Number(round.params?.threshold ?? 0);
+    if (total === threshold) return 'exact';
+    return total > threshold ? 'over' : 'under';
+  }
+
+  function _settle(bet, won) {
+    const [settled] = store.update('bets', b => b.id === bet.id, { status: won ? 'won' : 'lost', resolved_at: new Date().toISOString() });
+    roundEvent('bet_settled', { bet: _publicBet(settled) });
+    if (won) setBalance(bet.user_id, balanceOf(bet.user_id) + Number(bet.potential_payout || 0));
+    pushAccount(bet.user_id, {
+      type: 'bet_resolved', user_id: bet.user_id, bet_id: bet.id, round_id: bet.round_id,
+      won, payout: won ? Number(bet.potential_payout || 0) : 0, status: won ? 'won' : 'lost',
+    });
+  }
+
+  function resolveRound(round, now) {
+    const total = countCrossings(round.camera_id, Date.parse(round.opens_at), Math.min(now, Date.parse(round.ends_at)),
+      round.params?.vehicle_class || null);
+    const outcome = _outcome(round, total);
+    const [resolved] = store.update('bet_rounds', r => r.id === round.id, {
+      status: 'resolved', result: { total, outcome_key: outcome }, resolved_at: new Date(now).toISOString(),
+    });
+    const outcomeMarket = store.rows('markets').find(m => m.round_id === round.id && m.outcome_key === outcome);
+    for (const bet of store.rows('bets').filter(b => b.round_id === round.id && b.status === 'pending' && b.bet_type === 'market')) {
+      _settle(bet, bet.market_id === outcomeMarket?.id);
+    }
+    roundEvent('round_resolved', { round: _withMarkets(resolved) });
+    return resolved;
+  }
+
+  function tickRounds(now) {
+    for (const r of store.rows('bet_rounds')) {
+      if (r.status === 'upcoming' && Date.parse(r.opens_at) <= now) {
+        const [opened] = store.update('bet_rounds', x => x === r, { status: 'open' });
+        roundEvent('round_opened', { round: _withMarkets(opened) });
+      }
+      if (r.status === 'open' && Date.parse(r.closes_at) <= now) {
+        const [locked] = store.update('bet_rounds', x => x === r, { status: 'locked' });
+        roundEvent('betting_closed', { round: _withMarkets(locked) });
+      }
+      if (['open', 'locked'].includes(r.status) && Date.parse(r.ends_at) <= now) {
+        resolveRound(r, now);
+        announceState(r.camera_id);
+      }
+    }
+
+    // Live exact-count bets settle when their own window ends
+    for (const bet of store.rows('bets')) {
+      if (bet.status !== 'pending' || bet.bet_type !== 'exact_count' || Date.parse(bet.window_end) > now) continue;
+      const round = store.rows('bet_rounds').find(r => r.id === bet.round_id);
+      const actual = countCrossings(round?.camera_id, Date.parse(bet.placed_at), Date.parse(bet.window_end), bet.vehicle_class);
+      store.update('bets', b => b === bet, { actual_count: actual });
+      _settle(bet, actual === Number(bet.exact_count));
+    }
+
+    for (const s of store.rows('round_sessions')) {
+      if (s.status !== 'active') continue;
+      if ((s.ends_at && Date.parse(s.ends_at) <= now) || (s.max_rounds && Number(s.created_rounds || 0) >= s.max_rounds)) {
+        store.update('round_sessions', x => x === s, { status: 'stopped' });
+        if (!currentRound(s.camera_id)) announceState(s.camera_id);
+        continue;
+      }
+      if (currentRound(s.camera_id) || (s.next_round_at && Date.parse(s.next_round_at) > now)) continue;
+      const round = createRound({
+        camera_id: s.camera_id, market_type: s.market_type || 'over_under',
+        params: { threshold: s.threshold ?? 40, ...(s.vehicle_class ? { vehicle_class: s.vehicle_class } : {}) },
+        opens_at: new Date(now).toISOString(),
+        closes_at: new Date(now + (s.round_duration_min - (s.bet_cutoff_min ?? 1)) * 60000).toISOString(),
+        ends_at: new Date(now + s.round_duration_min * 60000).toISOString(),
+      }, now);
+      store.update('round_sessions', x => x === s, {
+        next_round_at: new Date(Date.parse(round.ends_at) + (s.interval_min || 0) * 60000).toISOString(),
+        created_rounds: Number(s.created_rounds || 0) + 1,
+      });
+    }
+  }
+
+  function createRound(body, now) {
+    const [round] = store.insert('bet_rounds', [{
+      camera_id: body.camera_id || activeCamera()?.id,
+      market_type: body.market_type || 'over_under',
+      params: body.params || {},
+      status: Date.parse(body.opens_at) <= now ? 'open' : 'upcoming',
+      opens_at: body.opens_at, closes_at: body.closes_at, ends_at: body.ends_at,
+      result: null, resolved_at: null,
+    }]);
+    const markets = Array.isArray(body.markets) && body.markets.length
+      ? body.markets.map(m => ({ round_id: round.id, outcome_key: m.outcome_key, label: m.label, odds: Number(m.odds) || 2, total_staked: 0 }))
+      : roundMarkets(round);
+    store.insert('markets', markets);
+    roundEvent(round.status === 'open' ? 'round_opened' : 'round_scheduled', {
+      round: _withMarkets(round), ...(round.status === 'open' ? {} : { next_round_at: round.opens_at }),
+    });
+    return round;
+  }
+
+  // ── HTTP routes ────────────────────────────────────────────────
+
+  async function placeBet(req, res) {
+    const who = player(req, res);
+    if (!who) return;
+    const body = (await readJson(req)) || {};
+    const amount = Number(body.amount);
+    const round = store.rows('bet_rounds').find(r => r.id === body.round_id);
+    if (!round) return detail(res, 404, 'Round not found');
+    if (round.status !== 'open' || Date.parse(round.closes_at) <= Date.now()) return detail(res, 400, 'Round is not accepting bets');
+    const market = store.rows('markets').find(m => m.id === body.market_id && m.round_id === round.id);
+    if (!market) return detail(res, 404, 'Market not found');
+    if (!Number.isInteger(amount) || amount <= 0) return detail(res, 422, 'Amount must be a positive integer');
+    const balance = balanceOf(who.id);
+    if (amount > balance) return detail(res, 400, 'Insufficient balance');
+
+    setBalance(who.id, balance - amount);
+    const [bet] = store.insert('bets', [{
+      user_id: who.id, round_id: round.id, market_id: market.id, bet_type: 'market',
+      amount, potential_payout: Math.round(amount * Number(market.odds)), status: 'pending',
+      exact_count: null, vehicle_class: null, window_duration_sec: null,
+    }]);
+    store.update('markets', m => m === market, { total_staked: Number(market.total_staked || 0) + amount });
+    roundEvent('bet_placed', { bet: _publicBet(bet) });
+    return send(res, 200, { bet_id: bet.id, id: bet.id, status: bet.status, amount, potential_payout: bet.potential_payout, balance: balance - amount, placed_at: bet.placed_at });
+  }
+
+  async function placeLiveBet(req, res) {
+    const who = player(req, res);
+    if (!who) return;
+    const body = (await readJson(req)) || {};
+    const amount = Number(body.amount);
+    const windowSec = Number(body.window_duration_sec);
+    const exact = Number(body.exact_count);
+    const round = store.rows('bet_rounds').find(r => r.id === body.round_id);
+    if (!round || !['open', 'locked'].includes(round.status)) return detail(res, 400, 'Round is not live');
+    if (!Number.isInteger(windowSec) || windowSec < 15 || windowSec > 600) return detail(res, 422, 'window_duration_sec out of range');
+    if (!Number.isInteger(exact) || exact < 0) return detail(res, 422, 'exact_count must be a non-negative integer');
+    if (body.vehicle_class && !VEHICLE_CLASSES.includes(body.vehicle_class)) return detail(res, 422, 'Unknown vehicle_class');
+    if (!Number.isInteger(amount) || amount <= 0) return detail(res, 422, 'Amount must be a positive integer');
+    const balance = balanceOf(who.id);
+    if (amount > balance) return detail(res, 400, 'Insufficient balance');
+
+    const now = Date.now();
+    const baseline = body.vehicle_class ? (sim.counts.vehicle_breakdown[body.vehicle_class] || 0) : sim.counts.total;
+    setBalance(who.id, balance - amount);
+    const [bet] = store.insert('bets', [{
+      user_id: who.id, round_id: round.id, market_id: null, bet_type: 'exact_count',
+      amount, potential_payout: amount * LIVE_BET_ODDS, status: 'pending',
+      exact_count: exact, vehicle_class: body.vehicle_class || null, window_duration_sec: windowSec,
+      baseline_count: baseline, window_end: new Date(now + windowSec * 1000).toISOString(),
+    }]);
+    roundEvent('bet_placed', { bet: _publicBet(bet) });
+    return send(res, 200, {
+      bet_id: bet.id, id: bet.id, status: bet.status, amount, potential_payout: bet.potential_payout,
+      baseline_count: baseline, window_end: bet.window_end, balance: balance - amount, placed_at: bet.placed_at,
+    });
+  }
+
+  function betHistory(req, res, url, roundOnly) {
+    const who = player(req, res);
+    if (!who) return;
+    const roundId = url.searchParams.get('round_id');
+    const limit = Math.min(200, Number(url.searchParams.get('limit')) || 100);
+    if (roundOnly && !roundId) return detail(res, 400, 'round_id required');
+    const bets = store.rows('bets')
+      .filter(b => b.user_id === who.id && (!roundId || b.round_id === roundId))
+      .sort((a, b) => Date.parse(b.placed_at) - Date.parse(a.placed_at))
+      .slice(0, limit)
+      .map(b => {
+        const market = store.rows('markets').find(m => m.id === b.market_id);
+        return { ...b, markets: market ? { label: market.label, odds: market.odds, outcome_key: market.outcome_key } : null };
+      });
+    return send(res, 200, bets);
+  }
+
+  function health(res) {
+    const now = Date.now();
+    const cam = activeCamera();
+    return send(res, 200, {
+      status: 'ok',
+      ai_task_running: true,
+      stream_configured: true,
+      weather_api: 'mock',
+      ws_public_clients: liveWss.clients.size,
+      ws_account_clients: accountWss.clients.size,
+      watchdog: { restarts: 0, last_restart_at: null },
+      ai_fps_estimate: 12.5,
+      ai_frames_total: sim.framesTotal,
+      ai_heartbeat_stale: false,
+      ai_last_frame_age_sec: sim.lastFrameAt ? Math.round((now - sim.lastFrameAt) / 1000) : null,
+      active_camera: cam ? { id: cam.id, name: cam.name } : null,
+      latest_snapshot: sim.latestSnapshot,
+    });
+  }
+
+  function activeUsers(res) {
+    const now = Date.now();
+    const day = now - 86400000;
+    const views = store.rows('site_views');
+    const topPages = {};
+    for (const v of views) if (Date.parse(v.created_at) >= day) topPages[v.page || '/'] = (topPages[v.page || '/'] || 0) + 1;
+    return send(res, 200, {
+      online_now: { total: liveWss.clients.size + accountWss.clients.size, public_ws: liveWss.clients.size, user_ws: accountWss.clients.size },
+      visit_totals: { today: views.filter(v => Date.parse(v.created_at) >= day).length, all_time: views.length },
+      active_public_clients: [...liveWss.clients].map(ws => ({ ip: ws.mockIp || '127.0.0.1', connected_at: ws.mockConnectedAt, user_agent: ws.mockUa || '' })),
+      active_authenticated_users: [...accountSockets.entries()].map(([id, set]) => ({
+        user_id: id, email: store.users.find(u => u.id === id)?.email || null, connections: set.size,
+      })),
+      recent_events: [],
+      db: {
+        guest_recent: [],
+        site_views_top_pages_24h: Object.entries(topPages).map(([page, count]) => ({ page, count })),
+        site_views_recent: views.slice(-10).reverse(),
+        registered_users_recent: store.users.filter(u => u.email).slice(-10).reverse()
+          .map(u => ({ id: u.id, email: u.email, created_at: u.created_at })),
+      },
+    });
+  }
+
+  async function adminRoute(req, res, url, path) {
+    const method = req.method;
+
+    if (path === '/admin/active-users') return staff(req, res) && activeUsers(res);
+
+    if (path === '/admin/camera-switch' || path === '/admin/force-scene-reset') {
+      if (!staff(req, res, 'cameras')) return;
+      if (path === '/admin/camera-switch') {
+        const body = (await readJson(req)) || {};
+        const target = store.rows('cameras').find(c => c.id === body.camera_id || c.ipcam_alias === body.alias);
+        if (!target) return detail(res, 404, 'Camera not found');
+        store.update('cameras', c => c.is_active && c !== target, { is_active: false });
+        if (!target.is_active) store.update('cameras', c => c === target, { is_active: true });
+      }
+      resetScene();
+      return send(res, 200, { ok: true, active_camera_id: activeCamera()?.id || null });
+    }
+
+    if (path.startsWith('/admin/rounds') || path.startsWith('/admin/round-sessions')) {
+      if (!staff(req, res, 'rounds')) return;
+      const now = Date.now();
+      if (path === '/admin/rounds' && method === 'GET') {
+        const status = url.searchParams.get('status');
+        const limit = Math.min(200, Number(url.searchParams.get('limit')) || 20);
+        const rounds = store.rows('bet_rounds')
+          .filter(r => !status || r.status === status)
+          .sort((a, b) => Date.parse(b.opens_at) - Date.parse(a.opens_at))
+          .slice(0, limit)
+          .map(r => ({ ...r, markets: store.rows('markets').filter(m => m.round_id === r.id) }));
+        return send(res, 200, rounds);
+      }
+      if (path === '/admin/rounds' && method === 'POST') {
+        const body = (await readJson(req)) || {};
+        if (!body.opens_at || !body.closes_at || !body.ends_at) return detail(res, 422, 'opens_at, closes_at and ends_at are required');
+        return send(res, 200, createRound(body, now));
+      }
+      if (path === '/admin/rounds' && method === 'PATCH') {
+        const body = (await readJson(req)) || {};
+        const round = store.rows('bet_rounds').find(r => r.id === body.round_id);
+        if (!round) return detail(res, 404, 'Round not found');
+        if (round.status === 'resolved') return detail(res, 400, 'Round already resolved');
+        const resolved = resolveRound(round, now);
+        announceState(round.camera_id);
+        return send(res, 200, resolved);
+      }
+      if (path === '/admin/round-sessions' && method === 'GET') {
+        const limit = Math.min(200, Number(url.searchParams.get('limit')) || 20);
+        const sessions = [...store.rows('round_sessions')].sort((a, b) => Date.parse(b.created_at) - Date.parse(a.created_at)).slice(0, limit);
+        return send(res, 200, { sessions });
+      }
+      if (path === '/admin/round-sessions' && method === 'POST') {
+        const body = (await readJson(req)) || {};
+        if (!body.camera_id || !Number(body.round_duration_min)) return detail(res, 422, 'camera_id and round_duration_min are required');
+        store.update('round_sessions', s => s.camera_id === body.camera_id && s.status === 'active', { status: 'stopped' });
+        const [session] = store.insert('round_sessions', [{
+          camera_id: body.camera_id, status: 'active', market_type: body.market_type || 'over_under',
+          threshold: body.threshold ?? null, vehicle_class: body.vehicle_class || null,
+          round_duration_min: Number(body.round_duration_min), bet_cutoff_min: Number(body.bet_cutoff_min ?? 1),
+          interval_min: Number(body.interval_min ?? 0), max_rounds: body.max_rounds ?? null, created_rounds: 0,
+          ends_at: body.session_duration_min ? new Date(now + Number(body.session_duration_min) * 60000).toISOString() : null,
+          next_round_at: new Date(now).toISOString(),
+        }]);
+        return send(res, 200, session);
+      }
+      const stop = path.match(/^\/admin\/round-sessions\/([^/]+)\/stop$/);
+      if (stop && method === 'PATCH') {
+        const [session] = store.update('round_sessions', s => s.id === decodeURIComponent(stop[1]), { status: 'stopped' });
+        if (session && !currentRound(session.camera_id)) announceState(session.camera_id);
+        return session ? send(res, 200, session) : detail(res, 404, 'Session not found');
+      }
+      return detail(res, 405, 'Method not allowed');
+    }
+
+    if (path === '/admin/bets') {
+      if (!staff(req, res, 'rounds')) return;
+      const limit = Math.min(1000, Number(url.searchParams.get('limit')) || 200);
+      const profiles = new Map(store.rows('profiles').map(p => [p.user_id, p.username]));
+      const bets = [...store.rows('bets')]
+        .sort((a, b) => Date.parse(b.placed_at) - Date.parse(a.placed_at))
+        .slice(0, limit)
+        .map(b => ({ ...b, username: profiles.get(b.user_id) || null }));
+      return send(res, 200, { bets });
+    }
+    if (path === '/admin/bets/validation-status') {
+      if (!staff(req, res, 'rounds')) return;
+      const bets = store.rows('bets');
+      return send(res, 200, {
+        accepted_total: bets.length, rejected_total: 0, total_evaluated: bets.length,
+        last_event_at: bets.length ? bets[bets.length - 1].placed_at : null, reasons: {},
+      });
+    }
+
+    if (path.startsWith('/admin/ml/')) {
+      if (!staff(req, res, 'ml')) return;
+      const limit = Math.min(500, Number(url.searchParams.get('limit')) || 50);
+      const sub = path.slice('/admin/ml/'.length);
+      if (sub === 'jobs') {
+        const jobs = [...store.rows('ml_training_jobs')].sort((a, b) => Date.parse(b.created_at) - Date.parse(a.created_at)).slice(0, limit);
+        return send(res, 200, { jobs });
+      }
+      if (sub === 'models') {
+        const models = [...store.rows('ml_model_registry')]
+          .map(m => ({ ...m, created_at: m.created_at || m.promoted_at }))
+          .sort((a, b) => Date.parse(b.created_at) - Date.parse(a.created_at)).slice(0, limit);
+        return send(res, 200, { models });
+      }
+      if (sub === 'capture-status') {
+        if (method === 'PATCH') {
+          const body = (await readJson(req)) || {};
+          if ('capture_paused' in body) ml.capture.capture_paused = Boolean(body.capture_paused);
+          if ('paused' in body) ml.capture.capture_paused = Boolean(body.paused);
+          ml.capture.events.push({ ts: new Date().toISOString(), event: ml.capture.capture_paused ? 'capture_paused' : 'capture_resumed' });
+        }
+        return send(res, 200, { ...ml.capture, events: ml.capture.events.slice(-limit) });
+      }
+      if (sub === 'runtime-profile') {
+        if (method === 'PATCH') Object.assign(ml.runtime, (await readJson(req)) || {});
+        return send(res, 200, { camera_id: url.searchParams.get('camera_id') || activeCamera()?.id || null, ...ml.runtime, reason: 'mock profile' });
+      }
+      if (sub === 'night-profile') return send(res, 200, ml.night);
+      if (sub === 'diagnostics') {
+        return send(res, 200, { ok: true, gpu: null, model: 'yolov8s-jam-v3', dataset_images: 1240, checks: [{ name: 'mock', ok: true }] });
+      }
+      if (['retrain-async', 'one-click', 'train-captures-async'].includes(sub)) {
+        const [job] = store.insert('ml_training_jobs', [{
+          job_type: sub.replace(/-async$/, ''), status: 'queued', notes: 'Mock job — completes in ~10 s',
+        }]);
+        setTimeout(() => store.update('ml_training_jobs', j => j.id === job.id, {
+          status: 'completed', completed_at: new Date().toISOString(), notes: 'mAP50 0.82 (mock)',
+        }), 10000).unref?.();
+        return send(res, 202, { job_id: job.id, status: job.status });
+      }
+      return detail(res, 404, `Unknown ML route ${sub}`);
+    }
+
+    if (path === '/admin/backfill-daily') return send(res, 200, { date: url.searchParams.get('date'), rows_written: 0, mock: true });
+
+    return detail(res, 404, `Mock Railway does not implement ${method} ${path}`);
+  }
+
+  async function handle(req, res, url) {
+    const path = url.pathname.replace(/\/+$/, '') || '/';
+    if (path === '/health') return health(res);
+
+    if (path === '/stream/live.m3u8') {
+      if (!verifyHmacToken(url.searchParams.get('token'), wsSecret)) return detail(res, 401, 'Invalid stream token');
+      return send(res, 200, EMPTY_PLAYLIST, { 'Content-Type': 'application/vnd.apple.mpegurl' });
+    }
+    if (path === '/stream/ts') return detail(res, 404, 'No segments in mock mode');
+
+    if (path === '/demo/manifest') return send(res, 200, { available: false });
+    if (path === '/demo/start-detect' || path === '/demo/stop-detect') {
+      if (req.headers['x-demo-secret'] !== demoSecret) return detail(res, 403, 'Forbidden');
+      sim.demo = path === '/demo/start-detect';
+      broadcastLive({ type: 'demo_mode', active: sim.demo, message: sim.demo ? 'Demo detection running (mock)' : '' });
+      return send(res, 200, { ok: true, active: sim.demo });
+    }
+
+    if (path === '/bets/place' && req.method === 'POST') return placeBet(req, res);
+    if (path === '/bets/place-live' && req.method === 'POST') return placeLiveBet(req, res);
+    if (path === '/bets/history') return betHistory(req, res, url, false);
+    if (path === '/bets/my-round') return betHistory(req, res, url, true);
+
+    if (path.startsWith('/admin/')) return adminRoute(req, res, url, path);
+    return detail(res, 404, 'Not Found');
+  }
+
+  // ── WebSockets ─────────────────────────────────────────────────
+
+  liveWss.on('connection', (ws, req) => {
+    ws.mockConnectedAt = new Date().toISOString();
+    ws.mockIp = req.socket.remoteAddress;
+    ws.mockUa = req.headers['user-agent'] || '';
+    // Current round state first, so a (re)connecting page needs no polling
+    ws.send(JSON.stringify({ v: 1, at: new Date().toISOString(), ...stateEvent(activeCamera()?.id), replay: true }));
+  });
+
+  accountWss.on('connection', (ws, req, user) => {
+    if (!accountSockets.has(user.id)) accountSockets.set(user.id, new Set());
+    accountSockets.get(user.id).add(ws);
+    ws.send(JSON.stringify({ type: 'balance', balance: balanceOf(user.id) }));
+    ws.on('close', () => accountSockets.get(user.id)?.delete(ws));
+  });
+
+  function handleUpgrade(req, socket, head, url) {
+    const token = url.searchParams.get('token');
+    if (url.pathname === '/ws/live') {
+      return liveWss.handleUpgrade(req, socket, head, (ws) => {
+        // Same contract as the backend: accept, then close 4001 on a bad token
+        if (!verifyHmacToken(token, wsSecret)) return ws.close(4001, 'invalid token');
+        liveWss.emit('connection', ws, req);
+      });
+    }
+    if (url.pathname === '/ws/account') {
+      return accountWss.handleUpgrade(req, socket, head, (ws) => {
+        const user = whoIs(store, token);
+        if (!user || user.service) return ws.close(4001, 'invalid token');
+        accountWss.emit('connection', ws, req, user);
+      });
+    }
+    socket.destroy();
+  }
+
+  let timer = null;
+  return {
+    handle,
+    handleUpgrade,
+    start() {
+      if (timer) return;
+      timer = setInterval(() => {
+        const now = Date.now();
+        sim.ticks++;
+        try {
+          tickRounds(now);
+          tickSimulator(now);
+        } catch (err) {
+          console.error('[mock] railway tick:', err);
+        }
+      }, TICK_MS);
+      timer.unref?.();
+    },
+    stop() {
+      clearInterval(timer);
+      timer = null;
+      for (const ws of [...liveWss.clients, ...accountWss.clients]) ws.terminate();
+      liveWss.close();
+      accountWss.close();
+    },
+    // Exposed for tests: drive the simulator without waiting on the timer
+    tick(now = Date.now()) {
+      sim.ticks++;
+      tickRounds(now);
+      tickSimulator(now);
+    },
+  };
+}
@@ -0,0 +1,148 @@
+/**
+ * realtime.js — Supabase Realtime (Phoenix, vsn 2.0.0 JSON) over `ws`.
+ *
+ * Supports what the site subscribes to: postgres_changes bindings fed by
+ * store change events, and presence track/untrack for the chat roster.
+ * Binary user broadcasts are ignored — nothing on the site sends them.
+ */
+import { WebSocketServer } from 'ws';
+
+/** `room_id=eq.42` style binding filters; only the simple operators. */
+function _filterMatches(filter, record) {
+  if (!filter) return true;
+  const m = String(filter).match(/^(\w+)=(eq|neq|in)\.(.*)$/);
+  if (!m || !record) return false;
+  const [, col, op, value] = m;
+  const actual = record[col] == null ? null : String(record[col]);
+  if (op === 'eq') return actual === value;
+  if (op === 'neq') return actual !== value;
+  return value.replace(/^\(/, '').replace(/\)$/, '').split(',').includes(actual);
+}
+
+export function createRealtime(store) {
+  const wss = new WebSocketServer({ noServer: true });
+  const channels = new Map();   // topic → Set<{ ws, joinRef, bindings, presenceKey }>
+  const presence = new Map();   // topic → Map<key, metas[]>
+  let nextBindingId = 1;
+  let nextPhxRef = 1;
+
+  const frame = (joinRef, ref, topic, event, payload) => JSON.stringify([joinRef, ref, topic, event, payload]);
+
+  function _subscribers(topic) {
+    if (!channels.has(topic)) channels.set(topic, new Set());
+    return channels.get(topic);
+  }
+
+  function _presenceDiff(topic, joins, leaves) {
+    for (const sub of _subscribers(topic)) {
+      sub.ws.send(frame(sub.joinRef, null, topic, 'presence_diff', { joins, leaves }));
+    }
+  }
+
+  function _untrack(topic, sub) {
+    const state = presence.get(topic);
+    if (!state || !sub.presenceKey || !state.has(sub.presenceKey)) return;
+    const metas = state.get(sub.presenceKey);
+    state.delete(sub.presenceKey);
+    _presenceDiff(topic, {}, { [sub.presenceKey]: { metas } });
+  }
+
+  function _leave(topic, sub) {
+    _untrack(topic, sub);
+    _subscribers(topic).delete(sub);
+  }
+
+  store.onChange(({ type, table, record, old }) => {
+    const data = {
+      schema: 'public', table, type,
+      commit_timestamp: new Date().toISOString(),
+      columns: [], errors: null,
+      ...(record ? { record } : {}),
+      ...(old ? { old_record: old } : {}),
+    };
+    for (const [topic, subs] of channels) {
+      for (const sub of subs) {
+        const ids = sub.bindings
+          .filter(b => b.table === table && (b.event === '*' || b.event === type) && _filterMatches(b.filter, record || old))
+          .map(b => b.id);
+        if (ids.length) sub.ws.send(frame(sub.joinRef, null, topic, 'postgres_changes', { ids, data }));
+      }
+    }
+  });
+
+  wss.on('connection', (ws) => {
+    const joined = new Map(); // topic → sub
+
+    ws.on('message', (raw, isBinary) => {
+      if (isBinary) return;
+      let msg;
+      try { msg = JSON.parse(raw.toString('utf8')); } catch { return; }
+      if (!Array.isArray(msg)) return;
+      const [joinRef, ref, topic, event, payload] = msg;
+      const reply = (response = {}, status = 'ok') =>
+        ws.send(frame(joinRef, ref, topic, 'phx_reply', { status, response }));
+
+      if (topic === 'phoenix' && event === 'heartbeat') return reply();
+
+      if (event === 'phx_join') {
+        const config = payload?.config || {};
+        const bindings = (config.postgres_changes || []).map(b => ({ ...b, id: nextBindingId++ }));
+        const sub = { ws, joinRef, bindings, presenceKey: config.presence?.key || null };
+        if (joined.has(topic)) _leave(topic, joined.get(topic));
+        joined.set(topic, sub);
+        _subscribers(topic).add(sub);
+        reply({ postgres_changes: bindings.map(({ id, event: ev, schema, table, filter }) => ({ id, event: ev, schema, table, filter })) });
+        if (presence.has(topic) || config.presence?.enabled || config.presence?.key) {
+          const state = Object.fromEntries([...(presence.get(topic) || new Map())].map(([k, metas]) => [k, { metas }]));
+          ws.send(frame(joinRef, null, topic, 'presence_state', state));
+        }
+        return;
+      }
+
+      const sub = joined.get(topic);
+      if (event === 'phx_leave') {
+        if (sub) { _leave(topic, sub); joined.delete(topic); }
+        return reply();
+      }
+      if (event === 'access_token') return reply();
+
+      if (event === 'presence' && sub) {
+        if (payload?.event === 'untrack') { _untrack(topic, sub); return reply(); }
+        const key = sub.presenceKey || String(nextPhxRef);
+        sub.presenceKey = key;
+        if (!presence.has(topic)) presence.set(topic, new Map());
+        const state = presence.get(topic);
+        const leaves = state.has(key) ? { [key]: { metas: state.get(key) } } : {};
+        const metas = [{ phx_ref: `mock-${nextPhxRef++}`, ...(payload?.payload || {}) }];
+        state.set(key, metas);
+        reply();
+        return _presenceDiff(topic, { [key]: { metas } }, leaves);
+      }
+
+      // Text broadcasts are echoed to the other subscribers on the topic
+      if (event === 'broadcast' && sub) {
+        for (const other of _subscribers(topic)) {
+          if (other !== sub) other.ws.send(frame(other.joinRef, null, topic, 'broadcast', payload));
+        }
+        return reply();
+      }
+
+      return reply();
+    });
+
+    ws.on('close', () => {
+      for (const [topic, sub] of joined) _leave(topic, sub);
+      joined.clear();
+    });
+  });
+
+  return {
+    handleUpgrade(req, socket, head) {
+      wss.handleUpgrade(req, socket, head, ws => wss.emit('connection', ws, req));
+    },
+    close() {
+      for (const ws of wss.clients) ws.terminate();
+      wss.close();
+    },
+  };
+}
@@ -0,0 +1,151 @@
+/**
+ * store.js — In-memory tables behind the mock PostgREST and Railway routes.
+ *
+ * Rows are plain objects. Inserts fill `id` (serial or uuid) and timestamp
+ * defaults; every write emits a change event that the realtime socket turns
+ * into postgres_changes messages.
+ */
+import { randomUUID } from 'crypto';
+
+// Tables with integer identity keys; everything else gets a uuid
+const SERIAL_TABLES = new Set([
+  'vehicle_crossings', 'turning_movements', 'traffic_daily', 'traffic_snapshots',
+  'count_snapshots', 'ml_detection_events', 'site_views', 'admin_audit_log',
+  'agency_api_usage', 'agency_downloads', 'agency_webhook_deliveries',
+]);
+
+const NOW_DEFAULTS = {
+  admin_audit_log: ['created_at'],
+  agency_api_keys: ['created_at'],
+  agency_webhooks: ['created_at'],
+  agency_webhook_deliveries: ['created_at'],
+  banners: ['created_at', 'updated_at'],
+  bet_rounds: ['created_at'],
+  bets: ['placed_at'],
+  camera_zones: ['created_at'],
+  cameras: ['created_at'],
+  count_snapshots: ['captured_at'],
+  messages: ['created_at'],
+  ml_training_jobs: ['created_at'],
+  round_sessions: ['created_at'],
+  site_views: ['created_at'],
+  vehicle_crossings: ['captured_at'],
+};
+
+/**
+ * Embeddable relations for `select=*,other(cols)`.
+ *   one  — this row holds the foreign key (many-to-one → object)
+ *   many — the other table points back at this row (one-to-many → array)
+ */
+export const RELATIONS = {
+  bet_rounds:        { markets: { many: 'round_id' } },
+  bets:              { markets: { one: 'market_id' }, bet_rounds: { one: 'round_id' } },
+  markets:           { bet_rounds: { one: 'round_id' } },
+  vehicle_crossings: { cameras: { one: 'camera_id' } },
+  traffic_daily:     { cameras: { one: 'camera_id' } },
+  camera_zones:      { cameras: { one: 'camera_id' } },
+  agency_webhooks:   { agency_api_keys: { one: 'key_id' } },
+  agency_webhook_deliveries: { agency_webhooks: { one: 'webhook_id' } },
+};
+
+export function createStore({ tables = {}, users = [] } = {}) {
+  const data = new Map(Object.entries(tables).map(([name, rows]) => [name, rows.map(r => ({ ...r }))]));
+  const serials = new Map();
+  const listeners = new Set();
+
+  for (const [name, rows] of data) {
+    if (SERIAL_TABLES.has(name)) serials.set(name, rows.reduce((m, r) => Math.max(m, Number(r.id) || 0), 0));
+  }
+
+  function rows(table) {
+    if (!data.has(table)) data.set(table, []);
+    return data.get(table);
+  }
+
+  function emit(type, table, record, old) {
+    for (const fn of listeners) {
+      try { fn({ type, table, record, old }); } catch (err) { console.error('[mock] change listener:', err); }
+    }
+  }
+
+  function _withDefaults(table, row) {
+    const out = { ...row };
+    if (out.id == null && table !== 'profiles' && table !== 'user_balances') {
+      if (SERIAL_TABLES.has(table)) {
+        const next = (serials.get(table) || 0) + 1;
+        serials.set(table, next);
+        out.id = next;
+      } else {
+        out.id = randomUUID();
+      }
+    }
+    const now = new Date().toISOString();
+    for (const col of NOW_DEFAULTS[table] || []) if (out[col] == null) out[col] = now;
+    return out;
+  }
+
+  return {
+    users: users.map(u => ({ ...u })),
+
+    has: (table) => data.has(table),
+    rows,
+
+    insert(table, list) {
+      return list.map((row) => {
+        const full = _withDefaults(table, row);
+        rows(table).push(full);
+        emit('INSERT', table, full, null);
+        return full;
+      });
+    },
+
+    /** Insert or merge on the `keys` columns (PostgREST resolution=merge-duplicates). */
+    upsert(table, list, keys = ['id'], { ignoreDuplicates = false } = {}) {
+      const out = [];
+      for (const row of list) {
+        const hit = keys.every(k => row[k] != null)
+          ? rows(table).find(r => keys.every(k => String(r[k]) === String(row[k])))
+          : null;
+        if (!hit) { out.push(...this.insert(table, [row])); continue; }
+        if (ignoreDuplicates) continue;
+        const old = { ...hit };
+        Object.assign(hit, row);
+        emit('UPDATE', table, hit, old);
+        out.push(hit);
+      }
+      return out;
+    },
+
+    update(table, match, patch) {
+      const out = [];
+      for (const row of rows(table)) {
+        if (!match(row)) continue;
+        const old = { ...row };
+        Object.assign(row, patch);
+        emit('UPDATE', table, row, old);
+        out.push(row);
+      }
+      return out;
+    },
+
+    remove(table, match) {
+      const kept = [];
+      const removed = [];
+      for (const row of rows(table)) (match(row) ? removed : kept).push(row);
+      data.set(table, kept);
+      for (const row of removed) emit('DELETE', table, null, row);
+      return removed;
+    },
+
+    /** Drop rows older than `maxAgeMs` by `column` — keeps long dev sessions bounded. */
+    prune(table, column, maxAgeMs) {
+      const cutoff = Date.now() - maxAgeMs;
+      data.set(table, rows(table).filter(r => !r[column] || Date.parse(r[column]) >= cutoff));
+    },
+
+    onChange(fn) {
+      listeners.add(fn);
+      return () => listeners.delete(fn);
+    },
+  };
+}
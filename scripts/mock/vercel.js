@@ -0,0 +1,128 @@
+/**
+ * vercel.js — Runs the api/ functions in-process the way Vercel would.
+ *
+ * Rewrites come straight from vercel.json so `/api/admin/ml-jobs` and the
+ * analytics aliases resolve exactly as in production. Node functions get
+ * Vercel's request/response helpers (req.query, req.body, res.status/json/
+ * send/redirect); Edge functions receive a Fetch `Request` and their
+ * `Response` is streamed back.
+ */
+import { existsSync, readFileSync } from 'fs';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { readBody } from './http.js';
+
+function _compileRewrite({ source, destination }) {
+  // Tokens: `:name` segments and `(.*)` groups; everything else is literal
+  const groups = [];
+  const pattern = source.split(/(:\w+|\(\.\*\))/).map((part) => {
+    if (part === '(.*)') { groups.push(`$${groups.filter(g => g.startsWith('$')).length + 1}`); return '(.*)'; }
+    if (/^:\w+$/.test(part)) { groups.push(part); return '([^/]+)'; }
+    return part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }).join('');
+  const regex = new RegExp(`^${pattern}$`);
+  return (pathname) => {
+    const m = pathname.match(regex);
+    if (!m) return null;
+    return groups.reduce((out, token, i) => out.replaceAll(token, m[i + 1]), destination);
+  };
+}
+
+function _withHelpers(req, res, query, body) {
+  req.query = query;
+  req.body = body;
+  req.cookies = Object.fromEntries(String(req.headers.cookie || '').split(';').filter(Boolean).map((c) => {
+    const i = c.indexOf('=');
+    return [c.slice(0, i).trim(), decodeURIComponent(c.slice(i + 1).trim())];
+  }));
+  res.status = (code) => { res.statusCode = code; return res; };
+  res.json = (obj) => {
+    if (!res.getHeader('Content-Type')) res.setHeader('Content-Type', 'application/json; charset=utf-8');
+    res.end(JSON.stringify(obj));
+    return res;
+  };
+  res.send = (payload) => {
+    if (payload !== null && typeof payload === 'object' && !Buffer.isBuffer(payload)) return res.json(payload);
+    if (!res.getHeader('Content-Type')) {
+      res.setHeader('Content-Type', Buffer.isBuffer(payload) ? 'application/octet-stream' : 'text/html; charset=utf-8');
+    }
+    res.end(payload ?? '');
+    return res;
+  };
+  res.redirect = (statusOrUrl, maybeUrl) => {
+    const [status, location] = maybeUrl === undefined ? [307, statusOrUrl] : [statusOrUrl, maybeUrl];
+    res.writeHead(status, { Location: location });
+    res.end();
+    return res;
+  };
+}
+
+function _parseNodeBody(req, raw) {
+  if (!raw.length) return undefined;
+  const type = String(req.headers['content-type'] || '');
+  const text = raw.toString('utf8');
+  if (type.includes('application/json')) {
+    try { return JSON.parse(text); } catch { return text; }
+  }
+  if (type.includes('application/x-www-form-urlencoded')) return Object.fromEntries(new URLSearchParams(text));
+  if (type.startsWith('text/')) return text;
+  return raw;
+}
+
+export function createVercel(rootDir) {
+  const config = JSON.parse(readFileSync(path.join(rootDir, 'vercel.json'), 'utf8'));
+  const rewrites = (config.rewrites || []).map(_compileRewrite);
+  const modules = new Map();
+
+  function resolve(pathname) {
+    let target = pathname;
+    for (const rewrite of rewrites) {
+      const out = rewrite(pathname);
+      if (out) { target = out; break; }
+    }
+    const [fnPath, qs = ''] = target.split('?');
+    if (!fnPath.startsWith('/api/') || fnPath.split('/').some(s => s.startsWith('_'))) return null;
+    for (const candidate of [`${fnPath}.js`, `${fnPath}/index.js`]) {
+      const file = path.join(rootDir, candidate);
+      if (existsSync(file)) return { file, rewriteQuery: new URLSearchParams(qs) };
+    }
+    return null;
+  }
+
+  async function load(file) {
+    if (!modules.has(file)) modules.set(file, import(pathToFileURL(file).href));
+    return modules.get(file);
+  }
+
+  /** Returns false when no api/ function matches, so the caller can fall through. */
+  async function handle(req, res, url) {
+    const route = resolve(url.pathname);
+    if (!route) return false;
+
+    const mod = await load(route.file);
+    const handler = mod.default;
+    const params = new URLSearchParams(url.search);
+    for (const [k, v] of route.rewriteQuery) params.set(k, v);
+    const raw = ['GET', 'HEAD'].includes(req.method) ? Buffer.alloc(0) : await readBody(req);
+
+    if (mod.config?.runtime === 'edge') {
+      const target = new URL(url.href);
+      target.search = params.toString();
+      const headers = new Headers();
+      for (const [k, v] of Object.entries(req.headers)) if (v != null) headers.set(k, Array.isArray(v) ? v.join(', ') : v);
+      const response = await handler(new Request(target, { method: req.method, headers, body: raw.length ? raw : undefined }));
+      res.statusCode = response.status;
+      response.headers.forEach((value, key) => res.setHeader(key, value));
+      res.end(Buffer.from(await response.arrayBuffer()));
+      return true;
+    }
+
+    const query = {};
+    for (const [k, v] of params) query[k] = k in query ? [].concat(query[k], v) : v;
+    _withHelpers(req, res, query, _parseNodeBody(req, raw));
+    await handler(req, res);
+    return true;
+  }
+
+  return { handle, resolve };
+}
@@ -2,7 +2,7 @@
 import { test, expect } from '@playwright/test';
 import AxeBuilder from '@axe-core/playwright';
 
-const BASE = 'https://aitrafficja.com';
+const BASE = process.env.BASE_URL || 'https://aitrafficja.com';
 
 test.beforeEach(async ({ page }) => {
   await page.addInitScript(() => localStorage.setItem('wlz.onboarding.done', '1'));
@@ -1,7 +1,7 @@
 // @ts-check
 import { test, expect, request } from '@playwright/test';
 
-const BASE = 'https://aitrafficja.com';
+const BASE = process.env.BASE_URL || 'https://aitrafficja.com';
 
 // ── 1. Health endpoint ────────────────────────────────────────────────────────
 test('GET /api/health returns 200 with JSON', async ({ request }) => {
@@ -11,6 +11,15 @@ test('GET /api/health returns 200 with JSON', async ({ request }) => {
   expect(body).toHaveProperty('status');
 });
 
+test('GET /api/health reports an overall state and per-dependency checks', async ({ request }) => {
+  const res = await request.get(`${BASE}/api/health`);
+  const body = await res.json();
+  expect(['ok', 'degraded', 'down']).toContain(body.state);
+  for (const name of ['railway', 'supabase', 'freshness', 'env', 'hls']) {
+    expect(['ok', 'degraded', 'down']).toContain(body.checks[name].status);
+  }
+});
+
 test('POST /api/health returns 405', async ({ request }) => {
   const res = await request.post(`${BASE}/api/health`);
   expect(res.status()).toBe(405);
@@ -26,8 +35,8 @@ test('GET /api/token returns HMAC token + wss_url', async ({ request }) => {
   expect(body).toHaveProperty('expires_in');
   // Token format: ts.nonce.sig (3 dot-separated parts)
   expect(body.token.split('.').length).toBe(3);
-  // WSS URL should be a websocket URL
-  expect(body.wss_url).toMatch(/^wss:\/\//);
+  // WSS URL should be a websocket URL (plain ws:// only against a local mock backend)
+  expect(body.wss_url).toMatch(BASE.startsWith('https://') ? /^wss:\/\// : /^wss?:\/\//);
   expect(body.expires_in).toBe(300);
 });
 
@@ -133,12 +142,57 @@ test('GET /api/admin/rounds without auth returns 401/403', async ({ request }) =
   expect([401, 403, 405]).toContain(res.status());
 });
 
+test('GET /api/admin/agency without auth returns 401', async ({ request }) => {
+  const res = await request.get(`${BASE}/api/admin/agency`);
+  expect([401, 403]).toContain(res.status());
+});
+
+test('GET /api/admin/audit without auth returns 401', async ({ request }) => {
+  const res = await request.get(`${BASE}/api/admin/audit`);
+  expect([401, 403]).toContain(res.status());
+});
+
+test('GET /api/agency/webhooks without API key returns 401', async ({ request }) => {
+  const res = await request.get(`${BASE}/api/agency/webhooks`);
+  expect(res.status()).toBe(401);
+});
+
+test('GET /api/openapi.json describes the agency and analytics APIs', async ({ request }) => {
+  const res = await request.get(`${BASE}/api/openapi.json`);
+  expect(res.status()).toBe(200);
+  const spec = await res.json();
+  expect(spec.openapi).toMatch(/^3\./);
+  for (const path of ['/api/agency/data', '/api/analytics/traffic', '/api/analytics/data', '/api/analytics/zones']) {
+    expect(spec.paths).toHaveProperty([path]);
+  }
+  expect(spec.components.securitySchemes.ApiKey.name).toBe('x-api-key');
+});
+
+test('proxy routes return the uniform error envelope with a request id', async ({ request }) => {
+  const res = await request.get(`${BASE}/api/bets/place?mode=history`, {
+    headers: { 'x-request-id': 'test-envelope-0001' },
+  });
+  expect(res.status()).toBe(401);
+  expect(res.headers()['x-request-id']).toBe('test-envelope-0001');
+  const body = await res.json();
+  expect(body.error).toBe(body.detail);
+  expect(body.request_id).toBe('test-envelope-0001');
+});
+
 // ── 8. Response headers ───────────────────────────────────────────────────────
 test('/api/health has Content-Type application/json', async ({ request }) => {
   const res = await request.get(`${BASE}/api/health`);
   expect(res.headers()['content-type']).toContain('application/json');
 });
 
+test('/api/token carries RateLimit headers', async ({ request }) => {
+  const res = await request.get(`${BASE}/api/token`);
+  const h = res.headers();
+  expect(Number(h['ratelimit-limit'])).toBeGreaterThan(0);
+  expect(Number(h['ratelimit-remaining'])).toBeGreaterThanOrEqual(0);
+  expect(h['ratelimit-policy']).toMatch(/^\d+;w=\d+$/);
+});
+
 test('/api/token has no-store cache control', async ({ request }) => {
   const res = await request.get(`${BASE}/api/token`);
   expect(res.headers()['cache-control']).toContain('no-store');
@@ -14,7 +14,7 @@
  */
 import { test, expect, request } from '@playwright/test';
 
-const BASE_URL = 'https://aitrafficja.com';
+const BASE_URL = process.env.BASE_URL || 'https://aitrafficja.com';
 
 // ── Global setup ──────────────────────────────────────────────────────────────
 test.beforeEach(async ({ page }) => {
@@ -8,7 +8,7 @@
  */
 import { test, expect } from '@playwright/test';
 
-const BASE = 'https://aitrafficja.com';
+const BASE = process.env.BASE_URL || 'https://aitrafficja.com';
 
 const VIEWPORTS = {
   iphoneSE:  { width: 375, height: 667 },
@@ -1,7 +1,7 @@
 // @ts-check
 import { test, expect } from '@playwright/test';
 
-const BASE = 'https://aitrafficja.com';
+const BASE = process.env.BASE_URL || 'https://aitrafficja.com';
 
 test.beforeEach(async ({ page }) => {
   await page.addInitScript(() => localStorage.setItem('wlz.onboarding.done', '1'));
@@ -1,7 +1,7 @@
 // @ts-check
 import { test, expect } from '@playwright/test';
 
-const BASE = 'https://aitrafficja.com';
+const BASE = process.env.BASE_URL || 'https://aitrafficja.com';
 
 test('HTTPS redirect — HTTP upgrades to HTTPS', async ({ request }) => {
   // Vercel auto-upgrades HTTP → HTTPS
@@ -0,0 +1,154 @@
+import { afterEach, describe, mock, test } from 'node:test';
+import assert from 'node:assert/strict';
+import handler from '../../api/admin/ml.js';
+import { RAILWAY_URL, fakeJwt, invoke, jsonResponse, mockFetch, staffUser, useEnv } from './helpers.js';
+
+useEnv();
+
+let fetchMock;
+afterEach(() => {
+  fetchMock?.restore();
+  mock.restoreAll();
+});
+
+const headers = { authorization: `Bearer ${fakeJwt({ sub: 'staff-1' })}` };
+
+/** Supabase verifies the caller as `role`; Railway answers with `railway(url, call)`. */
+function backend(role, railway = () => ({ ok: true })) {
+  return mockFetch((url, call) => {
+    if (url.endsWith('/auth/v1/user')) return role ? staffUser(role) : jsonResponse({ msg: 'invalid JWT' }, 401);
+    if (url.includes('/rest/v1/admin_audit_log')) return jsonResponse(undefined, 201);
+    if (url.startsWith(RAILWAY_URL)) return railway(url, call);
+    return undefined;
+  });
+}
+
+const railwayCalls = () => fetchMock.to(RAILWAY_URL);
+
+describe('auth', () => {
+  test('401 without a Bearer token', async () => {
+    fetchMock = backend('superadmin');
+    const res = await invoke(handler, { query: { _route: 'jobs' } });
+    assert.equal(res.statusCode, 401);
+    assert.equal(railwayCalls().length, 0);
+  });
+
+  test('401 for a malformed token', async () => {
+    const res = await invoke(handler, { query: { _route: 'jobs' }, headers: { authorization: 'Bearer not-a-jwt' } });
+    assert.equal(res.statusCode, 401);
+    assert.equal(res.body.error, 'Malformed token');
+  });
+
+  test('401 when Supabase rejects the token', async () => {
+    fetchMock = backend(null);
+    const res = await invoke(handler, { query: { _route: 'jobs' }, headers });
+    assert.equal(res.statusCode, 401);
+  });
+
+  test('403 for players and for staff without the ml permission', async () => {
+    for (const role of ['user', 'operator', 'analyst']) {
+      fetchMock = backend(role);
+      const res = await invoke(handler, { query: { _route: 'models' }, headers });
+      assert.equal(res.statusCode, 403, role);
+      assert.equal(railwayCalls().length, 0);
+      fetchMock.restore();
+    }
+  });
+
+  test('ml_engineer is let through', async () => {
+    fetchMock = backend('ml_engineer', () => []);
+    const res = await invoke(handler, { query: { _route: 'models' }, headers });
+    assert.equal(res.statusCode, 200);
+  });
+});
+
+describe('routing', () => {
+  test('404 for an unknown sub-route', async () => {
+    fetchMock = backend('superadmin');
+    const res = await invoke(handler, { query: { _route: 'nonsense' }, headers });
+    assert.equal(res.statusCode, 404);
+    assert.match(res.body.error, /Unknown ML route: nonsense/);
+  });
+
+  test('405 with Allow for a method the sub-route does not take', async () => {
+    fetchMock = backend('superadmin');
+    const res = await invoke(handler, { method: 'POST', query: { _route: 'models' }, headers });
+    assert.equal(res.statusCode, 405);
+    assert.equal(res.headers.allow, 'GET');
+  });
+
+  test('retrain GET only supports diagnostics', async () => {
+    fetchMock = backend('superadmin');
+    const res = await invoke(handler, { query: { _route: 'retrain', action: 'start' }, headers });
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.body.error, 'Unsupported GET action');
+  });
+
+  test('jobs POST picks the training target from action', async () => {
+    fetchMock = backend('superadmin', () => ({ job_id: 'j1' }));
+    for (const [action, path] of [['one-click', '/admin/ml/one-click'], ['train-captures', '/admin/ml/train-captures-async'], ['', '/admin/ml/retrain-async']]) {
+      await invoke(handler, { method: 'POST', query: { _route: 'jobs', action }, headers, body: {} });
+      assert.equal(railwayCalls().at(-1).url, `${RAILWAY_URL}${path}`);
+    }
+  });
+
+  test('training POSTs get the long timeout, reads the route default', async () => {
+    const timeouts = new Map();
+    const timeout = AbortSignal.timeout;
+    mock.method(AbortSignal, 'timeout', (ms) => {
+      const signal = timeout.call(AbortSignal, ms);
+      timeouts.set(signal, ms);
+      return signal;
+    });
+    fetchMock = backend('superadmin', () => ({ job_id: 'j1' }));
+    await invoke(handler, { method: 'POST', query: { _route: 'retrain' }, headers, body: {} });
+    assert.equal(timeouts.get(railwayCalls().at(-1).signal), 280000);
+    await invoke(handler, { query: { _route: 'models' }, headers });
+    assert.equal(timeouts.get(railwayCalls().at(-1).signal), 15000);
+  });
+
+  test('limit params are clamped', async () => {
+    fetchMock = backend('superadmin', () => []);
+    await invoke(handler, { query: { _route: 'capture-status', limit: '-5' }, headers });
+    assert.equal(railwayCalls()[0].url, `${RAILWAY_URL}/admin/ml/capture-status?limit=1`);
+  });
+
+  test('runtime-profile scope=night goes to the night profile', async () => {
+    fetchMock = backend('superadmin', () => ({}));
+    await invoke(handler, { query: { _route: 'runtime-profile', scope: 'NIGHT' }, headers });
+    assert.equal(railwayCalls()[0].url, `${RAILWAY_URL}/admin/ml/night-profile`);
+  });
+});
+
+describe('upstream errors and audit', () => {
+  test('upstream detail is relayed with its status', async () => {
+    fetchMock = backend('superadmin', () => jsonResponse({ detail: 'A training job is already running' }, 409));
+    const res = await invoke(handler, { method: 'POST', query: { _route: 'retrain' }, headers, body: {} });
+    assert.equal(res.statusCode, 409);
+    assert.equal(res.body.error, 'A training job is already running');
+  });
+
+  test('an upstream 503 on a write is not retried', async () => {
+    fetchMock = backend('superadmin', () => jsonResponse({ detail: 'GPU busy' }, 503));
+    const res = await invoke(handler, { method: 'PATCH', query: { _route: 'runtime-profile' }, headers, body: { conf: 0.4 } });
+    assert.equal(res.statusCode, 503);
+    assert.equal(railwayCalls().length, 1);
+  });
+
+  test('writes are audited with the final status', async () => {
+    fetchMock = backend('ml_engineer', () => ({ job_id: 'j2' }));
+    await invoke(handler, { method: 'POST', query: { _route: 'jobs', action: 'one-click' }, headers, body: { epochs: 5 } });
+    const [audit] = fetchMock.to('/rest/v1/admin_audit_log');
+    const row = JSON.parse(audit.body);
+    assert.equal(row.route, '/api/admin/ml');
+    assert.equal(row.action, 'jobs:one-click');
+    assert.equal(row.upstream_status, 200);
+    assert.deepEqual(row.payload, { epochs: 5 });
+  });
+
+  test('reads are not audited', async () => {
+    fetchMock = backend('superadmin', () => []);
+    await invoke(handler, { query: { _route: 'jobs' }, headers });
+    assert.equal(fetchMock.to('/rest/v1/admin_audit_log').length, 0);
+  });
+});
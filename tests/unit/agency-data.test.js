@@ -0,0 +1,256 @@
+import { afterEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import handler from '../../api/agency/data.js';
+import { hashAgencyKey } from '../../api/_lib/agency-auth.js';
+import { PG_MAX_ROWS, invoke, jsonResponse, mockFetch, mockReq, mockRes, pagedTable, useEnv } from './helpers.js';
+
+useEnv();
+
+let fetchMock;
+afterEach(() => fetchMock?.restore());
+
+const RAW_KEY = 'agency-test-key';
+const CAM_A = '00000000-0000-4000-8000-00000000000a';
+const CAM_B = '00000000-0000-4000-8000-00000000000b';
+
+function keyRow(overrides = {}) {
+  return { id: 'key-1', agency: 'nwa', plan: 'standard', rate_limit_day: 100, expires_at: null, scopes: null, ...overrides };
+}
+
+/** Supabase with one agency key; `crossings(url)` answers the vehicle_crossings query. */
+function supabase({ key = keyRow(), hits = 1, crossings = () => [] } = {}) {
+  return mockFetch((url, call) => {
+    if (url.includes('/rest/v1/agency_api_keys') && call.method === 'GET') {
+      return url.includes(hashAgencyKey(RAW_KEY)) && key ? [key] : [];
+    }
+    if (url.includes('/rpc/increment_agency_usage')) return hits;
+    if (url.includes('/rest/v1/vehicle_crossings')) return crossings(url);
+    if (call.method === 'PATCH') return jsonResponse(undefined, 204);
+    return [];
+  });
+}
+
+const get = (query, headers = { 'x-api-key': RAW_KEY }) => invoke(handler, { query, headers });
+const RANGE = { from: '2026-01-01', to: '2026-01-02' };
+
+describe('auth', () => {
+  test('405 for non-GET', async () => {
+    const res = await invoke(handler, { method: 'POST', headers: { 'x-api-key': RAW_KEY } });
+    assert.equal(res.statusCode, 405);
+  });
+
+  test('401 without x-api-key', async () => {
+    const res = await get(RANGE, {});
+    assert.equal(res.statusCode, 401);
+  });
+
+  test('401 for an unknown key', async () => {
+    fetchMock = supabase({ key: null });
+    const res = await get(RANGE);
+    assert.equal(res.statusCode, 401);
+    assert.equal(res.body.error, 'Invalid or inactive API key');
+  });
+
+  test('401 for an expired key', async () => {
+    fetchMock = supabase({ key: keyRow({ expires_at: '2020-01-01T00:00:00Z' }) });
+    const res = await get(RANGE);
+    assert.equal(res.statusCode, 401);
+    assert.equal(res.body.error, 'API key expired');
+  });
+
+  test('502 when the key lookup fails', async () => {
+    fetchMock = mockFetch(() => jsonResponse({ message: 'down' }, 500));
+    const res = await get(RANGE);
+    assert.equal(res.statusCode, 502);
+  });
+
+  test('429 past the daily quota', async () => {
+    fetchMock = supabase({ hits: 101 });
+    const res = await get(RANGE);
+    assert.equal(res.statusCode, 429);
+    assert.match(res.body.resets_at, /T00:00:00Z$/);
+  });
+});
+
+describe('params', () => {
+  for (const [name, query, pattern] of [
+    ['from and to are required', { from: '2026-01-01' }, /from and to/],
+    ['unknown format', { ...RANGE, format: 'xml' }, /format must be one of/],
+    ['unknown aggregate', { ...RANGE, aggregate: 'minute' }, /aggregate must be/],
+    ['unknown group_by', { ...RANGE, aggregate: 'day', group_by: 'weather' }, /group_by must be/],
+    ['group_by without aggregate', { ...RANGE, group_by: 'class' }, /group_by requires aggregate/],
+    ['geojson with aggregate', { ...RANGE, aggregate: 'day', format: 'geojson' }, /geojson is only available/],
+    ['unknown field', { ...RANGE, fields: 'plate_number' }, /Unknown field/],
+    ['malformed cursor', { ...RANGE, cursor: '%%%' }, /Invalid cursor/],
+  ]) {
+    test(`400: ${name}`, async () => {
+      fetchMock = supabase();
+      const res = await get(query);
+      assert.equal(res.statusCode, 400);
+      assert.match(res.body.error, pattern);
+      assert.equal(fetchMock.to('/rest/v1/vehicle_crossings').length, 0);
+    });
+  }
+});
+
+describe('date guards', () => {
+  test('rejects unparseable dates', async () => {
+    fetchMock = supabase();
+    const res = await get({ from: 'soon', to: '2026-01-02' });
+    assert.equal(res.statusCode, 400);
+    assert.match(res.body.error, /Invalid date format/);
+  });
+
+  test('rejects from after to', async () => {
+    fetchMock = supabase();
+    const res = await get({ from: '2026-02-01', to: '2026-01-01' });
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.body.error, 'from must be before to');
+  });
+
+  test('rejects ranges over the limit', async () => {
+    fetchMock = supabase();
+    const res = await get({ from: '2025-01-01', to: '2026-01-01' });
+    assert.equal(res.statusCode, 400);
+    assert.match(res.body.error, /Date range exceeds 90-day limit/);
+  });
+});
+
+describe('scopes', () => {
+  test('403 for a camera outside the key scope', async () => {
+    fetchMock = supabase({ key: keyRow({ scopes: { camera_ids: [CAM_A] } }) });
+    const res = await get({ ...RANGE, camera_id: CAM_B });
+    assert.equal(res.statusCode, 403);
+  });
+
+  test('403 for a field outside the key scope', async () => {
+    fetchMock = supabase({ key: keyRow({ scopes: { fields: ['captured_at', 'vehicle_class'] } }) });
+    const res = await get({ ...RANGE, fields: 'confidence' });
+    assert.equal(res.statusCode, 403);
+  });
+
+  test('limits the query to the scoped cameras and classes', async () => {
+    fetchMock = supabase({ key: keyRow({ scopes: { camera_ids: [CAM_A], vehicle_classes: ['bus'] } }) });
+    const res = await get(RANGE);
+    assert.equal(res.statusCode, 200);
+    const [query] = fetchMock.to('/rest/v1/vehicle_crossings');
+    assert.match(query.url, /vehicle_class=in\.\(bus\)/);
+    assert.match(query.url, new RegExp(`camera_id=in\\.\\(${CAM_A}\\)`));
+  });
+});
+
+describe('pagination', () => {
+  test('a page larger than the PostgREST row cap is read in 1000-row chunks', async () => {
+    fetchMock = supabase({ crossings: pagedTable(2500) });
+    const res = await get(RANGE);
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.total, 2500);
+    assert.equal(res.body.has_more, false);
+    assert.equal(res.body.next, null);
+    assert.ok(fetchMock.to('/rest/v1/vehicle_crossings').every(c => Number(c.url.match(/limit=(\d+)/)[1]) <= PG_MAX_ROWS));
+  });
+
+  test('a range past the page size says so and resumes from the cursor', async () => {
+    fetchMock = supabase({ crossings: pagedTable(2500) });
+    const first = await get({ ...RANGE, limit: '1500' });
+    assert.equal(first.body.total, 1500);
+    assert.equal(first.body.has_more, true);
+    assert.equal(first.headers['x-next-cursor'], first.body.next);
+    assert.equal(first.body.rows.at(-1).track_id, 't1500');
+    const second = await get({ ...RANGE, limit: '1500', cursor: first.body.next });
+    assert.equal(second.body.total, 1000);
+    assert.equal(second.body.rows[0].track_id, 't1501');
+    assert.equal(second.body.has_more, false);
+  });
+
+  test('an ndjson page is written chunk by chunk, with its cursor sent up front', async () => {
+    const res = mockRes();
+    const writtenAtFetch = [];
+    const table = pagedTable(2500);
+    fetchMock = supabase({ crossings: (url) => { writtenAtFetch.push(res.chunks.length); return table(url); } });
+    await handler(mockReq({ query: { ...RANGE, limit: '1500', format: 'ndjson' }, headers: { 'x-api-key': RAW_KEY } }), res);
+    const lines = res.text.trim().split('\n').map(l => JSON.parse(l));
+    assert.equal(lines.length, 1500);
+    assert.equal(lines.at(-1).track_id, 't1500');
+    assert.equal(res.headers['x-has-more'], 'true');
+    const resumed = await get({ ...RANGE, limit: '1500', cursor: res.headers['x-next-cursor'] });
+    assert.equal(resumed.body.rows[0].track_id, 't1501');
+    assert.deepEqual(writtenAtFetch.slice(0, 3), [0, 0, 1000]);   // probe, first chunk, then the second after it is out
+    assert.ok(fetchMock.to('/rest/v1/vehicle_crossings').every(c => Number(c.url.match(/limit=(\d+)/)[1]) <= PG_MAX_ROWS));
+  });
+
+  test('a page that ends exactly on a chunk boundary checks for one more row', async () => {
+    fetchMock = supabase({ crossings: pagedTable(1000) });
+    const res = await get({ ...RANGE, limit: '1000' });
+    assert.equal(res.body.total, 1000);
+    assert.equal(res.body.has_more, false);
+  });
+
+  test('the class × direction cross-tab reads the whole range in chunks', async () => {
+    const direction = (id) => ({ direction: id % 2 ? 'in' : 'out' });
+    fetchMock = supabase({ crossings: pagedTable(2500, direction) });
+    const res = await get({ ...RANGE, aggregate: 'day', group_by: 'class,direction' });
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(res.body.rows, [
+      { period: '2026-01-01', vehicle_class: 'car', direction: 'in', count: 1250 },
+      { period: '2026-01-01', vehicle_class: 'car', direction: 'out', count: 1250 },
+    ]);
+    const reads = fetchMock.to('/rest/v1/vehicle_crossings').filter(c => c.url.includes('order=captured_at'));
+    assert.equal(reads.length, 3);
+    assert.ok(reads.every(c => Number(c.url.match(/limit=(\d+)/)[1]) <= PG_MAX_ROWS));
+  });
+});
+
+describe('output', () => {
+  const ROWS = [
+    { id: 1, captured_at: '2026-01-01T10:00:00Z', track_id: 't1', vehicle_class: 'car', direction: '=cmd|"/c calc"!A1' },
+    { id: 2, captured_at: '2026-01-01T10:00:01Z', track_id: 't1', vehicle_class: 'car', direction: 'in' },
+    { id: 3, captured_at: '2026-01-01T10:00:02Z', track_id: '@t2', vehicle_class: 'bus', direction: '-out' },
+  ];
+
+  test('CSV cells starting with formula characters are prefixed', async () => {
+    fetchMock = supabase({ crossings: () => ROWS });
+    const res = await get({ ...RANGE, format: 'csv', fields: 'vehicle_class,direction,track_id' });
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(res.text.split('\n'), [
+      'timestamp,vehicle_class,direction,track_id',
+      `2026-01-01T10:00:00Z,car,'=cmd|"/c calc"!A1,t1`,
+      `2026-01-01T10:00:02Z,bus,'-out,'@t2`,
+    ]);
+  });
+
+  test('JSON dedups by track_id and reports quota headers', async () => {
+    fetchMock = supabase({ hits: 40, crossings: () => ROWS });
+    const res = await get(RANGE);
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.total, 2);
+    assert.deepEqual(res.body.class_totals, { car: 1, truck: 0, bus: 1, motorcycle: 0 });
+    assert.equal(res.headers['x-ratelimit-remaining'], '60');
+  });
+
+  test('ndjson streams one object per line', async () => {
+    fetchMock = supabase({ crossings: () => ROWS });
+    const res = await get({ ...RANGE, format: 'ndjson' });
+    assert.match(res.headers['content-type'], /application\/x-ndjson/);
+    assert.equal(res.text.trim().split('\n').length, 2);
+  });
+
+  test('ndjson writes each row on its own and waits for the socket to drain', async () => {
+    fetchMock = supabase({ crossings: () => ROWS });
+    const res = mockRes();
+    let drains = 0;
+    res.write = (chunk) => { res.chunks.push(String(chunk)); return false; };
+    res.once = (event, fn) => { assert.equal(event, 'drain'); drains++; setImmediate(fn); };
+    await handler(mockReq({ query: { ...RANGE, format: 'ndjson' }, headers: { 'x-api-key': RAW_KEY } }), res);
+    assert.deepEqual(res.chunks.map(c => JSON.parse(c).direction), ['=cmd|"/c calc"!A1', '-out']);
+    assert.equal(drains, 2);
+    assert.equal(res.ended, true);
+  });
+
+  test('maps a Supabase error to 502', async () => {
+    fetchMock = supabase({ crossings: () => jsonResponse({ message: 'timeout' }, 500) });
+    const res = await get(RANGE);
+    assert.equal(res.statusCode, 502);
+    assert.equal(res.body.error, 'Data query failed');
+  });
+});
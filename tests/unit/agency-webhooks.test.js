@@ -0,0 +1,252 @@
+import { afterEach, describe, mock, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHmac } from 'crypto';
+import dns from 'dns';
+import handler from '../../api/agency/webhooks.js';
+import dailyBackfill from '../../api/cron/daily-backfill.js';
+import webhooksCron from '../../api/cron/webhooks.js';
+import { hashAgencyKey } from '../../api/_lib/agency-auth.js';
+import { MAX_ATTEMPTS, attemptDelivery, hourMetrics, isPrivateAddress, signPayload } from '../../api/_lib/webhooks.js';
+import { resolveScope } from '../../api/_lib/agency-scopes.js';
+import { PG_MAX_ROWS, RAILWAY_URL, SUPABASE_URL, invoke, jsonResponse, mockFetch, pagedTable, useEnv } from './helpers.js';
+
+useEnv();
+
+let fetchMock;
+afterEach(() => {
+  fetchMock?.restore();
+  mock.restoreAll();
+});
+
+const RAW_KEY = 'agency-test-key';
+const HOOK_URL = 'https://hooks.example.test/traffic';
+
+/** Resolve every hostname to `addresses`. */
+function resolveTo(...addresses) {
+  return mock.method(dns.promises, 'lookup', async () => addresses.map(address => ({ address, family: address.includes(':') ? 6 : 4 })));
+}
+
+/** Supabase with one agency key (with `scopes`) and no webhooks yet; inserts echo back. */
+function supabase(scopes = null) {
+  return mockFetch((url, call) => {
+    if (url.includes('/rest/v1/agency_api_keys')) {
+      return url.includes(hashAgencyKey(RAW_KEY)) ? [{ id: 'key-1', agency: 'nwa', expires_at: null, scopes }] : [];
+    }
+    if (url.includes('/rest/v1/agency_webhooks') && call.method === 'POST') {
+      const { url: target, events } = JSON.parse(call.body);
+      return jsonResponse([{ id: 'hook-1', url: target, events }], 201);
+    }
+    return [];
+  });
+}
+
+const register = (url, extra = {}) => invoke(handler, { method: 'POST', headers: { 'x-api-key': RAW_KEY }, body: { url, ...extra } });
+const inserts = () => fetchMock.to('/rest/v1/agency_webhooks').filter(c => c.method === 'POST');
+
+describe('registration', () => {
+  test('accepts a public https target', async () => {
+    fetchMock = supabase();
+    resolveTo('93.184.216.34');
+    const res = await register(HOOK_URL);
+    assert.equal(res.statusCode, 201);
+    assert.equal(res.body.webhook.url, HOOK_URL);
+    assert.match(res.body.secret, /^whsec_/);
+  });
+
+  for (const url of [
+    'https://127.0.0.1/hook', 'https://10.0.0.8/hook', 'https://169.254.169.254/latest/meta-data',
+    'https://[::1]/hook', 'https://[::ffff:192.168.0.1]/hook', 'https://localhost/hook',
+    'https://metadata.google.internal/hook', 'https://intranet/hook', 'http://hooks.example.test/hook',
+  ]) {
+    test(`refuses ${url}`, async () => {
+      fetchMock = supabase();
+      const lookup = resolveTo('93.184.216.34');
+      const res = await register(url);
+      assert.equal(res.statusCode, 400);
+      assert.equal(inserts().length, 0);
+      assert.equal(lookup.mock.callCount(), 0);
+    });
+  }
+
+  test('refuses a hostname that resolves to a private address', async () => {
+    fetchMock = supabase();
+    resolveTo('93.184.216.34', '10.0.0.5');
+    const res = await register(HOOK_URL);
+    assert.equal(res.statusCode, 400);
+    assert.match(res.body.error, /private or internal address/);
+    assert.equal(inserts().length, 0);
+  });
+
+  test('refuses a hostname that does not resolve', async () => {
+    fetchMock = supabase();
+    mock.method(dns.promises, 'lookup', async () => { throw Object.assign(new Error('not found'), { code: 'ENOTFOUND' }); });
+    const res = await register(HOOK_URL);
+    assert.equal(res.statusCode, 400);
+    assert.match(res.body.error, /Could not resolve hooks\.example\.test \(ENOTFOUND\)/);
+  });
+});
+
+describe('scopes', () => {
+  const threshold = (metric) => ({ events: ['threshold'], thresholds: [{ metric, op: 'gt', value: 10 }] });
+
+  test('thresholds on classes outside the key\'s scope are refused', async () => {
+    fetchMock = supabase({ vehicle_classes: ['car', 'truck'] });
+    resolveTo('93.184.216.34');
+    let res = await register(HOOK_URL, threshold('bus_share_pct'));
+    assert.equal(res.statusCode, 403);
+    assert.equal(res.body.error, 'threshold metric \'bus_share_pct\' is outside this key\'s scope');
+    res = await register(HOOK_URL, threshold('heavy_share_pct'));
+    assert.equal(res.statusCode, 403);
+    res = await register(HOOK_URL, threshold('truck_share_pct'));
+    assert.equal(res.statusCode, 201);
+    assert.equal(inserts().length, 1);
+  });
+
+  test('share thresholds need the vehicle_class field', async () => {
+    fetchMock = supabase({ fields: ['captured_at', 'direction'] });
+    resolveTo('93.184.216.34');
+    assert.equal((await register(HOOK_URL, threshold('truck_share_pct'))).statusCode, 403);
+    assert.equal((await register(HOOK_URL, threshold('total'))).statusCode, 201);
+  });
+
+  test('hourMetrics covers only the scope\'s classes', () => {
+    const counts = { total: 10, car: 4, truck: 1, bus: 5, motorcycle: 0 };
+    assert.deepEqual(hourMetrics(counts), { total: 10, truck_share_pct: 10, bus_share_pct: 50, heavy_share_pct: 60 });
+    assert.deepEqual(hourMetrics(counts, resolveScope({ vehicle_classes: ['car', 'truck'] }, {})), { total: 5, truck_share_pct: 20 });
+    assert.deepEqual(hourMetrics(counts, resolveScope({ fields: ['direction'] }, {})), { total: 10 });
+  });
+});
+
+// ── cron payloads ────────────────────────────────────────────────────────────
+
+describe('cron payloads follow the key scope', () => {
+  useEnv({ CRON_SECRET: 'cron-secret', ADMIN_SECRET: 'admin-secret' });
+  const CAM_A = '00000000-0000-4000-8000-00000000000a';
+  const CAM_B = '00000000-0000-4000-8000-00000000000b';
+  const SCOPES = { camera_ids: [CAM_A], vehicle_classes: ['car', 'truck'], fields: ['vehicle_class'] };
+  const cron = (fn) => invoke(fn, { headers: { authorization: 'Bearer cron-secret' } });
+
+  /** One webhook on a key with SCOPES; `rows(url)` answers the data queries; deliveries succeed. */
+  function backend(thresholds, rows) {
+    resolveTo('93.184.216.34');
+    fetchMock = mockFetch((url, call) => {
+      if (url.startsWith(HOOK_URL)) return {};
+      if (url.startsWith(RAILWAY_URL)) return { ok: true };
+      if (url.includes('/rest/v1/agency_webhooks?')) {
+        return [{ id: 'hook-1', agency: 'nwa', url: HOOK_URL, secret: 'whsec_test', thresholds,
+          agency_api_keys: { active: true, expires_at: null, scopes: SCOPES } }];
+      }
+      if (url.includes('/rest/v1/agency_webhook_deliveries?select=')) {
+        return JSON.parse(call.body).map((d, i) => ({ id: `del-${i}`, attempts: 0, ...d }));
+      }
+      if (url.includes('/rest/v1/agency_webhook_deliveries')) return call.method === 'PATCH' ? {} : [];
+      return rows(url);
+    });
+  }
+  const payloads = () => fetchMock.to(HOOK_URL).map(c => JSON.parse(c.body));
+
+  test('daily_summary carries only the scoped cameras and class counts', async () => {
+    const day = (camera_id) => ({ camera_id, total_crossings: 10, car_count: 4, truck_count: 1, bus_count: 5,
+      motorcycle_count: 0, count_in: 6, count_out: 4, peak_hour: 8, avg_speed_kmh: 40 });
+    backend([], () => [day(CAM_A), day(CAM_B)]);
+    const res = await cron(dailyBackfill);
+    assert.equal(res.statusCode, 200);
+    const [summary] = payloads();
+    assert.deepEqual(summary.cameras, [{ camera_id: CAM_A, total: 5, car: 4, truck: 1 }]);
+  });
+
+  test('thresholds are evaluated on the scoped metrics only', async () => {
+    const crossings = [
+      ...[1, 2].map(n => ({ camera_id: CAM_A, vehicle_class: 'car', track_id: n })),
+      { camera_id: CAM_A, vehicle_class: 'truck', track_id: 3 },
+      ...[4, 5, 6].map(n => ({ camera_id: CAM_A, vehicle_class: 'bus', track_id: n })),
+      ...[7, 8, 9].map(n => ({ camera_id: CAM_B, vehicle_class: 'car', track_id: n })),
+    ];
+    backend([{ metric: 'total', op: 'gt', value: 2 }, { metric: 'bus_share_pct', op: 'gt', value: 0 }], () => crossings);
+    const res = await cron(webhooksCron);
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.thresholds.queued, 1);
+    const [event] = payloads();
+    assert.equal(event.camera_id, CAM_A);
+    assert.equal(event.observed, 3);
+    assert.deepEqual(event.metrics, { total: 3, truck_share_pct: 33.3 });
+  });
+
+  test('the hour is read in keyset chunks past the PostgREST cap', async () => {
+    backend([{ metric: 'total', op: 'gt', value: 2000 }], pagedTable(2500, () => ({ camera_id: CAM_A })));
+    const res = await cron(webhooksCron);
+    assert.equal(res.body.thresholds.queued, 1);
+    assert.equal(payloads()[0].observed, 2500);
+    const reads = fetchMock.to('/rest/v1/vehicle_crossings');
+    assert.equal(reads.length, 3);
+    assert.ok(reads.every(c => Number(new URL(c.url).searchParams.get('limit')) <= PG_MAX_ROWS));
+  });
+});
+
+test('isPrivateAddress covers the internal ranges and leaves public ones', () => {
+  for (const ip of ['127.0.0.1', '0.0.0.0', '10.1.2.3', '100.64.0.1', '169.254.169.254', '172.31.255.255',
+    '192.168.1.1', '224.0.0.1', '::', '::1', 'fe80::1', 'fd00:ec2::254', '::ffff:7f00:1', '64:ff9b::a00:1']) {
+    assert.equal(isPrivateAddress(ip), true, ip);
+  }
+  for (const ip of ['8.8.8.8', '172.32.0.1', '93.184.216.34', '2606:4700::1111', '::ffff:8.8.8.8']) {
+    assert.equal(isPrivateAddress(ip), false, ip);
+  }
+});
+
+// ── delivery ─────────────────────────────────────────────────────────────────
+
+describe('delivery', () => {
+  const HEADERS = { apikey: 'service-key' };
+  const WEBHOOK = { url: HOOK_URL, secret: 'whsec_test' };
+  const delivery = (attempts = 0) => ({ id: 'del-1', event: 'daily_summary', payload: { date: '2026-03-01', rows: [] }, attempts });
+
+  /** Target answers with `status`; returns the recorded PATCH of the delivery row. */
+  async function deliver(status, attempts = 0) {
+    fetchMock = mockFetch((url) => (url.startsWith(HOOK_URL) ? jsonResponse({}, status) : jsonResponse(undefined, 204)));
+    const result = await attemptDelivery(SUPABASE_URL, HEADERS, delivery(attempts), WEBHOOK);
+    const [patch] = fetchMock.to('/rest/v1/agency_webhook_deliveries?id=eq.del-1');
+    return { result, patch: JSON.parse(patch.body), post: fetchMock.to(HOOK_URL)[0] };
+  }
+
+  test('signs the raw body with the webhook secret', async () => {
+    resolveTo('93.184.216.34');
+    const { result, patch, post } = await deliver(200);
+    assert.equal(result, 'delivered');
+    assert.equal(patch.status, 'delivered');
+    assert.equal(post.headers['X-Whitelinez-Delivery'], 'del-1');
+    const [, ts, sig] = post.headers['X-Whitelinez-Signature'].match(/^t=(\d+),v1=([0-9a-f]{64})$/);
+    assert.equal(sig, createHmac('sha256', WEBHOOK.secret).update(`${ts}.${post.body}`).digest('hex'));
+    assert.equal(signPayload(WEBHOOK.secret, post.body, Number(ts)), post.headers['X-Whitelinez-Signature']);
+  });
+
+  test('a failure stays pending with exponential backoff', async () => {
+    resolveTo('93.184.216.34');
+    const before = Date.now();
+    const first = await deliver(500, 0);
+    assert.equal(first.result, 'pending');
+    assert.equal(first.patch.last_error, 'HTTP 500');
+    const hours = (iso) => Math.round((Date.parse(iso) - before) / 3600000);
+    assert.equal(hours(first.patch.next_attempt_at), 1);
+    fetchMock.restore();
+    const third = await deliver(503, 2);
+    assert.equal(third.patch.attempts, 3);
+    assert.equal(hours(third.patch.next_attempt_at), 4);
+  });
+
+  test('the last attempt marks the delivery failed', async () => {
+    resolveTo('93.184.216.34');
+    const { result, patch } = await deliver(500, MAX_ATTEMPTS - 1);
+    assert.equal(result, 'failed');
+    assert.equal(patch.next_attempt_at, null);
+  });
+
+  test('a target re-pointed at an internal address fails without a request', async () => {
+    resolveTo('169.254.169.254');
+    fetchMock = mockFetch(() => jsonResponse(undefined, 204));
+    const result = await attemptDelivery(SUPABASE_URL, HEADERS, delivery(0), WEBHOOK);
+    assert.equal(result, 'failed');
+    assert.equal(fetchMock.to(HOOK_URL).length, 0);
+    const patch = JSON.parse(fetchMock.to('/rest/v1/agency_webhook_deliveries')[0].body);
+    assert.match(patch.last_error, /private or internal address/);
+  });
+});
@@ -0,0 +1,589 @@
+import { afterEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import handler from '../../api/analytics/index.js';
+import { buildForecast } from '../../api/_lib/traffic-forecast.js';
+import { fakeJwt, invoke, jsonResponse, mockFetch, pagedTable, staffUser, useEnv } from './helpers.js';
+
+useEnv();
+
+let fetchMock;
+afterEach(() => fetchMock?.restore());
+
+const ADMIN_AUTH = { authorization: `Bearer ${fakeJwt()}` };
+
+/** Supabase answers /auth/v1/user with `role`; everything else goes to `rest`. */
+function supabaseAs(role, rest = () => undefined) {
+  return mockFetch((url, call) => {
+    if (url.endsWith('/auth/v1/user')) return role ? staffUser(role) : jsonResponse({ msg: 'bad jwt' }, 401);
+    if (url.includes('/rest/v1/admin_audit_log')) return jsonResponse(undefined, 201);
+    return rest(url, call);
+  });
+}
+
+test('unknown route → 404', async () => {
+  const res = await invoke(handler, { query: { _route: 'nope' } });
+  assert.equal(res.statusCode, 404);
+  assert.match(res.body.error, /Unknown analytics route: nope/);
+});
+
+// ── traffic ──────────────────────────────────────────────────────────────────
+
+describe('/api/analytics/traffic', () => {
+  test('rejects non-GET', async () => {
+    const res = await invoke(handler, { method: 'POST', query: { _route: 'traffic' } });
+    assert.equal(res.statusCode, 405);
+  });
+
+  test('rejects unparseable from/to', async () => {
+    fetchMock = mockFetch();
+    const res = await invoke(handler, { query: { _route: 'traffic', from: 'yesterday-ish' } });
+    assert.equal(res.statusCode, 400);
+    assert.match(res.body.error, /Invalid date format/);
+    assert.equal(fetchMock.calls.length, 0);
+  });
+
+  test('500 when Supabase env is missing', async () => {
+    delete process.env.SUPABASE_SERVICE_ROLE_KEY;
+    const res = await invoke(handler, { query: { _route: 'traffic' } });
+    assert.equal(res.statusCode, 500);
+    assert.equal(res.body.error, 'Server misconfiguration');
+  });
+
+  test('clamps hours to one year', async () => {
+    fetchMock = mockFetch(() => []);
+    const res = await invoke(handler, { query: { _route: 'traffic', hours: '999999' } });
+    assert.equal(res.statusCode, 200);
+    const span = Date.parse(res.body.summary.to) - Date.parse(res.body.summary.from);
+    assert.ok(Math.abs(span - 8760 * 3600 * 1000) < 5000);
+  });
+
+  test('sums class totals over the series', async () => {
+    fetchMock = mockFetch((url) => {
+      if (url.includes('/rpc/analytics_traffic_hourly')) {
+        return [
+          { hour: '2026-01-01T10:00:00Z', total: 3, car: 2, truck: 1, bus: 0, motorcycle: 0 },
+          { hour: '2026-01-01T11:00:00Z', total: 5, car: 4, truck: 0, bus: 1, motorcycle: 0 },
+        ];
+      }
+      return [];
+    });
+    const res = await invoke(handler, { query: { _route: 'traffic', from: '2026-01-01', to: '2026-01-02' } });
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.summary.period_total, 8);
+    assert.deepEqual(res.body.summary.class_totals, { car: 6, truck: 1, bus: 1, motorcycle: 0 });
+    assert.equal(res.body.summary.peak_value, 5);
+  });
+
+  test('maps a network failure to 502', async () => {
+    fetchMock = mockFetch(() => { throw new TypeError('fetch failed'); });
+    const res = await invoke(handler, { query: { _route: 'traffic' } });
+    assert.equal(res.statusCode, 502);
+    assert.equal(res.body.error, 'Analytics query failed');
+  });
+});
+
+// ── traffic: camera_ids comparison ──────────────────────────────────────────
+
+describe('/api/analytics/traffic?camera_ids=', () => {
+  const CAM_A = '00000000-0000-4000-8000-00000000000a';
+  const CAM_B = '00000000-0000-4000-8000-00000000000b';
+  const compare = (query) => invoke(handler, { query: { _route: 'traffic', from: '2026-01-01', to: '2026-01-02', ...query } });
+
+  /** Cameras A and B, stored as the "Hope Road" corridor; the hourly RPC answers per p_camera_id. */
+  function twoCameras(hourly = {}) {
+    return mockFetch((url, call) => {
+      if (url.includes('/rest/v1/traffic_corridors')) {
+        return url.includes('name=eq.Hope%20Road') ? [{ camera_ids: [CAM_A, CAM_B, CAM_A] }] : [];
+      }
+      if (url.includes('/rest/v1/cameras')) return [{ id: CAM_A, name: 'Junction A' }, { id: CAM_B, name: 'Junction B' }];
+      if (url.includes('/rpc/analytics_traffic_hourly')) return hourly[JSON.parse(call.body).p_camera_id] || [];
+      return [];
+    });
+  }
+
+  test('rejects combining camera_id and camera_ids', async () => {
+    fetchMock = mockFetch();
+    const res = await compare({ camera_id: CAM_A, camera_ids: CAM_B });
+    assert.equal(res.statusCode, 400);
+    assert.match(res.body.error, /not both/);
+    assert.equal(fetchMock.calls.length, 0);
+  });
+
+  test('rejects non-UUID ids and too many cameras', async () => {
+    fetchMock = mockFetch();
+    let res = await compare({ camera_ids: `${CAM_A},c1` });
+    assert.equal(res.statusCode, 400);
+    const many = Array.from({ length: 9 }, (_, i) => `00000000-0000-4000-8000-00000000010${i}`).join(',');
+    res = await compare({ camera_ids: many });
+    assert.equal(res.statusCode, 400);
+    assert.match(res.body.error, /at most 8/);
+    assert.equal(fetchMock.calls.length, 0);
+  });
+
+  test('400 for a camera that does not exist', async () => {
+    fetchMock = mockFetch((url) => (url.includes('/rest/v1/cameras') ? [{ id: CAM_A, name: 'Junction A' }] : []));
+    const res = await compare({ camera_ids: `${CAM_A},${CAM_B}` });
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.body.error, `Unknown camera_id: ${CAM_B}`);
+  });
+
+  test('aligns per-camera series and sums the corridor', async () => {
+    fetchMock = twoCameras({
+      [CAM_A]: [
+        { hour: '2026-01-01T10:00:00+00:00', total: 3, car: 3, truck: 0, bus: 0, motorcycle: 0 },
+        { hour: '2026-01-01T11:00:00+00:00', total: 1, car: 0, truck: 1, bus: 0, motorcycle: 0 },
+      ],
+      [CAM_B]: [
+        { hour: '2026-01-01T11:00:00+00:00', total: 4, car: 2, truck: 0, bus: 2, motorcycle: 0 },
+      ],
+    });
+    const res = await compare({ camera_ids: `${CAM_A},${CAM_B}` });
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(res.body.periods, ['2026-01-01T10:00:00Z', '2026-01-01T11:00:00Z']);
+
+    const [a, b] = res.body.cameras;
+    assert.equal(a.name, 'Junction A');
+    assert.deepEqual(a.rows.map(r => r.total), [3, 1]);
+    assert.deepEqual(b.rows.map(r => r.total), [0, 4]);
+    assert.equal(b.summary.period_total, 4);
+
+    assert.equal(res.body.corridor.name, null);
+    assert.deepEqual(res.body.corridor.camera_ids, [CAM_A, CAM_B]);
+    assert.deepEqual(res.body.corridor.rows.map(r => r.total), [3, 5]);
+    assert.equal(res.body.corridor.summary.period_total, 8);
+    assert.deepEqual(res.body.corridor.summary.class_totals, { car: 5, truck: 1, bus: 2, motorcycle: 0 });
+    assert.equal(res.body.corridor.summary.peak_period, '2026-01-01T11:00:00Z');
+  });
+
+  test('corridor=<name> compares the stored camera set', async () => {
+    fetchMock = twoCameras({
+      [CAM_B]: [{ hour: '2026-01-01T11:00:00+00:00', total: 4, car: 2, truck: 0, bus: 2, motorcycle: 0 }],
+    });
+    const res = await compare({ corridor: ' Hope Road ' });
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.corridor.name, 'Hope Road');
+    assert.deepEqual(res.body.corridor.camera_ids, [CAM_A, CAM_B]);
+    assert.deepEqual(res.body.cameras.map(c => c.name), ['Junction A', 'Junction B']);
+    assert.equal(res.body.corridor.summary.period_total, 4);
+  });
+
+  test('404 for an unknown corridor', async () => {
+    fetchMock = twoCameras();
+    const res = await compare({ corridor: 'Nowhere Lane' });
+    assert.equal(res.statusCode, 404);
+    assert.equal(res.body.error, 'Unknown corridor: Nowhere Lane');
+    assert.equal(fetchMock.to('/rpc/analytics_traffic_hourly').length, 0);
+  });
+
+  test('rejects combining corridor with camera ids or a comparison', async () => {
+    fetchMock = mockFetch();
+    for (const query of [{ camera_ids: CAM_A }, { camera_id: CAM_A }, { compare: 'previous' }]) {
+      const res = await compare({ corridor: 'Hope Road', ...query });
+      assert.equal(res.statusCode, 400, JSON.stringify(query));
+    }
+    assert.equal(fetchMock.calls.length, 0);
+  });
+
+  test('maps a cameras lookup failure to 502', async () => {
+    fetchMock = mockFetch(() => jsonResponse({ message: 'boom' }, 500));
+    const res = await compare({ camera_ids: CAM_A });
+    assert.equal(res.statusCode, 502);
+    assert.equal(res.body.error, 'Analytics query failed');
+  });
+});
+
+// ── traffic: compare + anomalies ─────────────────────────────────────────────
+
+describe('/api/analytics/traffic?compare=', () => {
+  /** traffic_daily answering its date=gte/lte filters from `totals` (date → total). */
+  function dailyTable(totals) {
+    return mockFetch((url) => {
+      if (!url.includes('/rest/v1/traffic_daily?date=')) return [];
+      const [, gte] = url.match(/date=gte\.([\d-]+)/);
+      const [, lte] = url.match(/date=lte\.([\d-]+)/);
+      return Object.entries(totals)
+        .filter(([d]) => d >= gte && d <= lte)
+        .map(([date, total]) => ({ date, total_crossings: total, car_count: total }));
+    });
+  }
+
+  /** Eight weeks before 2026-03-02 alternating 90 / 110 per weekday (mean 100, std 10), then the window. */
+  function history(current) {
+    const totals = {};
+    for (let d = Date.parse('2026-01-05'); d < Date.parse('2026-03-02'); d += 86400000) {
+      const week = Math.floor((d - Date.parse('2026-01-05')) / (7 * 86400000));
+      totals[new Date(d).toISOString().slice(0, 10)] = week % 2 ? 110 : 90;
+    }
+    return { ...totals, ...current };
+  }
+
+  const daily = (query) => invoke(handler, {
+    query: { _route: 'traffic', granularity: 'day', from: '2026-03-02', to: '2026-03-04', ...query },
+  });
+
+  test('rejects an unknown compare mode and an out-of-range sigma', async () => {
+    fetchMock = mockFetch();
+    let res = await daily({ compare: 'yesterday' });
+    assert.equal(res.statusCode, 400);
+    assert.match(res.body.error, /compare must be one of/);
+    res = await daily({ sigma: '0.2' });
+    assert.equal(res.statusCode, 400);
+    assert.match(res.body.error, /sigma must be between 1 and 5/);
+    assert.equal(fetchMock.calls.length, 0);
+  });
+
+  test('compare is not combinable with camera_ids', async () => {
+    fetchMock = mockFetch();
+    const res = await daily({ compare: 'previous', camera_ids: '00000000-0000-4000-8000-00000000000a' });
+    assert.equal(res.statusCode, 400);
+  });
+
+  test('aligns the same weekday last week and returns deltas', async () => {
+    fetchMock = dailyTable(history({ '2026-03-02': 150, '2026-03-03': 105 }));
+    const res = await daily({ compare: 'same_weekday_last_week' });
+    assert.equal(res.statusCode, 200);
+    const { compare } = res.body;
+    assert.equal(compare.mode, 'same_weekday_last_week');
+    assert.deepEqual(compare.rows.map(r => r.compare_period), ['2026-02-23', '2026-02-24']);
+    assert.deepEqual(compare.deltas.map(d => d.delta), [40, -5]);
+    assert.equal(compare.summary.period_total, 220);
+    assert.equal(compare.delta_total, 35);
+    assert.equal(compare.delta_pct, 15.9);
+  });
+
+  test('flags buckets beyond sigma of the day-of-week baseline', async () => {
+    fetchMock = dailyTable(history({ '2026-03-02': 150, '2026-03-03': 105 }));
+    const res = await daily({ compare: 'previous' });
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(res.body.baseline, { weeks: 8, sigma: 2, slot: 'day_of_week', slots: 7 });
+    assert.equal(res.body.anomalies.length, 1);
+    assert.deepEqual(res.body.anomalies[0], {
+      period: '2026-03-02', total: 150, baseline_mean: 100, baseline_std: 10, z_score: 5, direction: 'above',
+    });
+  });
+
+  test('sigma alone flags anomalies without a comparison', async () => {
+    fetchMock = dailyTable(history({ '2026-03-02': 150, '2026-03-03': 105 }));
+    const res = await daily({ sigma: '5' });
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.compare, undefined);
+    assert.deepEqual(res.body.anomalies, []);
+  });
+});
+
+// ── forecast ─────────────────────────────────────────────────────────────────
+
+describe('/api/analytics/forecast', () => {
+  const HOUR = 3600000;
+  const NOW = Date.parse('2026-03-04T12:30:00Z');
+  const row = (ms, total) => ({
+    period: new Date(ms).toISOString(), total, car: total * 0.7, truck: total * 0.1, bus: total * 0.05, motorcycle: total * 0.15,
+  });
+  /** `weeks` of hourly rows at `total` ending before the hour containing NOW. */
+  const flat = (weeks, total) => Array.from({ length: weeks * 168 }, (_, i) => row(Date.parse('2026-03-04T12:00:00Z') - (i + 1) * HOUR, total));
+
+  test('rejects a malformed camera_id', async () => {
+    fetchMock = mockFetch();
+    const res = await invoke(handler, { query: { _route: 'forecast', camera_id: 'cam-1' } });
+    assert.equal(res.statusCode, 400);
+    assert.equal(fetchMock.calls.length, 0);
+  });
+
+  test('forecasts the hour-of-week profile from traffic_daily hour buckets', async () => {
+    const today = new Date().toISOString().slice(0, 10);
+    const buckets = Object.fromEntries(Array.from({ length: 24 }, (_, h) => [h, { total: 60, car: 40, truck: 8, bus: 4, motorcycle: 8 }]));
+    fetchMock = mockFetch((url) => {
+      if (url.includes('/rest/v1/traffic_daily?select=date,hour_buckets')) {
+        const [, gte] = url.match(/date=gte\.([\d-]+)/);
+        const [, lte] = url.match(/date=lte\.([\d-]+)/);
+        const days = [];
+        for (let d = Date.parse(gte); d <= Date.parse(lte); d += 86400000) {
+          const date = new Date(d).toISOString().slice(0, 10);
+          if (date < today) days.push({ date, hour_buckets: buckets });
+        }
+        return days;
+      }
+      return [];
+    });
+    const res = await invoke(handler, { query: { _route: 'forecast', camera_id: '00000000-0000-4000-8000-00000000000a', hours: '2' } });
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.hours, 2);
+    assert.equal(res.body.forecast.length, 3);
+    for (const r of res.body.forecast) {
+      assert.equal(r.total, 60);
+      assert.equal(r.car, 40);
+      assert.equal(r.per_min, 1);
+    }
+    assert.ok(res.body.forecast[0].low < 60 && res.body.forecast[0].high > 60);
+  });
+
+  test('blends the recent live rate in and lets it decay with lead time', () => {
+    const recent = [1, 2, 3].map(h => row(Date.parse('2026-03-04T12:00:00Z') - h * HOUR, 150));
+    const { forecast, model } = buildForecast(flat(8, 100), recent, NOW, 6);
+    assert.equal(model.basis, 'seasonal+live');
+    assert.equal(model.live_ratio, 1.5);
+    assert.equal(model.recent_hours, 3);
+    assert.equal(forecast.length, 7);
+    assert.equal(forecast[0].hour, '2026-03-04T12:00:00.000Z');
+    assert.equal(forecast[0].total, 150);
+    for (let i = 1; i < forecast.length; i++) {
+      assert.ok(forecast[i].total < forecast[i - 1].total);
+      assert.ok(forecast[i].total > 100);
+    }
+  });
+
+  test('carries the recent average forward without history, and is empty without data', () => {
+    const recent = [1, 2].map(h => row(Date.parse('2026-03-04T12:00:00Z') - h * HOUR, 80));
+    const live = buildForecast([], recent, NOW, 1);
+    assert.equal(live.model.basis, 'live');
+    assert.deepEqual(live.forecast.map(r => r.total), [80, 80]);
+
+    const none = buildForecast([], [], NOW, 3);
+    assert.equal(none.model.basis, 'none');
+    assert.deepEqual(none.forecast, []);
+  });
+});
+
+// ── data ─────────────────────────────────────────────────────────────────────
+
+describe('/api/analytics/data', () => {
+  test('requires a known type', async () => {
+    const res = await invoke(handler, { query: { _route: 'data', type: 'bogus' } });
+    assert.equal(res.statusCode, 400);
+  });
+
+  test('turnings rejects unparseable dates', async () => {
+    fetchMock = mockFetch();
+    const res = await invoke(handler, { query: { _route: 'data', type: 'turnings', to: 'not-a-date' } });
+    assert.equal(res.statusCode, 400);
+    assert.equal(fetchMock.calls.length, 0);
+  });
+
+  test('turnings matrix_only reads just the matrix RPC for the bucket', async () => {
+    fetchMock = mockFetch((url) => url.endsWith('/rpc/analytics_turnings_matrix')
+      ? [
+        { entry_zone: 'North', exit_zone: 'East', total: 12, car: 9, truck: 2, bus: 0, motorcycle: 1, avg_dwell_ms: 4200 },
+        { entry_zone: 'South', exit_zone: 'North', total: 30, car: 25, truck: 1, bus: 2, motorcycle: 2, avg_dwell_ms: 0 },
+      ]
+      : undefined);
+    const res = await invoke(handler, {
+      query: { _route: 'data', type: 'turnings', matrix_only: '1', from: '2026-03-02T07:00:00Z', to: '2026-03-02T08:00:00Z' },
+    });
+    assert.equal(res.statusCode, 200);
+    assert.equal(fetchMock.calls.length, 1);
+    assert.deepEqual(JSON.parse(fetchMock.calls[0].body), {
+      p_camera_id: null, p_since: '2026-03-02T07:00:00.000Z', p_until: '2026-03-02T08:00:00.000Z',
+    });
+    assert.deepEqual(Object.keys(res.body.matrix), ['North→East', 'South→North']);
+    assert.equal(res.body.top_movements[0].from, 'South');
+    assert.deepEqual(res.body.class_totals, { car: 34, truck: 3, bus: 2, motorcycle: 3 });
+    assert.equal(res.body.queue_series, undefined);
+  });
+
+  test('zones GET maps a Supabase error to 502', async () => {
+    fetchMock = mockFetch(() => jsonResponse({ message: 'boom' }, 500));
+    const res = await invoke(handler, { query: { _route: 'data', type: 'zones' } });
+    assert.equal(res.statusCode, 502);
+    assert.equal(res.body.error, 'Zone query failed');
+  });
+
+  test('zone writes need a Bearer token', async () => {
+    const res = await invoke(handler, {
+      method: 'POST', query: { _route: 'data', type: 'zones' }, body: { camera_id: 'c1', zones: [] },
+    });
+    assert.equal(res.statusCode, 401);
+  });
+
+  test('zone writes need the zones permission', async () => {
+    fetchMock = supabaseAs('analyst');
+    const res = await invoke(handler, {
+      method: 'DELETE', query: { _route: 'data', type: 'zones', zone_id: 'z1' }, headers: ADMIN_AUTH,
+    });
+    assert.equal(res.statusCode, 403);
+    assert.match(res.body.error, /zones/);
+  });
+
+  test('rejects an invalid zone_type before writing', async () => {
+    fetchMock = supabaseAs('operator');
+    const res = await invoke(handler, {
+      method: 'POST', query: { _route: 'data', type: 'zones' }, headers: ADMIN_AUTH,
+      body: { camera_id: 'c1', zones: [{ zone_type: 'portal', name: 'A', points: [] }] },
+    });
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.body.error, 'Invalid zone_type');
+    assert.equal(fetchMock.to('/rest/v1/camera_zones').length, 0);
+  });
+
+  test('zone writes keep lane capacity metadata and drop unknown keys', async () => {
+    fetchMock = supabaseAs('operator', (url, call) => (url.includes('/rest/v1/camera_zones') ? JSON.parse(call.body) : undefined));
+    const res = await invoke(handler, {
+      method: 'POST', query: { _route: 'data', type: 'zones' }, headers: ADMIN_AUTH,
+      body: { camera_id: 'c1', zones: [
+        { zone_type: 'entry', name: 'North', points: [], metadata: { lanes: 2, lane_capacity_vph: 1800, note: 'x' } },
+        { zone_type: 'entry', name: 'South', points: [], metadata: { lanes: 40 } },
+      ] },
+    });
+    assert.equal(res.statusCode, 201);
+    assert.deepEqual(res.body.map(z => z.metadata), [{ lanes: 2, lane_capacity_vph: 1800 }, null]);
+  });
+
+  const LOS_CAM = '00000000-0000-4000-8000-00000000000c';
+
+  test('los validates camera, control and range before querying', async () => {
+    fetchMock = mockFetch();
+    let res = await invoke(handler, { query: { _route: 'data', type: 'los', camera_id: LOS_CAM, control: 'roundabout' } });
+    assert.equal(res.statusCode, 400);
+    assert.match(res.body.error, /control must be one of: signalized, unsignalized/);
+    res = await invoke(handler, { query: { _route: 'data', type: 'los', camera_id: LOS_CAM, from: '2026-03-01', to: '2026-03-10' } });
+    assert.equal(res.statusCode, 400);
+    assert.match(res.body.error, /7 days or less/);
+    res = await invoke(handler, { query: { _route: 'data', type: 'los' } });
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.body.error, 'camera_id is required and must be a UUID');
+    assert.equal(fetchMock.calls.length, 0);
+  });
+
+  test('los grades approaches on delay over free flow and v/c', async () => {
+    const at = (h, m) => `2026-03-02T0${h}:${String(m).padStart(2, '0')}:00Z`;
+    const crossings = [
+      ...Array.from({ length: 30 }, (_, i) => ({ id: i + 1, captured_at: at(7, i), zone_name: 'North', vehicle_class: i % 10 ? 'car' : 'bus' })),
+      ...Array.from({ length: 5 }, (_, i) => ({ id: i + 31, captured_at: at(8, i), zone_name: 'North', vehicle_class: 'car' })),
+    ];
+    const movements = [
+      ...Array.from({ length: 5 }, (_, i) => ({ id: i + 1, captured_at: at(7, i), entry_zone: 'North', dwell_ms: 2000 })),
+      { id: 6, captured_at: at(8, 1), entry_zone: 'North', dwell_ms: 2000 },
+      { id: 7, captured_at: at(8, 2), entry_zone: 'North', dwell_ms: 62000 },
+    ];
+    fetchMock = mockFetch((url) => {
+      if (url.includes('/camera_zones')) return [{ name: 'North', zone_type: 'entry', metadata: { lanes: 2, lane_capacity_vph: 10 } }];
+      if (url.includes('/vehicle_crossings')) return crossings;
+      if (url.includes('/turning_movements')) return movements;
+      if (url.includes('/traffic_snapshots')) return [{ captured_at: at(7, 5), queue_depth: 4 }, { captured_at: at(7, 35), queue_depth: 8 }];
+      return undefined;
+    });
+    const res = await invoke(handler, {
+      query: { _route: 'data', type: 'los', camera_id: LOS_CAM, from: '2026-03-02T07:00:00Z', to: '2026-03-02T09:00:00Z' },
+    });
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(res.body.thresholds.delay_s, [10, 20, 35, 55, 80]);
+    const [north] = res.body.approaches;
+    assert.equal(north.capacity_vph, 20);
+    assert.equal(north.free_flow_s, 2);
+    const [h7, h8] = north.hours;
+    // 30 veh/h on 20 veh/h of capacity is over capacity whatever the delay
+    assert.deepEqual([h7.volume, h7.bus, h7.vc, h7.delay_s, h7.grade], [30, 3, 1.5, 0, 'F']);
+    // mean dwell 32 s against 2 s free flow → 30 s of delay → C
+    assert.deepEqual([h8.vc, h8.delay_s, h8.grade, h8.grade_basis], [0.25, 30, 'C', 'delay']);
+    assert.equal(north.summary.grade, 'F');
+    assert.deepEqual(res.body.intersection.hours.map(h => [h.grade, h.queue_peak]), [['F', 8], ['C', null]]);
+    assert.equal(res.body.truncated, false);
+    for (const table of ['camera_zones', 'vehicle_crossings', 'turning_movements', 'traffic_snapshots']) {
+      assert.ok(fetchMock.to(`/rest/v1/${table}`).every(c => c.url.includes(`camera_id=eq.${LOS_CAM}`)), table);
+    }
+    assert.match(fetchMock.to('/rest/v1/traffic_snapshots')[0].url, /order=id\.asc&limit=1000/);
+  });
+});
+
+// ── export ───────────────────────────────────────────────────────────────────
+
+describe('/api/analytics/export', () => {
+  const exportReq = (query = {}, headers = ADMIN_AUTH) => ({ query: { _route: 'export', ...query }, headers });
+
+  test('401 without a Bearer token', async () => {
+    const res = await invoke(handler, exportReq({}, {}));
+    assert.equal(res.statusCode, 401);
+  });
+
+  test('401 when Supabase rejects the token', async () => {
+    fetchMock = supabaseAs(null);
+    const res = await invoke(handler, exportReq());
+    assert.equal(res.statusCode, 401);
+  });
+
+  test('403 for non-staff and for staff without export', async () => {
+    fetchMock = supabaseAs('user');
+    assert.equal((await invoke(handler, exportReq())).statusCode, 403);
+    fetchMock.restore();
+    fetchMock = supabaseAs('moderator');
+    assert.equal((await invoke(handler, exportReq())).statusCode, 403);
+  });
+
+  test('rejects unparseable dates', async () => {
+    fetchMock = supabaseAs('analyst');
+    const res = await invoke(handler, exportReq({ from: '2026-13-45' }));
+    assert.equal(res.statusCode, 400);
+    assert.match(res.body.error, /Invalid date format/);
+  });
+
+  test('rejects ranges over 90 days', async () => {
+    fetchMock = supabaseAs('analyst');
+    const res = await invoke(handler, exportReq({ from: '2026-01-01', to: '2026-06-01' }));
+    assert.equal(res.statusCode, 400);
+    assert.match(res.body.error, /exceeds 90 days/);
+    assert.equal(fetchMock.to('/rest/v1/vehicle_crossings').length, 0);
+  });
+
+  test('rejects a malformed cursor', async () => {
+    fetchMock = supabaseAs('analyst');
+    const res = await invoke(handler, exportReq({ cursor: 'not-base64-json' }));
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.body.error, 'Invalid cursor');
+  });
+
+  test('neutralises formula cells in the CSV', async () => {
+    fetchMock = supabaseAs('analyst', (url) => {
+      if (!url.includes('/rest/v1/vehicle_crossings')) return [];
+      return [{
+        id: 1, captured_at: '2026-01-01T10:00:00Z', track_id: '@track', vehicle_class: '=HYPERLINK("x")',
+        direction: '+in', confidence: 0.9, scene_lighting: '-day', scene_weather: 'clear',
+        dwell_frames: 4, cameras: { name: '=cam,one' },
+      }];
+    });
+    const res = await invoke(handler, exportReq({ from: '2026-01-01', to: '2026-01-02' }));
+    assert.equal(res.statusCode, 200);
+    assert.match(res.headers['content-type'], /text\/csv/);
+    const [, row] = res.text.split('\n');
+    assert.equal(row, `2026-01-01T10:00:00Z,'=cam;one,'=HYPERLINK("x"),'+in,0.9,'-day,clear,4,'@track`);
+  });
+
+  test('pages past the 1000-row PostgREST cap and hands out a cursor', async () => {
+    const table = pagedTable(2200);
+    fetchMock = supabaseAs('analyst', (url) => (url.includes('/rest/v1/vehicle_crossings') ? table(url) : []));
+    const first = await invoke(handler, exportReq({ from: '2026-01-01', to: '2026-01-02', limit: '2000' }));
+    assert.equal(first.statusCode, 200);
+    assert.equal(first.text.split('\n').length, 2001);
+    assert.equal(first.headers['x-has-more'], 'true');
+    const rest = await invoke(handler, exportReq({ from: '2026-01-01', to: '2026-01-02', cursor: first.headers['x-next-cursor'] }));
+    assert.equal(rest.text.split('\n').length, 201);
+    assert.equal(rest.headers['x-has-more'], 'false');
+  });
+
+  test('204 once a cursor runs past the last row', async () => {
+    fetchMock = supabaseAs('analyst', () => []);
+    const cursor = Buffer.from(JSON.stringify({ t: '2026-01-01T10:00:00Z', id: '9' })).toString('base64url');
+    const res = await invoke(handler, exportReq({ from: '2026-01-01', to: '2026-01-02', cursor }));
+    assert.equal(res.statusCode, 204);
+  });
+
+  test('maps a Supabase error to 502', async () => {
+    fetchMock = supabaseAs('analyst', () => jsonResponse({ message: 'down' }, 503));
+    const res = await invoke(handler, exportReq({ from: '2026-01-01', to: '2026-01-02' }));
+    assert.equal(res.statusCode, 502);
+    assert.equal(res.body.error, 'Data query failed');
+  });
+
+  test('is rate limited as a bulk route', async () => {
+    fetchMock = supabaseAs('analyst', () => []);
+    const headers = { ...ADMIN_AUTH, 'x-forwarded-for': '203.0.113.77' };
+    let res;
+    for (let i = 0; i < 21; i++) res = await invoke(handler, exportReq({ from: '2026-01-01', to: '2026-01-02' }, headers));
+    assert.equal(res.statusCode, 429);
+    assert.ok(res.headers['retry-after']);
+  });
+});
+
+test('openapi.json is served without auth', async () => {
+  const res = await invoke(handler, { query: { _route: 'openapi' }, headers: { host: 'example.test' } });
+  assert.equal(res.statusCode, 200);
+  assert.match(res.body.openapi, /^3\./);
+});
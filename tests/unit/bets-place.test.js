@@ -0,0 +1,550 @@
+import { afterEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import handler from '../../api/bets/place.js';
+import { computeBetStats } from '../../api/_lib/bet-stats.js';
+import { FAILURE_THRESHOLD, breakerFor, memoryStore } from '../../api/_lib/circuit.js';
+import { RAILWAY_URL, SUPABASE_URL, fakeJwt, invoke, jsonResponse, mockFetch, useEnv } from './helpers.js';
+
+useEnv();
+
+let fetchMock;
+afterEach(() => fetchMock?.restore());
+
+// A fresh player per call keeps the per-user "bets:place" bucket out of the way
+let playerCount = 0;
+const auth = (sub = `player-${++playerCount}`) => ({ authorization: `Bearer ${fakeJwt({ sub })}` });
+
+/** Supabase verifies every Bearer token as the user in its `sub`; other calls go to `router`. */
+function players(router = () => undefined) {
+  return mockFetch((url, call) => {
+    if (!url.endsWith('/auth/v1/user')) return router(url, call);
+    const [, payload] = String(call.headers.Authorization).split('.');
+    return { id: JSON.parse(Buffer.from(payload, 'base64url').toString()).sub };
+  });
+}
+const ROUND_ID  = '00000000-0000-4000-8000-000000000502';
+const MARKET_ID = '00000000-0000-4000-8000-000000000510';
+const BET  = { round_id: ROUND_ID, market_id: MARKET_ID, amount: 50 };
+const LIVE = { round_id: ROUND_ID, window_duration_sec: 180, vehicle_class: 'car', exact_count: 12, amount: 10 };
+
+describe('validation', () => {
+  test('405 with Allow for other methods', async () => {
+    const res = await invoke(handler, { method: 'DELETE', headers: auth() });
+    assert.equal(res.statusCode, 405);
+    assert.equal(res.headers.allow, 'GET, POST');
+    assert.ok(res.body.request_id);
+  });
+
+  test('401 without a Bearer token', async () => {
+    fetchMock = players();
+    const res = await invoke(handler, { method: 'POST', body: BET });
+    assert.equal(res.statusCode, 401);
+    assert.equal(fetchMock.calls.length, 0);
+  });
+
+  test('500 when the backend URL is not configured', async () => {
+    delete process.env.RAILWAY_BACKEND_URL;
+    const res = await invoke(handler, { method: 'POST', headers: auth(), body: BET });
+    assert.equal(res.statusCode, 500);
+  });
+
+  test('400 for a body that is not JSON', async () => {
+    fetchMock = players();
+    const res = await invoke(handler, { method: 'POST', headers: auth(), body: '{amount:' });
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.body.error, 'Invalid JSON body');
+    assert.equal(fetchMock.to(RAILWAY_URL).length, 0);
+  });
+
+  test('my-round requires round_id', async () => {
+    fetchMock = players();
+    const res = await invoke(handler, { query: { mode: 'my-round' }, headers: auth() });
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.body.error, 'Missing round_id');
+  });
+
+  test('GET without a known mode → 405', async () => {
+    fetchMock = players();
+    const res = await invoke(handler, { query: { mode: 'everything' }, headers: auth() });
+    assert.equal(res.statusCode, 405);
+  });
+});
+
+describe('forwarding', () => {
+  test('POST goes to /bets/place with the caller token and body', async () => {
+    fetchMock = players(() => ({ bet_id: 'b1', new_balance: 950 }));
+    const headers = auth();
+    const res = await invoke(handler, { method: 'POST', headers, body: BET });
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(res.body, { bet_id: 'b1', new_balance: 950 });
+    const [call] = fetchMock.to(RAILWAY_URL);
+    assert.equal(call.url, `${RAILWAY_URL}/bets/place`);
+    assert.equal(call.headers.Authorization, headers.authorization);
+    assert.deepEqual(JSON.parse(call.body), BET);
+  });
+
+  test('live=1 goes to /bets/place-live', async () => {
+    fetchMock = players(() => ({ bet_id: 'b2' }));
+    await invoke(handler, { method: 'POST', query: { live: '1' }, headers: auth(), body: LIVE });
+    assert.equal(fetchMock.to(RAILWAY_URL)[0].url, `${RAILWAY_URL}/bets/place-live`);
+  });
+
+  test('only the normalised bet is forwarded', async () => {
+    fetchMock = players(() => ({ bet_id: 'b3' }));
+    const body = { ...LIVE, vehicle_class: 'BUS', exact_count: '7', user_id: 'someone-else', payout: 1e9 };
+    await invoke(handler, { method: 'POST', query: { live: '1' }, headers: auth(), body });
+    assert.deepEqual(JSON.parse(fetchMock.to(RAILWAY_URL)[0].body), { ...LIVE, vehicle_class: 'bus', exact_count: 7 });
+  });
+
+});
+
+describe('history', () => {
+  const PLAYER_ID = '00000000-0000-4000-8000-000000000042';
+  const row = (n, extra = {}) => ({
+    id: `00000000-0000-4000-8000-0000000007${String(n).padStart(2, '0')}`, user_id: PLAYER_ID, round_id: ROUND_ID,
+    market_id: MARKET_ID, bet_type: 'market', amount: 10, potential_payout: 18, status: 'won',
+    placed_at: new Date(Date.UTC(2026, 5, 1, 12, 0, 60 - n)).toISOString(), markets: { label: 'Over 40', odds: 1.8 }, ...extra,
+  });
+
+  /** /auth/v1/user resolves the caller to PLAYER_ID; `bets` answers with `rest(url)`. */
+  function supabase(rest = () => []) {
+    fetchMock = mockFetch((url) => {
+      if (url.endsWith('/auth/v1/user')) return { id: PLAYER_ID, email: 'player@example.test' };
+      if (url.startsWith(`${SUPABASE_URL}/rest/v1/bets?`)) return rest(url);
+    });
+    return fetchMock;
+  }
+  const history = (query = {}, headers = auth()) => invoke(handler, { query: { mode: 'history', ...query }, headers });
+  const betsQuery = () => new URL(fetchMock.to('/rest/v1/bets')[0].url).searchParams;
+
+  test('reads the verified caller\'s bets from Supabase, newest first', async () => {
+    supabase(() => [row(1), row(2)]);
+    const res = await history({ limit: '5000' });
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(res.body, { bets: [row(1), row(2)], has_more: false, next: null });
+    const qs = betsQuery();
+    assert.equal(qs.get('user_id'), `eq.${PLAYER_ID}`);
+    assert.equal(qs.get('order'), 'placed_at.desc,id.desc');
+    assert.equal(qs.get('limit'), '201');
+    assert.equal(fetchMock.to(RAILWAY_URL).length, 0);
+  });
+
+  test('an unverified token is rejected before any query', async () => {
+    fetchMock = mockFetch((url) => (url.endsWith('/auth/v1/user') ? jsonResponse({ msg: 'bad jwt' }, 401) : []));
+    const res = await history();
+    assert.equal(res.statusCode, 401);
+    assert.equal(res.body.error, 'Invalid or expired token');
+    assert.equal(fetchMock.to('/rest/v1/bets').length, 0);
+  });
+
+  test('filters map onto the bets columns', async () => {
+    supabase();
+    const res = await history({
+      status: 'won,LOST', type: 'live', vehicle_class: 'bus,car', round_id: ROUND_ID, from: '2026-06-01', to: '2026-06-30',
+    });
+    assert.equal(res.statusCode, 200);
+    const qs = betsQuery();
+    assert.equal(qs.get('status'), 'in.(won,lost)');
+    assert.equal(qs.get('bet_type'), 'eq.exact_count');
+    assert.equal(qs.get('vehicle_class'), 'in.(bus,car)');
+    assert.equal(qs.get('round_id'), `eq.${ROUND_ID}`);
+    assert.deepEqual(qs.getAll('placed_at'), ['gte.2026-06-01T00:00:00.000Z', 'lt.2026-07-01T00:00:00.000Z']);
+  });
+
+  for (const [query, error] of [
+    [{ status: 'void' }, /^status must be one or more of/],
+    [{ type: 'parlay' }, /^type must be one of: market, live/],
+    [{ vehicle_class: 'tank' }, /^vehicle_class must be/],
+    [{ round_id: 'round-1' }, /^round_id must be a UUID/],
+    [{ from: 'yesterday' }, /^from \/ to must be/],
+    [{ from: '2026-06-02', to: '2026-06-01' }, /^from must be before to/],
+    [{ cursor: 'not-a-cursor' }, /^Invalid cursor/],
+  ]) {
+    test(`400 for ${JSON.stringify(query)}`, async () => {
+      supabase();
+      const res = await history(query);
+      assert.equal(res.statusCode, 400);
+      assert.match(res.body.error, error);
+      assert.equal(fetchMock.to('/rest/v1/bets').length, 0);
+    });
+  }
+
+  test('a full page returns a cursor that resumes after its last row', async () => {
+    supabase(() => [row(1), row(2), row(3)]);
+    const first = await history({ limit: '2' });
+    assert.equal(first.body.has_more, true);
+    assert.deepEqual(first.body.bets, [row(1), row(2)]);
+
+    supabase(() => [row(3)]);
+    const second = await history({ limit: '2', cursor: first.body.next });
+    assert.equal(second.body.has_more, false);
+    const t = `"${row(2).placed_at}"`;
+    assert.equal(betsQuery().get('or'), `(placed_at.lt.${t},and(placed_at.eq.${t},id.lt.${row(2).id}))`);
+  });
+
+  test('format=csv exports the filtered record with formulas neutralised', async () => {
+    supabase(() => [row(1, { markets: { label: '=HYPERLINK("x")', odds: 2 } }), row(2, { bet_type: 'exact_count', markets: null, exact_count: 9, actual_count: 11, status: 'lost' })]);
+    const res = await history({ format: 'csv', limit: '1', cursor: 'ignored' });
+    assert.equal(res.statusCode, 200);
+    assert.match(res.headers['content-type'], /^text\/csv/);
+    assert.match(res.headers['content-disposition'], /filename="bet-history-\d{4}-\d{2}-\d{2}\.csv"/);
+    assert.equal(res.headers['x-truncated'], undefined);
+    assert.equal(betsQuery().get('limit'), '1000');
+    assert.equal(betsQuery().get('or'), null);
+    const lines = res.text.split('\n');
+    assert.equal(lines[0], 'placed_at,type,round_id,market,odds,vehicle_class,window_duration_sec,exact_count,actual_count,amount,potential_payout,status,resolved_at,id');
+    assert.equal(lines.length, 3);
+    assert.ok(lines[1].includes(`,market,${ROUND_ID},"'=HYPERLINK(""x"")",2,`));
+    assert.ok(lines[2].includes(',live,') && lines[2].includes(',9,11,10,18,lost,'));
+  });
+
+  test('format=csv pages past the 1000-row PostgREST cap and truncates only at 5000', async () => {
+    const bet = (i) => row(0, { id: `b${String(i).padStart(5, '0')}`, placed_at: new Date(Date.UTC(2026, 5, 1) - i * 1000).toISOString() });
+    /** `total` bets newest first, capped at 1000 rows per response like PostgREST. */
+    const capped = (total) => (url) => {
+      const q = new URL(url).searchParams;
+      const after = Number(q.get('or')?.match(/id\.lt\.b(\d+)/)?.[1] ?? -1);
+      const from = after + 1;
+      return Array.from({ length: Math.max(0, Math.min(Number(q.get('limit')), 1000, total - from)) }, (_, i) => bet(from + i));
+    };
+
+    supabase(capped(2500));
+    let res = await history({ format: 'csv' });
+    assert.equal(res.text.split('\n').length, 2501);
+    assert.equal(res.headers['x-truncated'], undefined);
+    assert.ok(fetchMock.to('/rest/v1/bets').every(c => Number(new URL(c.url).searchParams.get('limit')) <= 1000));
+
+    supabase(capped(5000));
+    res = await history({ format: 'csv' });
+    assert.equal(res.text.split('\n').length, 5001);
+    assert.equal(res.headers['x-truncated'], undefined);
+
+    supabase(capped(5001));
+    res = await history({ format: 'csv' });
+    assert.equal(res.text.split('\n').length, 5001);
+    assert.equal(res.headers['x-truncated'], 'true');
+    assert.ok(res.text.endsWith(',b04999'));
+  });
+
+  test('a failed Supabase query maps to 502', async () => {
+    supabase(() => jsonResponse({ message: 'column does not exist' }, 400));
+    const res = await history();
+    assert.equal(res.statusCode, 502);
+    assert.equal(res.body.error, 'Bet history query failed');
+  });
+});
+
+describe('stats', () => {
+  const PLAYER_ID = '00000000-0000-4000-8000-000000000043';
+  let seq = 0;
+  const at = (min) => new Date(Date.UTC(2026, 5, 1, 12, min)).toISOString();
+  const market = (min, status, amount = 100, payout = 185) =>
+    ({ id: `m${++seq}`, bet_type: 'market', amount, potential_payout: payout, status, placed_at: at(min), resolved_at: at(min + 5) });
+  const live = (min, status, { cls = 'car', win = 60, exact = 10, actual = 10, amount = 10 } = {}) =>
+    ({ id: `l${++seq}`, bet_type: 'exact_count', amount, potential_payout: amount * 8, status, placed_at: at(min),
+       window_end: at(min + win / 60), vehicle_class: cls, window_duration_sec: win, exact_count: exact, actual_count: status === 'pending' ? null : actual });
+
+  test('totals, ROI groups and exact-count error', () => {
+    const stats = computeBetStats([
+      market(0, 'won'), market(10, 'lost'),
+      live(20, 'won'), live(30, 'lost', { cls: null, win: 180, exact: 20, actual: 26 }),
+      live(40, 'pending', { cls: 'bus' }),
+    ]);
+    assert.deepEqual(
+      { ...stats.totals },
+      { bets: 5, resolved: 4, won: 2, win_rate: 0.5, staked: 220, returned: 265, net: 45, roi: 0.205, lost: 2, pending: 1 },
+    );
+    assert.equal(stats.by_type.market.roi, -0.075);
+    assert.equal(stats.by_type.live.net, 60);
+    assert.deepEqual(Object.keys(stats.by_vehicle_class).sort(), ['all', 'bus', 'car']);
+    assert.equal(stats.by_vehicle_class.bus.win_rate, null);
+    assert.deepEqual(stats.exact_count, { guesses: 2, mean_abs_error: 3, exact_hits: 1 });
+    assert.equal(stats.windows.best.window_duration_sec, 60);
+    assert.equal(stats.windows.worst.window_duration_sec, 180);
+  });
+
+  test('streaks follow placement order and skip pending bets', () => {
+    const { streaks } = computeBetStats([
+      market(50, 'lost'), market(0, 'won'), market(10, 'won'), market(20, 'won'),
+      market(30, 'lost'), market(35, 'pending'), market(40, 'lost'),
+    ]);
+    assert.deepEqual(streaks, { current: { result: 'lost', length: 3 }, longest_win: 3, longest_loss: 3 });
+  });
+
+  test('the balance series walks back from the current balance', () => {
+    const { balance } = computeBetStats([market(0, 'won'), market(10, 'lost')], { balance: 1000 });
+    assert.deepEqual(balance.series.map(p => p.balance), [915, 1100, 1000]);
+    assert.deepEqual(balance.series.map(p => p.t), [at(0), at(5), at(10)]);
+    const unanchored = computeBetStats([market(0, 'lost')]);
+    assert.deepEqual(unanchored.balance, { current: null, series: [{ t: at(0), balance: -100 }] });
+  });
+
+  test('reads the whole record page by page for the verified caller', async () => {
+    const bets = Array.from({ length: 1001 }, (_, i) => market(-i, i % 2 ? 'lost' : 'won'));
+    fetchMock = mockFetch((url) => {
+      if (url.endsWith('/auth/v1/user')) return { id: PLAYER_ID };
+      if (url.includes('/rest/v1/user_balances?')) return [{ balance: 4200 }];
+      if (url.includes('/rest/v1/bets?')) return new URL(url).searchParams.has('or') ? bets.slice(1000) : bets.slice(0, 1000);
+    });
+    const res = await invoke(handler, { query: { mode: 'stats' }, headers: auth() });
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.totals.bets, 1001);
+    assert.equal(res.body.truncated, false);
+    assert.equal(res.body.balance.current, 4200);
+    assert.ok(res.body.balance.series.length <= 200);
+    assert.equal(res.body.balance.series.at(-1).balance, 4200);
+
+    const pages = fetchMock.to('/rest/v1/bets').map(c => new URL(c.url).searchParams);
+    assert.equal(pages.length, 2);
+    assert.ok(pages.every(qs => qs.get('user_id') === `eq.${PLAYER_ID}`));
+    assert.match(pages[1].get('or'), new RegExp(`id\\.lt\\.${bets[999].id}\\)\\)$`));
+  });
+
+  test('a failed bets query maps to 502', async () => {
+    fetchMock = mockFetch((url) => (url.endsWith('/auth/v1/user') ? { id: PLAYER_ID } : jsonResponse({ message: 'boom' }, 500)));
+    const res = await invoke(handler, { query: { mode: 'stats' }, headers: auth() });
+    assert.equal(res.statusCode, 502);
+    assert.equal(res.body.error, 'Bet stats query failed');
+  });
+});
+
+describe('bet schema', () => {
+  async function rejected(body, query = {}) {
+    fetchMock = players();
+    const res = await invoke(handler, { method: 'POST', query, headers: auth(), body });
+    assert.equal(res.statusCode, 400);
+    assert.equal(fetchMock.to(RAILWAY_URL).length, 0);
+    assert.equal(res.body.error, res.body.detail);
+    return res.body.fields;
+  }
+
+  test('market and round ids must be UUIDs', async () => {
+    const fields = await rejected({ ...BET, round_id: 'round-1', market_id: undefined });
+    assert.deepEqual(fields, { round_id: 'round_id must be a UUID', market_id: 'market_id is required' });
+  });
+
+  for (const amount of [0, -5, 2.5, 100001, '10e3', null]) {
+    test(`stake ${JSON.stringify(amount)} is out of bounds`, async () => {
+      const fields = await rejected({ ...BET, amount });
+      assert.deepEqual(Object.keys(fields), ['amount']);
+    });
+  }
+
+  test('vehicle_class must be a known class', async () => {
+    const fields = await rejected({ ...LIVE, vehicle_class: 'tractor' }, { live: '1' });
+    assert.match(fields.vehicle_class, /car, truck, bus, motorcycle/);
+  });
+
+  test('window_duration_sec must be one of the offered pills', async () => {
+    const fields = await rejected({ ...LIVE, window_duration_sec: 90 }, { live: '1' });
+    assert.equal(fields.window_duration_sec, 'window_duration_sec must be one of 60, 180, 300');
+  });
+
+  test('exact_count must be a sane whole number for the window', async () => {
+    assert.ok((await rejected({ ...LIVE, exact_count: -1 }, { live: '1' })).exact_count);
+    assert.ok((await rejected({ ...LIVE, exact_count: 3.5 }, { live: '1' })).exact_count);
+    const fields = await rejected({ ...LIVE, window_duration_sec: 60, exact_count: 5000 }, { live: '1' });
+    assert.equal(fields.exact_count, 'exact_count must be at most 300 for a 1-minute window');
+  });
+
+  test('an omitted vehicle_class means all classes', async () => {
+    fetchMock = players(() => ({ bet_id: 'b4' }));
+    const res = await invoke(handler, { method: 'POST', query: { live: '1' }, headers: auth(), body: { ...LIVE, vehicle_class: '' } });
+    assert.equal(res.statusCode, 200);
+    assert.equal(JSON.parse(fetchMock.to(RAILWAY_URL)[0].body).vehicle_class, null);
+  });
+
+  test('a non-object body is rejected', async () => {
+    const fields = await rejected([BET]);
+    assert.ok(fields.body);
+  });
+});
+
+describe('idempotency', () => {
+  const place = (key, body = BET, headers = auth('idem-player')) =>
+    invoke(handler, { method: 'POST', headers: { ...headers, 'idempotency-key': key }, body });
+
+  test('a duplicate key replays the first response without a second bet', async () => {
+    let n = 0;
+    fetchMock = players(() => ({ bet_id: `b${++n}` }));
+    const first = await place('key-replay-0001');
+    const second = await place('key-replay-0001');
+    assert.equal(fetchMock.to(RAILWAY_URL).length, 1);
+    assert.deepEqual(second.body, first.body);
+    assert.equal(second.statusCode, 200);
+    assert.equal(second.headers['idempotency-replayed'], 'true');
+    assert.equal(first.headers['idempotency-replayed'], undefined);
+  });
+
+  test('a duplicate while the first is still running gets 409', async () => {
+    let release;
+    fetchMock = players(() => new Promise(r => { release = () => r(jsonResponse({ bet_id: 'slow' })); }));
+    const first = place('key-inflight-01');
+    await new Promise(r => setImmediate(r));
+    const second = await place('key-inflight-01');
+    assert.equal(second.statusCode, 409);
+    release();
+    assert.equal((await first).statusCode, 200);
+    assert.equal(fetchMock.to(RAILWAY_URL).length, 1);
+  });
+
+  test('reusing a key for another payload gets 422', async () => {
+    fetchMock = players(() => ({ bet_id: 'b' }));
+    await place('key-payload-01');
+    const res = await place('key-payload-01', { ...BET, amount: 75 });
+    assert.equal(res.statusCode, 422);
+    assert.equal(fetchMock.to(RAILWAY_URL).length, 1);
+  });
+
+  test('keys are scoped to the caller', async () => {
+    fetchMock = players(() => ({ bet_id: 'b' }));
+    await place('key-shared-001', BET, auth('alice'));
+    const res = await place('key-shared-001', BET, auth('bob'));
+    assert.equal(res.headers['idempotency-replayed'], undefined);
+    assert.equal(fetchMock.to(RAILWAY_URL).length, 2);
+  });
+
+  test('upstream client errors are replayed too', async () => {
+    fetchMock = players(() => jsonResponse({ detail: 'Insufficient balance' }, 400));
+    await place('key-4xx-00001');
+    const res = await place('key-4xx-00001');
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.body.error, 'Insufficient balance');
+    assert.equal(fetchMock.to(RAILWAY_URL).length, 1);
+  });
+
+  test('a refused connection releases the key so a retry goes through', async () => {
+    let fail = true;
+    fetchMock = players(() => {
+      if (fail) { fail = false; throw new TypeError('fetch failed', { cause: Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' }) }); }
+      return { bet_id: 'retried' };
+    });
+    assert.equal((await place('key-refused-01')).statusCode, 502);
+    const res = await place('key-refused-01');
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.bet_id, 'retried');
+  });
+
+  for (const [name, upstream, status] of [
+    ['a timeout', () => { throw new DOMException('The operation timed out', 'TimeoutError'); }, 504],
+    ['a dropped connection', () => { throw new TypeError('fetch failed', { cause: Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' }) }); }, 502],
+    ['an upstream 500', () => jsonResponse({ detail: 'Internal error' }, 500), 500],
+  ]) {
+    test(`after ${name} the retry gets 409 outcome unknown, not a second bet`, async () => {
+      const key = `key-unknown-${status}-${name.length}`;
+      let n = 0;
+      fetchMock = players(() => (++n === 1 ? upstream() : { bet_id: 'twice' }));
+      assert.equal((await place(key)).statusCode, status);
+      const res = await place(key);
+      assert.equal(res.statusCode, 409);
+      assert.equal(res.body.outcome, 'unknown');
+      assert.match(res.body.error, /check your bets/);
+      assert.equal(fetchMock.to(RAILWAY_URL).length, 1);
+    });
+  }
+
+  test('an open circuit releases the key', async () => {
+    const breaker = breakerFor('railway');
+    try {
+      for (let i = 0; i < FAILURE_THRESHOLD; i++) await breaker.failure('HTTP 503');
+      fetchMock = players(() => ({ bet_id: 'after-recovery' }));
+      assert.equal((await place('key-circuit-01')).statusCode, 503);
+      assert.equal(fetchMock.to(RAILWAY_URL).length, 0);
+    } finally {
+      await memoryStore.record('railway', true, null, FAILURE_THRESHOLD, Date.now());
+      await breaker.sync({ force: true });
+    }
+    const res = await place('key-circuit-01');
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.bet_id, 'after-recovery');
+  });
+
+  test('rejects a malformed key', async () => {
+    fetchMock = players();
+    const res = await place('short');
+    assert.equal(res.statusCode, 400);
+    assert.equal(fetchMock.to(RAILWAY_URL).length, 0);
+  });
+
+  test('a forged token falls back to the IP scope, not the sub it claims', async () => {
+    fetchMock = players(() => ({ bet_id: 'b' }));
+    await place('key-forged-001', BET, auth('victim'));
+    fetchMock.restore();
+    fetchMock = mockFetch((url) => (url.endsWith('/auth/v1/user') ? jsonResponse({ msg: 'bad jwt' }, 401) : { bet_id: 'forged' }));
+    const res = await place('key-forged-001', BET, auth('victim'));
+    assert.equal(res.headers['idempotency-replayed'], undefined);
+    assert.equal(res.body.bet_id, 'forged');
+  });
+
+  test('live and market bets do not share keys', async () => {
+    fetchMock = players(() => ({ bet_id: 'b' }));
+    const headers = { ...auth('both-kinds'), 'idempotency-key': 'key-kinds-0001' };
+    await invoke(handler, { method: 'POST', headers, body: BET });
+    const res = await invoke(handler, { method: 'POST', query: { live: '1' }, headers, body: LIVE });
+    assert.equal(res.statusCode, 200);
+    assert.equal(fetchMock.to(RAILWAY_URL).length, 2);
+  });
+});
+
+describe('upstream errors', () => {
+  test('FastAPI string detail becomes the error envelope', async () => {
+    fetchMock = players(() => jsonResponse({ detail: 'Insufficient balance' }, 400));
+    const res = await invoke(handler, { method: 'POST', headers: auth(), body: BET });
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.body.error, 'Insufficient balance');
+    assert.equal(res.body.detail, 'Insufficient balance');
+  });
+
+  test('FastAPI validation arrays are flattened and kept under errors', async () => {
+    const detail = [{ loc: ['body', 'amount'], msg: 'must be positive' }, { loc: ['body', 'market_id'], msg: 'required' }];
+    fetchMock = players(() => jsonResponse({ detail }, 422));
+    const res = await invoke(handler, { method: 'POST', headers: auth(), body: BET });
+    assert.equal(res.statusCode, 422);
+    assert.equal(res.body.error, 'must be positive; required');
+    assert.deepEqual(res.body.errors, detail);
+  });
+
+  test('a non-JSON error body is passed through as the message', async () => {
+    fetchMock = players(() => new Response('Round is locked', { status: 409 }));
+    const res = await invoke(handler, { method: 'POST', headers: auth(), body: BET });
+    assert.equal(res.statusCode, 409);
+    assert.equal(res.body.error, 'Round is locked');
+  });
+
+  test('a timeout maps to 504 and is not retried for POST', async () => {
+    fetchMock = players(() => { throw new DOMException('The operation timed out', 'TimeoutError'); });
+    const res = await invoke(handler, { method: 'POST', headers: auth(), body: BET });
+    assert.equal(res.statusCode, 504);
+    assert.equal(fetchMock.to(RAILWAY_URL).length, 1);
+  });
+
+  test('a network error maps to 502', async () => {
+    fetchMock = players(() => { throw new TypeError('fetch failed'); });
+    const res = await invoke(handler, { method: 'POST', headers: auth(), body: BET });
+    assert.equal(res.statusCode, 502);
+    assert.equal(res.body.error, 'Upstream request failed');
+  });
+});
+
+test('placing bets is rate limited per user', async () => {
+  fetchMock = players(() => ({ bet_id: 'b' }));
+  const headers = { ...auth('rate-limited-player'), 'x-forwarded-for': '198.51.100.20' };
+  let res;
+  for (let i = 0; i < 21; i++) res = await invoke(handler, { method: 'POST', headers, body: BET });
+  assert.equal(res.statusCode, 429);
+  assert.equal(res.headers['ratelimit-limit'], '20');
+  assert.equal(fetchMock.to(RAILWAY_URL).length, 20);
+});
+
+test('forged tokens do not use up the victim\'s bet bucket', async () => {
+  fetchMock = mockFetch((url) => (url.endsWith('/auth/v1/user') ? jsonResponse({ msg: 'bad jwt' }, 401) : { bet_id: 'b' }));
+  for (let i = 0; i < 21; i++) {
+    const headers = { ...auth('targeted-player'), 'x-forwarded-for': `198.51.100.${100 + i}` };
+    assert.notEqual((await invoke(handler, { method: 'POST', headers, body: BET })).statusCode, 429);
+  }
+  fetchMock.restore();
+  fetchMock = players(() => ({ bet_id: 'real' }));
+  const res = await invoke(handler, { method: 'POST', headers: { ...auth('targeted-player'), 'x-forwarded-for': '198.51.100.99' }, body: BET });
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.headers['ratelimit-remaining'], '19');
+});
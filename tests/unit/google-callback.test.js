@@ -0,0 +1,91 @@
+import { afterEach, test } from 'node:test';
+import assert from 'node:assert/strict';
+import handler from '../../api/auth/google/callback.js';
+import { SUPABASE_URL, edgeRequest, jsonResponse, mockFetch, useEnv } from './helpers.js';
+
+useEnv();
+
+let fetchMock;
+afterEach(() => fetchMock?.restore());
+
+const SITE = 'https://aitrafficja.com';
+
+/** Google and Supabase token endpoints answering with the given bodies. */
+function oauth({ google = { id_token: 'g-id', access_token: 'g-at' }, supabase = { access_token: 'sb-at', refresh_token: 'sb-rt' } } = {}) {
+  return mockFetch((url) => {
+    if (url === 'https://oauth2.googleapis.com/token') return jsonResponse(google, google.id_token ? 200 : 400);
+    if (url.startsWith(`${SUPABASE_URL}/auth/v1/token`)) return jsonResponse(supabase, supabase.access_token ? 200 : 400);
+    return undefined;
+  });
+}
+
+const callback = qs => handler(edgeRequest(`/api/auth/google/callback?${new URLSearchParams(qs)}`));
+
+function errorParam(res) {
+  assert.equal(res.status, 302);
+  const location = new URL(res.headers.get('location'));
+  assert.equal(location.origin, SITE);
+  return location.searchParams.get('error');
+}
+
+test('Google errors redirect home with the description', async () => {
+  const res = await callback({ error: 'access_denied', error_description: 'User denied access' });
+  assert.equal(errorParam(res), 'User denied access');
+});
+
+test('a missing code redirects with no_code', async () => {
+  fetchMock = mockFetch();
+  const res = await callback({ state: SITE });
+  assert.equal(errorParam(res), 'no_code');
+  assert.equal(fetchMock.calls.length, 0);
+});
+
+test('a failed Google exchange redirects with its error', async () => {
+  fetchMock = oauth({ google: { error: 'invalid_grant', error_description: 'Bad Request' } });
+  const res = await callback({ code: 'c1' });
+  assert.equal(errorParam(res), 'Bad Request');
+  assert.equal(fetchMock.to('/auth/v1/token').length, 0);
+});
+
+test('a failed Supabase exchange redirects with its error', async () => {
+  fetchMock = oauth({ supabase: { error: 'invalid_request', message: 'Unacceptable audience in id_token' } });
+  const res = await callback({ code: 'c1' });
+  assert.equal(errorParam(res), 'Unacceptable audience in id_token');
+});
+
+test('exchanges the code with the server-side client secret', async () => {
+  fetchMock = oauth();
+  await callback({ code: 'c1' });
+  const [google, supabase] = fetchMock.calls;
+  assert.deepEqual(JSON.parse(google.body), {
+    code: 'c1', client_id: 'google-client', client_secret: 'google-secret',
+    redirect_uri: `${SITE}/api/auth/google/callback`, grant_type: 'authorization_code',
+  });
+  assert.equal(supabase.url, `${SUPABASE_URL}/auth/v1/token?grant_type=id_token`);
+  assert.equal(supabase.headers.apikey, 'anon-key');
+  assert.equal(JSON.parse(supabase.body).id_token, 'g-id');
+});
+
+test('tokens go in the fragment, never the query', async () => {
+  fetchMock = oauth();
+  const res = await callback({ code: 'c1' });
+  const location = new URL(res.headers.get('location'));
+  assert.equal(location.search, '');
+  const hash = new URLSearchParams(location.hash.slice(1));
+  assert.equal(hash.get('_sb_at'), 'sb-at');
+  assert.equal(hash.get('_sb_rt'), 'sb-rt');
+});
+
+test('state may return to a page on the site', async () => {
+  fetchMock = oauth();
+  const res = await callback({ code: 'c1', state: encodeURIComponent(`${SITE}/account?tab=bets`) });
+  assert.match(res.headers.get('location'), new RegExp(`^${SITE}/account\\?tab=bets#_sb_at=`));
+});
+
+test('state pointing off-site falls back to the home page', async () => {
+  fetchMock = oauth();
+  for (const state of ['https://evil.example/steal', `${SITE}.evil.example/`, '//evil.example', 'javascript:alert(1)']) {
+    const res = await callback({ code: 'c1', state: encodeURIComponent(state) });
+    assert.match(res.headers.get('location'), new RegExp(`^${SITE}/?#_sb_at=`), state);
+  }
+});
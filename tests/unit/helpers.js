@@ -0,0 +1,165 @@
+/**
+ * Shared fakes for the api/ handler tests (node:test, no network).
+ *
+ *   mockReq / mockRes — the slice of Vercel's Node req/res the handlers use
+ *   edgeRequest       — a Fetch Request for Edge handlers
+ *   mockFetch         — swaps globalThis.fetch for a (url, init) router and
+ *                       records every call; restore() puts the real one back
+ *   useEnv            — sets the env the handlers read, per test
+ *
+ * Run: npm run test:unit
+ */
+import { afterEach, beforeEach } from 'node:test';
+
+export const SUPABASE_URL = 'https://sb.test';
+export const RAILWAY_URL  = 'https://railway.test';
+
+export const TEST_ENV = {
+  SUPABASE_URL,
+  SUPABASE_SERVICE_ROLE_KEY: 'service-key',
+  SUPABASE_ANON_KEY:         'anon-key',
+  RAILWAY_BACKEND_URL:       RAILWAY_URL,
+  WS_AUTH_SECRET:            'ws-secret',
+  GOOGLE_CLIENT_ID:          'google-client',
+  GOOGLE_CLIENT_SECRET:      'google-secret',
+  RATE_LIMIT_STORE:          'memory',
+  IDEMPOTENCY_STORE:         'memory',
+  CIRCUIT_STORE:             'memory',
+};
+
+/** Apply TEST_ENV (plus `overrides`; undefined deletes) before each test, restore after. */
+export function useEnv(overrides = {}) {
+  let saved;
+  beforeEach(() => {
+    const vars = { ...TEST_ENV, ...overrides, WS_BACKEND_URL: overrides.WS_BACKEND_URL };
+    saved = Object.fromEntries(Object.keys(vars).map(k => [k, process.env[k]]));
+    for (const [k, v] of Object.entries(vars)) {
+      if (v === undefined) delete process.env[k];
+      else process.env[k] = v;
+    }
+  });
+  afterEach(() => {
+    for (const [k, v] of Object.entries(saved)) {
+      if (v === undefined) delete process.env[k];
+      else process.env[k] = v;
+    }
+  });
+}
+
+// ── Node req / res ───────────────────────────────────────────────────────────
+
+export function mockReq({ method = 'GET', query = {}, headers = {}, body } = {}) {
+  return {
+    method,
+    query,
+    body,
+    headers: Object.fromEntries(Object.entries(headers).map(([k, v]) => [k.toLowerCase(), v])),
+  };
+}
+
+/** Records status, headers and the body sent through json / send / write / end. */
+export function mockRes() {
+  const res = {
+    statusCode: 200,
+    headers:    {},
+    body:       undefined,
+    chunks:     [],
+    ended:      false,
+    status(code) { res.statusCode = code; return res; },
+    setHeader(k, v) { res.headers[k.toLowerCase()] = v; return res; },
+    getHeader(k) { return res.headers[k.toLowerCase()]; },
+    json(obj) { res.body = obj; res.ended = true; return res; },
+    send(payload) { res.body = payload; res.ended = true; return res; },
+    write(chunk) { res.chunks.push(String(chunk)); return true; },
+    end(chunk) {
+      if (chunk != null) res.chunks.push(String(chunk));
+      res.ended = true;
+      return res;
+    },
+    /** Body as text — send() payloads and streamed chunks alike. */
+    get text() { return typeof res.body === 'string' ? res.body : res.chunks.join(''); },
+  };
+  return res;
+}
+
+/** Run a Node handler and return its res. */
+export async function invoke(handler, reqOptions) {
+  const res = mockRes();
+  await handler(mockReq(reqOptions), res);
+  return res;
+}
+
+// ── Edge ─────────────────────────────────────────────────────────────────────
+
+export function edgeRequest(path, { method = 'GET', headers = {}, origin = 'https://aitrafficja.com' } = {}) {
+  return new Request(`${origin}${path}`, { method, headers });
+}
+
+// ── fetch ────────────────────────────────────────────────────────────────────
+
+export function jsonResponse(body, status = 200, headers = {}) {
+  return new Response(body === undefined ? '' : JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json', ...headers },
+  });
+}
+
+/**
+ * Replace globalThis.fetch with `router(url, init)`. The router returns a
+ * Response, a plain value (sent as 200 JSON), or undefined (404). Throwing
+ * simulates a network error.
+ */
+export function mockFetch(router = () => undefined) {
+  const realFetch = globalThis.fetch;
+  const calls = [];
+  globalThis.fetch = async (input, init = {}) => {
+    const url = String(input instanceof Request ? input.url : input);
+    const call = { url, method: init.method || 'GET', headers: init.headers || {}, body: init.body, signal: init.signal };
+    calls.push(call);
+    const out = await router(url, call);
+    if (out instanceof Response) return out;
+    return out === undefined ? jsonResponse({ message: 'not mocked' }, 404) : jsonResponse(out);
+  };
+  return {
+    calls,
+    /** Calls whose URL contains `part`. */
+    to(part) { return calls.filter(c => c.url.includes(part)); },
+    restore() { globalThis.fetch = realFetch; },
+  };
+}
+
+/** PostgREST's max-rows setting in this project: no response holds more rows. */
+export const PG_MAX_ROWS = 1000;
+
+/**
+ * A table of `count` rows (ids 1..count, one second apart from 10:00 on
+ * 2026-01-01) answered the way PostgREST does here: `id.gt.` / `id=gt.`
+ * keyset filters, `offset` and `limit` are honoured, and never more than
+ * PG_MAX_ROWS rows come back. `row(id)` adds or overrides columns.
+ */
+export function pagedTable(count, row = () => ({})) {
+  return (url) => {
+    const u = decodeURIComponent(url);
+    const after = Number(u.match(/id[.=]gt\.(\d+)/)?.[1] || 0) + Number(u.match(/[?&]offset=(\d+)/)?.[1] || 0);
+    const limit = Math.min(Number(u.match(/[?&]limit=(\d+)/)?.[1]) || Infinity, PG_MAX_ROWS);
+    const out = [];
+    for (let id = after + 1; id <= count && out.length < limit; id++) {
+      out.push({
+        id, captured_at: new Date(Date.UTC(2026, 0, 1, 10) + id * 1000).toISOString(),
+        track_id: `t${id}`, vehicle_class: 'car', direction: 'in', ...row(id),
+      });
+    }
+    return out;
+  };
+}
+
+/** JWT-shaped token (unsigned) — enough for the Bearer / rate-limit parsing. */
+export function fakeJwt(payload = { sub: 'user-1' }) {
+  const part = obj => Buffer.from(JSON.stringify(obj)).toString('base64url');
+  return `${part({ alg: 'HS256', typ: 'JWT' })}.${part(payload)}.signature`;
+}
+
+/** Supabase /auth/v1/user answer for a user with `role` in app_metadata. */
+export function staffUser(role, id = 'staff-1') {
+  return { id, email: `${role}@example.test`, app_metadata: { role } };
+}
@@ -0,0 +1,246 @@
+import { afterEach, beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import health from '../../api/health.js';
+import { FAILURE_THRESHOLD, breakerFor, createBreaker, memoryStore } from '../../api/_lib/circuit.js';
+import { createProxyHandler } from '../../api/_lib/proxy.js';
+import { RAILWAY_URL, edgeRequest, invoke, jsonResponse, mockFetch, useEnv } from './helpers.js';
+
+useEnv();
+
+let fetchMock;
+afterEach(() => fetchMock?.restore());
+
+/** Clear the shared "railway" breaker and this instance's copy of it. */
+async function resetRailway() {
+  await memoryStore.record('railway', true, null, FAILURE_THRESHOLD, Date.now());
+  await breakerFor('railway').sync({ force: true });
+}
+
+/**
+ * An upstream that never answers; settles when the request is aborted.
+ * AbortSignal.timeout() does not hold the event loop open, so a ref'd timer does.
+ */
+const hang = (call) => new Promise((_, reject) => {
+  const keepAlive = setTimeout(() => reject(new Error('request was never aborted')), 5000);
+  call.signal.addEventListener('abort', () => {
+    clearTimeout(keepAlive);
+    reject(call.signal.reason);
+  });
+});
+
+// ── breaker ──────────────────────────────────────────────────────────────────
+
+describe('circuit breaker', () => {
+  let clock;
+  beforeEach(() => { clock = 1_000_000; });
+  const breaker = (name, store = memoryStore) =>
+    createBreaker(name, { threshold: 3, cooldownMs: 10000, store, now: () => clock });
+
+  test('opens after the threshold of consecutive failures', async () => {
+    const b = breaker('t-open');
+    await b.failure('HTTP 502');
+    await b.failure('HTTP 503');
+    assert.equal(b.snapshot().state, 'closed');
+    assert.equal(b.allow(), true);
+    await b.failure('timeout');
+    assert.equal(b.snapshot().state, 'open');
+    assert.equal(b.allow(), false);
+    assert.equal(b.retryAfter(), 10);
+    assert.equal(b.snapshot().last_error, 'timeout');
+  });
+
+  test('a success in between resets the count', async () => {
+    const b = breaker('t-reset');
+    await b.failure('x');
+    await b.failure('x');
+    await b.success();
+    await b.failure('x');
+    assert.equal(b.snapshot().state, 'closed');
+    assert.equal(b.snapshot().failures, 1);
+  });
+
+  test('half-open after the cooldown lets exactly one trial through', async () => {
+    const b = breaker('t-half');
+    for (let i = 0; i < 3; i++) await b.failure('x');
+    clock += 10000;
+    assert.equal(b.snapshot().state, 'half-open');
+    assert.equal(b.allow(), true);
+    assert.equal(b.allow(), false);
+  });
+
+  test('a successful trial closes the circuit', async () => {
+    const b = breaker('t-close');
+    for (let i = 0; i < 3; i++) await b.failure('x');
+    clock += 10000;
+    b.allow();
+    await b.success();
+    assert.equal(b.snapshot().state, 'closed');
+    assert.equal(b.allow(), true);
+    assert.deepEqual(await memoryStore.read('t-close'), { failures: 0, opened_at: null, last_error: null });
+  });
+
+  test('a failed trial re-opens it for another cooldown', async () => {
+    const b = breaker('t-reopen');
+    for (let i = 0; i < 3; i++) await b.failure('x');
+    clock += 10000;
+    b.allow();
+    await b.failure('still down');
+    assert.equal(b.snapshot().state, 'open');
+    assert.equal(b.retryAfter(), 10);
+  });
+
+  test('state is shared between instances through the store', async () => {
+    const proxyInstance = breaker('t-shared');
+    const healthInstance = breaker('t-shared');
+    await healthInstance.sync();
+    for (let i = 0; i < 3; i++) await proxyInstance.failure('HTTP 504');
+    assert.equal(healthInstance.snapshot().state, 'closed');      // local copy still fresh
+    await healthInstance.sync({ force: true });
+    assert.equal(healthInstance.snapshot().state, 'open');
+    assert.equal(healthInstance.allow(), false);
+    clock += 10000;
+    await proxyInstance.success();
+    await healthInstance.sync({ force: true });
+    assert.equal(healthInstance.snapshot().state, 'closed');
+  });
+
+  test('a stale copy is refreshed in the background, not on the request path', async () => {
+    let reads = 0;
+    let finishRead;
+    const slow = {
+      read: () => { reads++; return new Promise(r => { finishRead = () => r({ failures: 3, opened_at: new Date(clock).toISOString(), last_error: 'HTTP 502' }); }); },
+      record: memoryStore.record,
+    };
+    const b = breaker('t-background', slow);
+    const first = b.sync();
+    await new Promise(r => setImmediate(r));
+    finishRead();
+    await first;                                        // the first sync waits for the store
+    assert.equal(b.snapshot().state, 'open');
+
+    clock += 10000;                                     // copy is stale, breaker half-open
+    assert.equal(await b.sync(), b);                    // answered without waiting for the read
+    assert.equal(reads, 2);
+    assert.equal(b.snapshot().state, 'half-open');
+    await b.sync();
+    assert.equal(reads, 2);                             // one refresh in flight at a time
+    finishRead();
+    await new Promise(r => setImmediate(r));
+    assert.equal(b.snapshot().state, 'open');
+    assert.equal(b.snapshot().synced_at, new Date(clock).toISOString());
+  });
+
+  test('store errors fall back to local state', async () => {
+    const broken = { read: async () => { throw new Error('down'); }, record: async () => { throw new Error('down'); } };
+    const b = breaker('t-broken', broken);
+    for (let i = 0; i < 3; i++) await b.failure('x');
+    await b.sync({ force: true });
+    assert.equal(b.snapshot().state, 'open');
+  });
+});
+
+// ── proxy ────────────────────────────────────────────────────────────────────
+
+describe('createProxyHandler resilience', () => {
+  beforeEach(resetRailway);
+  const route = (options = {}, path = '/thing') =>
+    createProxyHandler({ route: '/api/test', methods: ['GET', 'POST'], auth: 'none', ...options }, (ctx) => ctx.forward(path));
+
+  test('GETs are retried on 502-504 and network errors', async () => {
+    let n = 0;
+    fetchMock = mockFetch(() => (++n === 1 ? jsonResponse({}, 502) : n === 2 ? Promise.reject(new TypeError('fetch failed')) : { ok: true }));
+    const res = await invoke(route(), {});
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(res.body, { ok: true });
+    assert.equal(fetchMock.to(RAILWAY_URL).length, 3);
+  });
+
+  test('writes get exactly one attempt', async () => {
+    fetchMock = mockFetch(() => jsonResponse({ detail: 'bad gateway' }, 502));
+    const res = await invoke(route(), { method: 'POST', body: { a: 1 } });
+    assert.equal(res.statusCode, 502);
+    assert.equal(fetchMock.to(RAILWAY_URL).length, 1);
+  });
+
+  test('the route timeout applies to each attempt', async () => {
+    fetchMock = mockFetch((url, call) => hang(call));
+    const started = Date.now();
+    const res = await invoke(route({ timeoutMs: 50, getRetries: 0 }), {});
+    assert.equal(res.statusCode, 504);
+    assert.equal(res.body.error, 'Upstream request timed out');
+    assert.ok(Date.now() - started < 1000);
+  });
+
+  test('a per-call timeout overrides the route default', async () => {
+    fetchMock = mockFetch((url, call) => hang(call));
+    const handler = createProxyHandler({ route: '/api/test', auth: 'none', timeoutMs: 60000 },
+      (ctx) => ctx.forward('/slow', { timeoutMs: 50, retries: 0 }));
+    const started = Date.now();
+    const res = await invoke(handler, {});
+    assert.equal(res.statusCode, 504);
+    assert.ok(Date.now() - started < 1000);
+  });
+
+  test('the budget caps the attempts of a long route timeout', async () => {
+    fetchMock = mockFetch((url, call) => hang(call));
+    const started = Date.now();
+    const res = await invoke(route({ timeoutMs: 60000, budgetMs: 80 }), {});
+    assert.equal(res.statusCode, 504);
+    assert.equal(fetchMock.to(RAILWAY_URL).length, 1);
+    assert.ok(Date.now() - started < 1000);
+  });
+
+  /** Trip the shared breaker with failed writes. */
+  async function tripRailway() {
+    fetchMock = mockFetch(() => jsonResponse({}, 503));
+    for (let i = 0; i < FAILURE_THRESHOLD; i++) await invoke(route(), { method: 'POST', body: {} });
+    assert.equal(fetchMock.to(RAILWAY_URL).length, FAILURE_THRESHOLD);
+  }
+
+  test('an open circuit answers 503 without calling Railway', async () => {
+    await tripRailway();
+    const res = await invoke(route({}, '/never-fetched'), {});
+    assert.equal(res.statusCode, 503);
+    assert.equal(res.body.degraded, true);
+    assert.match(res.body.error, /^Backend degraded, retry in \d+s$/);
+    assert.ok(Number(res.headers['retry-after']) > 0);
+    assert.equal(fetchMock.to(RAILWAY_URL).length, FAILURE_THRESHOLD);
+  });
+
+  test('an open circuit serves the last good GET for the same caller', async () => {
+    fetchMock = mockFetch(() => ({ rounds: [1, 2] }));
+    const bearer = () => createProxyHandler({ route: '/api/test', auth: 'bearer' }, (ctx) => ctx.forward('/cached'));
+    assert.equal((await invoke(bearer(), { headers: { authorization: 'Bearer alice' } })).statusCode, 200);
+    fetchMock.restore();
+    await tripRailway();
+
+    const res = await invoke(bearer(), { headers: { authorization: 'Bearer alice' } });
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(res.body, { rounds: [1, 2] });
+    assert.equal(res.headers['x-degraded'], 'true');
+    assert.equal(res.headers['cache-control'], 'no-store');
+    assert.ok(Number(res.headers['retry-after']) > 0);
+    assert.equal(res.headers.age, '0');
+
+    const other = await invoke(bearer(), { headers: { authorization: 'Bearer bob' } });
+    assert.equal(other.statusCode, 503);
+    assert.equal(fetchMock.to(RAILWAY_URL).length, FAILURE_THRESHOLD);
+  });
+});
+
+// ── health ───────────────────────────────────────────────────────────────────
+
+describe('/api/health circuit', () => {
+  beforeEach(resetRailway);
+
+  test('reports the breaker tripped by another instance', async () => {
+    const otherInstance = createBreaker('railway', { store: memoryStore });
+    for (let i = 0; i < FAILURE_THRESHOLD; i++) await otherInstance.failure('HTTP 502');
+    fetchMock = mockFetch(() => []);
+    const res = await health(edgeRequest('/api/health'));
+    const body = await res.json();
+    assert.equal(body.circuit.state, 'open');
+    assert.equal(body.circuit.failures, FAILURE_THRESHOLD);
+    assert.equal(body.circuit.last_error, 'HTTP 502');
+  });
+});
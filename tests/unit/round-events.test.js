@@ -0,0 +1,140 @@
+import { beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+
+let RoundEvents;
+let seen;
+let loads = 0;
+
+/**
+ * A fresh copy of the module (its dedup / latest / typed state is module-level)
+ * on a fresh window; the module only needs window as an event target.
+ */
+beforeEach(async () => {
+  globalThis.window = new EventTarget();
+  ({ RoundEvents } = await import(`../../public/src/services/round-events.js?fresh=${++loads}`));
+  seen = [];
+  RoundEvents.on('*', ev => seen.push(ev));
+});
+
+const legacy = (id, status) => ({ type: 'round', round: id ? { id, status } : null });
+
+describe('legacy adapter', () => {
+  test('a round frame becomes the lifecycle event for its status', () => {
+    assert.equal(RoundEvents.handleMessage(legacy('r1', 'open')), true);
+    RoundEvents.handleMessage(legacy('r1', 'locked'));
+    RoundEvents.handleMessage(legacy('r1', 'resolved'));
+    RoundEvents.handleMessage(legacy('r2', 'upcoming'));
+    assert.deepEqual(seen.map(ev => [ev.type, ev.round.id]), [
+      ['round_opened', 'r1'], ['betting_closed', 'r1'], ['round_resolved', 'r1'], ['round_scheduled', 'r2'],
+    ]);
+    assert.ok(seen.every(ev => ev.v === 1 && !Number.isNaN(Date.parse(ev.at))));
+  });
+
+  test('an upcoming round is scheduled for its opens_at', () => {
+    RoundEvents.handleMessage({ type: 'round', round: { id: 'r3', status: 'upcoming', opens_at: '2026-03-01T12:00:00Z' } });
+    assert.equal(seen[0].next_round_at, '2026-03-01T12:00:00Z');
+  });
+
+  test('no round means round_scheduled with nothing scheduled', () => {
+    RoundEvents.handleMessage(legacy(null));
+    assert.equal(seen.length, 1);
+    assert.equal(seen[0].type, 'round_scheduled');
+    assert.equal(seen[0].round, null);
+    assert.equal(seen[0].next_round_at, null);
+  });
+
+  test('count frames are inspected for a round field but are not round events', () => {
+    assert.equal(RoundEvents.handleMessage({ type: 'count', total: 4, round: { id: 'r1', status: 'open' } }), false);
+    assert.equal(RoundEvents.handleMessage({ type: 'count', total: 5 }), false);
+    assert.deepEqual(seen.map(ev => ev.type), ['round_opened']);
+  });
+
+  test('unknown statuses and junk are ignored', () => {
+    RoundEvents.handleMessage(legacy('r1', 'paused'));
+    assert.equal(RoundEvents.handleMessage(null), false);
+    assert.equal(RoundEvents.handleMessage('round'), false);
+    assert.equal(seen.length, 0);
+  });
+});
+
+describe('dedup key', () => {
+  test('repeated legacy frames for the same round and status dispatch once', () => {
+    for (let i = 0; i < 3; i++) RoundEvents.handleMessage(legacy('r1', 'open'));
+    RoundEvents.handleMessage({ type: 'count', round: { id: 'r1', status: 'open' } });
+    assert.equal(seen.length, 1);
+  });
+
+  test('a new round id with the same status is a new event', () => {
+    RoundEvents.handleMessage(legacy('r1', 'open'));
+    RoundEvents.handleMessage(legacy('r2', 'open'));
+    assert.deepEqual(seen.map(ev => ev.round.id), ['r1', 'r2']);
+  });
+
+  test('a changed next_round_at re-announces round_scheduled', () => {
+    const upcoming = (opens_at) => ({ type: 'round', round: { id: 'r1', status: 'upcoming', opens_at } });
+    RoundEvents.handleMessage(upcoming('2026-03-01T12:00:00Z'));
+    RoundEvents.handleMessage(upcoming('2026-03-01T12:00:00Z'));
+    RoundEvents.handleMessage(upcoming('2026-03-01T12:05:00Z'));
+    assert.equal(seen.length, 2);
+  });
+
+  test('a typed event updates the key, so a legacy echo of it is dropped', () => {
+    RoundEvents.handleMessage({ type: 'betting_closed', v: 1, round: { id: 'r1', status: 'locked' } });
+    RoundEvents.handleMessage(legacy('r1', 'locked'));
+    assert.equal(seen.length, 1);
+  });
+
+  test('typed events are never deduplicated', () => {
+    const opened = { type: 'round_opened', v: 1, round: { id: 'r1', status: 'open' } };
+    RoundEvents.handleMessage(opened);
+    RoundEvents.handleMessage({ ...opened, replay: true });
+    assert.equal(seen.length, 2);
+  });
+});
+
+describe('replay flag', () => {
+  test('the first legacy frame is a replay of current state, later ones are not', () => {
+    RoundEvents.handleMessage(legacy('r1', 'open'));
+    RoundEvents.handleMessage(legacy('r1', 'locked'));
+    assert.deepEqual(seen.map(ev => ev.replay), [true, false]);
+  });
+
+  test('typed events keep the flag the server sent', () => {
+    RoundEvents.handleMessage({ type: 'round_opened', v: 1, replay: true, round: { id: 'r1', status: 'open' } });
+    RoundEvents.handleMessage({ type: 'betting_closed', v: 1, round: { id: 'r1', status: 'locked' } });
+    assert.deepEqual(seen.map(ev => ev.replay), [true, undefined]);
+  });
+
+  test('after a typed event the adapter no longer marks frames as replays', () => {
+    RoundEvents.handleMessage({ type: 'round_opened', v: 1, replay: true, round: { id: 'r1', status: 'open' } });
+    RoundEvents.handleMessage(legacy('r1', 'locked'));
+    assert.equal(seen[1].replay, false);
+  });
+});
+
+describe('subscriptions and state', () => {
+  test('on() filters by type and returns an unsubscribe', () => {
+    const bets = [];
+    const off = RoundEvents.on(['bet_placed', 'bet_settled'], ev => bets.push(ev.bet.id));
+    RoundEvents.handleMessage({ type: 'bet_placed', v: 1, bet: { id: 'b1' } });
+    RoundEvents.handleMessage(legacy('r1', 'open'));
+    off();
+    RoundEvents.handleMessage({ type: 'bet_settled', v: 1, bet: { id: 'b1' } });
+    assert.deepEqual(bets, ['b1']);
+  });
+
+  test('latest() tracks lifecycle events only', () => {
+    assert.equal(RoundEvents.latest(), null);
+    RoundEvents.handleMessage(legacy('r1', 'open'));
+    RoundEvents.handleMessage({ type: 'bet_placed', v: 1, bet: { id: 'b1' } });
+    assert.equal(RoundEvents.latest().type, 'round_opened');
+  });
+
+  test('typed() turns on for server v:1 events, not for adapted legacy frames', () => {
+    RoundEvents.handleMessage(legacy('r1', 'open'));
+    RoundEvents.handleMessage({ type: 'round_opened', round: { id: 'r1', status: 'open' } });
+    assert.equal(RoundEvents.typed(), false);
+    RoundEvents.handleMessage({ type: 'bet_placed', v: 1, bet: { id: 'b1' } });
+    assert.equal(RoundEvents.typed(), true);
+  });
+});
@@ -0,0 +1,103 @@
+import { afterEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import handler from '../../api/stream.js';
+import { RAILWAY_URL, edgeRequest, mockFetch, useEnv } from './helpers.js';
+
+useEnv();
+
+let fetchMock;
+afterEach(() => fetchMock?.restore());
+
+const playlist = (...lines) => new Response(['#EXTM3U', ...lines].join('\n'), {
+  status: 200, headers: { 'Content-Type': 'application/vnd.apple.mpegurl' },
+});
+const b64 = s => Buffer.from(s).toString('base64url');
+
+test('405 for non-GET', async () => {
+  const res = await handler(edgeRequest('/api/stream', { method: 'POST' }));
+  assert.equal(res.status, 405);
+});
+
+test('500 when the backend is not configured', async () => {
+  delete process.env.RAILWAY_BACKEND_URL;
+  const res = await handler(edgeRequest('/api/stream'));
+  assert.equal(res.status, 500);
+  assert.equal((await res.json()).error, 'Stream not configured');
+});
+
+describe('manifest', () => {
+  test('signs the upstream request and only forwards safe aliases', async () => {
+    fetchMock = mockFetch(() => playlist());
+    await handler(edgeRequest('/api/stream?alias=yt:abc-123'));
+    await handler(edgeRequest('/api/stream?alias=../../etc%26x=1'));
+    const [withAlias, withoutAlias] = fetchMock.calls.map(c => new URL(c.url));
+    assert.equal(withAlias.origin + withAlias.pathname, `${RAILWAY_URL}/stream/live.m3u8`);
+    assert.equal(withAlias.searchParams.get('token').split('.').length, 3);
+    assert.equal(withAlias.searchParams.get('alias'), 'yt:abc-123');
+    assert.equal(withoutAlias.searchParams.has('alias'), false);
+  });
+
+  test('rewrites ipcamlive segment URLs to the CDN and keeps others proxied', async () => {
+    const cdn = 'https://s1.ipcamlive.com/streams/abc/seg1.ts';
+    const yt = 'https://rr1.googlevideo.com/videoplayback?id=1';
+    fetchMock = mockFetch(() => playlist(
+      `${RAILWAY_URL}/stream/ts?p=${b64(cdn)}`,
+      `${RAILWAY_URL}/stream/ts?p=${b64(yt)}`,
+    ));
+    const res = await handler(edgeRequest('/api/stream'));
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get('content-type'), 'application/vnd.apple.mpegurl');
+    const lines = (await res.text()).split('\n');
+    assert.equal(lines[1], cdn);
+    assert.equal(lines[2], `${RAILWAY_URL}/stream/ts?p=${b64(yt)}`);
+  });
+
+  test('local requests keep segments on /api/stream', async () => {
+    fetchMock = mockFetch(() => playlist(`${RAILWAY_URL}/stream/ts?p=abc`));
+    const res = await handler(edgeRequest('/api/stream', { origin: 'http://localhost:3000' }));
+    assert.equal((await res.text()).split('\n')[1], '/api/stream?p=abc');
+  });
+
+  test('maps an upstream error to 502 with its status', async () => {
+    fetchMock = mockFetch(() => new Response('no stream', { status: 404 }));
+    const res = await handler(edgeRequest('/api/stream'));
+    assert.equal(res.status, 502);
+    assert.deepEqual(await res.json(), { error: 'Stream unavailable', upstream_status: 404 });
+  });
+
+  test('maps a network error to 502', async () => {
+    fetchMock = mockFetch(() => { throw new TypeError('fetch failed'); });
+    const res = await handler(edgeRequest('/api/stream'));
+    assert.equal(res.status, 502);
+  });
+});
+
+describe('segments', () => {
+  test('proxies ?p= to /stream/ts', async () => {
+    fetchMock = mockFetch(() => new Response(new Uint8Array([0x47, 0x40]), { headers: { 'content-type': 'video/MP2T' } }));
+    const res = await handler(edgeRequest('/api/stream?p=abc'));
+    assert.equal(res.status, 200);
+    assert.equal(fetchMock.calls[0].url, `${RAILWAY_URL}/stream/ts?p=abc`);
+    assert.equal(res.headers.get('cache-control'), 'public, max-age=10');
+    assert.deepEqual([...new Uint8Array(await res.arrayBuffer())], [0x47, 0x40]);
+  });
+
+  test('rejects oversized ?p=', async () => {
+    fetchMock = mockFetch();
+    const res = await handler(edgeRequest(`/api/stream?p=${'a'.repeat(4097)}`));
+    assert.equal(res.status, 400);
+    assert.equal(fetchMock.calls.length, 0);
+  });
+
+  test('maps an upstream error to 502', async () => {
+    fetchMock = mockFetch(() => new Response('', { status: 404 }));
+    const res = await handler(edgeRequest('/api/stream?p=abc'));
+    assert.equal(res.status, 502);
+  });
+
+  test('are not rate limited', async () => {
+    fetchMock = mockFetch(() => new Response('x'));
+    const res = await handler(edgeRequest('/api/stream?p=abc'));
+    assert.equal(res.headers.get('ratelimit-limit'), null);
+  });
+});
@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHmac } from 'node:crypto';
+import handler, { config } from '../../api/token.js';
+import { TEST_ENV, edgeRequest, useEnv } from './helpers.js';
+
+useEnv();
+
+test('runs on the edge', () => {
+  assert.equal(config.runtime, 'edge');
+});
+
+test('405 for non-GET', async () => {
+  const res = await handler(edgeRequest('/api/token', { method: 'POST' }));
+  assert.equal(res.status, 405);
+});
+
+test('500 without WS_AUTH_SECRET or a backend URL', async () => {
+  delete process.env.WS_AUTH_SECRET;
+  let res = await handler(edgeRequest('/api/token'));
+  assert.equal(res.status, 500);
+
+  process.env.WS_AUTH_SECRET = TEST_ENV.WS_AUTH_SECRET;
+  delete process.env.RAILWAY_BACKEND_URL;
+  res = await handler(edgeRequest('/api/token'));
+  assert.equal(res.status, 500);
+  assert.equal((await res.json()).error, 'Server misconfiguration');
+});
+
+test('issues a ts.nonce.sig token signed with WS_AUTH_SECRET', async () => {
+  const res = await handler(edgeRequest('/api/token'));
+  assert.equal(res.status, 200);
+  assert.equal(res.headers.get('cache-control'), 'no-store');
+  const body = await res.json();
+  const [ts, nonce, sig] = body.token.split('.');
+  assert.ok(Math.abs(Number(ts) - Date.now() / 1000) < 5);
+  assert.match(nonce, /^[0-9a-f]{16}$/);
+  assert.equal(sig, createHmac('sha256', TEST_ENV.WS_AUTH_SECRET).update(`${ts}.${nonce}.`).digest('hex'));
+  assert.equal(body.expires_in, 300);
+});
+
+test('wss_url upgrades the backend URL to wss://', async () => {
+  const body = await (await handler(edgeRequest('/api/token'))).json();
+  assert.equal(body.wss_url, 'wss://railway.test/ws/live');
+});
+
+test('WS_BACKEND_URL takes precedence; plain ws:// only for localhost', async () => {
+  process.env.WS_BACKEND_URL = 'http://localhost:8787/mock/railway';
+  let body = await (await handler(edgeRequest('/api/token'))).json();
+  assert.equal(body.wss_url, 'ws://localhost:8787/mock/railway/ws/live');
+
+  process.env.WS_BACKEND_URL = 'http://ws.example.test';
+  body = await (await handler(edgeRequest('/api/token'))).json();
+  assert.equal(body.wss_url, 'wss://ws.example.test/ws/live');
+});
+
+test('is rate limited per IP with RateLimit headers', async () => {
+  const req = () => edgeRequest('/api/token', { headers: { 'x-forwarded-for': '192.0.2.44' } });
+  const first = await handler(req());
+  assert.equal(first.headers.get('ratelimit-limit'), '30');
+  let res;
+  for (let i = 0; i < 30; i++) res = await handler(req());
+  assert.equal(res.status, 429);
+  assert.ok(Number(res.headers.get('retry-after')) >= 1);
+});
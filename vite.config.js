@@ -1,69 +1,105 @@
-import { defineConfig } from 'vite'
+import { defineConfig, loadEnv } from 'vite'
 import path from 'path'
 
 const root = path.resolve(process.cwd(), 'public')
+const MOCK_ORIGIN = 'http://localhost:3000'
 
-export default defineConfig({
-  root,
-  publicDir: false,   // no nested public/ inside public/
-  server: {
-    port: 3000,
-    proxy: {
-      // Forward all /api calls to production — keeps local dev working with real data
-      '/api': {
-        target: 'https://aitrafficja.com',
-        changeOrigin: true,
-        secure: true,
-      },
-      // Vercel Analytics script — not served locally, return empty to suppress 404
-      '/_vercel/insights': {
-        target: 'https://aitrafficja.com',
-        changeOrigin: true,
-        secure: true,
-      },
+// `vite --mode mock`: serve api/ functions, Supabase and Railway from the
+// in-memory backend in scripts/mock instead of proxying to production.
+// Plain `vite` (npm run dev) falls back to the same mode when no Supabase
+// config is found (VITE_SUPABASE_URL in the environment or public/.env*).
+function mockBackend() {
+  return {
+    name: 'whitelinez-mock-backend',
+    apply: 'serve',
+    async configureServer(server) {
+      const { createMockBackend } = await import('./scripts/mock/index.js')
+      const backend = createMockBackend({ baseUrl: MOCK_ORIGIN })
+      server.middlewares.use(backend.middleware)
+      // Vite's HMR socket only claims the vite-hmr protocol, so both coexist
+      server.httpServer?.on('upgrade', (req, socket, head) => backend.handleUpgrade(req, socket, head))
+      server.httpServer?.on('close', () => backend.stop())
+      backend.start()
     },
-  },
-  build: {
-    outDir: path.resolve(process.cwd(), 'dist'),
-    emptyOutDir: true,
-    sourcemap: false,
-    minify: 'terser',
-    terserOptions: {
-      compress: {
-        drop_debugger: true,
-        pure_funcs: ['console.debug'],
-        passes: 2,
-      },
-      mangle: {
-        toplevel: true,   // safe now that all JS uses ES modules
-        eval: false,
-      },
-      format: {
-        comments: false,
+  }
+}
+
+export default defineConfig(({ command, mode }) => {
+  let mock = mode === 'mock'
+  if (!mock && command === 'serve' && !loadEnv(mode, root).VITE_SUPABASE_URL) {
+    console.warn('[vite] No VITE_SUPABASE_URL configured; serving the offline mock backend (npm run dev:mock).')
+    mock = true
+  }
+  if (mock) {
+    process.env.VITE_SUPABASE_URL = `${MOCK_ORIGIN}/mock/supabase`
+    process.env.VITE_SUPABASE_ANON_KEY = 'mock-anon-key'
+  }
+
+  return {
+    root,
+    publicDir: false,   // no nested public/ inside public/
+    plugins: mock ? [mockBackend()] : [],
+    server: {
+      port: 3000,
+      strictPort: mock,   // the mock backend points api/ functions at this exact origin
+      proxy: mock ? {} : {
+        // Forward all /api calls to production — keeps local dev working with real data
+        '/api': {
+          target: 'https://aitrafficja.com',
+          changeOrigin: true,
+          secure: true,
+        },
+        // Vercel Analytics script — not served locally, return empty to suppress 404
+        '/_vercel/insights': {
+          target: 'https://aitrafficja.com',
+          changeOrigin: true,
+          secure: true,
+        },
       },
     },
-    rollupOptions: {
-      input: {
-        main:    path.resolve(root, 'index.html'),
-        admin:   path.resolve(root, 'admin.html'),
-        account: path.resolve(root, 'account.html'),
+    build: {
+      outDir: path.resolve(process.cwd(), 'dist'),
+      emptyOutDir: true,
+      sourcemap: false,
+      minify: 'terser',
+      terserOptions: {
+        compress: {
+          drop_debugger: true,
+          pure_funcs: ['console.debug'],
+          passes: 2,
+        },
+        mangle: {
+          toplevel: true,   // safe now that all JS uses ES modules
+          eval: false,
+        },
+        format: {
+          comments: false,
+        },
       },
-      output: {
-        // Entry files: fixed names at dist root (no hash, no assets/ prefix).
-        // Cached index.html references /main.js which always exists → no stale 404s.
-        entryFileNames: '[name].js',
-        // Shared chunks: keep content hashes under assets/ for immutable CDN caching.
-        chunkFileNames: 'assets/[name]-[hash].js',
-        assetFileNames: 'assets/[name]-[hash].[ext]',
-        // Split large vendor libs into their own chunks so each is smaller.
-        // Smaller chunks = faster Cloudflare edge cache warm-up on new deploys.
-        manualChunks(id) {
-          if (id.includes('node_modules/hls.js'))   return 'vendor-hls';
-          if (id.includes('node_modules/pixi.js'))  return 'vendor-pixi';
+      rollupOptions: {
+        input: {
+          main:    path.resolve(root, 'index.html'),
+          admin:   path.resolve(root, 'admin.html'),
+          account: path.resolve(root, 'account.html'),
+          docs:    path.resolve(root, 'docs.html'),
+        },
+        output: {
+          // Entry files: fixed names at dist root (no hash, no assets/ prefix).
+          // Cached index.html references /main.js which always exists → no stale 404s.
+          entryFileNames: '[name].js',
+          // Shared chunks: keep content hashes under assets/ for immutable CDN caching.
+          chunkFileNames: 'assets/[name]-[hash].js',
+          assetFileNames: 'assets/[name]-[hash].[ext]',
+          // Split large vendor libs into their own chunks so each is smaller.
+          // Smaller chunks = faster Cloudflare edge cache warm-up on new deploys.
+          manualChunks(id) {
+            if (id.includes('node_modules/hls.js'))   return 'vendor-hls';
+            if (id.includes('node_modules/pixi.js'))  return 'vendor-pixi';
+          },
         },
       },
+      assetsInlineLimit: 4096,
+      chunkSizeWarningLimit: 2000,
     },
-    assetsInlineLimit: 4096,
-    chunkSizeWarningLimit: 2000,
-  },
+  }
 })